@@ -0,0 +1,31 @@
+import crypto from "node:crypto";
+import readline from "node:readline";
+
+// Prints a scrypt hash to use as SETUP_PASSWORD instead of the plain password.
+// Same format and parameters as hashSetupPassword in src/server.js.
+//   npm run hash-password            (prompts)
+//   echo -n 'secret' | npm run -s hash-password
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+async function readPassword() {
+  if (process.argv[2]) return process.argv[2];
+  if (!process.stdin.isTTY) {
+    let data = "";
+    for await (const chunk of process.stdin) data += chunk;
+    return data.replace(/\r?\n$/, "");
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const answer = await new Promise((resolve) => rl.question("Password: ", resolve));
+  rl.close();
+  return answer;
+}
+
+const password = await readPassword();
+if (!password) {
+  console.error("Empty password");
+  process.exit(2);
+}
+const salt = crypto.randomBytes(16);
+const key = crypto.scryptSync(password, salt, 32, { ...SCRYPT_PARAMS, maxmem: 64 * 1024 * 1024 });
+const { N, r, p } = SCRYPT_PARAMS;
+console.log(`scrypt$${N}$${r}$${p}$${salt.toString("base64url")}$${key.toString("base64url")}`);
@@ -1,10 +1,13 @@
 import childProcess from "node:child_process";
 import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
 import fs from "node:fs";
-import { WebSocketServer } from "ws";
+import http from "node:http";
+import { WebSocket, WebSocketServer } from "ws";
 import net from "node:net";
 import os from "node:os";
 import path from "node:path";
+import { Readable } from "node:stream";
 
 import express from "express";
 import { createProxyServer } from "httpxy";
@@ -32,27 +35,13 @@ const WORKSPACE_DIR =
   process.env.OPENCLAW_WORKSPACE_DIR?.trim() ||
   path.join(STATE_DIR, "workspace");
 
-// Protect /setup with a user-provided password.
-// If not set, generate a secure random password and log it.
-const SETUP_PASSWORD = (() => {
-  const env = process.env.SETUP_PASSWORD?.trim();
-  if (env) return env;
-  const generated = crypto.randomBytes(16).toString("base64url");
-  console.warn("=".repeat(60));
-  console.warn("[wrapper] SETUP_PASSWORD not set. Generated password:");
-  console.warn(`[wrapper]   ${generated}`);
-  console.warn("[wrapper] Set SETUP_PASSWORD in Railway Variables to use your own.");
-  console.warn("=".repeat(60));
-  return generated;
-})();
-
 // Gateway admin token (protects OpenClaw gateway + Control UI).
 // Must be stable across restarts. If not provided via env, persist it in the state dir.
-function resolveGatewayToken() {
-  const envTok = process.env.OPENCLAW_GATEWAY_TOKEN?.trim();
+// Named instances pass their own state dir and OPENCLAW_GATEWAY_TOKEN_<NAME> value.
+function resolveGatewayToken(stateDir = STATE_DIR, envTok = process.env.OPENCLAW_GATEWAY_TOKEN?.trim()) {
   if (envTok) return envTok;
 
-  const tokenPath = path.join(STATE_DIR, "gateway.token");
+  const tokenPath = path.join(stateDir, "gateway.token");
   try {
     const existing = fs.readFileSync(tokenPath, "utf8").trim();
     if (existing) return existing;
@@ -62,7 +51,7 @@ function resolveGatewayToken() {
 
   const generated = crypto.randomBytes(32).toString("hex");
   try {
-    fs.mkdirSync(STATE_DIR, { recursive: true });
+    fs.mkdirSync(stateDir, { recursive: true });
     fs.writeFileSync(tokenPath, generated, { encoding: "utf8", mode: 0o600 });
   } catch {
     // best-effort
@@ -79,7 +68,9 @@ const INTERNAL_GATEWAY_HOST = process.env.INTERNAL_GATEWAY_HOST ?? "127.0.0.1";
 const GATEWAY_TARGET = `http://${INTERNAL_GATEWAY_HOST}:${INTERNAL_GATEWAY_PORT}`;
 
 // Always run the built-from-source CLI entry directly to avoid PATH/global-install mismatches.
+// An uploaded build can take over at runtime; see "OpenClaw builds" below.
 const OPENCLAW_ENTRY = process.env.OPENCLAW_ENTRY?.trim() || "/openclaw/dist/entry.js";
+let openclawEntry = OPENCLAW_ENTRY;
 const OPENCLAW_NODE = process.env.OPENCLAW_NODE?.trim() || "node";
 
 // When true, the web terminal spawns a full PTY shell (bash).
@@ -87,18 +78,22 @@ const OPENCLAW_NODE = process.env.OPENCLAW_NODE?.trim() || "node";
 const TERMINAL_FULL_ACCESS = (process.env.TERMINAL_FULL_ACCESS || "").trim().toLowerCase() === "true";
 
 function clawArgs(args) {
-  return [OPENCLAW_ENTRY, ...args];
+  return [openclawEntry, ...args];
 }
 
-function resolveConfigCandidates() {
+// inst selects a named gateway instance (see OPENCLAW_INSTANCES); omitted means the default
+// instance. OPENCLAW_CONFIG_PATH only applies to the default instance.
+function resolveConfigCandidates(inst) {
+  if (inst && !inst.isDefault) return [path.join(inst.stateDir, "openclaw.json")];
+
   const explicit = process.env.OPENCLAW_CONFIG_PATH?.trim();
   if (explicit) return [explicit];
 
   return [path.join(STATE_DIR, "openclaw.json")];
 }
 
-function configPath() {
-  const candidates = resolveConfigCandidates();
+function configPath(inst) {
+  const candidates = resolveConfigCandidates(inst);
   for (const candidate of candidates) {
     try {
       if (fs.existsSync(candidate)) return candidate;
@@ -110,106 +105,721 @@ function configPath() {
   return candidates[0] || path.join(STATE_DIR, "openclaw.json");
 }
 
-function isConfigured() {
+function isConfigured(inst) {
   try {
-    return resolveConfigCandidates().some((candidate) => fs.existsSync(candidate));
+    return resolveConfigCandidates(inst).some((candidate) => fs.existsSync(candidate));
   } catch {
     return false;
   }
 }
 
-let gatewayProc = null;
-let gatewayStarting = null;
-let _gatewayReady = false; // true only after probe confirms gateway is accepting connections
-let _intentionalKill = false; // true when restartGateway is actively killing the process
+// --- Prometheus metrics ---
+// Counters, gauges and histograms kept in memory and rendered in the Prometheus text format
+// on GET /metrics. The endpoint only exists when METRICS_TOKEN is set, and scrapers must
+// send it as a bearer token. Gateway state gauges are filled in at scrape time.
+const METRICS_TOKEN = process.env.METRICS_TOKEN?.trim() || "";
+
+function createMetricsRegistry() {
+  const defined = [];
+
+  // Label sets are stored as sorted [name, value] pairs, keyed by their JSON.
+  function seriesFor(metric, labels, init) {
+    const pairs = Object.keys(labels).sort().map((k) => [k, String(labels[k])]);
+    const key = JSON.stringify(pairs);
+    let series = metric.series.get(key);
+    if (!series) {
+      series = { labels: pairs, ...init() };
+      metric.series.set(key, series);
+    }
+    return series;
+  }
+
+  function define(type, name, help, extra = {}) {
+    const metric = { type, name, help, series: new Map(), ...extra };
+    defined.push(metric);
+    return metric;
+  }
 
-// Debug breadcrumbs for common Railway failures (502 / "Application failed to respond").
-let lastGatewayError = null;
-let lastGatewayExit = null;
-let lastDoctorOutput = null;
-let lastDoctorAt = null;
+  function counter(name, help) {
+    const metric = define("counter", name, help);
+    return {
+      inc: (labels = {}, n = 1) => { seriesFor(metric, labels, () => ({ value: 0 })).value += n; },
+    };
+  }
+
+  function gauge(name, help) {
+    const metric = define("gauge", name, help);
+    const at = (labels) => seriesFor(metric, labels, () => ({ value: 0 }));
+    return {
+      set: (labels, value) => { at(labels).value = value; },
+      inc: (labels = {}) => { at(labels).value += 1; },
+      dec: (labels = {}) => { at(labels).value -= 1; },
+    };
+  }
+
+  function histogram(name, help, buckets) {
+    const metric = define("histogram", name, help, { buckets });
+    return {
+      observe: (labels, value) => {
+        const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((b, i) => { if (value <= b) series.counts[i]++; });
+        series.sum += value;
+        series.count++;
+      },
+    };
+  }
+
+  function formatLabels(pairs) {
+    if (!pairs.length) return "";
+    const escape = (v) => v.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+    return `{${pairs.map(([k, v]) => `${k}="${escape(v)}"`).join(",")}}`;
+  }
+
+  function render() {
+    const lines = [];
+    for (const m of defined) {
+      lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+      for (const series of m.series.values()) {
+        if (m.type !== "histogram") {
+          lines.push(`${m.name}${formatLabels(series.labels)} ${series.value}`);
+          continue;
+        }
+        m.buckets.forEach((b, i) => {
+          lines.push(`${m.name}_bucket${formatLabels([...series.labels, ["le", String(b)]])} ${series.counts[i]}`);
+        });
+        lines.push(`${m.name}_bucket${formatLabels([...series.labels, ["le", "+Inf"]])} ${series.count}`);
+        lines.push(`${m.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${m.name}_count${formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+const metrics = createMetricsRegistry();
+const metricGatewayUp = metrics.gauge("openclaw_gateway_up", "1 if the gateway process is running.");
+const metricGatewayReady = metrics.gauge("openclaw_gateway_ready", "1 if the gateway is running and passed its readiness probe.");
+const metricGatewayState = metrics.gauge("openclaw_gateway_state", "Supervisor state; 1 for the current state.");
+const metricGatewayUptime = metrics.gauge("openclaw_gateway_uptime_seconds", "Seconds since the current gateway process was spawned.");
+const metricGatewayBackoff = metrics.gauge("openclaw_gateway_restart_backoff_attempts", "Auto-restart attempts in the current backoff sequence.");
+const metricGatewayTripped = metrics.gauge("openclaw_gateway_auto_restart_tripped", "1 if auto-restart gave up and waits to be resumed.");
+const metricGatewayRestarts = metrics.counter("openclaw_gateway_restarts_total", "Gateway restarts by reason; crash recovery counts as auto-restart.");
+const metricGatewayExits = metrics.counter("openclaw_gateway_exits_total", "Gateway process exits.");
+const metricProxyRequests = metrics.counter("openclaw_proxy_http_requests_total", "Proxied HTTP requests by response status.");
+const metricProxyDuration = metrics.histogram(
+  "openclaw_proxy_http_request_duration_seconds",
+  "Proxied HTTP request duration by response status.",
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+);
+const metricProxyWebSockets = metrics.gauge("openclaw_proxy_websockets_active", "Open proxied WebSocket connections.");
+const metricTerminalSessions = metrics.gauge("openclaw_terminal_sessions_active", "Open web terminal sessions.");
+const metricCliRuns = metrics.counter("openclaw_cli_invocations_total", "Commands run by the wrapper, by command and outcome.");
+const metricCliDuration = metrics.histogram(
+  "openclaw_cli_duration_seconds",
+  "Duration of commands run by the wrapper.",
+  [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+);
+const metricBackupExports = metrics.counter("openclaw_backup_exports_total", "Backup exports by outcome.");
+const metricBackupImports = metrics.counter("openclaw_backup_imports_total", "Backup imports by outcome.");
+
+function secondsSince(startedNs) {
+  return Number(process.hrtime.bigint() - startedNs) / 1e9;
+}
+
+// --- Gateway lifecycle journal ---
+// Append-only JSONL history of lifecycle events (spawn, ready, exit, restarts, ...) in
+// STATE_DIR so it survives wrapper restarts. The supervisor's lastExit/lastError only keep
+// the latest event; the journal keeps the sequence that led up to it.
+// Past GATEWAY_JOURNAL_MAX_BYTES the oldest entries are dropped until the file is back under
+// GATEWAY_JOURNAL_COMPACT_BYTES, so the next rewrite is a long way off.
+const GATEWAY_JOURNAL_MAX_BYTES = 2 * 1024 * 1024;
+const GATEWAY_JOURNAL_COMPACT_BYTES = GATEWAY_JOURNAL_MAX_BYTES / 2;
+const GATEWAY_JOURNAL_KEEP_ENTRIES = 5_000;
+
+function gatewayJournalPath() {
+  return path.join(STATE_DIR, "gateway-journal.jsonl");
+}
+
+function readGatewayJournal() {
+  try {
+    return fs.readFileSync(gatewayJournalPath(), "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        try { return JSON.parse(line); } catch { return null; }
+      })
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+function compactGatewayJournal() {
+  const lines = readGatewayJournal().slice(-GATEWAY_JOURNAL_KEEP_ENTRIES).map((e) => JSON.stringify(e) + "\n");
+  let start = lines.length;
+  let bytes = 0;
+  while (start > 0 && bytes + Buffer.byteLength(lines[start - 1]) <= GATEWAY_JOURNAL_COMPACT_BYTES) {
+    start -= 1;
+    bytes += Buffer.byteLength(lines[start]);
+  }
+  fs.writeFileSync(gatewayJournalPath(), lines.slice(start).join(""), { encoding: "utf8", mode: 0o600 });
+}
+
+function recordGatewayEvent(type, details = {}) {
+  const entry = { ts: new Date().toISOString(), type, ...details };
+  const instance = entry.instance || "default";
+  if (type === "restart") metricGatewayRestarts.inc({ instance, reason: entry.reason || "manual" });
+  if (type === "restart_scheduled") metricGatewayRestarts.inc({ instance, reason: "auto-restart" });
+  if (type === "exit") metricGatewayExits.inc({ instance, intentional: Boolean(entry.intentional) });
+  notifyGatewayAlert(entry);
+  try {
+    const p = gatewayJournalPath();
+    fs.mkdirSync(path.dirname(p), { recursive: true });
+    fs.appendFileSync(p, JSON.stringify(entry) + "\n", { encoding: "utf8", mode: 0o600 });
+    if (fs.statSync(p).size > GATEWAY_JOURNAL_MAX_BYTES) compactGatewayJournal();
+  } catch {
+    // best-effort (e.g. volume not mounted yet)
+  }
+  return entry;
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// --- Gateway output capture ---
+// The gateway's stdout/stderr are piped through the wrapper (instead of inherited) so the
+// Setup UI can show them. Every line is still echoed to our own stdout/stderr, so the
+// Railway log stream is unchanged. Lines are redacted before they are buffered or persisted.
+const GATEWAY_LOG_MAX_LINES = Math.max(100, Number.parseInt(process.env.GATEWAY_LOG_MAX_LINES ?? "2000", 10) || 2000);
+const GATEWAY_LOG_MAX_LINE_LENGTH = 4_000;
+// Optional on-disk copy under STATE_DIR/logs, rotated by size (gateway.log -> gateway.log.1).
+const GATEWAY_LOG_FILE_ENABLED = (process.env.GATEWAY_LOG_FILE || "").trim().toLowerCase() === "true";
+const GATEWAY_LOG_FILE_MAX_BYTES = 5 * 1024 * 1024;
+
+const gatewayLogLines = []; // { seq, ts, instance, stream: "stdout"|"stderr"|"wrapper", text }
+let gatewayLogSeq = 0;
+const gatewayLogSubscribers = new Set();
+
+function gatewayLogFilePath(instance = "default") {
+  return path.join(GATEWAY_INSTANCES.get(instance)?.stateDir ?? STATE_DIR, "logs", "gateway.log");
+}
+
+function writeGatewayLogFile(entry) {
+  try {
+    const p = gatewayLogFilePath(entry.instance);
+    fs.mkdirSync(path.dirname(p), { recursive: true });
+    try {
+      if (fs.statSync(p).size > GATEWAY_LOG_FILE_MAX_BYTES) {
+        fs.renameSync(p, `${p}.1`);
+      }
+    } catch {
+      // file doesn't exist yet
+    }
+    fs.appendFileSync(p, `${entry.ts} [${entry.stream}] ${entry.text}\n`, { encoding: "utf8", mode: 0o600 });
+  } catch {
+    // best-effort
+  }
+}
+
+function appendGatewayLog(stream, text, instance = "default") {
+  let line = redactSecrets(String(text));
+  if (line.length > GATEWAY_LOG_MAX_LINE_LENGTH) line = line.slice(0, GATEWAY_LOG_MAX_LINE_LENGTH) + " … (truncated)";
+  const entry = { seq: ++gatewayLogSeq, ts: new Date().toISOString(), instance, stream, text: line };
+  gatewayLogLines.push(entry);
+  if (gatewayLogLines.length > GATEWAY_LOG_MAX_LINES) {
+    gatewayLogLines.splice(0, gatewayLogLines.length - GATEWAY_LOG_MAX_LINES);
+  }
+  if (GATEWAY_LOG_FILE_ENABLED) writeGatewayLogFile(entry);
+  for (const fn of gatewayLogSubscribers) {
+    try { fn(entry); } catch { }
+  }
+}
+
+// Echo a child stream to our own stdout/stderr and split it into lines for the ring buffer.
+// Output of named instances is echoed line by line with an [instance] prefix. The stream is
+// decoded as UTF-8 across chunks, so a character split between two reads stays intact, and
+// output without newlines is flushed every GATEWAY_LOG_MAX_LINE_LENGTH characters.
+function captureGatewayStream(readable, stream, inst = defaultInstance) {
+  if (!readable) return;
+  const out = stream === "stderr" ? process.stderr : process.stdout;
+  const emit = (line) => {
+    if (!inst.isDefault) out.write(`[${inst.name}] ${line}\n`);
+    appendGatewayLog(stream, line, inst.name);
+    noteGatewayListening(line, inst);
+  };
+  let partial = "";
+  readable.setEncoding("utf8");
+  readable.on("data", (chunk) => {
+    if (inst.isDefault) out.write(chunk);
+    const lines = (partial + chunk).split(/\r?\n/);
+    partial = lines.pop() || "";
+    while (partial.length > GATEWAY_LOG_MAX_LINE_LENGTH) {
+      lines.push(partial.slice(0, GATEWAY_LOG_MAX_LINE_LENGTH));
+      partial = partial.slice(GATEWAY_LOG_MAX_LINE_LENGTH);
+    }
+    for (const line of lines) emit(line);
+  });
+  readable.on("end", () => {
+    if (partial) emit(partial);
+    partial = "";
+  });
+}
+
+// --- Incident alerts ---
+// Optional notifications about gateway crashes and restarts, sent straight to the Telegram,
+// Discord or Slack API with the bot token the setup wizard wrote into the default instance's
+// openclaw.json, so they still go out while the gateway itself is down. Settings live under
+// "alerts" in wrapper-settings.json. Alerts of the same kind for the same instance are sent
+// at most once per ALERT_COOLDOWN_MS; the next one reports how many were held back.
+const ALERT_CHANNELS = ["telegram", "discord", "slack"];
+const ALERT_KINDS = {
+  crash: { label: "Gateway crashed", events: ["exit"] },
+  gaveUp: { label: "Auto-restart gave up", events: ["restart_gave_up"] },
+  unresponsive: { label: "Watchdog or memory-limit restart", events: ["watchdog_restart", "memory_restart"] },
+  buildRevert: { label: "Build switch or update rolled back", events: ["build_revert", "update_rollback"] },
+};
+const ALERT_COOLDOWN_MS = 5 * 60 * 1000;
+const ALERT_SEND_TIMEOUT_MS = 10_000;
+// The exit event fires before the child's last stderr lines have been read.
+const ALERT_STDERR_SETTLE_MS = 1_000;
+
+const DEFAULT_ALERTS = {
+  enabled: false,
+  channel: "telegram",
+  target: "",
+  setupUrl: "",
+  kinds: { crash: true, gaveUp: true, unresponsive: true, buildRevert: true },
+};
+
+const alertCooldowns = new Map(); // "<instance>:<kind>" -> { sentAt, suppressed }
+let lastAlert = null; // { at, kind, instance, ok, error? }
+
+// Validate and normalize alert settings; throws with a user-facing message.
+function normalizeAlertSettings(input = {}) {
+  const out = {
+    ...DEFAULT_ALERTS,
+    ...input,
+    kinds: { ...DEFAULT_ALERTS.kinds, ...(input.kinds || {}) },
+  };
+  out.enabled = Boolean(out.enabled);
+  if (!ALERT_CHANNELS.includes(out.channel)) throw new Error(`Channel must be one of ${ALERT_CHANNELS.join(", ")}`);
+  out.target = String(out.target || "").trim();
+  if (out.enabled && !out.target) throw new Error("A chat or channel ID is required");
+  out.setupUrl = String(out.setupUrl || "").trim();
+  if (out.setupUrl && !/^https?:\/\//.test(out.setupUrl)) throw new Error("Setup URL must start with http:// or https://");
+  for (const kind of Object.keys(out.kinds)) {
+    if (!ALERT_KINDS[kind]) delete out.kinds[kind];
+    else out.kinds[kind] = Boolean(out.kinds[kind]);
+  }
+  return out;
+}
+
+function readAlertSettings() {
+  try {
+    return normalizeAlertSettings(readWrapperSettings().alerts);
+  } catch {
+    return DEFAULT_ALERTS;
+  }
+}
+
+// Bot tokens per channel from the default instance's config; missing channels are omitted.
+function readAlertChannelTokens() {
+  let channels;
+  try {
+    channels = JSON.parse(fs.readFileSync(configPath(), "utf8"))?.channels || {};
+  } catch {
+    return {};
+  }
+  const tokens = {};
+  if (channels.telegram?.botToken) tokens.telegram = channels.telegram.botToken;
+  if (channels.discord?.token) tokens.discord = channels.discord.token;
+  if (channels.slack?.botToken) tokens.slack = channels.slack.botToken;
+  return tokens;
+}
+
+function alertSetupUrl(settings) {
+  if (settings.setupUrl) return settings.setupUrl;
+  const domain = process.env.RAILWAY_PUBLIC_DOMAIN?.trim();
+  return domain ? `https://${domain}/setup` : null;
+}
+
+async function postAlertJson(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(ALERT_SEND_TIMEOUT_MS),
+  });
+  const data = await res.json().catch(() => null);
+  return { status: res.status, data };
+}
+
+// Sends text to the configured channel. Resolves to { ok, error? }; never throws.
+async function sendAlertMessage(settings, text) {
+  const token = readAlertChannelTokens()[settings.channel];
+  if (!token) return { ok: false, error: `No ${settings.channel} bot token in the OpenClaw config` };
+  try {
+    if (settings.channel === "telegram") {
+      const r = await postAlertJson(`https://api.telegram.org/bot${token}/sendMessage`, {
+        chat_id: settings.target,
+        text,
+        disable_web_page_preview: true,
+      });
+      return r.data?.ok ? { ok: true } : { ok: false, error: r.data?.description || `HTTP ${r.status}` };
+    }
+    if (settings.channel === "discord") {
+      const r = await postAlertJson(
+        `https://discord.com/api/v10/channels/${encodeURIComponent(settings.target)}/messages`,
+        { content: text.slice(0, 2000) },
+        { authorization: `Bot ${token}` },
+      );
+      return r.status < 300 ? { ok: true } : { ok: false, error: r.data?.message || `HTTP ${r.status}` };
+    }
+    const r = await postAlertJson("https://slack.com/api/chat.postMessage", { channel: settings.target, text }, { authorization: `Bearer ${token}` });
+    return r.data?.ok ? { ok: true } : { ok: false, error: r.data?.error || `HTTP ${r.status}` };
+  } catch (err) {
+    return { ok: false, error: redactSecrets(String(err)) };
+  }
+}
+
+function lastGatewayStderr(instanceName, count = 3) {
+  return gatewayLogLines
+    .filter((l) => l.instance === instanceName && l.stream === "stderr" && l.text.trim())
+    .slice(-count)
+    .map((l) => l.text);
+}
+
+function formatAlertMessage(entry, opts = {}) {
+  const instance = entry.instance || "default";
+  const lines = [`[OpenClaw${instance === "default" ? "" : ` · ${instance}`}] ${ALERT_KINDS[opts.kind]?.label || entry.type}`];
+  if (entry.type === "exit") lines.push(`Exit code ${entry.code ?? "none"}, signal ${entry.signal ?? "none"}`);
+  if (entry.type === "restart_gave_up") lines.push(`Stopped retrying after ${entry.attempts} attempts; the gateway stays down until resumed.`);
+  if (entry.type === "watchdog_restart") lines.push(`No answer to ${entry.failures} probes.`);
+  if (entry.type === "memory_restart") lines.push(`RSS ${entry.rssMb} MB over the ${entry.limitMb} MB limit.`);
+  if (entry.from !== undefined && entry.to !== undefined) lines.push(`${entry.from} → ${entry.to}`);
+  const lastError = entry.error || opts.stderr?.join("\n");
+  if (lastError) lines.push(`Last error: ${lastError.length > 600 ? `${lastError.slice(0, 600)}…` : lastError}`);
+  if (opts.suppressed) lines.push(`(${opts.suppressed} similar alert${opts.suppressed === 1 ? "" : "s"} held back since the last one)`);
+  if (opts.setupUrl) lines.push(opts.setupUrl);
+  return lines.join("\n");
+}
+
+// Called for every journal entry; sends an alert when the event matches an enabled kind.
+function notifyGatewayAlert(entry) {
+  if (entry.type === "exit" && entry.intentional) return;
+  const kind = Object.keys(ALERT_KINDS).find((k) => ALERT_KINDS[k].events.includes(entry.type));
+  if (!kind) return;
+  const settings = readAlertSettings();
+  if (!settings.enabled || !settings.kinds[kind]) return;
+
+  const instance = entry.instance || "default";
+  const key = `${instance}:${kind}`;
+  const cooldown = alertCooldowns.get(key);
+  if (cooldown && Date.now() - cooldown.sentAt < ALERT_COOLDOWN_MS) {
+    cooldown.suppressed++;
+    return;
+  }
+  const suppressed = cooldown?.suppressed || 0;
+  alertCooldowns.set(key, { sentAt: Date.now(), suppressed: 0 });
+
+  setTimeout(async () => {
+    const text = formatAlertMessage(entry, { kind, suppressed, stderr: lastGatewayStderr(instance), setupUrl: alertSetupUrl(settings) });
+    const r = await sendAlertMessage(settings, text);
+    lastAlert = { at: new Date().toISOString(), kind, instance, ok: r.ok, error: r.error || null };
+    if (!r.ok) console.warn(`[alerts] ${settings.channel} alert failed: ${r.error}`);
+  }, ALERT_STDERR_SETTLE_MS).unref?.();
+}
 
-// Auto-restart state (exponential backoff).
-let _restartAttempts = 0;
-let _restartTimer = null;
+// --- Gateway supervisor ---
+// One supervisor owns the gateway child process and its lifecycle state. Every
+// start/stop/restart goes through a single promise queue, so concurrent callers (proxy,
+// console, config save, auto-restart, reset/wipe/import) can't interleave kills and spawns.
+//
+//   stopped ──▶ starting ──probe ok──▶ ready
+//                  │ probe timed out, process alive
+//                  ▼
+//               degraded ──probe ok──▶ ready
+//   any running state ──stop/restart──▶ stopping ──▶ stopped
+//   unexpected exit ──▶ crash-looping (auto-restart with backoff) ──▶ starting
+const GATEWAY_STATES = ["stopped", "starting", "ready", "degraded", "stopping", "crash-looping"];
+const GATEWAY_TRANSITIONS_KEPT = 50;
+
+// Auto-restart backoff.
 const RESTART_BASE_DELAY_MS = 2_000;
 const RESTART_MAX_DELAY_MS = 60_000;
 const RESTART_MAX_ATTEMPTS = 10;
+// How long a gateway must stay ready before the backoff (and attempt count) starts over.
+const RESTART_STABLE_MS = Math.max(0, Number.parseInt(process.env.GATEWAY_RESTART_STABLE_MS ?? "60000", 10) || 0);
+
+// Restart mode. "stop-start" (default) stops the gateway and then starts a new one, which
+// leaves a gap in service. "blue-green" starts the replacement on the other internal port
+// first, switches the proxy once it is ready and then drains the old process. It falls back
+// to stop-start when the replacement can't come up next to the old one (OpenClaw's gateway
+// lock file normally prevents two instances on the same config).
+const GATEWAY_RESTART_MODE = (process.env.GATEWAY_RESTART_MODE || "").trim().toLowerCase() === "blue-green" ? "blue-green" : "stop-start";
+const GATEWAY_ALT_PORT = Number.parseInt(process.env.GATEWAY_ALT_PORT ?? String(INTERNAL_GATEWAY_PORT + 1), 10);
+const GATEWAY_DRAIN_MS = Math.max(0, Number.parseInt(process.env.GATEWAY_DRAIN_MS ?? "10000", 10) || 0);
+// How long a blue/green replacement gets to become ready before falling back.
+const GATEWAY_BLUE_GREEN_READY_MS = 60_000;
+
+// --- Gateway instances ---
+// The default instance uses OPENCLAW_STATE_DIR, OPENCLAW_WORKSPACE_DIR and
+// INTERNAL_GATEWAY_PORT as before. OPENCLAW_INSTANCES adds named instances, each with its
+// own state dir (STATE_DIR/instances/<name>), workspace, gateway ports, token and supervisor:
+//
+//   OPENCLAW_INSTANCES="staging,acme=bot.acme.com|acme.example.com"
+//
+// Proxied traffic goes to a named instance when the Host header is one of its hosts or the
+// path starts with /instances/<name>/ (the prefix is stripped before proxying); everything
+// else goes to the default instance. The n-th named instance listens on
+// INTERNAL_GATEWAY_PORT + 10n, with the next port as its blue/green alternate.
+const INSTANCE_NAME_RE = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const INSTANCE_PATH_PREFIX = "/instances/";
+
+function defineGatewayInstance(name, opts) {
+  return {
+    name,
+    isDefault: name === "default",
+    stateDir: opts.stateDir,
+    workspaceDir: opts.workspaceDir,
+    port: opts.port,
+    altPort: opts.altPort,
+    token: opts.token,
+    hosts: opts.hosts || [],
+    listening: null, // the "listening" line of the current process; reset on every spawn
+    lastReadyProbe: null, // the probe that last moved the gateway to ready
+    // Attached once created, below.
+    gateway: null,
+    watchdog: null,
+    resources: null,
+    uptime: null,
+  };
+}
 
-function scheduleGatewayRestart() {
-  if (_restartTimer) return; // already scheduled
-  if (_restartAttempts >= RESTART_MAX_ATTEMPTS) {
-    console.error(`[gateway] giving up auto-restart after ${_restartAttempts} attempts`);
-    return;
+const defaultInstance = defineGatewayInstance("default", {
+  stateDir: STATE_DIR,
+  workspaceDir: WORKSPACE_DIR,
+  port: INTERNAL_GATEWAY_PORT,
+  altPort: GATEWAY_ALT_PORT,
+  token: OPENCLAW_GATEWAY_TOKEN,
+});
+
+const GATEWAY_INSTANCES = (() => {
+  const list = [defaultInstance];
+  for (const entry of (process.env.OPENCLAW_INSTANCES || "").split(",").map((e) => e.trim()).filter(Boolean)) {
+    const [rawName, rawHosts = ""] = entry.split("=");
+    const name = rawName.trim().toLowerCase();
+    if (!INSTANCE_NAME_RE.test(name) || name === "default" || list.some((i) => i.name === name)) {
+      console.warn(`[wrapper] ignoring invalid or duplicate instance in OPENCLAW_INSTANCES: ${entry}`);
+      continue;
+    }
+    const stateDir = path.join(STATE_DIR, "instances", name);
+    const port = INTERNAL_GATEWAY_PORT + 10 * list.length;
+    list.push(defineGatewayInstance(name, {
+      stateDir,
+      workspaceDir: path.join(stateDir, "workspace"),
+      port,
+      altPort: port + 1,
+      token: resolveGatewayToken(stateDir, process.env[`OPENCLAW_GATEWAY_TOKEN_${name.toUpperCase().replace(/-/g, "_")}`]?.trim()),
+      hosts: rawHosts.split("|").map((h) => h.trim().toLowerCase()).filter(Boolean),
+    }));
   }
-  const delay = Math.min(RESTART_BASE_DELAY_MS * 2 ** _restartAttempts, RESTART_MAX_DELAY_MS);
-  _restartAttempts++;
-  console.log(`[gateway] scheduling auto-restart in ${delay}ms (attempt ${_restartAttempts}/${RESTART_MAX_ATTEMPTS})`);
-  _restartTimer = setTimeout(async () => {
-    _restartTimer = null;
+  return new Map(list.map((i) => [i.name, i]));
+})();
+
+// Journal details that identify a named instance; default-instance events stay untagged.
+function instanceTag(inst) {
+  return inst.isDefault ? {} : { instance: inst.name };
+}
+
+// Environment for OpenClaw processes (gateway and CLI) of an instance. The default instance
+// inherits OPENCLAW_CONFIG_PATH and OPENCLAW_GATEWAY_TOKEN from the wrapper's environment.
+function instanceEnv(inst) {
+  const env = { OPENCLAW_STATE_DIR: inst.stateDir, OPENCLAW_WORKSPACE_DIR: inst.workspaceDir };
+  if (!inst.isDefault) {
+    env.OPENCLAW_CONFIG_PATH = configPath(inst);
+    env.OPENCLAW_GATEWAY_TOKEN = inst.token;
+  }
+  return env;
+}
+
+let lastDoctorOutput = null;
+let lastDoctorAt = null;
+
+// --- Readiness probes ---
+// GATEWAY_PROBE is an ordered, comma-separated list of methods; the first one that
+// passes decides readiness:
+//   http — GET GATEWAY_PROBE_PATH on the gateway; any non-5xx response counts
+//   ws   — WebSocket handshake with the gateway token
+//   log  — the gateway printed a line matching GATEWAY_PROBE_LOG_PATTERN since it was spawned
+//   tcp  — the port accepts a connection (the old behaviour; also the fallback when
+//          GATEWAY_PROBE names no known method)
+const GATEWAY_PROBE_METHODS = ["http", "ws", "log", "tcp"];
+const GATEWAY_PROBE = (() => {
+  const requested = (process.env.GATEWAY_PROBE || "http").split(",").map((m) => m.trim().toLowerCase()).filter(Boolean);
+  const known = requested.filter((m) => GATEWAY_PROBE_METHODS.includes(m));
+  if (known.length !== requested.length) {
+    console.warn(`[gateway] ignoring unknown GATEWAY_PROBE methods: ${requested.filter((m) => !known.includes(m)).join(", ")}`);
+  }
+  return known.length ? known : ["tcp"];
+})();
+const GATEWAY_PROBE_PATH = process.env.GATEWAY_PROBE_PATH?.trim() || "/healthz";
+const GATEWAY_PROBE_TIMEOUT_MS = 1_500;
+const GATEWAY_PROBE_LOG_PATTERN = (() => {
+  try {
+    return new RegExp(process.env.GATEWAY_PROBE_LOG_PATTERN || "listening on", "i");
+  } catch (err) {
+    console.warn(`[gateway] invalid GATEWAY_PROBE_LOG_PATTERN, using default: ${String(err)}`);
+    return /listening on/i;
+  }
+})();
+
+// Records the "listening" line of the instance's current gateway process.
+function noteGatewayListening(line, inst = defaultInstance) {
+  if (!inst.listening && GATEWAY_PROBE_LOG_PATTERN.test(line)) {
+    inst.listening = { at: new Date().toISOString(), line: redactSecrets(line).slice(0, 200) };
+  }
+}
+
+function probeTcp(port) {
+  return new Promise((resolve) => {
+    const sock = net.createConnection({
+      host: INTERNAL_GATEWAY_HOST,
+      port,
+      timeout: GATEWAY_PROBE_TIMEOUT_MS,
+    });
+
+    const done = (ok, error) => {
+      try { sock.destroy(); } catch { }
+      resolve({ ok, error });
+    };
+
+    sock.on("connect", () => done(true));
+    sock.on("timeout", () => done(false, "timeout"));
+    sock.on("error", (err) => done(false, err.code || String(err)));
+  });
+}
+
+function probeHttp(port) {
+  return new Promise((resolve) => {
+    const req = http.get({
+      host: INTERNAL_GATEWAY_HOST,
+      port,
+      path: GATEWAY_PROBE_PATH,
+      timeout: GATEWAY_PROBE_TIMEOUT_MS,
+    }, (res) => {
+      res.resume();
+      const ok = (res.statusCode ?? 500) < 500;
+      resolve({ ok, status: res.statusCode, error: ok ? undefined : `HTTP ${res.statusCode}` });
+    });
+    req.on("timeout", () => req.destroy(new Error("timeout")));
+    req.on("error", (err) => resolve({ ok: false, error: err.code || err.message }));
+  });
+}
+
+function probeWs(port, inst) {
+  return new Promise((resolve) => {
+    const ws = new WebSocket(`ws://${INTERNAL_GATEWAY_HOST}:${port}/`, {
+      headers: { Authorization: `Bearer ${inst.token}` },
+      handshakeTimeout: GATEWAY_PROBE_TIMEOUT_MS,
+    });
+    const done = (ok, error) => {
+      try { ws.terminate(); } catch { }
+      resolve({ ok, error });
+    };
+    ws.on("open", () => done(true));
+    ws.on("unexpected-response", (_req, res) => done(false, `HTTP ${res.statusCode}`));
+    ws.on("error", (err) => done(false, err.code || err.message));
+  });
+}
+
+function probeLog(_port, inst) {
+  return Promise.resolve(inst.listening ? { ok: true } : { ok: false, error: "no listening line yet" });
+}
+
+const GATEWAY_PROBES = { tcp: probeTcp, http: probeHttp, ws: probeWs, log: probeLog };
+
+// Runs the configured probes in order and stops at the first one that passes.
+// Resolves to { ok, method, durationMs, error? }; method is the probe that passed
+// (or the last one tried when none did). opts.instance defaults to the default instance and
+// opts.port to the port currently receiving its proxied traffic.
+async function probeGateway(opts = {}) {
+  const methods = opts.methods || GATEWAY_PROBE;
+  const inst = opts.instance || defaultInstance;
+  const port = opts.port ?? inst.gateway.port;
+  const start = Date.now();
+  const errors = [];
+  for (const method of methods) {
+    let r;
     try {
-      await ensureGatewayRunning();
-      // Success — reset backoff.
-      _restartAttempts = 0;
-      console.log("[gateway] auto-restart succeeded");
+      r = await GATEWAY_PROBES[method](port, inst);
     } catch (err) {
-      console.error(`[gateway] auto-restart failed: ${String(err)}`);
-      // The exit handler will schedule the next attempt if the process crashes again.
+      r = { ok: false, error: String(err) };
     }
-  }, delay);
-}
-
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+    if (r.ok) return { ok: true, method, durationMs: Date.now() - start };
+    errors.push(`${method}: ${r.error || "failed"}`);
+  }
+  return { ok: false, method: methods[methods.length - 1], durationMs: Date.now() - start, error: errors.join("; ") };
 }
 
-async function waitForGatewayReady(opts = {}) {
+async function waitForGatewayReady(isAlive, opts = {}) {
   const timeoutMs = opts.timeoutMs ?? 30_000;
+  const inst = opts.instance || defaultInstance;
   const start = Date.now();
   let attempts = 0;
+  let lastProbeError = null;
   while (Date.now() - start < timeoutMs) {
     // If the gateway process died while we were waiting, fail fast instead of
-    // burning through the full timeout with futile TCP probes.
-    if (!gatewayProc) {
+    // burning through the full timeout with futile probes.
+    if (!isAlive()) {
       console.error(`[gateway] process exited during readiness probe after ${Date.now() - start}ms (${attempts} probes)`);
       return false;
     }
     attempts++;
-    if (await probeGateway()) {
-      console.log(`[gateway] ready after ${Date.now() - start}ms (${attempts} probes)`);
+    const probe = await probeGateway({ port: opts.port, instance: inst });
+    if (probe.ok) {
+      console.log(`[gateway${inst.isDefault ? "" : `:${inst.name}`}] ready after ${Date.now() - start}ms (${attempts} probes, ${probe.method} probe took ${probe.durationMs}ms)`);
+      inst.lastReadyProbe = { method: probe.method, durationMs: probe.durationMs, afterMs: Date.now() - start, probes: attempts, at: new Date().toISOString() };
+      recordGatewayEvent("ready", { ...instanceTag(inst), afterMs: Date.now() - start, probes: attempts, probe: probe.method, probeMs: probe.durationMs, port: opts.port });
       return true;
     }
+    lastProbeError = probe.error;
     await sleep(300);
   }
-  console.error(`[gateway] not ready after ${timeoutMs}ms (${attempts} probes)`);
+  console.error(`[gateway] not ready after ${timeoutMs}ms (${attempts} probes; last: ${lastProbeError || "n/a"})`);
   return false;
 }
 
-async function startGateway() {
-  if (gatewayProc) return;
-  if (!isConfigured()) throw new Error("Gateway cannot start: not configured");
-
-  // Clean up stale gateway processes that survived a SIGKILL.
-  // When the wrapper is killed with SIGKILL, the gateway child process may still
-  // be running and holding its lock file, causing "gateway already running" errors.
+// Clean up stale gateway processes that survived a SIGKILL.
+// When the wrapper is killed with SIGKILL, the gateway child process may still
+// be running and holding its lock file, causing "gateway already running" errors.
+// opts.keepLock leaves the lock file (and its owner) alone: used when the lock
+// belongs to the gateway that is still serving during a blue/green restart.
+// opts.instance picks the config (and so the lock file) to clean up.
+async function cleanupStaleGateway(port, opts = {}) {
   try {
-    const fuser = childProcess.spawnSync("fuser", [`${INTERNAL_GATEWAY_PORT}/tcp`], {
+    const fuser = childProcess.spawnSync("fuser", [`${port}/tcp`], {
       encoding: "utf8", timeout: 3000,
     });
     const pids = (fuser.stdout || "").trim().split(/\s+/).filter(Boolean).map(Number).filter(Boolean);
     for (const pid of pids) {
       if (pid === process.pid) continue;
-      console.log(`[gateway] killing stale process on port ${INTERNAL_GATEWAY_PORT}: pid ${pid}`);
+      console.log(`[gateway] killing stale process on port ${port}: pid ${pid}`);
       try { process.kill(pid, "SIGKILL"); } catch { }
     }
     if (pids.length) await sleep(500);
   } catch { }
 
+  if (opts.keepLock) return;
+
   // Remove stale gateway lock file that a SIGKILL'd process may have left behind.
   // OpenClaw stores its lock at: <tmpdir>/openclaw-<uid>/gateway.<hash>.lock
   // where <hash> is the first 8 chars of SHA1(configPath).
   try {
-    const cfgHash = crypto.createHash("sha1").update(configPath()).digest("hex").slice(0, 8);
+    const cfgHash = crypto.createHash("sha1").update(configPath(opts.instance)).digest("hex").slice(0, 8);
     const uid = process.getuid ? process.getuid() : "";
     const lockDir = path.join(os.tmpdir(), uid !== "" ? `openclaw-${uid}` : "openclaw");
     const lockFile = path.join(lockDir, `gateway.${cfgHash}.lock`);
@@ -241,1230 +851,4773 @@ async function startGateway() {
   } catch (err) {
     console.warn(`[gateway] lock cleanup failed: ${err.message}`);
   }
+}
 
-  fs.mkdirSync(STATE_DIR, { recursive: true });
-  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
-
-  const args = [
-    "gateway",
-    "run",
-    "--bind",
-    "loopback",
-    "--port",
-    String(INTERNAL_GATEWAY_PORT),
-    "--auth",
-    "token",
-    "--token",
-    OPENCLAW_GATEWAY_TOKEN,
-  ];
-
-  gatewayProc = childProcess.spawn(OPENCLAW_NODE, clawArgs(args), {
-    stdio: "inherit",
-    env: {
-      ...process.env,
-      OPENCLAW_STATE_DIR: STATE_DIR,
-      OPENCLAW_WORKSPACE_DIR: WORKSPACE_DIR,
-    },
-  });
-
-  gatewayProc.on("error", (err) => {
-    const msg = `[gateway] spawn error: ${String(err)}`;
-    console.error(msg);
-    lastGatewayError = msg;
-    gatewayProc = null;
-    _gatewayReady = false;
-  });
-
-  gatewayProc.on("exit", (code, signal) => {
-    const msg = `[gateway] exited code=${code} signal=${signal}`;
-    console.error(msg);
-    lastGatewayExit = { code, signal, at: new Date().toISOString() };
-    gatewayProc = null;
-    _gatewayReady = false;
-
-    // Auto-restart with exponential backoff if the gateway crashes unexpectedly.
-    // Only restart if still configured (user may have reset).
-    // Don't restart on clean shutdown: SIGTERM (explicit kill) or code=0 (graceful exit).
-    // Don't restart if restartGateway is actively managing the lifecycle.
-    if (isConfigured() && signal !== "SIGTERM" && code !== 0 && !_intentionalKill) {
-      scheduleGatewayRestart();
-    }
+// SIGTERM, wait for exit (up to 5s), then SIGKILL and wait (up to 3s) as a fallback.
+function terminateProcess(proc) {
+  if (proc.exitCode !== null || proc.signalCode !== null) return Promise.resolve();
+  return new Promise((resolve) => {
+    const onExit = () => { clearTimeout(killTimer); resolve(); };
+    proc.once("exit", onExit);
+    try { proc.kill("SIGTERM"); } catch { }
+    const killTimer = setTimeout(() => {
+      proc.removeListener("exit", onExit);
+      try { proc.kill("SIGKILL"); } catch { }
+      const onKillExit = () => { clearTimeout(killWait); resolve(); };
+      proc.once("exit", onKillExit);
+      const killWait = setTimeout(() => {
+        proc.removeListener("exit", onKillExit);
+        resolve();
+      }, 3_000);
+    }, 5_000);
   });
 }
 
-async function runDoctorBestEffort() {
+async function runDoctorBestEffort(inst = defaultInstance) {
   // Avoid spamming `openclaw doctor` in a crash loop.
   const now = Date.now();
   if (lastDoctorAt && now - lastDoctorAt < 5 * 60 * 1000) return;
   lastDoctorAt = now;
 
   try {
-    const r = await runCmd(OPENCLAW_NODE, clawArgs(["doctor"]));
-    const out = redactSecrets(r.output || "");
+    const r = await runCmd(OPENCLAW_NODE, clawArgs(["doctor"]), { instance: inst });
+    const out = (inst.isDefault ? "" : `[instance ${inst.name}]\n`) + redactSecrets(r.output || "");
     lastDoctorOutput = out.length > 50_000 ? out.slice(0, 50_000) + "\n... (truncated)\n" : out;
   } catch (err) {
     lastDoctorOutput = `doctor failed: ${String(err)}`;
   }
 }
 
-async function ensureGatewayRunning(opts = {}) {
-  if (!isConfigured()) return { ok: false, reason: "not configured" };
-  if (gatewayProc && _gatewayReady) return { ok: true };
-  const waitTimeoutMs = opts.timeoutMs ?? 90_000;
-  if (!gatewayStarting) {
-    gatewayStarting = (async () => {
-      try {
-        lastGatewayError = null;
-        await startGateway();
-        const ready = await waitForGatewayReady({ timeoutMs: waitTimeoutMs });
-        if (!ready) {
-          // If the process is still alive, it may just be slow to initialize.
-          // Don't kill it — let it continue starting. Start a background probe
-          // so _gatewayReady gets set when it eventually comes up, and incoming
-          // requests will be served once it's ready.
-          if (gatewayProc) {
-            console.warn("[gateway] probe timed out but process is still alive — continuing background probe");
-            (async () => {
-              const bgReady = await waitForGatewayReady({ timeoutMs: 120_000 });
-              if (bgReady) {
-                _gatewayReady = true;
-                _restartAttempts = 0;
-                console.log("[gateway] background probe succeeded — gateway is now ready");
-              } else {
-                console.error("[gateway] background probe also timed out");
-              }
-            })();
-          }
-          throw new Error("Gateway did not become ready in time");
-        }
-        _gatewayReady = true;
-      } catch (err) {
-        const msg = `[gateway] start failure: ${String(err)}`;
-        lastGatewayError = msg;
-        // Collect extra diagnostics to help users file issues.
-        await runDoctorBestEffort();
-        throw err;
-      }
-    })().finally(() => {
-      gatewayStarting = null;
-    });
-  }
-  await gatewayStarting;
-  return { ok: true };
+// Open proxied HTTP requests and WebSocket connections per gateway port, so a blue/green
+// restart can wait for the old process to drain before stopping it.
+const gatewayConnections = new Map();
+
+function trackGatewayConnection(port, stream) {
+  gatewayConnections.set(port, (gatewayConnections.get(port) || 0) + 1);
+  stream.once("close", () => {
+    gatewayConnections.set(port, Math.max(0, (gatewayConnections.get(port) || 1) - 1));
+  });
 }
 
-async function restartGateway(opts = {}) {
-  // Cancel any pending auto-restart so we don't race.
-  if (_restartTimer) {
-    clearTimeout(_restartTimer);
-    _restartTimer = null;
+// Proxied WebSocket clients (Control UI, nodes); scheduled restarts can wait until none are open.
+const gatewayWsClients = new Set();
+
+function createGatewaySupervisor(instance = defaultInstance) {
+  const events = new EventEmitter();
+  const tag = instanceTag(instance);
+  const logName = instance.isDefault ? "gateway" : `gateway:${instance.name}`;
+  let proc = null;
+  let procStartedAt = null; // ms timestamp of the current process's spawn
+  let port = instance.port; // port that proxied traffic is sent to
+  const retiring = new WeakSet(); // processes we are deliberately stopping outside "stopping"
+  let lastSwitch = null;
+  let state = "stopped";
+  let stateSince = new Date().toISOString();
+  const transitions = []; // newest last
+  let queue = Promise.resolve();
+  let pendingStart = null;
+
+  // Debug breadcrumbs for common Railway failures (502 / "Application failed to respond").
+  let lastError = null;
+  let lastExit = null;
+
+  let restartAttempts = 0;
+  let restartTimer = null;
+  let restartNextAt = null;
+  let stableTimer = null;
+  // Circuit breaker: set once auto-restart has used up RESTART_MAX_ATTEMPTS.
+  // While tripped, nothing restarts the gateway implicitly (proxy traffic,
+  // auto-restart) until someone resumes it from /setup or the console.
+  let breakerTrippedAt = null;
+
+  function setState(next, reason) {
+    if (!GATEWAY_STATES.includes(next)) throw new Error(`unknown gateway state: ${next}`);
+    if (next === state) return;
+    const t = { from: state, to: next, reason: reason || null, at: new Date().toISOString() };
+    state = next;
+    stateSince = t.at;
+    transitions.push(t);
+    if (transitions.length > GATEWAY_TRANSITIONS_KEPT) transitions.shift();
+    console.log(`[${logName}] state ${t.from} -> ${t.to}${reason ? ` (${reason})` : ""}`);
+    events.emit("transition", t);
   }
-  _restartAttempts = 0;
 
-  if (gatewayProc) {
-    const proc = gatewayProc;
-    _intentionalKill = true;
-    try {
-      proc.kill("SIGTERM");
-    } catch {
-      // ignore
+  // Run fn after every previously queued transition has settled.
+  function serialize(fn) {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => { });
+    return run;
+  }
+
+  function cancelAutoRestart() {
+    if (restartTimer) {
+      clearTimeout(restartTimer);
+      restartTimer = null;
     }
-    // Wait for the process to actually exit (up to 5s), then SIGKILL as fallback.
-    await new Promise((resolve) => {
-      const onExit = () => { clearTimeout(killTimer); resolve(); };
-      proc.once("exit", onExit);
-      const killTimer = setTimeout(() => {
-        proc.removeListener("exit", onExit);
-        try { proc.kill("SIGKILL"); } catch { }
-        // Wait for the SIGKILL'd process to actually exit (up to 3s).
-        const onKillExit = () => { clearTimeout(killWait); resolve(); };
-        proc.once("exit", onKillExit);
-        const killWait = setTimeout(() => {
-          proc.removeListener("exit", onKillExit);
-          resolve();
-        }, 3_000);
-      }, 5_000);
-    });
-    gatewayProc = null;
-    _intentionalKill = false;
+    restartNextAt = null;
   }
-  return ensureGatewayRunning(opts);
-}
 
-function requireSetupAuth(req, res, next) {
-  const header = req.headers.authorization || "";
-  const [scheme, encoded] = header.split(" ");
-  if (scheme !== "Basic" || !encoded) {
-    // Don't send WWW-Authenticate header for API/XHR requests — it triggers
-    // the browser's native auth popup, which conflicts with our React login page.
-    return res.status(401).send("Auth required");
+  function resetBreaker() {
+    restartAttempts = 0;
+    breakerTrippedAt = null;
   }
-  const decoded = Buffer.from(encoded, "base64").toString("utf8");
-  const idx = decoded.indexOf(":");
-  const password = idx >= 0 ? decoded.slice(idx + 1) : "";
-  if (password !== SETUP_PASSWORD) {
-    return res.status(401).send("Invalid password");
+
+  // Only a gateway that stays ready for RESTART_STABLE_MS clears the backoff; one that
+  // crashes soon after every successful start keeps counting toward the breaker.
+  function resetBackoffWhenStable() {
+    if (stableTimer) clearTimeout(stableTimer);
+    const child = proc;
+    stableTimer = setTimeout(() => {
+      stableTimer = null;
+      if (proc !== child || state !== "ready") return;
+      restartAttempts = 0;
+      console.log(`[${logName}] ready for ${RESTART_STABLE_MS}ms — auto-restart backoff reset`);
+    }, RESTART_STABLE_MS);
+    stableTimer.unref?.();
   }
-  return next();
-}
 
-const app = express();
-app.disable("x-powered-by");
-app.use(express.json({ limit: "1mb" }));
+  function scheduleAutoRestart() {
+    if (restartTimer) return; // already scheduled
+    if (restartAttempts >= RESTART_MAX_ATTEMPTS) {
+      console.error(`[${logName}] giving up auto-restart after ${restartAttempts} attempts`);
+      appendGatewayLog("wrapper", `[gateway] auto-restart gave up after ${restartAttempts} attempts; resume from /setup`, instance.name);
+      recordGatewayEvent("restart_gave_up", { ...tag, attempts: restartAttempts });
+      breakerTrippedAt = new Date().toISOString();
+      return;
+    }
+    const delay = Math.min(RESTART_BASE_DELAY_MS * 2 ** restartAttempts, RESTART_MAX_DELAY_MS);
+    restartAttempts++;
+    console.log(`[${logName}] scheduling auto-restart in ${delay}ms (attempt ${restartAttempts}/${RESTART_MAX_ATTEMPTS})`);
+    recordGatewayEvent("restart_scheduled", { ...tag, delayMs: delay, attempt: restartAttempts, maxAttempts: RESTART_MAX_ATTEMPTS });
+    restartNextAt = new Date(Date.now() + delay).toISOString();
+    restartTimer = setTimeout(async () => {
+      restartTimer = null;
+      restartNextAt = null;
+      try {
+        await ensureRunning({ reason: "auto-restart" });
+        resetBackoffWhenStable();
+        console.log(`[${logName}] auto-restart succeeded`);
+      } catch (err) {
+        console.error(`[${logName}] auto-restart failed: ${String(err)}`);
+        // The exit handler will schedule the next attempt if the process crashes again.
+      }
+    }, delay);
+  }
 
-// Minimal health endpoint for Railway.
-app.get("/setup/healthz", (_req, res) => res.json({ ok: true }));
+  // Spawns a gateway on listenPort and returns the child. The caller adopts it as proc;
+  // until then its exit is journaled but doesn't change the supervisor state.
+  async function spawnProcess(listenPort, opts = {}) {
+    await cleanupStaleGateway(listenPort, { keepLock: opts.keepLock, instance });
+
+    fs.mkdirSync(instance.stateDir, { recursive: true });
+    fs.mkdirSync(instance.workspaceDir, { recursive: true });
+
+    const args = [
+      "gateway",
+      "run",
+      "--bind",
+      "loopback",
+      "--port",
+      String(listenPort),
+      "--auth",
+      "token",
+      "--token",
+      instance.token,
+    ];
 
-// Auth verification endpoint for the React UI (replaces browser Basic Auth popup).
-app.get("/setup/api/auth/verify", requireSetupAuth, (_req, res) => {
-  res.json({ ok: true });
-});
+    instance.listening = null;
+    const child = childProcess.spawn(OPENCLAW_NODE, clawArgs(args), {
+      stdio: ["ignore", "pipe", "pipe"],
+      env: {
+        ...process.env,
+        ...instanceEnv(instance),
+      },
+    });
+    appendGatewayLog("wrapper", `[gateway] spawned pid ${child.pid ?? "?"} on port ${listenPort}`, instance.name);
+    recordGatewayEvent("spawn", { ...tag, pid: child.pid ?? null, port: listenPort });
+    captureGatewayStream(child.stdout, "stdout", instance);
+    captureGatewayStream(child.stderr, "stderr", instance);
+
+    child.on("error", (err) => {
+      const msg = `[${logName}] spawn error: ${String(err)}`;
+      console.error(msg);
+      appendGatewayLog("wrapper", msg, instance.name);
+      recordGatewayEvent("spawn_error", { ...tag, error: String(err) });
+      lastError = msg;
+      if (proc === child) {
+        proc = null;
+        setState("stopped", "spawn error");
+      }
+    });
 
-async function probeGateway() {
-  // A simple TCP connect check is enough for "is it up".
-  return await new Promise((resolve) => {
-    const sock = net.createConnection({
-      host: INTERNAL_GATEWAY_HOST,
-      port: INTERNAL_GATEWAY_PORT,
-      timeout: 750,
+    child.on("exit", (code, signal) => {
+      const msg = `[${logName}] exited code=${code} signal=${signal}`;
+      const intentional = state === "stopping" || retiring.has(child);
+      console.error(msg);
+      appendGatewayLog("wrapper", msg, instance.name);
+      recordGatewayEvent("exit", { ...tag, code, signal, intentional });
+      lastExit = { code, signal, at: new Date().toISOString() };
+      if (proc !== child) return;
+      proc = null;
+
+      // stopping → stopped is completed by stop() once the kill has been confirmed.
+      if (intentional) return;
+
+      // Auto-restart with exponential backoff if the gateway crashes unexpectedly.
+      // Only restart if still configured (user may have reset).
+      // Don't restart on clean shutdown: SIGTERM (explicit kill) or code=0 (graceful exit).
+      if (isConfigured(instance) && signal !== "SIGTERM" && code !== 0) {
+        setState("crash-looping", `exited code=${code} signal=${signal}`);
+        scheduleAutoRestart();
+      } else {
+        setState("stopped", `exited code=${code} signal=${signal}`);
+      }
     });
+    return child;
+  }
 
-    const done = (ok) => {
-      try { sock.destroy(); } catch { }
-      resolve(ok);
-    };
+  function adopt(child, listenPort) {
+    proc = child;
+    procStartedAt = Date.now();
+    port = listenPort;
+  }
 
-    sock.on("connect", () => done(true));
-    sock.on("timeout", () => done(false));
-    sock.on("error", () => done(false));
-  });
-}
-
-// Public health endpoint (no auth) so Railway can probe without /setup.
-// Keep this free of secrets.
-app.get("/healthz", async (_req, res) => {
-  let gatewayReachable = false;
-  if (isConfigured()) {
+  async function startLocked(opts = {}) {
+    if (!isConfigured(instance)) return { ok: false, reason: "not configured" };
+    if (proc && state === "ready") return { ok: true };
+    const waitTimeoutMs = opts.timeoutMs ?? 90_000;
     try {
-      gatewayReachable = await probeGateway();
-    } catch {
-      gatewayReachable = false;
+      lastError = null;
+      if (!proc) {
+        setState("starting", opts.reason || "start");
+        adopt(await spawnProcess(port), port);
+      }
+      const child = proc;
+      const isAlive = () => Boolean(child) && proc === child;
+      const ready = await waitForGatewayReady(isAlive, { timeoutMs: waitTimeoutMs, port, instance });
+      if (!ready) {
+        // If the process is still alive, it may just be slow to initialize.
+        // Don't kill it — let it continue starting. Keep probing in the background
+        // so the state flips to ready when it eventually comes up, and incoming
+        // requests will be served once it's ready.
+        if (isAlive()) {
+          setState("degraded", "readiness probe timed out");
+          console.warn(`[${logName}] probe timed out but process is still alive — continuing background probe`);
+          (async () => {
+            const bgReady = await waitForGatewayReady(isAlive, { timeoutMs: 120_000, port, instance });
+            if (bgReady && isAlive() && state === "degraded") {
+              setState("ready", "background probe succeeded");
+              resetBackoffWhenStable();
+              console.log(`[${logName}] background probe succeeded — gateway is now ready`);
+            } else if (!bgReady) {
+              console.error(`[${logName}] background probe also timed out`);
+            }
+          })();
+        }
+        throw new Error("Gateway did not become ready in time");
+      }
+      setState("ready", "probe ok");
+      return { ok: true };
+    } catch (err) {
+      const msg = `[${logName}] start failure: ${String(err)}`;
+      lastError = msg;
+      recordGatewayEvent("start_failed", { ...tag, error: String(err) });
+      // Collect extra diagnostics to help users file issues.
+      await runDoctorBestEffort(instance);
+      throw err;
     }
   }
 
-  res.json({
-    ok: true,
-    wrapper: {
-      configured: isConfigured(),
-      stateDir: STATE_DIR,
-      workspaceDir: WORKSPACE_DIR,
-    },
-    gateway: {
-      target: GATEWAY_TARGET,
-      reachable: gatewayReachable,
-      lastError: lastGatewayError,
-      lastExit: lastGatewayExit,
-      lastDoctorAt,
-    },
-  });
-});
-
-// Serve the React UI build for /setup and its sub-assets.
-const SETUP_UI_DIR = path.join(process.cwd(), "ui", "dist");
-const _setupIndexHtml = (() => {
-  try {
-    return fs.readFileSync(path.join(SETUP_UI_DIR, "index.html"), "utf8");
-  } catch {
-    return null;
-  }
-})();
-
-// Static assets (JS/CSS chunks) — no auth required since the React app handles login itself.
-app.use("/setup/assets", express.static(path.join(SETUP_UI_DIR, "assets"), { maxAge: "1y", immutable: true }));
-
-// The setup SPA entry point.
-app.get("/setup", (_req, res) => {
-  if (!_setupIndexHtml) {
-    return res.status(500).type("text/plain").send("Setup UI not built. Run `npm run build` in ui/.");
+  async function stopLocked(reason) {
+    cancelAutoRestart();
+    const child = proc;
+    if (!child) {
+      setState("stopped", reason);
+      return;
+    }
+    setState("stopping", reason);
+    await terminateProcess(child);
+    if (proc === child) proc = null;
+    setState("stopped", reason);
   }
-  res.type("html").send(_setupIndexHtml);
-});
 
-// --- Auth provider data sources ---
-// To update providers, edit these two arrays. AUTH_GROUPS is built automatically.
+  // Start a replacement on the other port while the current gateway keeps serving, switch
+  // the proxy to it once ready, then drain and stop the old process. Returns false (with the
+  // old gateway untouched) when the replacement doesn't come up, so the caller can fall back.
+  async function blueGreenLocked(reason) {
+    const old = proc;
+    const oldPort = port;
+    const nextPort = oldPort === instance.port ? instance.altPort : instance.port;
+    console.log(`[${logName}] blue/green restart (${reason}): starting replacement on port ${nextPort}`);
 
-const AUTH_CHOICE_GROUP_DEFS = [
-  { value: "openai", label: "OpenAI", hint: "Codex OAuth + API key", choices: ["openai-codex", "openai-api-key"] },
-  { value: "anthropic", label: "Anthropic", hint: "setup-token + API key", choices: ["token", "apiKey"] },
-  { value: "chutes", label: "Chutes", hint: "OAuth", choices: ["chutes"] },
-  { value: "vllm", label: "vLLM", hint: "Local/self-hosted OpenAI-compatible", choices: ["vllm"] },
-  { value: "minimax", label: "MiniMax", hint: "M2.5 (recommended)", choices: ["minimax-portal", "minimax-api", "minimax-api-key-cn", "minimax-api-lightning"] },
-  { value: "moonshot", label: "Moonshot AI (Kimi K2.5)", hint: "Kimi K2.5 + Kimi Coding", choices: ["moonshot-api-key", "moonshot-api-key-cn", "kimi-code-api-key"] },
-  { value: "google", label: "Google", hint: "Gemini API key + OAuth", choices: ["gemini-api-key", "google-antigravity", "google-gemini-cli"] },
-  { value: "xai", label: "xAI (Grok)", hint: "API key", choices: ["xai-api-key"] },
-  { value: "openrouter", label: "OpenRouter", hint: "API key", choices: ["openrouter-api-key"] },
-  { value: "qwen", label: "Qwen", hint: "OAuth", choices: ["qwen-portal"] },
-  { value: "zai", label: "Z.AI", hint: "GLM Coding Plan / Global / CN", choices: ["zai-coding-global", "zai-coding-cn", "zai-global", "zai-cn"] },
-  { value: "qianfan", label: "Qianfan", hint: "API key", choices: ["qianfan-api-key"] },
-  { value: "copilot", label: "Copilot", hint: "GitHub + local proxy", choices: ["github-copilot", "copilot-proxy"] },
-  { value: "ai-gateway", label: "Vercel AI Gateway", hint: "API key", choices: ["ai-gateway-api-key"] },
-  { value: "opencode-zen", label: "OpenCode Zen", hint: "API key", choices: ["opencode-zen"] },
-  { value: "xiaomi", label: "Xiaomi", hint: "API key", choices: ["xiaomi-api-key"] },
-  { value: "synthetic", label: "Synthetic", hint: "Anthropic-compatible (multi-model)", choices: ["synthetic-api-key"] },
-  { value: "together", label: "Together AI", hint: "API key", choices: ["together-api-key"] },
-  { value: "huggingface", label: "Hugging Face", hint: "Inference API (HF token)", choices: ["huggingface-api-key"] },
-  { value: "venice", label: "Venice AI", hint: "Privacy-focused (uncensored models)", choices: ["venice-api-key"] },
-  { value: "litellm", label: "LiteLLM", hint: "Unified LLM gateway (100+ providers)", choices: ["litellm-api-key"] },
-];
+    let child;
+    try {
+      child = await spawnProcess(nextPort, { keepLock: true });
+    } catch (err) {
+      recordGatewayEvent("blue_green_fallback", { ...tag, reason: String(err), port: nextPort });
+      return false;
+    }
+    const isAlive = () => child.exitCode === null && child.signalCode === null;
+    const ready = await waitForGatewayReady(isAlive, { timeoutMs: GATEWAY_BLUE_GREEN_READY_MS, port: nextPort, instance });
+    if (!ready || proc !== old) {
+      const why = !isAlive()
+        ? `replacement exited (code=${child.exitCode} signal=${child.signalCode}); the gateway lock likely prevents two instances`
+        : !ready ? "replacement did not become ready in time" : "gateway changed during restart";
+      console.warn(`[${logName}] blue/green restart falling back to stop-start: ${why}`);
+      recordGatewayEvent("blue_green_fallback", { ...tag, reason: why, port: nextPort });
+      retiring.add(child);
+      await terminateProcess(child);
+      return false;
+    }
 
-const BASE_AUTH_CHOICE_OPTIONS = [
-  { value: "token", label: "Anthropic token (paste setup-token)", hint: "run `claude setup-token` elsewhere, then paste the token here" },
-  { value: "openai-codex", label: "OpenAI Codex (ChatGPT OAuth)" },
-  { value: "chutes", label: "Chutes (OAuth)" },
-  { value: "vllm", label: "vLLM (custom URL + model)", hint: "Local/self-hosted OpenAI-compatible server" },
-  { value: "openai-api-key", label: "OpenAI API key" },
-  { value: "xai-api-key", label: "xAI (Grok) API key" },
-  { value: "qianfan-api-key", label: "Qianfan API key" },
-  { value: "openrouter-api-key", label: "OpenRouter API key" },
-  { value: "litellm-api-key", label: "LiteLLM API key", hint: "Unified gateway for 100+ LLM providers" },
-  { value: "ai-gateway-api-key", label: "Vercel AI Gateway API key" },
-  { value: "cloudflare-ai-gateway-api-key", label: "Cloudflare AI Gateway", hint: "Account ID + Gateway ID + API key" },
-  { value: "moonshot-api-key", label: "Kimi API key (.ai)" },
-  { value: "moonshot-api-key-cn", label: "Kimi API key (.cn)" },
-  { value: "kimi-code-api-key", label: "Kimi Code API key (subscription)" },
-  { value: "synthetic-api-key", label: "Synthetic API key" },
-  { value: "venice-api-key", label: "Venice AI API key", hint: "Privacy-focused inference (uncensored models)" },
-  { value: "together-api-key", label: "Together AI API key", hint: "Access to Llama, DeepSeek, Qwen, and more open models" },
-  { value: "huggingface-api-key", label: "Hugging Face API key (HF token)", hint: "Inference Providers — OpenAI-compatible chat" },
-  { value: "github-copilot", label: "GitHub Copilot (GitHub device login)", hint: "Uses GitHub device flow" },
-  { value: "gemini-api-key", label: "Google Gemini API key" },
-  { value: "google-antigravity", label: "Google Antigravity OAuth", hint: "Uses the bundled Antigravity auth plugin" },
-  { value: "google-gemini-cli", label: "Google Gemini CLI OAuth", hint: "Uses the bundled Gemini CLI auth plugin" },
-  { value: "zai-api-key", label: "Z.AI API key" },
-  { value: "zai-coding-global", label: "Coding-Plan-Global", hint: "GLM Coding Plan Global (api.z.ai)" },
-  { value: "zai-coding-cn", label: "Coding-Plan-CN", hint: "GLM Coding Plan CN (open.bigmodel.cn)" },
-  { value: "zai-global", label: "Global", hint: "Z.AI Global (api.z.ai)" },
-  { value: "zai-cn", label: "CN", hint: "Z.AI CN (open.bigmodel.cn)" },
-  { value: "xiaomi-api-key", label: "Xiaomi API key" },
-  { value: "minimax-portal", label: "MiniMax OAuth", hint: "Oauth plugin for MiniMax" },
-  { value: "qwen-portal", label: "Qwen OAuth" },
-  { value: "copilot-proxy", label: "Copilot Proxy (local)", hint: "Local proxy for VS Code Copilot models" },
-  { value: "apiKey", label: "Anthropic API key" },
-  { value: "opencode-zen", label: "OpenCode Zen (multi-model proxy)", hint: "Claude, GPT, Gemini via opencode.ai/zen" },
-  { value: "minimax-api", label: "MiniMax M2.5" },
-  { value: "minimax-api-key-cn", label: "MiniMax M2.5 (CN)", hint: "China endpoint (api.minimaxi.com)" },
-  { value: "minimax-api-lightning", label: "MiniMax M2.5 Lightning", hint: "Faster, higher output cost" },
-];
+    // Switch: new requests and upgrades go to the replacement from here on.
+    retiring.add(old);
+    adopt(child, nextPort);
+    lastSwitch = { fromPort: oldPort, toPort: nextPort, oldPid: old.pid ?? null, newPid: child.pid ?? null, at: new Date().toISOString() };
+    console.log(`[${logName}] proxy switched to port ${nextPort} (pid ${child.pid}); draining port ${oldPort}`);
+    recordGatewayEvent("switch", { ...tag, reason, ...lastSwitch });
+    events.emit("switch", lastSwitch);
+
+    const deadline = Date.now() + GATEWAY_DRAIN_MS;
+    while ((gatewayConnections.get(oldPort) || 0) > 0 && Date.now() < deadline) await sleep(250);
+    const remaining = gatewayConnections.get(oldPort) || 0;
+    if (remaining) console.warn(`[${logName}] drain timed out with ${remaining} open connection(s) on port ${oldPort}`);
+    await terminateProcess(old);
+    lastSwitch.drainedAt = new Date().toISOString();
+    lastSwitch.droppedConnections = remaining;
+    return true;
+  }
 
-// Build AUTH_GROUPS by joining the two source arrays.
-function buildAuthGroups() {
-  const optionMap = new Map(BASE_AUTH_CHOICE_OPTIONS.map((o) => [o.value, o]));
-  return AUTH_CHOICE_GROUP_DEFS.map((g) => ({
-    value: g.value,
-    label: g.label,
-    hint: g.hint,
-    options: g.choices.map((c) => {
-      const base = optionMap.get(c);
-      if (!base) return { value: c, label: c };
-      const opt = { value: base.value, label: base.label };
-      if (base.hint) opt.hint = base.hint;
-      return opt;
-    }),
-  }));
-}
+  // opts.manual marks an explicit operator start, which also closes a tripped breaker.
+  async function ensureRunning(opts = {}) {
+    if (!isConfigured(instance)) return { ok: false, reason: "not configured" };
+    if (proc && state === "ready") return { ok: true };
+    if (breakerTrippedAt) {
+      if (!opts.manual) {
+        throw new Error(
+          `Gateway auto-restart gave up after ${restartAttempts} attempts (at ${breakerTrippedAt}); resume it from /setup`,
+        );
+      }
+      resetBreaker();
+    }
+    if (!pendingStart) {
+      pendingStart = serialize(() => startLocked(opts)).finally(() => {
+        pendingStart = null;
+      });
+    }
+    return pendingStart;
+  }
 
-const AUTH_GROUPS = buildAuthGroups();
+  // opts.reason is recorded in the journal ("console", "config-save", "env-save", ...).
+  function stop(opts = {}) {
+    const reason = opts.reason || "manual";
+    return serialize(async () => {
+      if (proc) recordGatewayEvent("stop", { ...tag, reason });
+      await stopLocked(reason);
+      return { ok: true };
+    });
+  }
 
-// Cache slow CLI lookups that don't change at runtime.
-let _cachedVersion = null;
-let _cachedChannelsHelp = null;
+  // opts.mode overrides GATEWAY_RESTART_MODE ("stop-start" | "blue-green"). Only an explicit
+  // operator restart (opts.manual) clears the backoff; watchdog, memory-limit and scheduled
+  // restarts keep counting toward the breaker.
+  function restart(opts = {}) {
+    const reason = opts.reason || "manual";
+    const mode = opts.mode || GATEWAY_RESTART_MODE;
+    return serialize(async () => {
+      recordGatewayEvent("restart", { ...tag, reason, mode });
+      if (opts.manual) resetBreaker();
+      // Blue/green only helps when there is a healthy gateway to keep serving meanwhile.
+      if (mode === "blue-green" && proc && state === "ready" && isConfigured(instance)) {
+        if (await blueGreenLocked(reason)) return { ok: true };
+      }
+      await stopLocked(reason);
+      return startLocked({ ...opts, reason });
+    });
+  }
 
-app.get("/setup/api/status", requireSetupAuth, async (_req, res) => {
-  // Run both in parallel; cache results since they don't change.
-  const [version, channelsHelp] = await Promise.all([
-    _cachedVersion
-      ? Promise.resolve(_cachedVersion)
-      : runCmd(OPENCLAW_NODE, clawArgs(["--version"])).then((r) => { _cachedVersion = r; return r; }),
-    _cachedChannelsHelp
-      ? Promise.resolve(_cachedChannelsHelp)
-      : runCmd(OPENCLAW_NODE, clawArgs(["channels", "add", "--help"])).then((r) => { _cachedChannelsHelp = r; return r; }),
-  ]);
+  // Clear the breaker and backoff, then try to bring the gateway back.
+  function resume(opts = {}) {
+    const reason = opts.reason || "manual";
+    cancelAutoRestart();
+    recordGatewayEvent("restart_resumed", { ...tag, reason, attempts: restartAttempts, trippedAt: breakerTrippedAt });
+    resetBreaker();
+    return ensureRunning({ ...opts, reason, manual: true });
+  }
 
-  res.json({
-    configured: isConfigured(),
-    gatewayTarget: GATEWAY_TARGET,
-    gatewayToken: OPENCLAW_GATEWAY_TOKEN,
-    openclawVersion: version.output.trim(),
-    channelsAddHelp: channelsHelp.output,
-    authGroups: AUTH_GROUPS,
-  });
-});
+  function breakerStatus() {
+    return {
+      attempts: restartAttempts,
+      maxAttempts: RESTART_MAX_ATTEMPTS,
+      nextRetryAt: restartNextAt,
+      tripped: Boolean(breakerTrippedAt),
+      trippedAt: breakerTrippedAt,
+    };
+  }
 
-// Auth choice → CLI flag mapping. Also used to derive the set of API-key-based choices
-// (choices NOT in this map are interactive/OAuth and shown as disabled in the UI).
-// "token" is special-cased in buildOnboardArgs but still counts as an API-key choice.
-const AUTH_CHOICE_FLAG_MAP = {
-  "openai-api-key": "--openai-api-key",
-  "apiKey": "--anthropic-api-key",
-  "openrouter-api-key": "--openrouter-api-key",
-  "litellm-api-key": "--litellm-api-key",
-  "ai-gateway-api-key": "--ai-gateway-api-key",
-  "cloudflare-ai-gateway-api-key": "--cloudflare-ai-gateway-api-key",
-  "moonshot-api-key": "--moonshot-api-key",
-  "moonshot-api-key-cn": "--moonshot-api-key",
-  "kimi-code-api-key": "--kimi-code-api-key",
-  "gemini-api-key": "--gemini-api-key",
-  "zai-api-key": "--zai-api-key",
-  "zai-coding-global": "--zai-api-key",
-  "zai-coding-cn": "--zai-api-key",
-  "zai-global": "--zai-api-key",
-  "zai-cn": "--zai-api-key",
-  "xiaomi-api-key": "--xiaomi-api-key",
-  "minimax-api": "--minimax-api-key",
-  "minimax-api-lightning": "--minimax-api-key",
-  "synthetic-api-key": "--synthetic-api-key",
-  "venice-api-key": "--venice-api-key",
-  "together-api-key": "--together-api-key",
-  "huggingface-api-key": "--huggingface-api-key",
-  "opencode-zen": "--opencode-zen-api-key",
-  "xai-api-key": "--xai-api-key",
-  "qianfan-api-key": "--qianfan-api-key",
-};
+  function status() {
+    return {
+      instance: instance.name,
+      state,
+      since: stateSince,
+      pid: proc?.pid ?? null,
+      port,
+      restartMode: GATEWAY_RESTART_MODE,
+      lastSwitch,
+      startedAt: proc && procStartedAt ? new Date(procStartedAt).toISOString() : null,
+      lastError,
+      lastExit,
+      restartAttempts,
+      restartScheduled: Boolean(restartTimer),
+      autoRestart: breakerStatus(),
+    };
+  }
 
-const API_KEY_CHOICES = new Set([...Object.keys(AUTH_CHOICE_FLAG_MAP), "token"]);
+  return {
+    instance,
+    events,
+    get proc() { return proc; },
+    get procStartedAt() { return proc ? procStartedAt : null; },
+    get state() { return state; },
+    get port() { return port; },
+    get target() { return `http://${INTERNAL_GATEWAY_HOST}:${port}`; },
+    get lastError() { return lastError; },
+    get lastExit() { return lastExit; },
+    transitions: () => transitions.slice(),
+    isReady: () => Boolean(proc) && state === "ready",
+    status,
+    breakerStatus,
+    ensureRunning,
+    resume,
+    stop,
+    restart,
+  };
+}
 
-app.get("/setup/api/auth-groups", requireSetupAuth, (_req, res) => {
-  res.json({ ok: true, authGroups: AUTH_GROUPS, apiKeyChoices: Array.from(API_KEY_CHOICES) });
-});
+for (const inst of GATEWAY_INSTANCES.values()) inst.gateway = createGatewaySupervisor(inst);
+const gateway = defaultInstance.gateway;
 
-function buildOnboardArgs(payload) {
-  const args = [
-    "onboard",
-    "--non-interactive",
-    "--accept-risk",
-    "--json",
-    "--no-install-daemon",
-    "--skip-health",
-    "--workspace",
-    WORKSPACE_DIR,
-    // The wrapper owns public networking; keep the gateway internal.
-    "--gateway-bind",
-    "loopback",
-    "--gateway-port",
-    String(INTERNAL_GATEWAY_PORT),
-    "--gateway-auth",
-    "token",
-    "--gateway-token",
-    OPENCLAW_GATEWAY_TOKEN,
-    "--flow",
-    payload.flow || "quickstart",
-  ];
+// opts.instance targets a named instance; the default instance otherwise.
+function ensureGatewayRunning(opts = {}) {
+  return (opts.instance || defaultInstance).gateway.ensureRunning(opts);
+}
 
-  if (payload.authChoice) {
-    args.push("--auth-choice", payload.authChoice);
+function restartGateway(opts = {}) {
+  return (opts.instance || defaultInstance).gateway.restart(opts);
+}
 
-    // Map secret to correct flag for common choices.
-    const secret = (payload.authSecret || "").trim();
+function stopGateway(opts = {}) {
+  return (opts.instance || defaultInstance).gateway.stop(opts);
+}
 
-    const flag = AUTH_CHOICE_FLAG_MAP[payload.authChoice];
+function resumeGatewayAutoRestart(opts = {}) {
+  return (opts.instance || defaultInstance).gateway.resume(opts);
+}
 
-    // If the user picked an API-key auth choice but didn't provide a secret, fail fast.
-    // Otherwise OpenClaw may fall back to its default auth choice, which looks like the
-    // wizard "reverted" their selection.
-    if (flag && !secret) {
-      throw new Error(`Missing auth secret for authChoice=${payload.authChoice}`);
+// --- Liveness watchdog ---
+// Auto-restart only reacts to the process exiting. The watchdog covers a gateway that is
+// alive but no longer answering: it probes on an interval and restarts the gateway after
+// GATEWAY_WATCHDOG_FAILURES consecutive failures. Probes are skipped while the gateway is
+// within its boot grace period or is not meant to be serving (stopped, stopping, ...).
+// GATEWAY_WATCHDOG_INTERVAL_MS=0 disables it.
+const GATEWAY_WATCHDOG_INTERVAL_MS = Math.max(0, Number.parseInt(process.env.GATEWAY_WATCHDOG_INTERVAL_MS ?? "30000", 10) || 0);
+const GATEWAY_WATCHDOG_FAILURES = Math.max(1, Number.parseInt(process.env.GATEWAY_WATCHDOG_FAILURES ?? "3", 10) || 3);
+const GATEWAY_WATCHDOG_GRACE_MS = Math.max(0, Number.parseInt(process.env.GATEWAY_WATCHDOG_GRACE_MS ?? "120000", 10) || 0);
+
+function createGatewayWatchdog(supervisor) {
+  let timer = null;
+  let checking = false;
+  let failures = 0;
+  let lastCheck = null; // { at, ok, method, durationMs, error?, skipped? }
+  let lastRestartAt = null;
+
+  async function check() {
+    if (checking) return;
+    const state = supervisor.state;
+    if (state !== "ready" && state !== "degraded") {
+      failures = 0;
+      lastCheck = { at: new Date().toISOString(), skipped: `gateway ${state}` };
+      return;
     }
-
-    if (flag) {
-      args.push(flag, secret);
+    const startedAt = supervisor.procStartedAt;
+    if (startedAt && Date.now() - startedAt < GATEWAY_WATCHDOG_GRACE_MS) {
+      lastCheck = { at: new Date().toISOString(), skipped: "boot grace period" };
+      return;
     }
 
-    if (payload.authChoice === "token") {
-      // This is the Anthropic setup-token flow.
-      if (!secret) throw new Error("Missing auth secret for authChoice=token");
-      args.push("--token-provider", "anthropic", "--token", secret);
+    checking = true;
+    try {
+      const probe = await probeGateway({ instance: supervisor.instance });
+      lastCheck = { at: new Date().toISOString(), ...probe };
+      if (probe.ok) {
+        failures = 0;
+        return;
+      }
+      // The gateway may have been restarted or stopped while the probe was in flight.
+      if (supervisor.procStartedAt !== startedAt) return;
+      failures++;
+      console.warn(`[watchdog] probe failed (${failures}/${GATEWAY_WATCHDOG_FAILURES}): ${probe.error}`);
+      if (failures < GATEWAY_WATCHDOG_FAILURES) return;
+
+      const error = probe.error || "probe failed";
+      recordGatewayEvent("watchdog_restart", { ...instanceTag(supervisor.instance), failures, error, pid: supervisor.proc?.pid ?? null });
+      appendGatewayLog("wrapper", `[watchdog] gateway unresponsive after ${failures} probes (${error}); restarting`, supervisor.instance.name);
+      failures = 0;
+      lastRestartAt = new Date().toISOString();
+      try {
+        await restartGateway({ reason: "watchdog", instance: supervisor.instance });
+      } catch (err) {
+        console.error(`[watchdog] restart failed: ${String(err)}`);
+      }
+    } finally {
+      checking = false;
     }
   }
 
-  return args;
-}
+  function start() {
+    if (timer || !GATEWAY_WATCHDOG_INTERVAL_MS) return;
+    timer = setInterval(() => { check().catch(() => { }); }, GATEWAY_WATCHDOG_INTERVAL_MS);
+    timer.unref?.();
+  }
 
-function runCmd(cmd, args, opts = {}) {
-  return new Promise((resolve) => {
-    const timeoutMs = Number.isFinite(opts.timeoutMs) ? opts.timeoutMs : 120_000;
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
 
-    const proc = childProcess.spawn(cmd, args, {
-      ...opts,
-      env: {
-        ...process.env,
-        OPENCLAW_STATE_DIR: STATE_DIR,
-        OPENCLAW_WORKSPACE_DIR: WORKSPACE_DIR,
-      },
-    });
+  function status() {
+    return {
+      enabled: Boolean(GATEWAY_WATCHDOG_INTERVAL_MS),
+      intervalMs: GATEWAY_WATCHDOG_INTERVAL_MS,
+      failureThreshold: GATEWAY_WATCHDOG_FAILURES,
+      graceMs: GATEWAY_WATCHDOG_GRACE_MS,
+      consecutiveFailures: failures,
+      lastCheck,
+      lastRestartAt,
+    };
+  }
 
-    let out = "";
-    proc.stdout?.on("data", (d) => (out += d.toString("utf8")));
-    proc.stderr?.on("data", (d) => (out += d.toString("utf8")));
+  return { start, stop, status };
+}
 
-    let killTimer;
-    const timer = setTimeout(() => {
-      try { proc.kill("SIGTERM"); } catch { }
-      killTimer = setTimeout(() => {
-        try { proc.kill("SIGKILL"); } catch { }
-      }, 2_000);
-      out += `\n[timeout] Command exceeded ${timeoutMs}ms and was terminated.\n`;
-      resolve({ code: 124, output: out });
-    }, timeoutMs);
+for (const inst of GATEWAY_INSTANCES.values()) inst.watchdog = createGatewayWatchdog(inst.gateway);
+const gatewayWatchdog = defaultInstance.watchdog;
+
+// --- Resource monitor ---
+// Samples the gateway child's RSS and CPU from /proc/<pid> (Linux only) and keeps a short
+// history for /setup/api/debug and the Setup UI. With GATEWAY_MEMORY_LIMIT_MB set, a gateway
+// whose RSS stays above the limit for GATEWAY_MEMORY_LIMIT_MINUTES is restarted gracefully
+// before the container itself runs out of memory.
+const GATEWAY_RESOURCE_SAMPLE_MS = Math.max(0, Number.parseInt(process.env.GATEWAY_RESOURCE_SAMPLE_MS ?? "10000", 10) || 0);
+const GATEWAY_RESOURCE_HISTORY = 360;
+const GATEWAY_MEMORY_LIMIT_MB = Math.max(0, Number.parseInt(process.env.GATEWAY_MEMORY_LIMIT_MB ?? "0", 10) || 0);
+const GATEWAY_MEMORY_LIMIT_MINUTES = Math.max(1, Number.parseFloat(process.env.GATEWAY_MEMORY_LIMIT_MINUTES ?? "5") || 5);
+const CLOCK_TICKS_PER_SEC = 100; // USER_HZ; 100 on every Linux platform Railway runs
+
+// Returns { rssBytes, cpuTicks } or null when the process is gone / /proc is unavailable.
+function readProcUsage(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, "utf8");
+    // Fields after the parenthesised command name; utime and stime are fields 14 and 15.
+    const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+    const cpuTicks = Number(fields[11]) + Number(fields[12]);
+    const status = fs.readFileSync(`/proc/${pid}/status`, "utf8");
+    const rssKb = Number(status.match(/^VmRSS:\s+(\d+)\s+kB/m)?.[1] ?? NaN);
+    if (!Number.isFinite(cpuTicks) || !Number.isFinite(rssKb)) return null;
+    return { rssBytes: rssKb * 1024, cpuTicks };
+  } catch {
+    return null;
+  }
+}
 
-    proc.on("error", (err) => {
-      clearTimeout(timer);
-      if (killTimer) clearTimeout(killTimer);
-      out += `\n[spawn error] ${String(err)}\n`;
-      resolve({ code: 127, output: out });
-    });
+function createGatewayResourceMonitor(supervisor) {
+  let timer = null;
+  const samples = []; // { at, pid, rssBytes, cpuPercent }, oldest first
+  let prev = null; // { pid, cpuTicks, t }
+  let peakRssBytes = 0;
+  let overLimitSince = null;
+  let lastLimitRestartAt = null;
+  let restarting = false;
+
+  function sample() {
+    const pid = supervisor.proc?.pid;
+    if (!pid) {
+      prev = null;
+      overLimitSince = null;
+      return;
+    }
+    const usage = readProcUsage(pid);
+    if (!usage) return;
+    const t = Date.now();
+    let cpuPercent = null;
+    if (prev && prev.pid === pid && t > prev.t) {
+      cpuPercent = Math.round((((usage.cpuTicks - prev.cpuTicks) / CLOCK_TICKS_PER_SEC) / ((t - prev.t) / 1000)) * 1000) / 10;
+    }
+    prev = { pid, cpuTicks: usage.cpuTicks, t };
+    samples.push({ at: new Date(t).toISOString(), pid, rssBytes: usage.rssBytes, cpuPercent });
+    if (samples.length > GATEWAY_RESOURCE_HISTORY) samples.shift();
+    if (usage.rssBytes > peakRssBytes) peakRssBytes = usage.rssBytes;
+    checkMemoryLimit(usage.rssBytes, t);
+  }
 
-    proc.on("close", (code) => {
-      clearTimeout(timer);
-      if (killTimer) clearTimeout(killTimer);
-      resolve({ code: code ?? 0, output: out });
-    });
-  });
-}
+  function checkMemoryLimit(rssBytes, t) {
+    if (!GATEWAY_MEMORY_LIMIT_MB || restarting) return;
+    if (rssBytes <= GATEWAY_MEMORY_LIMIT_MB * 1024 * 1024) {
+      overLimitSince = null;
+      return;
+    }
+    if (!overLimitSince) {
+      overLimitSince = t;
+      console.warn(`[resources] gateway RSS ${Math.round(rssBytes / 1048576)} MB is above the ${GATEWAY_MEMORY_LIMIT_MB} MB limit`);
+      return;
+    }
+    const overMs = t - overLimitSince;
+    if (overMs < GATEWAY_MEMORY_LIMIT_MINUTES * 60_000) return;
+    if (supervisor.state !== "ready" && supervisor.state !== "degraded") return;
+
+    const rssMb = Math.round(rssBytes / 1048576);
+    recordGatewayEvent("memory_restart", { ...instanceTag(supervisor.instance), rssMb, limitMb: GATEWAY_MEMORY_LIMIT_MB, overMs, pid: supervisor.proc?.pid ?? null });
+    appendGatewayLog("wrapper", `[resources] gateway RSS ${rssMb} MB above ${GATEWAY_MEMORY_LIMIT_MB} MB for ${Math.round(overMs / 60_000)} min; restarting`, supervisor.instance.name);
+    overLimitSince = null;
+    lastLimitRestartAt = new Date(t).toISOString();
+    restarting = true;
+    restartGateway({ reason: "memory-limit", mode: "stop-start", instance: supervisor.instance })
+      .catch((err) => console.error(`[resources] memory-limit restart failed: ${String(err)}`))
+      .finally(() => { restarting = false; });
+  }
 
-app.post("/setup/api/run", requireSetupAuth, async (req, res) => {
-  // SSE streaming — send step-by-step progress to the client.
-  res.writeHead(200, {
-    "Content-Type": "text/event-stream",
-    "Cache-Control": "no-cache",
-    Connection: "keep-alive",
-  });
+  function start() {
+    if (timer || !GATEWAY_RESOURCE_SAMPLE_MS) return;
+    timer = setInterval(sample, GATEWAY_RESOURCE_SAMPLE_MS);
+    timer.unref?.();
+  }
 
-  const send = (event, data) => {
-    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
-  };
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
 
-  const step = (label) => send("step", { label });
-  const stepDone = (label, ok = true) => send("stepDone", { label, ok });
-  const log = (text) => send("log", { text });
+  function status() {
+    const latest = samples.length && samples[samples.length - 1].pid === supervisor.proc?.pid ? samples[samples.length - 1] : null;
+    return {
+      enabled: Boolean(GATEWAY_RESOURCE_SAMPLE_MS),
+      sampleMs: GATEWAY_RESOURCE_SAMPLE_MS,
+      latest,
+      peakRssBytes,
+      memoryLimit: {
+        limitMb: GATEWAY_MEMORY_LIMIT_MB || null,
+        minutes: GATEWAY_MEMORY_LIMIT_MINUTES,
+        overLimitSince: overLimitSince ? new Date(overLimitSince).toISOString() : null,
+        lastRestartAt: lastLimitRestartAt,
+      },
+      samples: samples.slice(),
+    };
+  }
 
-  try {
-    if (isConfigured()) {
-      step("Starting gateway");
-      await ensureGatewayRunning();
-      stepDone("Starting gateway");
-      send("done", { ok: true, output: "Already configured.\nUse Reset setup if you want to rerun onboarding.\n" });
-      res.end();
-      return;
-    }
+  return { start, stop, status };
+}
 
-    fs.mkdirSync(STATE_DIR, { recursive: true });
-    fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
+for (const inst of GATEWAY_INSTANCES.values()) inst.resources = createGatewayResourceMonitor(inst.gateway);
+const gatewayResources = defaultInstance.resources;
+
+// --- Uptime history ---
+// Probes the gateway every UPTIME_SAMPLE_MS while it is configured and folds the results
+// into up/down spans in <instance state dir>/uptime-history.json, so "was the bot down last
+// night?" survives wrapper restarts. Time between spans (the wrapper was down, or the
+// gateway was not configured) counts as no data rather than downtime. UPTIME_SAMPLE_MS=0
+// disables sampling; existing history is still served.
+const UPTIME_SAMPLE_MS = Math.max(0, Number.parseInt(process.env.UPTIME_SAMPLE_MS ?? "60000", 10) || 0);
+const UPTIME_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const UPTIME_WINDOWS = { "24h": 24 * 60 * 60 * 1000, "7d": 7 * 24 * 60 * 60 * 1000, "30d": UPTIME_RETENTION_MS };
+const UPTIME_SPARKLINE_BUCKETS = 48;
+const UPTIME_INCIDENTS_KEPT = 50;
+
+// Folds one sample ({ at, up, error? }) into spans ({ start, end, up, error? }, oldest first).
+// A sample extends the last span when the status is unchanged and it arrived within two
+// intervals. A status change starts a new span where the previous one ended; a longer gap
+// starts one at the sample itself and leaves the gap as no data.
+function addUptimeSample(spans, sample, intervalMs) {
+  const last = spans[spans.length - 1];
+  const contiguous = Boolean(last) && sample.at - last.end <= intervalMs * 2;
+  if (contiguous && last.up === sample.up) {
+    last.end = sample.at;
+    return spans;
+  }
+  const span = { start: contiguous ? last.end : sample.at, end: sample.at, up: sample.up };
+  if (!sample.up && sample.error) span.error = sample.error;
+  spans.push(span);
+  return spans;
+}
 
-    const payload = req.body || {};
+// Up/down time of the spans clipped to [from, to). uptimePct is null without data.
+function summarizeUptime(spans, from, to) {
+  let upMs = 0;
+  let downMs = 0;
+  for (const span of spans) {
+    const ms = Math.min(span.end, to) - Math.max(span.start, from);
+    if (ms <= 0) continue;
+    if (span.up) upMs += ms;
+    else downMs += ms;
+  }
+  const coverageMs = upMs + downMs;
+  const uptimePct = coverageMs ? Math.round((upMs / coverageMs) * 10_000) / 100 : null;
+  return { uptimePct, upMs, downMs, coverageMs };
+}
 
-    let onboardArgs;
+function uptimeHistoryPath(inst) {
+  return path.join(inst.stateDir, "uptime-history.json");
+}
+
+function createUptimeTracker(instance) {
+  let timer = null;
+  let sampling = false;
+  let spans = [];
+  try {
+    const stored = JSON.parse(fs.readFileSync(uptimeHistoryPath(instance), "utf8"));
+    if (Array.isArray(stored?.spans)) spans = stored.spans.filter((s) => Number.isFinite(s?.start) && Number.isFinite(s?.end));
+  } catch {
+    // no history yet
+  }
+
+  function persist() {
+    const p = uptimeHistoryPath(instance);
     try {
-      onboardArgs = buildOnboardArgs(payload);
+      fs.mkdirSync(path.dirname(p), { recursive: true });
+      fs.writeFileSync(`${p}.tmp`, JSON.stringify({ intervalMs: UPTIME_SAMPLE_MS, spans }) + "\n", { encoding: "utf8", mode: 0o600 });
+      fs.renameSync(`${p}.tmp`, p);
     } catch (err) {
-      send("done", { ok: false, output: `Setup input error: ${String(err)}` });
-      res.end();
-      return;
+      console.warn(`[uptime] failed to save history: ${String(err)}`);
     }
+  }
 
-    // --- Build and send step plan so the UI can render all nodes upfront ---
-    const plan = [
-      "Running onboard",
-      "Configuring gateway auth",
-      "Configuring gateway network",
-      "Configuring trusted proxies",
-    ];
-    if (payload.customProviderId?.trim() && payload.customProviderBaseUrl?.trim()) plan.push("Configuring custom provider");
-    if (payload.telegramToken?.trim()) plan.push("Configuring Telegram");
-    if (payload.discordToken?.trim()) plan.push("Configuring Discord");
-    if (payload.slackBotToken?.trim() || payload.slackAppToken?.trim()) plan.push("Configuring Slack");
-    plan.push("Starting gateway", "Running doctor --fix", "Restarting gateway");
-    send("plan", { steps: plan });
+  async function sample() {
+    if (sampling || !isConfigured(instance)) return;
+    sampling = true;
+    try {
+      const probe = await probeGateway({ instance });
+      const state = instance.gateway.state;
+      const error = probe.ok ? undefined : (state === "ready" || state === "degraded" ? probe.error : `gateway ${state}`);
+      const now = Date.now();
+      addUptimeSample(spans, { at: now, up: probe.ok, error }, UPTIME_SAMPLE_MS);
+      spans = spans.filter((s) => s.end >= now - UPTIME_RETENTION_MS);
+      persist();
+    } finally {
+      sampling = false;
+    }
+  }
 
-    step("Running onboard");
-    const onboard = await runCmd(OPENCLAW_NODE, clawArgs(onboardArgs));
-    const ok = onboard.code === 0 && isConfigured();
-    stepDone("Running onboard", ok);
-    log(onboard.output);
+  function start() {
+    if (timer || !UPTIME_SAMPLE_MS) return;
+    timer = setInterval(() => { sample().catch(() => { }); }, UPTIME_SAMPLE_MS);
+    timer.unref?.();
+  }
 
-    if (!ok) {
-      send("done", { ok: false, output: onboard.output });
-      res.end();
-      return;
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function report(now = Date.now()) {
+    const windows = {};
+    for (const [key, ms] of Object.entries(UPTIME_WINDOWS)) windows[key] = summarizeUptime(spans, now - ms, now);
+
+    const bucketMs = UPTIME_WINDOWS["24h"] / UPTIME_SPARKLINE_BUCKETS;
+    const sparkline = [];
+    for (let i = 0; i < UPTIME_SPARKLINE_BUCKETS; i++) {
+      const from = now - UPTIME_WINDOWS["24h"] + i * bucketMs;
+      sparkline.push({ start: new Date(from).toISOString(), uptimePct: summarizeUptime(spans, from, from + bucketMs).uptimePct });
     }
 
-    // --- Gateway config ---
-    step("Configuring gateway auth");
-    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.auth.mode", "token"]));
-    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.auth.token", OPENCLAW_GATEWAY_TOKEN]));
-    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.remote.token", OPENCLAW_GATEWAY_TOKEN]));
-    stepDone("Configuring gateway auth");
+    const last = spans[spans.length - 1];
+    const incidents = spans
+      .filter((s) => !s.up)
+      .slice(-UPTIME_INCIDENTS_KEPT)
+      .reverse()
+      .map((s) => ({
+        start: new Date(s.start).toISOString(),
+        end: new Date(s.end).toISOString(),
+        durationMs: s.end - s.start,
+        ongoing: s === last && now - s.end <= UPTIME_SAMPLE_MS * 2,
+        error: s.error ?? null,
+      }));
+
+    return {
+      enabled: Boolean(UPTIME_SAMPLE_MS),
+      sampleMs: UPTIME_SAMPLE_MS,
+      since: spans.length ? new Date(spans[0].start).toISOString() : null,
+      lastSampleAt: last ? new Date(last.end).toISOString() : null,
+      windows,
+      sparkline: { bucketMs, buckets: sparkline },
+      incidents,
+    };
+  }
 
-    step("Configuring gateway network");
-    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.bind", "loopback"]));
-    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.port", String(INTERNAL_GATEWAY_PORT)]));
-    stepDone("Configuring gateway network");
+  return { start, stop, report };
+}
 
-    step("Configuring trusted proxies");
-    await runCmd(
-      OPENCLAW_NODE,
-      clawArgs(["config", "set", "--json", "gateway.trustedProxies", JSON.stringify(["127.0.0.1"])]),
-    );
-    stepDone("Configuring trusted proxies");
+for (const inst of GATEWAY_INSTANCES.values()) inst.uptime = createUptimeTracker(inst);
 
-    // --- Custom provider ---
-    if (payload.customProviderId?.trim() && payload.customProviderBaseUrl?.trim()) {
-      step("Configuring custom provider");
-      const providerId = payload.customProviderId.trim();
-      const baseUrl = payload.customProviderBaseUrl.trim();
-      const api = (payload.customProviderApi || "openai-completions").trim();
-      const apiKeyEnv = (payload.customProviderApiKeyEnv || "").trim();
-      const modelId = (payload.customProviderModelId || "").trim();
+// --- Wrapper settings & maintenance schedule ---
+// Wrapper-level settings (not OpenClaw config) live in STATE_DIR/wrapper-settings.json so
+// they survive redeploys and can be edited from /setup.
 
-      let skipReason = null;
-      if (!/^[A-Za-z0-9_-]+$/.test(providerId)) skipReason = "invalid provider id";
-      else if (!/^https?:\/\//.test(baseUrl)) skipReason = "baseUrl must start with http(s)://";
-      else if (!["openai-completions", "openai-responses", "anthropic-messages"].includes(api)) skipReason = "api must be openai-completions, openai-responses, or anthropic-messages";
-      else if (apiKeyEnv && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(apiKeyEnv)) skipReason = "invalid api key env var name";
+function wrapperSettingsPath() {
+  return path.join(STATE_DIR, "wrapper-settings.json");
+}
 
-      if (skipReason) {
-        log(`[custom provider] skipped: ${skipReason}`);
-        stepDone("Configuring custom provider", false);
-      } else {
-        const providerCfg = {
-          baseUrl,
-          api,
-          apiKey: apiKeyEnv ? "${" + apiKeyEnv + "}" : undefined,
-          models: modelId ? [{ id: modelId, name: modelId }] : undefined,
-        };
-        await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "models.mode", "merge"]));
-        const set = await runCmd(
-          OPENCLAW_NODE,
-          clawArgs(["config", "set", "--json", `models.providers.${providerId}`, JSON.stringify(providerCfg)]),
-        );
-        log(set.output || "");
-        stepDone("Configuring custom provider", set.code === 0);
-      }
-    }
+function readWrapperSettings() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(wrapperSettingsPath(), "utf8"));
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
 
-    // --- Channels ---
-    const channelsHelp = await runCmd(OPENCLAW_NODE, clawArgs(["channels", "add", "--help"]));
-    const helpText = channelsHelp.output || "";
-    const supports = (name) => helpText.includes(name);
+function writeWrapperSettings(settings) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const p = wrapperSettingsPath();
+  const tmp = `${p}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(settings, null, 2) + "\n", { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tmp, p);
+}
 
-    if (payload.telegramToken?.trim()) {
-      step("Configuring Telegram");
-      if (!supports("telegram")) {
-        log("[telegram] skipped (not supported by this build)");
-        stepDone("Configuring Telegram", false);
-      } else {
-        const token = payload.telegramToken.trim();
-        const cfgObj = { enabled: true, dmPolicy: "pairing", botToken: token, groupPolicy: "allowlist", streamMode: "partial" };
-        await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "--json", "channels.telegram", JSON.stringify(cfgObj)]));
-        await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", "channels.telegram"]));
-        await runCmd(OPENCLAW_NODE, clawArgs(["plugins", "enable", "telegram"]));
-        stepDone("Configuring Telegram");
-      }
-    }
+// Standard 5-field cron: minute hour day-of-month month day-of-week. Supports `*`, lists,
+// ranges and steps (`*/15`, `1-5`, `0,30`, `8-18/2`); day-of-week 0 and 7 are Sunday.
+// As in Vixie cron, when both day fields are restricted either one matching is enough.
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day-of-month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day-of-week", min: 0, max: 7 },
+];
 
-    if (payload.discordToken?.trim()) {
-      step("Configuring Discord");
-      if (!supports("discord")) {
-        log("[discord] skipped (not supported by this build)");
-        stepDone("Configuring Discord", false);
-      } else {
-        const token = payload.discordToken.trim();
-        const cfgObj = { enabled: true, token, groupPolicy: "allowlist", dm: { policy: "pairing" } };
-        await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "--json", "channels.discord", JSON.stringify(cfgObj)]));
-        await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", "channels.discord"]));
-        stepDone("Configuring Discord");
-      }
+function parseCron(expr) {
+  const parts = String(expr || "").trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`expected 5 fields, got ${parts[0] ? parts.length : 0}`);
+  const sets = parts.map((part, i) => {
+    const { name, min, max } = CRON_FIELDS[i];
+    const values = new Set();
+    for (const item of part.split(",")) {
+      const m = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!m) throw new Error(`invalid ${name} "${item}"`);
+      let lo = m[1] === "*" ? min : Number(m[2]);
+      let hi = m[1] === "*" ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : lo;
+      const step = m[4] ? Number(m[4]) : 1;
+      if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`${name} "${item}" is out of range ${min}-${max}`);
+      for (let v = lo; v <= hi; v += step) values.add(v);
     }
+    return values;
+  });
+  if (sets[4].has(7)) sets[4].add(0);
+  return {
+    minutes: sets[0],
+    hours: sets[1],
+    days: sets[2],
+    months: sets[3],
+    weekdays: sets[4],
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*",
+  };
+}
 
-    if (payload.slackBotToken?.trim() || payload.slackAppToken?.trim()) {
-      step("Configuring Slack");
-      if (!supports("slack")) {
-        log("[slack] skipped (not supported by this build)");
-        stepDone("Configuring Slack", false);
-      } else {
-        const cfgObj = {
-          enabled: true,
-          botToken: payload.slackBotToken?.trim() || undefined,
-          appToken: payload.slackAppToken?.trim() || undefined,
-        };
-        await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "--json", "channels.slack", JSON.stringify(cfgObj)]));
-        await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", "channels.slack"]));
-        stepDone("Configuring Slack");
-      }
+function cronDayMatches(cron, d) {
+  const dom = cron.days.has(d.getDate());
+  const dow = cron.weekdays.has(d.getDay());
+  if (cron.anyDay) return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow;
+}
+
+// Next time strictly after `from` that matches, in the wrapper's local time zone (TZ).
+function nextCronRun(cron, from = new Date()) {
+  const d = new Date(from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (d.getTime() <= limit) {
+    if (!cron.months.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d;
     }
+  }
+  return null;
+}
 
-    // --- Start gateway ---
-    step("Starting gateway");
-    await restartGateway({ timeoutMs: 60_000 });
-    stepDone("Starting gateway");
+function parseWindowTime(value) {
+  const m = String(value || "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
 
-    step("Running doctor --fix");
-    const fix = await runCmd(OPENCLAW_NODE, clawArgs(["doctor", "--fix"]));
-    log(redactSecrets(fix.output || ""));
-    stepDone("Running doctor --fix", fix.code === 0);
+// Window is [start, end) in local time; end <= start wraps past midnight.
+function inMaintenanceWindow(window, at = new Date()) {
+  if (!window?.enabled) return true;
+  const start = parseWindowTime(window.start);
+  const end = parseWindowTime(window.end);
+  if (start === null || end === null) return true;
+  const now = at.getHours() * 60 + at.getMinutes();
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
 
-    step("Restarting gateway");
-    await restartGateway({ timeoutMs: 60_000 });
-    stepDone("Restarting gateway");
+const MAINTENANCE_JOBS = ["restart", "doctor"];
+const MAINTENANCE_TICK_MS = 20_000;
 
-    send("done", { ok: true, output: "Setup complete." });
-    res.end();
-  } catch (err) {
-    console.error("[/setup/api/run] error:", err);
-    send("done", { ok: false, output: `Internal error: ${String(err)}` });
-    res.end();
+const DEFAULT_MAINTENANCE = {
+  window: { enabled: false, start: "03:00", end: "05:00" },
+  restart: { enabled: false, cron: "0 4 * * *", skipIfActiveClients: true },
+  doctor: { enabled: false, cron: "30 4 * * 0" },
+};
+
+// Validate and normalize a maintenance settings object; throws with a user-facing message.
+function normalizeMaintenanceSettings(input = {}) {
+  const out = {
+    window: { ...DEFAULT_MAINTENANCE.window, ...(input.window || {}) },
+    restart: { ...DEFAULT_MAINTENANCE.restart, ...(input.restart || {}) },
+    doctor: { ...DEFAULT_MAINTENANCE.doctor, ...(input.doctor || {}) },
+  };
+  out.window.enabled = Boolean(out.window.enabled);
+  for (const key of ["start", "end"]) {
+    out.window[key] = String(out.window[key] || "").trim();
+    if (parseWindowTime(out.window[key]) === null) throw new Error(`Maintenance window ${key} must be HH:MM`);
   }
-});
+  for (const job of MAINTENANCE_JOBS) {
+    out[job].enabled = Boolean(out[job].enabled);
+    out[job].cron = String(out[job].cron || "").trim();
+    try {
+      parseCron(out[job].cron);
+    } catch (err) {
+      throw new Error(`Invalid ${job} schedule: ${err.message}`);
+    }
+  }
+  out.restart.skipIfActiveClients = Boolean(out.restart.skipIfActiveClients);
+  return out;
+}
 
-app.get("/setup/api/debug", requireSetupAuth, async (_req, res) => {
-  const v = await runCmd(OPENCLAW_NODE, clawArgs(["--version"]));
-  const help = await runCmd(OPENCLAW_NODE, clawArgs(["channels", "add", "--help"]));
+function createMaintenanceScheduler(supervisor) {
+  let timer = null;
+  let settings = DEFAULT_MAINTENANCE;
+  const jobs = {}; // name -> { cron, nextRunAt (ms), running, lastRun }
+  for (const name of MAINTENANCE_JOBS) jobs[name] = { cron: null, nextRunAt: null, running: false, lastRun: null };
 
-  // Channel config checks (redact secrets before returning to client)
-  const tg = await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", "channels.telegram"]));
-  const dc = await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", "channels.discord"]));
+  function load() {
+    try {
+      settings = normalizeMaintenanceSettings(readWrapperSettings().maintenance);
+    } catch (err) {
+      console.error(`[maintenance] ignoring invalid settings: ${err.message}`);
+      settings = DEFAULT_MAINTENANCE;
+    }
+    const now = new Date();
+    for (const name of MAINTENANCE_JOBS) {
+      const cfg = settings[name];
+      jobs[name].cron = cfg.enabled ? parseCron(cfg.cron) : null;
+      jobs[name].nextRunAt = jobs[name].cron ? nextCronRun(jobs[name].cron, now)?.getTime() ?? null : null;
+    }
+  }
 
-  const tgOut = redactSecrets(tg.output || "");
-  const dcOut = redactSecrets(dc.output || "");
+  function update(input) {
+    const next = normalizeMaintenanceSettings(input);
+    writeWrapperSettings({ ...readWrapperSettings(), maintenance: next });
+    load();
+    return status();
+  }
 
-  res.json({
-    wrapper: {
-      node: process.version,
-      port: PORT,
-      publicPortEnv: process.env.PORT || null,
-      stateDir: STATE_DIR,
-      workspaceDir: WORKSPACE_DIR,
-      configured: isConfigured(),
-      configPathResolved: configPath(),
-      configPathCandidates: typeof resolveConfigCandidates === "function" ? resolveConfigCandidates() : null,
-      internalGatewayHost: INTERNAL_GATEWAY_HOST,
-      internalGatewayPort: INTERNAL_GATEWAY_PORT,
-      gatewayTarget: GATEWAY_TARGET,
-      gatewayRunning: Boolean(gatewayProc),
-      gatewayTokenFromEnv: Boolean(process.env.OPENCLAW_GATEWAY_TOKEN?.trim()),
-      gatewayTokenPersisted: fs.existsSync(path.join(STATE_DIR, "gateway.token")),
-      lastGatewayError,
-      lastGatewayExit,
-      lastDoctorAt,
-      lastDoctorOutput,
-      railwayCommit: process.env.RAILWAY_GIT_COMMIT_SHA || null,
-    },
-    openclaw: {
-      entry: OPENCLAW_ENTRY,
-      node: OPENCLAW_NODE,
-      version: v.output.trim(),
-      channelsAddHelpIncludesTelegram: help.output.includes("telegram"),
-      channels: {
-        telegram: {
-          exit: tg.code,
-          configuredEnabled: /"enabled"\s*:\s*true/.test(tg.output || "") || /enabled\s*[:=]\s*true/.test(tg.output || ""),
-          botTokenPresent: /(\d{5,}:[A-Za-z0-9_-]{10,})/.test(tg.output || ""),
-          output: tgOut,
-        },
-        discord: {
-          exit: dc.code,
-          configuredEnabled: /"enabled"\s*:\s*true/.test(dc.output || "") || /enabled\s*[:=]\s*true/.test(dc.output || ""),
-          tokenPresent: /"token"\s*:\s*"?\S+"?/.test(dc.output || "") || /token\s*[:=]\s*\S+/.test(dc.output || ""),
-          output: dcOut,
-        },
-      },
-    },
-  });
-});
+  async function runRestart() {
+    if (!isConfigured()) return { skipped: true, message: "Not configured" };
+    if (!supervisor.proc) return { skipped: true, message: "Gateway is not running" };
+    if (settings.restart.skipIfActiveClients && gatewayWsClients.size > 0) {
+      return { skipped: true, message: `${gatewayWsClients.size} active WebSocket client(s)` };
+    }
+    const r = await restartGateway({ reason: "scheduled" });
+    return r?.ok === false ? { ok: false, message: r.reason || "Restart failed" } : { ok: true, message: "Gateway restarted" };
+  }
 
-// --- Debug console (Option A: allowlisted commands + config editor) ---
+  async function runDoctor() {
+    if (!isConfigured()) return { skipped: true, message: "Not configured" };
+    const r = await runCmd(OPENCLAW_NODE, clawArgs(["doctor"]));
+    const out = redactSecrets(r.output || "");
+    lastDoctorOutput = out.length > 50_000 ? out.slice(0, 50_000) + "\n... (truncated)\n" : out;
+    lastDoctorAt = Date.now();
+    return { ok: r.code === 0, message: `exit=${r.code}`, output: out.length > 4_000 ? out.slice(-4_000) : out };
+  }
 
-function redactSecrets(text) {
-  if (!text) return text;
-  // Very small best-effort redaction. (Config paths/values may still contain secrets.)
-  return String(text)
-    .replace(/(sk-[A-Za-z0-9_-]{10,})/g, "[REDACTED]")
-    .replace(/(gho_[A-Za-z0-9_]{10,})/g, "[REDACTED]")
-    .replace(/(xox[baprs]-[A-Za-z0-9-]{10,})/g, "[REDACTED]")
-    // Telegram bot tokens look like: 123456:ABCDEF...
-    .replace(/(\d{5,}:[A-Za-z0-9_-]{10,})/g, "[REDACTED]")
-    .replace(/(AA[A-Za-z0-9_-]{10,}:\S{10,})/g, "[REDACTED]");
+  async function run(name, scheduledAt) {
+    const job = jobs[name];
+    const startedAt = Date.now();
+    job.running = true;
+    let result;
+    try {
+      if (!inMaintenanceWindow(settings.window, new Date(startedAt))) {
+        result = { skipped: true, message: `Outside maintenance window ${settings.window.start}-${settings.window.end}` };
+      } else {
+        result = name === "restart" ? await runRestart() : await runDoctor();
+      }
+    } catch (err) {
+      result = { ok: false, message: String(err) };
+    } finally {
+      job.running = false;
+    }
+    job.lastRun = {
+      scheduledAt: new Date(scheduledAt).toISOString(),
+      at: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      ok: Boolean(result.ok),
+      skipped: Boolean(result.skipped),
+      message: result.message || null,
+      output: result.output || null,
+    };
+    const verdict = result.skipped ? "skipped" : result.ok ? "ok" : "failed";
+    console.log(`[maintenance] scheduled ${name} ${verdict}${result.message ? `: ${result.message}` : ""}`);
+  }
+
+  function tick() {
+    const now = Date.now();
+    for (const name of MAINTENANCE_JOBS) {
+      const job = jobs[name];
+      if (!job.cron || job.nextRunAt === null || now < job.nextRunAt || job.running) continue;
+      const scheduledAt = job.nextRunAt;
+      job.nextRunAt = nextCronRun(job.cron, new Date(now))?.getTime() ?? null;
+      run(name, scheduledAt);
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    load();
+    timer = setInterval(tick, MAINTENANCE_TICK_MS);
+    timer.unref?.();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function status() {
+    const out = {
+      settings,
+      inWindow: inMaintenanceWindow(settings.window),
+      activeClients: gatewayWsClients.size,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      jobs: {},
+    };
+    for (const name of MAINTENANCE_JOBS) {
+      const job = jobs[name];
+      out.jobs[name] = {
+        nextRunAt: job.nextRunAt ? new Date(job.nextRunAt).toISOString() : null,
+        running: job.running,
+        lastRun: job.lastRun,
+      };
+    }
+    return out;
+  }
+
+  return { start, stop, update, status };
 }
 
-// Wrapper-managed commands (not openclaw CLI) — keep as strict allowlist.
-const GATEWAY_COMMANDS = new Set(["gateway.restart", "gateway.stop", "gateway.start"]);
+const maintenance = createMaintenanceScheduler(gateway);
+
+// --- Setup users & roles ---
+// Named /setup accounts live in STATE_DIR/setup-users.json with scrypt password hashes.
+// Roles are cumulative: a viewer sees status and logs; an operator can also restart the
+// gateway, approve devices and run console commands; an admin can also edit config and env,
+// import, wipe and use the full terminal. SETUP_PASSWORD remains a built-in admin account
+// (username "setup", or an empty username), so the volume can never lock everyone out.
+const SETUP_ROLES = ["viewer", "operator", "admin"];
+const SETUP_BUILTIN_USER = "setup";
+const SETUP_USERNAME_RE = /^[a-z0-9][a-z0-9._-]{0,31}$/;
+const SETUP_MIN_PASSWORD_LENGTH = 10;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+// Basic auth re-verifies on every request; a verified credential is remembered this long.
+const BASIC_AUTH_CACHE_MS = 60_000;
+
+function setupUsersPath() {
+  return path.join(STATE_DIR, "setup-users.json");
+}
 
-// Shell metacharacters that must never appear in cmd or arg to prevent injection.
-const SHELL_UNSAFE = /[&|;`$(){}!<>\\#\n\r]/;
+function roleAtLeast(role, min) {
+  return SETUP_ROLES.indexOf(role) >= SETUP_ROLES.indexOf(min);
+}
 
-function isAllowedConsoleCmd(cmd) {
-  if (GATEWAY_COMMANDS.has(cmd)) return true;
-  // Allow any openclaw.* dotted command (e.g. openclaw.config.get, openclaw.channels.add)
-  return /^openclaw\.[a-z][a-z0-9._-]*$/i.test(cmd);
+function scryptAsync(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 32, { ...params, maxmem: 64 * 1024 * 1024 }, (err, key) => (err ? reject(err) : resolve(key)));
+  });
 }
 
-app.post("/setup/api/console/run", requireSetupAuth, async (req, res) => {
-  const payload = req.body || {};
-  const cmd = String(payload.cmd || "").trim();
-  const arg = String(payload.arg || "").trim();
+// "scrypt$N$r$p$<salt>$<hash>", base64url salt and hash.
+async function hashSetupPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `scrypt$${N}$${r}$${p}$${salt.toString("base64url")}$${key.toString("base64url")}`;
+}
 
-  if (!isAllowedConsoleCmd(cmd)) {
-    return res.status(400).json({ ok: false, error: "Command not allowed. Must be gateway.* or openclaw.*" });
+async function verifySetupPassword(password, stored) {
+  const parts = String(stored || "").split("$");
+  if (parts.length !== 6 || parts[0] !== "scrypt") return false;
+  const [N, r, p] = parts.slice(1, 4).map(Number);
+  const expected = Buffer.from(parts[5], "base64url");
+  const key = await scryptAsync(password, Buffer.from(parts[4], "base64url"), { N, r, p }).catch(() => null);
+  return Boolean(key) && key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+function readSetupUsers() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(setupUsersPath(), "utf8"));
+    return parsed?.users && typeof parsed.users === "object" ? parsed.users : {};
+  } catch {
+    return {};
   }
-  if (SHELL_UNSAFE.test(cmd) || SHELL_UNSAFE.test(arg)) {
-    return res.status(400).json({ ok: false, error: "Invalid characters in command or argument" });
+}
+
+function writeSetupUsers(users) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const p = setupUsersPath();
+  fs.writeFileSync(`${p}.tmp`, JSON.stringify({ users }, null, 2) + "\n", { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(`${p}.tmp`, p);
+}
+
+// The identity for a username, or null when the account doesn't exist (any more).
+function setupIdentity(username) {
+  if (username === SETUP_BUILTIN_USER) return { username, role: "admin", builtin: true };
+  const user = readSetupUsers()[username];
+  return user && SETUP_ROLES.includes(user.role) ? { username, role: user.role, builtin: false } : null;
+}
+
+// Checks a username/password pair; resolves to the identity or null.
+async function verifySetupCredentials(username, password) {
+  const name = String(username || "").trim().toLowerCase() || SETUP_BUILTIN_USER;
+  if (!password) return null;
+  if (name === SETUP_BUILTIN_USER) return (await verifyBuiltinPassword(password)) ? setupIdentity(name) : null;
+  const user = readSetupUsers()[name];
+  if (!user) {
+    // Same cost as a real check, so response times don't reveal which usernames exist.
+    await verifySetupPassword(password, `scrypt$${SCRYPT_PARAMS.N}$8$1$AAAAAAAAAAAAAAAAAAAAAA$AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA`);
+    return null;
+  }
+  return (await verifySetupPassword(password, user.passwordHash)) ? setupIdentity(name) : null;
+}
+
+// Validate a create/update request against the current users; throws with a user-facing message.
+function normalizeSetupUserInput(input = {}, users = {}) {
+  const username = String(input.username || "").trim().toLowerCase();
+  if (!SETUP_USERNAME_RE.test(username)) throw new Error("Username must be 1-32 lowercase letters, digits, dots, dashes or underscores");
+  if (username === SETUP_BUILTIN_USER) throw new Error(`"${SETUP_BUILTIN_USER}" is reserved for SETUP_PASSWORD`);
+  const role = String(input.role || "");
+  if (!SETUP_ROLES.includes(role)) throw new Error(`Role must be one of ${SETUP_ROLES.join(", ")}`);
+  const password = input.password ? String(input.password) : "";
+  const exists = Boolean(users[username]);
+  if (!exists && !password) throw new Error("A password is required for new users");
+  if (password && password.length < SETUP_MIN_PASSWORD_LENGTH) throw new Error(`Passwords need at least ${SETUP_MIN_PASSWORD_LENGTH} characters`);
+  return { username, role, password, exists };
+}
+
+const basicAuthCache = new Map(); // sha256 of the credential -> { identity username, expiresAt }
+
+async function verifyBasicCredentials(username, password) {
+  const key = crypto.createHash("sha256").update(`${username}\0${password}`).digest("hex");
+  const cached = basicAuthCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return setupIdentity(cached.username);
+  const identity = await verifySetupCredentials(username, password);
+  if (identity) {
+    if (basicAuthCache.size > 1000) basicAuthCache.clear();
+    basicAuthCache.set(key, { username: identity.username, expiresAt: Date.now() + BASIC_AUTH_CACHE_MS });
   }
+  return identity;
+}
+
+// Route guard placed after requireSetupAuth: `requireSetupAuth, requireRole("admin")`.
+function requireRole(min) {
+  return (req, res, next) => {
+    if (roleAtLeast(req.auth?.user?.role, min)) return next();
+    return res.status(403).json({ ok: false, error: `Requires the ${min} role` });
+  };
+}
+
+// --- Setup password ---
+// The built-in admin's password. SETUP_PASSWORD may be plain text or a "scrypt$…" hash (npm run
+// hash-password). Changing the password in the UI, which asks for the current one, stores a
+// scrypt hash in STATE_DIR/setup-password.json that takes precedence over SETUP_PASSWORD from
+// then on. Without SETUP_PASSWORD the first boot generates a password, logs it once and
+// stores its hash, so it no longer changes on every restart.
+// Break glass: create STATE_DIR/setup-password.reset or set SETUP_PASSWORD_RESET=true and
+// restart. The stored hash is discarded, so SETUP_PASSWORD applies again (or a new password is
+// generated and logged). The reset file is deleted once used; remove the variable afterwards.
+// A generated password is also dropped as soon as SETUP_PASSWORD is set.
+const SETUP_PASSWORD_HASH_RE = /^scrypt\$\d+\$\d+\$\d+\$[\w-]+\$[\w-]+$/;
+const SETUP_PASSWORD_RESET = /^(1|true|yes)$/i.test(process.env.SETUP_PASSWORD_RESET?.trim() || "");
+
+function setupPasswordPath() {
+  return path.join(STATE_DIR, "setup-password.json");
+}
 
+function setupPasswordResetPath() {
+  return path.join(STATE_DIR, "setup-password.reset");
+}
+
+function readStoredSetupPassword() {
   try {
-    if (cmd === "gateway.restart") {
-      await restartGateway();
-      return res.json({ ok: true, output: "Gateway restarted (wrapper-managed).\n" });
+    const parsed = JSON.parse(fs.readFileSync(setupPasswordPath(), "utf8"));
+    return SETUP_PASSWORD_HASH_RE.test(parsed?.hash || "") ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeStoredSetupPassword(record) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const p = setupPasswordPath();
+  fs.writeFileSync(`${p}.tmp`, JSON.stringify(record, null, 2) + "\n", { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(`${p}.tmp`, p);
+}
+
+// Decides where the built-in password comes from: { source, hash } or { source, plain }.
+// source is "stored", "env-hash", "env" or "generated".
+function resolveSetupPassword(env = process.env.SETUP_PASSWORD?.trim() || "") {
+  const resetFile = fs.existsSync(setupPasswordResetPath());
+  if (resetFile || SETUP_PASSWORD_RESET) {
+    const had = fs.existsSync(setupPasswordPath());
+    fs.rmSync(setupPasswordPath(), { force: true });
+    fs.rmSync(setupPasswordResetPath(), { force: true });
+    const via = resetFile ? "setup-password.reset" : "SETUP_PASSWORD_RESET";
+    console.warn(`[auth] setup password reset via ${via}${had ? "; the stored password was discarded" : ""}`);
+    if (SETUP_PASSWORD_RESET) console.warn("[auth] remove SETUP_PASSWORD_RESET, or password changes made in /setup are lost on every restart");
+  }
+
+  // A generated password only stands in for SETUP_PASSWORD; setting the variable replaces it.
+  let stored = readStoredSetupPassword();
+  if (stored?.generated && env) {
+    fs.rmSync(setupPasswordPath(), { force: true });
+    stored = null;
+  }
+  if (stored) {
+    if (env) console.log(`[auth] using the setup password changed in /setup on ${stored.updatedAt}; SETUP_PASSWORD is ignored until a reset`);
+    return { source: stored.generated ? "generated" : "stored", hash: stored.hash, updatedAt: stored.updatedAt, changedBy: stored.changedBy ?? null };
+  }
+  if (SETUP_PASSWORD_HASH_RE.test(env)) return { source: "env-hash", hash: env };
+  if (env) return { source: "env", plain: env };
+
+  const generated = crypto.randomBytes(16).toString("base64url");
+  console.warn("=".repeat(60));
+  console.warn("[wrapper] SETUP_PASSWORD not set. Generated password:");
+  console.warn(`[wrapper]   ${generated}`);
+  console.warn("[wrapper] It is kept across restarts; change it in /setup or set SETUP_PASSWORD.");
+  console.warn("=".repeat(60));
+  const updatedAt = new Date().toISOString();
+  hashSetupPassword(generated)
+    .then((hash) => writeStoredSetupPassword({ hash, updatedAt, generated: true }))
+    .catch((err) => console.warn(`[auth] could not store the generated setup password: ${String(err)}`));
+  return { source: "generated", plain: generated, updatedAt };
+}
+
+// Set by a break-glass reset: the built-in account may sign in through a global lockout
+// (still throttled per IP) until it has signed in once, so an ongoing attack can't keep the
+// owner out after they reset the password.
+let setupPasswordBreakGlass = SETUP_PASSWORD_RESET || fs.existsSync(setupPasswordResetPath());
+let setupPassword = resolveSetupPassword();
+
+async function verifyBuiltinPassword(password) {
+  if (setupPassword.hash) return verifySetupPassword(password, setupPassword.hash);
+  return secretsEqual(password, setupPassword.plain);
+}
+
+async function changeBuiltinPassword(newPassword, changedBy) {
+  const record = { hash: await hashSetupPassword(newPassword), updatedAt: new Date().toISOString(), changedBy };
+  writeStoredSetupPassword(record);
+  setupPassword = { source: "stored", ...record };
+  basicAuthCache.clear();
+}
+
+function setupPasswordSummary() {
+  return {
+    source: setupPassword.source,
+    updatedAt: setupPassword.updatedAt ?? null,
+    changedBy: setupPassword.changedBy ?? null,
+    resetVariableSet: SETUP_PASSWORD_RESET,
+    minPasswordLength: SETUP_MIN_PASSWORD_LENGTH,
+  };
+}
+
+// --- Two-factor authentication ---
+// Any Setup account can enroll a TOTP authenticator (RFC 6238: SHA-1, 6 digits, 30 s steps,
+// one step of clock drift either way). Secrets are encrypted with AES-256-GCM under
+// SETUP_2FA_KEY, or under a random key kept in STATE_DIR/setup-2fa.key when that isn't set,
+// and stored with SHA-256 hashes of ten single-use recovery codes in STATE_DIR/setup-2fa.json.
+// An enrolled account can only sign in through the login page with a code; Basic auth is
+// refused for it, so every HTTP route and the terminal WebSocket sit behind the second factor.
+const TOTP_STEP_MS = 30_000;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = "OpenClaw Setup";
+const TWO_FACTOR_RECOVERY_CODES = 10;
+// An enrollment that isn't confirmed with a code within this time has to be started over.
+const TWO_FACTOR_ENROLL_MS = 10 * 60 * 1000;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function twoFactorPath() {
+  return path.join(STATE_DIR, "setup-2fa.json");
+}
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
     }
-    if (cmd === "gateway.stop") {
-      if (gatewayProc) {
-        try { gatewayProc.kill("SIGTERM"); } catch { }
-        await sleep(750);
-        gatewayProc = null;
-      }
-      return res.json({ ok: true, output: "Gateway stopped (wrapper-managed).\n" });
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of String(str).toUpperCase().replace(/[\s=-]/g, "")) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx < 0) throw new Error("Invalid base32");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
     }
-    if (cmd === "gateway.start") {
-      const r = await ensureGatewayRunning();
-      return res.json({ ok: Boolean(r.ok), output: r.ok ? "Gateway started.\n" : `Gateway not started: ${r.reason}\n` });
+  }
+  return Buffer.from(out);
+}
+
+function totpCode(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", secret).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+// The time step a code matches (current one ±1), or null. Steps at or before lastCounter were
+// already used and are refused, so a code can't be replayed.
+function verifyTotp(secret, code, now = Date.now(), lastCounter = -1) {
+  const digits = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(digits)) return null;
+  const current = Math.floor(now / TOTP_STEP_MS);
+  for (const counter of [current - 1, current, current + 1]) {
+    if (counter <= lastCounter) continue;
+    if (secretsEqual(totpCode(secret, counter), digits)) return counter;
+  }
+  return null;
+}
+
+function otpauthUrl(username, secretBase32) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+  return `otpauth://totp/${label}?secret=${secretBase32}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_MS / 1000}`;
+}
+
+// Recovery codes look like "k3xq9-7pm2w"; only their hashes are stored.
+function generateRecoveryCodes() {
+  const alphabet = "abcdefghjkmnpqrstuvwxyz23456789";
+  return Array.from({ length: TWO_FACTOR_RECOVERY_CODES }, () => {
+    const chars = Array.from(crypto.randomBytes(10), (b) => alphabet[b % alphabet.length]).join("");
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+  });
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash("sha256").update(String(code).trim().toLowerCase().replace(/[\s-]/g, "")).digest("hex");
+}
+
+let twoFactorKey = null;
+
+function getTwoFactorKey() {
+  if (twoFactorKey) return twoFactorKey;
+  const configured = process.env.SETUP_2FA_KEY?.trim();
+  if (configured) {
+    twoFactorKey = crypto.createHash("sha256").update(configured).digest();
+    return twoFactorKey;
+  }
+  const keyPath = path.join(STATE_DIR, "setup-2fa.key");
+  try {
+    twoFactorKey = Buffer.from(fs.readFileSync(keyPath, "utf8").trim(), "base64");
+  } catch {
+    twoFactorKey = crypto.randomBytes(32);
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    fs.writeFileSync(keyPath, twoFactorKey.toString("base64") + "\n", { encoding: "utf8", mode: 0o600 });
+  }
+  return twoFactorKey;
+}
+
+// "<iv>.<tag>.<ciphertext>", base64url.
+function encryptTwoFactorSecret(plain, key = getTwoFactorKey()) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ct = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ct].map((b) => b.toString("base64url")).join(".");
+}
+
+function decryptTwoFactorSecret(stored, key = getTwoFactorKey()) {
+  const [iv, tag, ct] = String(stored).split(".").map((p) => Buffer.from(p, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ct), decipher.final()]);
+}
+
+function readTwoFactor() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(twoFactorPath(), "utf8"));
+    return parsed?.users && typeof parsed.users === "object" ? parsed.users : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeTwoFactor(users) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const p = twoFactorPath();
+  fs.writeFileSync(`${p}.tmp`, JSON.stringify({ users }, null, 2) + "\n", { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(`${p}.tmp`, p);
+}
+
+function twoFactorEnabled(username) {
+  return Boolean(readTwoFactor()[username]);
+}
+
+function twoFactorSummary(username) {
+  const entry = readTwoFactor()[username];
+  return entry
+    ? { enabled: true, enrolledAt: entry.enrolledAt, recoveryCodesLeft: entry.recoveryCodes.length }
+    : { enabled: false };
+}
+
+// Checks a TOTP or recovery code for an enrolled user and consumes it. Returns
+// { ok, recovery } where recovery is true when a recovery code was used.
+function consumeSecondFactor(username, code) {
+  const users = readTwoFactor();
+  const entry = users[username];
+  if (!entry || !code) return { ok: false };
+  let counter = null;
+  try {
+    counter = verifyTotp(decryptTwoFactorSecret(entry.secret), code, Date.now(), entry.lastCounter ?? -1);
+  } catch (err) {
+    console.warn(`[auth] cannot decrypt the 2FA secret of ${username} (was SETUP_2FA_KEY changed?): ${String(err)}`);
+  }
+  if (counter != null) {
+    entry.lastCounter = counter;
+    writeTwoFactor(users);
+    return { ok: true, recovery: false };
+  }
+  const idx = entry.recoveryCodes.indexOf(hashRecoveryCode(code));
+  if (idx < 0) return { ok: false };
+  entry.recoveryCodes.splice(idx, 1);
+  writeTwoFactor(users);
+  console.log(`[auth] ${username} used a recovery code (${entry.recoveryCodes.length} left)`);
+  return { ok: true, recovery: true };
+}
+
+const pendingTwoFactor = new Map(); // username -> { secret, expiresAt }
+
+function startTwoFactorEnrollment(username) {
+  const secret = crypto.randomBytes(20);
+  pendingTwoFactor.set(username, { secret, expiresAt: Date.now() + TWO_FACTOR_ENROLL_MS });
+  const secretBase32 = base32Encode(secret);
+  return { secret: secretBase32, otpauthUrl: otpauthUrl(username, secretBase32) };
+}
+
+// Confirms a pending enrollment with a first code; returns the recovery codes, or null.
+function finishTwoFactorEnrollment(username, code) {
+  const pending = pendingTwoFactor.get(username);
+  if (!pending || pending.expiresAt <= Date.now()) return null;
+  const counter = verifyTotp(pending.secret, code);
+  if (counter == null) return null;
+  pendingTwoFactor.delete(username);
+  const recoveryCodes = generateRecoveryCodes();
+  writeTwoFactor({
+    ...readTwoFactor(),
+    [username]: {
+      secret: encryptTwoFactorSecret(pending.secret),
+      recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      lastCounter: counter,
+      enrolledAt: new Date().toISOString(),
+    },
+  });
+  return recoveryCodes;
+}
+
+function removeTwoFactor(username) {
+  const users = readTwoFactor();
+  if (!users[username]) return false;
+  delete users[username];
+  writeTwoFactor(users);
+  return true;
+}
+
+// --- Sign-in throttling ---
+// Every password check (the login page, Basic auth, the terminal WebSocket) and every 2FA code
+// (at login and in Account) is counted per client IP. After each failure the IP must wait:
+// 1 s, 2 s, 4 s… for the first SETUP_AUTH_MAX_FAILURES, then a lockout of
+// SETUP_AUTH_LOCKOUT_SECONDS that doubles with each further failure, up to an hour. More than
+// SETUP_AUTH_GLOBAL_MAX_FAILURES failures across all IPs within 15 minutes locks out every
+// new sign-in until the window cools down; existing sessions keep working, and a break-glass
+// password reset lets the built-in account sign in once regardless. A success clears the IP's
+// count; an IP's count is forgotten an hour after its last failure.
+// Client IPs come from X-Forwarded-For, trusting TRUSTED_PROXY_HOPS proxies in front of the
+// wrapper. It defaults to 0 (the socket address), since trusting a hop that isn't there lets
+// clients pick their own IP; railway.toml sets 1 for Railway's edge. Failures are appended to
+// STATE_DIR/auth-failures.jsonl for admins to review.
+const TRUSTED_PROXY_HOPS = Math.max(0, Number.parseInt(process.env.TRUSTED_PROXY_HOPS ?? "0", 10) || 0);
+const AUTH_MAX_FAILURES = Math.max(1, Number.parseInt(process.env.SETUP_AUTH_MAX_FAILURES ?? "5", 10) || 5);
+const AUTH_LOCKOUT_MS = Math.max(1, Number.parseInt(process.env.SETUP_AUTH_LOCKOUT_SECONDS ?? "60", 10) || 60) * 1000;
+const AUTH_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+const AUTH_FAILURE_TTL_MS = 60 * 60 * 1000;
+const AUTH_GLOBAL_MAX_FAILURES = Math.max(1, Number.parseInt(process.env.SETUP_AUTH_GLOBAL_MAX_FAILURES ?? "100", 10) || 100);
+const AUTH_GLOBAL_WINDOW_MS = 15 * 60 * 1000;
+const AUTH_FAILURES_MAX_BYTES = 1024 * 1024;
+const AUTH_FAILURES_KEEP_ENTRIES = 2000;
+
+// The address the request came from, skipping the addresses our trusted proxies appended.
+function clientIp(req, hops = TRUSTED_PROXY_HOPS) {
+  const forwarded = String(req.headers["x-forwarded-for"] || "").split(",").map((s) => s.trim()).filter(Boolean);
+  const chain = [...forwarded, req.socket?.remoteAddress || "unknown"];
+  return chain[Math.max(0, chain.length - 1 - hops)].replace(/^::ffff:/, "");
+}
+
+// How long an IP must wait after its nth consecutive failure.
+function authLockoutMs(failures) {
+  if (failures <= 0) return 0;
+  if (failures < AUTH_MAX_FAILURES) return 1000 * 2 ** (failures - 1);
+  return Math.min(AUTH_LOCKOUT_MAX_MS, AUTH_LOCKOUT_MS * 2 ** (failures - AUTH_MAX_FAILURES));
+}
+
+function authFailuresPath() {
+  return path.join(STATE_DIR, "auth-failures.jsonl");
+}
+
+function readAuthFailures() {
+  try {
+    return fs.readFileSync(authFailuresPath(), "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        try { return JSON.parse(line); } catch { return null; }
+      })
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+function createAuthThrottle() {
+  const byIp = new Map(); // ip -> { failures, lastFailureAt, lockedUntil }
+  let recent = []; // timestamps of failures within AUTH_GLOBAL_WINDOW_MS, all IPs
+
+  function prune(now) {
+    recent = recent.filter((t) => t > now - AUTH_GLOBAL_WINDOW_MS);
+    for (const [ip, s] of byIp) if (s.lastFailureAt <= now - AUTH_FAILURE_TTL_MS) byIp.delete(ip);
+  }
+
+  // Milliseconds until this IP may try a password again (0 when it may now). global: false
+  // leaves out the all-IP lockout, for callers that are already signed in or breaking glass.
+  function retryAfterMs(ip, { global = true, now = Date.now() } = {}) {
+    prune(now);
+    const own = Math.max(0, (byIp.get(ip)?.lockedUntil ?? 0) - now);
+    if (!global) return own;
+    const everyone = recent.length >= AUTH_GLOBAL_MAX_FAILURES ? recent[recent.length - AUTH_GLOBAL_MAX_FAILURES] + AUTH_GLOBAL_WINDOW_MS - now : 0;
+    return Math.max(own, everyone);
+  }
+
+  function fail(ip, details = {}) {
+    const now = Date.now();
+    prune(now);
+    const s = byIp.get(ip) || { failures: 0 };
+    s.failures += 1;
+    s.lastFailureAt = now;
+    s.lockedUntil = now + authLockoutMs(s.failures);
+    byIp.set(ip, s);
+    recent.push(now);
+    const entry = { ts: new Date(now).toISOString(), ip, failures: s.failures, lockedForMs: s.lockedUntil - now, ...details };
+    if (s.failures >= AUTH_MAX_FAILURES) console.warn(`[auth] ${ip} locked out for ${Math.round(entry.lockedForMs / 1000)}s after ${s.failures} failed attempts`);
+    try {
+      const p = authFailuresPath();
+      fs.mkdirSync(path.dirname(p), { recursive: true });
+      fs.appendFileSync(p, JSON.stringify(entry) + "\n", { encoding: "utf8", mode: 0o600 });
+      if (fs.statSync(p).size > AUTH_FAILURES_MAX_BYTES) {
+        const kept = readAuthFailures().slice(-AUTH_FAILURES_KEEP_ENTRIES);
+        fs.writeFileSync(p, kept.map((e) => JSON.stringify(e)).join("\n") + "\n", { encoding: "utf8", mode: 0o600 });
+      }
+    } catch {
+      // best-effort
     }
+    return entry;
+  }
 
-    if (cmd === "openclaw.version") {
-      const r = await runCmd(OPENCLAW_NODE, clawArgs(["--version"]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+  function succeed(ip) {
+    byIp.delete(ip);
+  }
+
+  function unlock(ip) {
+    if (ip) return byIp.delete(ip);
+    byIp.clear();
+    recent = [];
+    return true;
+  }
+
+  function status() {
+    const now = Date.now();
+    prune(now);
+    return {
+      lockouts: [...byIp].filter(([, s]) => s.lockedUntil > now)
+        .map(([ip, s]) => ({ ip, failures: s.failures, lockedUntil: new Date(s.lockedUntil).toISOString() })),
+      global: { failures: recent.length, max: AUTH_GLOBAL_MAX_FAILURES, windowMs: AUTH_GLOBAL_WINDOW_MS, retryAfterMs: retryAfterMs(null, { now }) },
+    };
+  }
+
+  return { retryAfterMs, fail, succeed, unlock, status };
+}
+
+const authThrottle = createAuthThrottle();
+
+// --- Audit log ---
+// Every setup action that changes something — config and env saves, setup runs, resets,
+// wipes, backup import/export, device and pairing decisions, console and restricted-terminal
+// commands, terminal sessions, builds and updates, user and 2FA changes — is appended to
+// STATE_DIR/audit.jsonl with the acting user, their IP and a timestamp. Config saves record a
+// diff of the changed keys; values under secret-looking keys are masked and env saves only
+// name the variables that changed. The file is never rewritten: past AUDIT_LOG_MAX_BYTES it is
+// renamed to audit.jsonl.1 (replacing the previous one) and a fresh file is started; reads
+// span both.
+const AUDIT_LOG_MAX_BYTES = 10 * 1024 * 1024;
+const AUDIT_DIFF_MAX_CHANGES = 100;
+const AUDIT_VALUE_MAX_CHARS = 200;
+const AUDIT_SECRET_KEY_RE = /token|secret|passw(?:or)?d|api[_-]?key|private[_-]?key|credential|cookie|authorization/i;
+
+function auditLogPath() {
+  return path.join(STATE_DIR, "audit.jsonl");
+}
+
+function readAuditLog() {
+  const entries = [];
+  for (const p of [`${auditLogPath()}.1`, auditLogPath()]) {
+    try {
+      for (const line of fs.readFileSync(p, "utf8").split("\n")) {
+        if (!line) continue;
+        try { entries.push(JSON.parse(line)); } catch { }
+      }
+    } catch {
+      // not there yet
     }
-    if (cmd === "openclaw.status") {
-      const r = await runCmd(OPENCLAW_NODE, clawArgs(["status"]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+  }
+  return entries;
+}
+
+function recordAudit(req, action, details = {}) {
+  const user = req.auth?.user;
+  const entry = {
+    ts: new Date().toISOString(),
+    action,
+    actor: user?.username ?? null,
+    role: user?.role ?? null,
+    via: req.auth?.via ?? null,
+    ip: clientIp(req),
+    instance: req.instance?.name,
+    ...details,
+  };
+  try {
+    const p = auditLogPath();
+    fs.mkdirSync(path.dirname(p), { recursive: true });
+    try {
+      if (fs.statSync(p).size > AUDIT_LOG_MAX_BYTES) fs.renameSync(p, `${p}.1`);
+    } catch {
+      // first entry
     }
-    if (cmd === "openclaw.health") {
-      const r = await runCmd(OPENCLAW_NODE, clawArgs(["health"]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    fs.appendFileSync(p, JSON.stringify(entry) + "\n", { encoding: "utf8", mode: 0o600 });
+  } catch (err) {
+    console.warn(`[audit] could not record ${action}: ${String(err)}`);
+  }
+  return entry;
+}
+
+// A value as it may appear in the audit log: masked under secret-looking keys, otherwise run
+// through redactSecrets and shortened.
+function redactAuditValue(key, value) {
+  if (value === undefined || value === null || value === "") return value;
+  if (AUDIT_SECRET_KEY_RE.test(key)) return "[REDACTED]";
+  if (Array.isArray(value)) return value.map((v) => redactAuditValue(key, v));
+  if (typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactAuditValue(k, v)]));
+  }
+  if (typeof value !== "string") return value;
+  const text = redactSecrets(value);
+  return text.length > AUDIT_VALUE_MAX_CHARS ? `${text.slice(0, AUDIT_VALUE_MAX_CHARS)}…` : text;
+}
+
+// { "a.b": 1, "list.0": "x" } — leaves of a JSON document by dotted path.
+function flattenJson(value, prefix = "", out = {}) {
+  if (value && typeof value === "object" && Object.keys(value).length) {
+    for (const [k, v] of Object.entries(value)) flattenJson(v, prefix ? `${prefix}.${k}` : k, out);
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+// Diff of two config file contents. Returns { unparsed: true } when either side isn't JSON.
+function auditConfigDiff(beforeText, afterText) {
+  let before;
+  let after;
+  try {
+    before = beforeText.trim() ? JSON.parse(beforeText) : {};
+    after = afterText.trim() ? JSON.parse(afterText) : {};
+  } catch {
+    return { unparsed: true };
+  }
+  const a = flattenJson(before);
+  const b = flattenJson(after);
+  const changes = [];
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (key in a && key in b && JSON.stringify(a[key]) === JSON.stringify(b[key])) continue;
+    const change = { path: key, op: !(key in a) ? "added" : !(key in b) ? "removed" : "changed" };
+    if (key in a) change.from = redactAuditValue(key, a[key]);
+    if (key in b) change.to = redactAuditValue(key, b[key]);
+    changes.push(change);
+  }
+  return { total: changes.length, changes: changes.slice(0, AUDIT_DIFF_MAX_CHANGES) };
+}
+
+function parseEnvFile(text) {
+  const vars = new Map();
+  for (const line of text.split(/\r?\n/)) {
+    const m = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=(.*)$/);
+    if (m) vars.set(m[1], m[2].trim());
+  }
+  return vars;
+}
+
+// Which variables an .env save added, removed or changed — names only, never values.
+function auditEnvDiff(beforeText, afterText) {
+  const a = parseEnvFile(beforeText);
+  const b = parseEnvFile(afterText);
+  const changes = [];
+  for (const key of new Set([...a.keys(), ...b.keys()])) {
+    if (!a.has(key)) changes.push({ path: key, op: "added" });
+    else if (!b.has(key)) changes.push({ path: key, op: "removed" });
+    else if (a.get(key) !== b.get(key)) changes.push({ path: key, op: "changed" });
+  }
+  return { total: changes.length, changes: changes.slice(0, AUDIT_DIFF_MAX_CHANGES) };
+}
+
+// Filters for the audit view and export. action matches exactly or by prefix ("device" matches
+// device.approve); q searches the whole entry.
+function queryAuditLog(query = {}) {
+  const list = (v) => String(v || "").split(",").map((s) => s.trim()).filter(Boolean);
+  const actions = list(query.action);
+  const actors = list(query.actor);
+  const q = String(query.q || "").trim().toLowerCase();
+  const since = query.since ? Date.parse(String(query.since)) : NaN;
+  const until = query.until ? Date.parse(String(query.until)) : NaN;
+  const limit = Math.max(1, Math.min(10_000, Number.parseInt(String(query.limit || "200"), 10) || 200));
+
+  const all = readAuditLog();
+  let entries = all;
+  if (actions.length) entries = entries.filter((e) => actions.some((a) => e.action === a || e.action?.startsWith(`${a}.`)));
+  if (actors.length) entries = entries.filter((e) => actors.includes(e.actor ?? "-"));
+  if (Number.isFinite(since)) entries = entries.filter((e) => Date.parse(e.ts) >= since);
+  if (Number.isFinite(until)) entries = entries.filter((e) => Date.parse(e.ts) <= until);
+  if (q) entries = entries.filter((e) => JSON.stringify(e).toLowerCase().includes(q));
+
+  return {
+    total: entries.length,
+    entries: entries.slice(-limit).reverse(),
+    actions: [...new Set(all.map((e) => e.action))].sort(),
+    actors: [...new Set(all.map((e) => e.actor ?? "-"))].sort(),
+  };
+}
+
+// --- Admin sessions ---
+// The Setup UI signs in once via POST /setup/api/auth/login and then uses an HttpOnly,
+// SameSite=Strict session cookie scoped to /setup. Sessions expire after
+// SETUP_SESSION_TTL_HOURS and are kept (as SHA-256 hashes of their IDs) in
+// STATE_DIR/setup-sessions.json so they survive restarts and can be revoked server-side.
+// Cookie-authenticated requests that change state must echo the session's CSRF token in
+// X-CSRF-Token. Basic auth (user:password, or :SETUP_PASSWORD) keeps working for scripts;
+// those requests carry no ambient credentials and skip the CSRF check. A session belongs to
+// one user and picks up role changes immediately; deleting the user ends it.
+const SETUP_SESSION_COOKIE = "openclaw_setup_session";
+const SETUP_SESSION_TTL_MS = Math.max(1, Number.parseFloat(process.env.SETUP_SESSION_TTL_HOURS ?? "12") || 12) * 60 * 60 * 1000;
+const CSRF_SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+function setupSessionsPath() {
+  return path.join(STATE_DIR, "setup-sessions.json");
+}
+
+// Compares two secrets in constant time, whatever their lengths.
+function secretsEqual(a, b) {
+  const digest = (v) => crypto.createHash("sha256").update(String(v)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function hashSessionId(id) {
+  return crypto.createHash("sha256").update(id).digest("hex");
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx < 0) continue;
+    const name = part.slice(0, idx).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      cookies[name] = part.slice(idx + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+function requestIsHttps(req) {
+  return Boolean(req.socket?.encrypted) || String(req.headers["x-forwarded-proto"] || "").split(",")[0].trim() === "https";
+}
+
+function sessionCookie(req, value, maxAgeMs) {
+  const attrs = [
+    `${SETUP_SESSION_COOKIE}=${value}`,
+    "Path=/setup",
+    "HttpOnly",
+    "SameSite=Strict",
+    `Max-Age=${Math.max(0, Math.floor(maxAgeMs / 1000))}`,
+  ];
+  if (requestIsHttps(req)) attrs.push("Secure");
+  return attrs.join("; ");
+}
+
+function createSetupSessionStore() {
+  let sessions = null; // id hash -> { username, createdAt, expiresAt, lastSeenAt, csrfToken, userAgent }
+
+  function load() {
+    if (sessions) return sessions;
+    sessions = new Map();
+    try {
+      const stored = JSON.parse(fs.readFileSync(setupSessionsPath(), "utf8"));
+      for (const [hash, s] of Object.entries(stored?.sessions || {})) {
+        if (s?.expiresAt > Date.now()) sessions.set(hash, s);
+      }
+    } catch {
+      // no sessions yet
+    }
+    return sessions;
+  }
+
+  function persist() {
+    const p = setupSessionsPath();
+    try {
+      fs.mkdirSync(path.dirname(p), { recursive: true });
+      fs.writeFileSync(`${p}.tmp`, JSON.stringify({ sessions: Object.fromEntries(load()) }) + "\n", { encoding: "utf8", mode: 0o600 });
+      fs.renameSync(`${p}.tmp`, p);
+    } catch (err) {
+      console.warn(`[auth] failed to save sessions: ${String(err)}`);
+    }
+  }
+
+  function create(req, username) {
+    const id = crypto.randomBytes(32).toString("base64url");
+    const now = Date.now();
+    const session = {
+      username,
+      createdAt: now,
+      expiresAt: now + SETUP_SESSION_TTL_MS,
+      lastSeenAt: now,
+      csrfToken: crypto.randomBytes(24).toString("base64url"),
+      userAgent: String(req.headers["user-agent"] || "").slice(0, 200),
+    };
+    for (const [hash, s] of load()) if (s.expiresAt <= now) sessions.delete(hash);
+    sessions.set(hashSessionId(id), session);
+    persist();
+    return { id, session };
+  }
+
+  // The live session for a raw cookie value, or null.
+  function lookup(id) {
+    if (!id) return null;
+    const hash = hashSessionId(id);
+    const session = load().get(hash);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      sessions.delete(hash);
+      persist();
+      return null;
+    }
+    session.lastSeenAt = Date.now();
+    return session;
+  }
+
+  function revoke(id) {
+    if (id && load().delete(hashSessionId(id))) persist();
+  }
+
+  // Sessions created before named users existed belong to the built-in account.
+  const ownerOf = (s) => s.username || SETUP_BUILTIN_USER;
+
+  // Ends every session of one user, optionally sparing one; returns how many ended.
+  function revokeAll(username, exceptId = null) {
+    const keep = exceptId ? hashSessionId(exceptId) : null;
+    let count = 0;
+    for (const [hash, s] of load()) {
+      if (ownerOf(s) !== username || hash === keep) continue;
+      sessions.delete(hash);
+      count += 1;
+    }
+    if (count) persist();
+    return count;
+  }
+
+  function count(username) {
+    const now = Date.now();
+    return [...load().values()].filter((s) => s.expiresAt > now && ownerOf(s) === username).length;
+  }
+
+  return { create, lookup, revoke, revokeAll, count, ownerOf };
+}
+
+const setupSessions = createSetupSessionStore();
+
+// Resolves how a request is authenticated: { via: "basic", user } or
+// { via: "session", id, session, user }, where user is { username, role, builtin }.
+// Correct Basic credentials of an account with two-factor auth come back with
+// needsSecondFactor set, and Basic attempts from a throttled IP with retryAfterMs set (the
+// password isn't checked); callers must refuse both. Resolves to null when the request isn't
+// authenticated; never rejects.
+async function authenticateSetupRequest(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, encoded] = header.split(" ");
+  if (scheme === "Basic" && encoded) {
+    const decoded = Buffer.from(encoded, "base64").toString("utf8");
+    const idx = decoded.indexOf(":");
+    const username = idx >= 0 ? decoded.slice(0, idx) : "";
+    const password = idx >= 0 ? decoded.slice(idx + 1) : "";
+    const ip = clientIp(req);
+    const retryAfterMs = authThrottle.retryAfterMs(ip);
+    if (retryAfterMs > 0) return { via: "basic", retryAfterMs };
+    const user = await verifyBasicCredentials(username, password);
+    if (!user) {
+      authThrottle.fail(ip, { via: "basic", username: username.trim().toLowerCase() || SETUP_BUILTIN_USER, path: String(req.originalUrl || req.url || "").split("?")[0], userAgent: String(req.headers["user-agent"] || "").slice(0, 200) });
+      return null;
+    }
+    authThrottle.succeed(ip);
+    return twoFactorEnabled(user.username) ? { via: "basic", user, needsSecondFactor: true } : { via: "basic", user };
+  }
+  const id = parseCookies(req.headers.cookie)[SETUP_SESSION_COOKIE];
+  const session = setupSessions.lookup(id);
+  if (!session) return null;
+  const user = setupIdentity(setupSessions.ownerOf(session));
+  if (!user) {
+    setupSessions.revoke(id);
+    return null;
+  }
+  return { via: "session", id, session, user };
+}
+
+async function requireSetupAuth(req, res, next) {
+  const auth = await authenticateSetupRequest(req);
+  if (!auth) {
+    // Don't send WWW-Authenticate header for API/XHR requests — it triggers
+    // the browser's native auth popup, which conflicts with our React login page.
+    return res.status(401).send(req.headers.authorization ? "Invalid password" : "Auth required");
+  }
+  if (auth.retryAfterMs) {
+    res.set("Retry-After", String(Math.ceil(auth.retryAfterMs / 1000)));
+    return res.status(429).send("Too many failed sign-in attempts; try again later");
+  }
+  if (auth.needsSecondFactor) {
+    return res.status(401).send(`Two-factor authentication is enabled for ${auth.user.username}; sign in at /setup`);
+  }
+  if (auth.via === "session" && !CSRF_SAFE_METHODS.has(req.method)) {
+    const token = req.get("x-csrf-token") || "";
+    if (!token || !secretsEqual(token, auth.session.csrfToken)) {
+      return res.status(403).json({ ok: false, error: "Invalid CSRF token" });
+    }
+  }
+  req.auth = auth;
+  return next();
+}
+
+const app = express();
+app.disable("x-powered-by");
+// Keep the raw bytes of JSON bodies: body-parser consumes the stream, so proxied requests
+// are re-sent from req.rawBody and the webhook spool stores it verbatim.
+app.use(express.json({
+  limit: "1mb",
+  verify: (req, _res, buf) => {
+    req.rawBody = buf;
+  },
+}));
+
+// Setup API calls act on the instance selected in the UI: X-OpenClaw-Instance header, or
+// ?instance= for streams opened without custom headers. Default instance otherwise.
+app.use("/setup/api", (req, res, next) => {
+  // The instance list is how the UI recovers from a stale selection, so never 404 it;
+  // sign-in doesn't act on an instance.
+  if (req.path === "/instances" || req.path === "/auth/login") return next();
+  const name = String(req.get("x-openclaw-instance") || req.query.instance || "default").trim().toLowerCase();
+  req.instance = GATEWAY_INSTANCES.get(name);
+  if (req.instance) return next();
+  // Authenticate before saying the name is unknown, so instance names can't be probed anonymously.
+  return requireSetupAuth(req, res, () => res.status(404).json({ ok: false, error: `Unknown instance: ${name}` }));
+});
+
+function namedInstances() {
+  return Array.from(GATEWAY_INSTANCES.values()).filter((i) => !i.isDefault);
+}
+
+function instanceSummary(inst) {
+  return {
+    name: inst.name,
+    isDefault: inst.isDefault,
+    configured: isConfigured(inst),
+    state: inst.gateway.state,
+    port: inst.gateway.port,
+    hosts: inst.hosts,
+    pathPrefix: inst.isDefault ? null : `${INSTANCE_PATH_PREFIX}${inst.name}/`,
+    stateDir: inst.stateDir,
+    workspaceDir: inst.workspaceDir,
+  };
+}
+
+// --- Liveness & readiness ---
+// /livez: the wrapper process is up and serving (always 200).
+// /readyz: 200 only when the default instance is configured and its gateway is ready;
+//   503 otherwise. With ?deep=1 (or HEALTH_DEEP=true) it also requires `openclaw health`
+//   to pass; that result is cached for HEALTH_DEEP_CACHE_MS and bounded by
+//   HEALTH_DEEP_TIMEOUT_MS. Named instances are listed but don't affect the status.
+// /setup/healthz is what railway.toml probes; HEALTHCHECK_MODE picks which of the above it
+//   answers as (live by default, matching its old always-ok behaviour).
+const HEALTHCHECK_MODES = ["live", "ready", "deep"];
+const HEALTHCHECK_MODE = HEALTHCHECK_MODES.includes(process.env.HEALTHCHECK_MODE?.trim().toLowerCase())
+  ? process.env.HEALTHCHECK_MODE.trim().toLowerCase()
+  : "live";
+const HEALTH_DEEP = (process.env.HEALTH_DEEP || "").trim().toLowerCase() === "true";
+const HEALTH_DEEP_CACHE_MS = Math.max(0, Number.parseInt(process.env.HEALTH_DEEP_CACHE_MS ?? "30000", 10) || 0);
+const HEALTH_DEEP_TIMEOUT_MS = Math.max(1_000, Number.parseInt(process.env.HEALTH_DEEP_TIMEOUT_MS ?? "10000", 10) || 10_000);
+
+let deepHealth = null; // last `openclaw health` result
+let deepHealthPending = null;
+
+// Runs `openclaw health` at most once per HEALTH_DEEP_CACHE_MS; concurrent callers share a run.
+function checkDeepHealth() {
+  if (deepHealth && Date.now() - deepHealth.checkedAtMs < HEALTH_DEEP_CACHE_MS) {
+    return Promise.resolve({ ...deepHealth, cached: true });
+  }
+  if (!deepHealthPending) {
+    const startedAt = Date.now();
+    deepHealthPending = runCmd(OPENCLAW_NODE, clawArgs(["health"]), { timeoutMs: HEALTH_DEEP_TIMEOUT_MS })
+      .then((r) => {
+        const output = redactSecrets(r.output || "").trim();
+        deepHealth = {
+          ok: r.code === 0,
+          code: r.code,
+          timedOut: r.code === 124,
+          durationMs: Date.now() - startedAt,
+          checkedAt: new Date().toISOString(),
+          checkedAtMs: Date.now(),
+          output: output.length > 2_000 ? `${output.slice(0, 2_000)}…` : output,
+        };
+        return { ...deepHealth, cached: false };
+      })
+      .finally(() => {
+        deepHealthPending = null;
+      });
+  }
+  return deepHealthPending;
+}
+
+function livenessReport() {
+  return { ok: true, status: "live", pid: process.pid, uptimeSeconds: Math.round(process.uptime()) };
+}
+
+async function readinessReport({ deep }) {
+  const configured = isConfigured();
+  const breaker = gateway.breakerStatus();
+  let reason = null;
+  if (!configured) reason = "not configured";
+  else if (breaker.tripped) reason = "auto-restart gave up";
+  else if (!gateway.isReady()) reason = `gateway ${gateway.state}`;
+
+  let health = null;
+  if (deep && !reason) {
+    const { checkedAtMs: _checkedAtMs, ...result } = await checkDeepHealth();
+    health = result;
+    if (!health.ok) reason = health.timedOut ? "openclaw health timed out" : "openclaw health failed";
+  }
+
+  return {
+    ok: !reason,
+    status: reason ? "not ready" : "ready",
+    reason,
+    configured,
+    gateway: { state: gateway.state, since: gateway.status().since, autoRestartTripped: breaker.tripped },
+    deep: health,
+    instances: namedInstances().map((i) => ({ name: i.name, configured: isConfigured(i), ready: i.gateway.isReady() })),
+  };
+}
+
+async function sendReadiness(res, deep) {
+  const report = await readinessReport({ deep });
+  res.status(report.ok ? 200 : 503).set("Cache-Control", "no-store").json(report);
+}
+
+app.get("/livez", (_req, res) => {
+  res.set("Cache-Control", "no-store").json(livenessReport());
+});
+
+app.get("/readyz", (req, res) => {
+  const deep = HEALTH_DEEP || ["1", "true"].includes(String(req.query.deep || "").toLowerCase());
+  return sendReadiness(res, deep);
+});
+
+// Railway health check (see railway.toml).
+app.get("/setup/healthz", (req, res) => {
+  if (HEALTHCHECK_MODE === "live") return res.set("Cache-Control", "no-store").json(livenessReport());
+  return sendReadiness(res, HEALTHCHECK_MODE === "deep" || HEALTH_DEEP);
+});
+
+// Checks Basic credentials or the session cookie; kept for scripts.
+app.get("/setup/api/auth/verify", requireSetupAuth, (_req, res) => {
+  res.json({ ok: true });
+});
+
+// Exchanges a username and password (or just SETUP_PASSWORD) for a session cookie. Accounts
+// with two-factor auth answer 401 with twoFactorRequired until the body also carries a
+// current TOTP or recovery code. The CSRF token is only ever returned in response bodies,
+// never in a cookie.
+app.post("/setup/api/auth/login", async (req, res) => {
+  const ip = clientIp(req);
+  const breakGlass = setupPasswordBreakGlass && (String(req.body?.username || "").trim().toLowerCase() || SETUP_BUILTIN_USER) === SETUP_BUILTIN_USER;
+  const retryAfterMs = authThrottle.retryAfterMs(ip, { global: !breakGlass });
+  if (retryAfterMs > 0) {
+    res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(429).json({ ok: false, locked: true, error: "Too many failed attempts", retryAfterMs });
+  }
+  const attempt = { via: "login", username: String(req.body?.username || "").trim().toLowerCase() || SETUP_BUILTIN_USER, userAgent: String(req.headers["user-agent"] || "").slice(0, 200) };
+  const user = await verifySetupCredentials(req.body?.username, String(req.body?.password ?? ""));
+  if (!user) {
+    const { lockedForMs } = authThrottle.fail(ip, { ...attempt, reason: "password" });
+    return res.status(401).json({ ok: false, error: "Invalid username or password", retryAfterMs: lockedForMs });
+  }
+  if (twoFactorEnabled(user.username)) {
+    const code = String(req.body?.code ?? "").trim();
+    if (!code) {
+      return res.status(401).json({ ok: false, twoFactorRequired: true, error: "Enter the code from your authenticator app" });
+    }
+    if (!consumeSecondFactor(user.username, code).ok) {
+      const { lockedForMs } = authThrottle.fail(ip, { ...attempt, reason: "code" });
+      return res.status(401).json({ ok: false, twoFactorRequired: true, error: "Invalid code", retryAfterMs: lockedForMs });
+    }
+  }
+  authThrottle.succeed(ip);
+  if (breakGlass) {
+    setupPasswordBreakGlass = false;
+    console.log("[auth] signed in after a setup password reset; the global sign-in lockout applies again");
+  }
+  const { id, session } = setupSessions.create(req, user.username);
+  console.log(`[auth] ${user.username} signed in (${user.role})`);
+  res.setHeader("set-cookie", sessionCookie(req, id, SETUP_SESSION_TTL_MS));
+  res.json({ ok: true, csrfToken: session.csrfToken, expiresAt: new Date(session.expiresAt).toISOString(), user, terminalRole: TERMINAL_MIN_ROLE });
+});
+
+// The current session (the UI calls this on load to pick up its CSRF token).
+app.get("/setup/api/auth/session", requireSetupAuth, (req, res) => {
+  const { via, session, user } = req.auth;
+  res.json({
+    ok: true,
+    via,
+    user,
+    terminalRole: TERMINAL_MIN_ROLE,
+    twoFactor: twoFactorEnabled(user.username),
+    csrfToken: session?.csrfToken ?? null,
+    expiresAt: session ? new Date(session.expiresAt).toISOString() : null,
+    activeSessions: setupSessions.count(user.username),
+  });
+});
+
+app.post("/setup/api/auth/logout", requireSetupAuth, (req, res) => {
+  if (req.auth.via === "session") setupSessions.revoke(req.auth.id);
+  res.setHeader("set-cookie", sessionCookie(req, "", 0));
+  res.json({ ok: true });
+});
+
+// Revokes every session of the calling user, including the caller's.
+app.post("/setup/api/auth/logout-all", requireSetupAuth, (req, res) => {
+  const revoked = setupSessions.revokeAll(req.auth.user.username);
+  console.log(`[auth] ${req.auth.user.username} signed out everywhere (${revoked} session(s) revoked)`);
+  res.setHeader("set-cookie", sessionCookie(req, "", 0));
+  res.json({ ok: true, revoked });
+});
+
+// The built-in admin password: where it currently comes from, and changing it. A wrong
+// current password counts as a failed sign-in. Other sessions of the built-in account end.
+app.get("/setup/api/auth/password", requireSetupAuth, requireRole("admin"), (_req, res) => {
+  res.json({ ok: true, ...setupPasswordSummary() });
+});
+
+app.post("/setup/api/auth/password", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  const ip = clientIp(req);
+  // Already signed in, so an all-IP lockout doesn't apply; wrong guesses still throttle this IP.
+  const retryAfterMs = authThrottle.retryAfterMs(ip, { global: false });
+  if (retryAfterMs > 0) {
+    res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(429).json({ ok: false, locked: true, error: "Too many failed attempts", retryAfterMs });
+  }
+  if (SETUP_PASSWORD_RESET) {
+    return res.status(409).json({ ok: false, error: "SETUP_PASSWORD_RESET is set, so a new password would be discarded on the next restart. Remove the variable first." });
+  }
+  const newPassword = String(req.body?.newPassword ?? "");
+  if (newPassword.length < SETUP_MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ ok: false, error: `Passwords need at least ${SETUP_MIN_PASSWORD_LENGTH} characters` });
+  }
+  const { username } = req.auth.user;
+  if (!(await verifyBuiltinPassword(String(req.body?.currentPassword ?? "")))) {
+    const { lockedForMs } = authThrottle.fail(ip, { via: "password-change", username, userAgent: String(req.headers["user-agent"] || "").slice(0, 200) });
+    return res.status(400).json({ ok: false, error: "The current password is wrong", retryAfterMs: lockedForMs });
+  }
+  await changeBuiltinPassword(newPassword, username);
+  const revoked = setupSessions.revokeAll(SETUP_BUILTIN_USER, req.auth.id);
+  console.log(`[auth] ${username} changed the setup password (${revoked} other session(s) of "${SETUP_BUILTIN_USER}" revoked)`);
+  recordAudit(req, "password.change", { revoked });
+  res.json({ ok: true, revoked, ...setupPasswordSummary() });
+});
+
+function setupUserSummary(username, user) {
+  return {
+    username,
+    role: user.role,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+    activeSessions: setupSessions.count(username),
+    twoFactor: twoFactorEnabled(username),
+  };
+}
+
+app.get("/setup/api/users", requireSetupAuth, requireRole("admin"), (_req, res) => {
+  const users = readSetupUsers();
+  res.json({
+    ok: true,
+    builtin: SETUP_BUILTIN_USER,
+    roles: SETUP_ROLES,
+    minPasswordLength: SETUP_MIN_PASSWORD_LENGTH,
+    users: Object.entries(users)
+      .map(([name, user]) => setupUserSummary(name, user))
+      .sort((a, b) => a.username.localeCompare(b.username)),
+  });
+});
+
+// Creates a user or updates an existing one's role and/or password. A new password signs
+// the user out everywhere.
+app.post("/setup/api/users", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  const users = readSetupUsers();
+  let input;
+  try {
+    input = normalizeSetupUserInput(req.body, users);
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+  const now = new Date().toISOString();
+  const user = { ...(users[input.username] || { createdAt: now }), role: input.role, updatedAt: now };
+  if (input.password) user.passwordHash = await hashSetupPassword(input.password);
+  // Re-read so a concurrent change made while hashing isn't lost.
+  writeSetupUsers({ ...readSetupUsers(), [input.username]: user });
+  basicAuthCache.clear();
+  if (input.password && input.exists) setupSessions.revokeAll(input.username);
+  console.log(`[auth] ${req.auth.user.username} ${input.exists ? "updated" : "created"} user ${input.username} (${input.role})`);
+  recordAudit(req, input.exists ? "user.update" : "user.create", { username: input.username, userRole: input.role, passwordChanged: Boolean(input.password) });
+  res.json({ ok: true, user: setupUserSummary(input.username, user) });
+});
+
+app.post("/setup/api/users/delete", requireSetupAuth, requireRole("admin"), (req, res) => {
+  const username = String(req.body?.username || "").trim().toLowerCase();
+  const users = readSetupUsers();
+  if (!users[username]) return res.status(404).json({ ok: false, error: "User not found" });
+  delete users[username];
+  writeSetupUsers(users);
+  removeTwoFactor(username);
+  basicAuthCache.clear();
+  const revoked = setupSessions.revokeAll(username);
+  console.log(`[auth] ${req.auth.user.username} deleted user ${username} (${revoked} session(s) revoked)`);
+  recordAudit(req, "user.delete", { username, revoked });
+  res.json({ ok: true, revoked });
+});
+
+// Failed sign-ins (newest first) and current lockouts.
+app.get("/setup/api/auth/failures", requireSetupAuth, requireRole("admin"), (req, res) => {
+  const limit = Math.min(500, Math.max(1, Number.parseInt(String(req.query.limit ?? "100"), 10) || 100));
+  res.json({ ok: true, failures: readAuthFailures().slice(-limit).reverse(), ...authThrottle.status() });
+});
+
+// Lifts the lockout of one IP, or every lockout (including the global one) without an ip.
+app.post("/setup/api/auth/failures/unlock", requireSetupAuth, requireRole("admin"), (req, res) => {
+  const ip = req.body?.ip ? String(req.body.ip) : null;
+  authThrottle.unlock(ip);
+  console.log(`[auth] ${req.auth.user.username} lifted ${ip ? `the lockout of ${ip}` : "all lockouts"}`);
+  recordAudit(req, "auth.unlock", { target: ip || "all" });
+  res.json({ ok: true, ...authThrottle.status() });
+});
+
+// For an admin helping someone who lost both their authenticator and recovery codes.
+app.post("/setup/api/users/2fa/reset", requireSetupAuth, requireRole("admin"), (req, res) => {
+  const username = String(req.body?.username || "").trim().toLowerCase();
+  if (!removeTwoFactor(username)) return res.status(404).json({ ok: false, error: "Two-factor auth is not enabled for that user" });
+  const revoked = setupSessions.revokeAll(username);
+  console.log(`[auth] ${req.auth.user.username} reset two-factor auth of ${username}`);
+  recordAudit(req, "user.2fa.reset", { username, revoked });
+  res.json({ ok: true, revoked });
+});
+
+// Two-factor enrollment for the signed-in account.
+app.get("/setup/api/auth/2fa", requireSetupAuth, (req, res) => {
+  res.json({ ok: true, ...twoFactorSummary(req.auth.user.username) });
+});
+
+app.post("/setup/api/auth/2fa/setup", requireSetupAuth, (req, res) => {
+  const { username } = req.auth.user;
+  if (twoFactorEnabled(username)) return res.status(409).json({ ok: false, error: "Two-factor auth is already enabled" });
+  res.json({ ok: true, ...startTwoFactorEnrollment(username), expiresInMs: TWO_FACTOR_ENROLL_MS });
+});
+
+// Codes entered by a signed-in account count as failed sign-ins like login codes, so a stolen
+// session can't guess its way to turning 2FA off. Runs check() unless the IP must wait, and
+// returns its result, or null after answering 429 or 400 itself.
+function checkAccountCode(req, res, via, check, error = "Invalid code") {
+  const ip = clientIp(req);
+  const retryAfterMs = authThrottle.retryAfterMs(ip, { global: false });
+  if (retryAfterMs > 0) {
+    res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({ ok: false, locked: true, error: "Too many failed attempts", retryAfterMs });
+    return null;
+  }
+  const result = check();
+  if (!result) {
+    const { lockedForMs } = authThrottle.fail(ip, { via, username: req.auth.user.username, reason: "code", userAgent: String(req.headers["user-agent"] || "").slice(0, 200) });
+    res.status(400).json({ ok: false, error, retryAfterMs: lockedForMs });
+    return null;
+  }
+  authThrottle.succeed(ip);
+  return result;
+}
+
+// Confirms enrollment with a first code. Other sessions of the account signed in with the
+// password alone, so they are ended.
+app.post("/setup/api/auth/2fa/enable", requireSetupAuth, (req, res) => {
+  const { username } = req.auth.user;
+  const recoveryCodes = checkAccountCode(req, res, "2fa-enable", () => finishTwoFactorEnrollment(username, req.body?.code), "Invalid code, or the setup expired — start again");
+  if (!recoveryCodes) return;
+  basicAuthCache.clear();
+  const revoked = setupSessions.revokeAll(username, req.auth.id);
+  console.log(`[auth] ${username} enabled two-factor auth (${revoked} other session(s) revoked)`);
+  recordAudit(req, "2fa.enable");
+  res.json({ ok: true, recoveryCodes, ...twoFactorSummary(username) });
+});
+
+app.post("/setup/api/auth/2fa/disable", requireSetupAuth, (req, res) => {
+  const { username } = req.auth.user;
+  if (!checkAccountCode(req, res, "2fa-disable", () => consumeSecondFactor(username, String(req.body?.code ?? "").trim()).ok)) return;
+  removeTwoFactor(username);
+  console.log(`[auth] ${username} disabled two-factor auth`);
+  recordAudit(req, "2fa.disable");
+  res.json({ ok: true, ...twoFactorSummary(username) });
+});
+
+app.post("/setup/api/auth/2fa/recovery-codes", requireSetupAuth, (req, res) => {
+  const { username } = req.auth.user;
+  if (!checkAccountCode(req, res, "2fa-recovery-codes", () => consumeSecondFactor(username, String(req.body?.code ?? "").trim()).ok)) return;
+  const recoveryCodes = generateRecoveryCodes();
+  const users = readTwoFactor();
+  users[username].recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  writeTwoFactor(users);
+  recordAudit(req, "2fa.recovery-codes");
+  res.json({ ok: true, recoveryCodes, ...twoFactorSummary(username) });
+});
+
+// Audit log, newest first. Query: ?action=config.save,device (comma-separated, prefixes
+// allowed), ?actor=alice, ?q=text, ?since= / ?until=<ISO timestamp>, ?limit=N (default 200).
+app.get("/setup/api/audit", requireSetupAuth, requireRole("admin"), (req, res) => {
+  res.json({ ok: true, ...queryAuditLog(req.query) });
+});
+
+// The same filters as a JSON download; without ?limit it includes up to 10,000 entries.
+app.get("/setup/api/audit/export", requireSetupAuth, requireRole("admin"), (req, res) => {
+  const { total, entries } = queryAuditLog({ limit: "10000", ...req.query });
+  recordAudit(req, "audit.export", { entries: entries.length });
+  res.setHeader(
+    "content-disposition",
+    `attachment; filename="openclaw-audit-${new Date().toISOString().replace(/[:.]/g, "-")}.json"`,
+  );
+  res.json({ exportedAt: new Date().toISOString(), filters: req.query, total, entries });
+});
+
+// Public health endpoint (no auth) so Railway can probe without /setup.
+// Keep this free of secrets.
+app.get("/healthz", async (_req, res) => {
+  let probe = null;
+  if (isConfigured()) {
+    probe = await probeGateway();
+  }
+
+  res.json({
+    ok: true,
+    wrapper: {
+      configured: isConfigured(),
+      stateDir: STATE_DIR,
+      workspaceDir: WORKSPACE_DIR,
+    },
+    gateway: {
+      target: gateway.target,
+      reachable: Boolean(probe?.ok),
+      probe,
+      readyProbe: defaultInstance.lastReadyProbe,
+      state: gateway.state,
+      lastError: gateway.lastError,
+      lastExit: gateway.lastExit,
+      autoRestart: gateway.breakerStatus(),
+      lastDoctorAt,
+    },
+    instances: namedInstances().map((i) => ({ name: i.name, configured: isConfigured(i), state: i.gateway.state })),
+  });
+});
+
+// Prometheus scrape endpoint; falls through to the gateway when METRICS_TOKEN is unset.
+function metricsAuthorized(req) {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  return scheme === "Bearer" && Boolean(token) && secretsEqual(token, METRICS_TOKEN);
+}
+
+function collectGatewayMetrics() {
+  for (const inst of GATEWAY_INSTANCES.values()) {
+    const labels = { instance: inst.name };
+    const supervisor = inst.gateway;
+    const breaker = supervisor.breakerStatus();
+    metricGatewayUp.set(labels, supervisor.proc ? 1 : 0);
+    metricGatewayReady.set(labels, supervisor.isReady() ? 1 : 0);
+    for (const state of GATEWAY_STATES) metricGatewayState.set({ ...labels, state }, supervisor.state === state ? 1 : 0);
+    metricGatewayUptime.set(labels, supervisor.procStartedAt ? (Date.now() - supervisor.procStartedAt) / 1000 : 0);
+    metricGatewayBackoff.set(labels, breaker.attempts);
+    metricGatewayTripped.set(labels, breaker.tripped ? 1 : 0);
+  }
+  metricTerminalSessions.set({}, terminalWss.clients.size);
+}
+
+app.get("/metrics", (req, res, next) => {
+  if (!METRICS_TOKEN) return next();
+  if (!metricsAuthorized(req)) {
+    return res.status(401).set("WWW-Authenticate", "Bearer").type("text/plain").send("Unauthorized\n");
+  }
+  collectGatewayMetrics();
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8").send(metrics.render());
+});
+
+app.get("/setup/api/instances", requireSetupAuth, (_req, res) => {
+  res.json({ ok: true, instances: Array.from(GATEWAY_INSTANCES.values(), instanceSummary) });
+});
+
+// Serve the React UI build for /setup and its sub-assets.
+const SETUP_UI_DIR = path.join(process.cwd(), "ui", "dist");
+const _setupIndexHtml = (() => {
+  try {
+    return fs.readFileSync(path.join(SETUP_UI_DIR, "index.html"), "utf8");
+  } catch {
+    return null;
+  }
+})();
+
+// Static assets (JS/CSS chunks) — no auth required since the React app handles login itself.
+app.use("/setup/assets", express.static(path.join(SETUP_UI_DIR, "assets"), { maxAge: "1y", immutable: true }));
+
+// The setup SPA entry point.
+app.get("/setup", (_req, res) => {
+  if (!_setupIndexHtml) {
+    return res.status(500).type("text/plain").send("Setup UI not built. Run `npm run build` in ui/.");
+  }
+  res.type("html").send(_setupIndexHtml);
+});
+
+// --- Auth provider data sources ---
+// To update providers, edit these two arrays. AUTH_GROUPS is built automatically.
+
+const AUTH_CHOICE_GROUP_DEFS = [
+  { value: "openai", label: "OpenAI", hint: "Codex OAuth + API key", choices: ["openai-codex", "openai-api-key"] },
+  { value: "anthropic", label: "Anthropic", hint: "setup-token + API key", choices: ["token", "apiKey"] },
+  { value: "chutes", label: "Chutes", hint: "OAuth", choices: ["chutes"] },
+  { value: "vllm", label: "vLLM", hint: "Local/self-hosted OpenAI-compatible", choices: ["vllm"] },
+  { value: "minimax", label: "MiniMax", hint: "M2.5 (recommended)", choices: ["minimax-portal", "minimax-api", "minimax-api-key-cn", "minimax-api-lightning"] },
+  { value: "moonshot", label: "Moonshot AI (Kimi K2.5)", hint: "Kimi K2.5 + Kimi Coding", choices: ["moonshot-api-key", "moonshot-api-key-cn", "kimi-code-api-key"] },
+  { value: "google", label: "Google", hint: "Gemini API key + OAuth", choices: ["gemini-api-key", "google-antigravity", "google-gemini-cli"] },
+  { value: "xai", label: "xAI (Grok)", hint: "API key", choices: ["xai-api-key"] },
+  { value: "openrouter", label: "OpenRouter", hint: "API key", choices: ["openrouter-api-key"] },
+  { value: "qwen", label: "Qwen", hint: "OAuth", choices: ["qwen-portal"] },
+  { value: "zai", label: "Z.AI", hint: "GLM Coding Plan / Global / CN", choices: ["zai-coding-global", "zai-coding-cn", "zai-global", "zai-cn"] },
+  { value: "qianfan", label: "Qianfan", hint: "API key", choices: ["qianfan-api-key"] },
+  { value: "copilot", label: "Copilot", hint: "GitHub + local proxy", choices: ["github-copilot", "copilot-proxy"] },
+  { value: "ai-gateway", label: "Vercel AI Gateway", hint: "API key", choices: ["ai-gateway-api-key"] },
+  { value: "opencode-zen", label: "OpenCode Zen", hint: "API key", choices: ["opencode-zen"] },
+  { value: "xiaomi", label: "Xiaomi", hint: "API key", choices: ["xiaomi-api-key"] },
+  { value: "synthetic", label: "Synthetic", hint: "Anthropic-compatible (multi-model)", choices: ["synthetic-api-key"] },
+  { value: "together", label: "Together AI", hint: "API key", choices: ["together-api-key"] },
+  { value: "huggingface", label: "Hugging Face", hint: "Inference API (HF token)", choices: ["huggingface-api-key"] },
+  { value: "venice", label: "Venice AI", hint: "Privacy-focused (uncensored models)", choices: ["venice-api-key"] },
+  { value: "litellm", label: "LiteLLM", hint: "Unified LLM gateway (100+ providers)", choices: ["litellm-api-key"] },
+];
+
+const BASE_AUTH_CHOICE_OPTIONS = [
+  { value: "token", label: "Anthropic token (paste setup-token)", hint: "run `claude setup-token` elsewhere, then paste the token here" },
+  { value: "openai-codex", label: "OpenAI Codex (ChatGPT OAuth)" },
+  { value: "chutes", label: "Chutes (OAuth)" },
+  { value: "vllm", label: "vLLM (custom URL + model)", hint: "Local/self-hosted OpenAI-compatible server" },
+  { value: "openai-api-key", label: "OpenAI API key" },
+  { value: "xai-api-key", label: "xAI (Grok) API key" },
+  { value: "qianfan-api-key", label: "Qianfan API key" },
+  { value: "openrouter-api-key", label: "OpenRouter API key" },
+  { value: "litellm-api-key", label: "LiteLLM API key", hint: "Unified gateway for 100+ LLM providers" },
+  { value: "ai-gateway-api-key", label: "Vercel AI Gateway API key" },
+  { value: "cloudflare-ai-gateway-api-key", label: "Cloudflare AI Gateway", hint: "Account ID + Gateway ID + API key" },
+  { value: "moonshot-api-key", label: "Kimi API key (.ai)" },
+  { value: "moonshot-api-key-cn", label: "Kimi API key (.cn)" },
+  { value: "kimi-code-api-key", label: "Kimi Code API key (subscription)" },
+  { value: "synthetic-api-key", label: "Synthetic API key" },
+  { value: "venice-api-key", label: "Venice AI API key", hint: "Privacy-focused inference (uncensored models)" },
+  { value: "together-api-key", label: "Together AI API key", hint: "Access to Llama, DeepSeek, Qwen, and more open models" },
+  { value: "huggingface-api-key", label: "Hugging Face API key (HF token)", hint: "Inference Providers — OpenAI-compatible chat" },
+  { value: "github-copilot", label: "GitHub Copilot (GitHub device login)", hint: "Uses GitHub device flow" },
+  { value: "gemini-api-key", label: "Google Gemini API key" },
+  { value: "google-antigravity", label: "Google Antigravity OAuth", hint: "Uses the bundled Antigravity auth plugin" },
+  { value: "google-gemini-cli", label: "Google Gemini CLI OAuth", hint: "Uses the bundled Gemini CLI auth plugin" },
+  { value: "zai-api-key", label: "Z.AI API key" },
+  { value: "zai-coding-global", label: "Coding-Plan-Global", hint: "GLM Coding Plan Global (api.z.ai)" },
+  { value: "zai-coding-cn", label: "Coding-Plan-CN", hint: "GLM Coding Plan CN (open.bigmodel.cn)" },
+  { value: "zai-global", label: "Global", hint: "Z.AI Global (api.z.ai)" },
+  { value: "zai-cn", label: "CN", hint: "Z.AI CN (open.bigmodel.cn)" },
+  { value: "xiaomi-api-key", label: "Xiaomi API key" },
+  { value: "minimax-portal", label: "MiniMax OAuth", hint: "Oauth plugin for MiniMax" },
+  { value: "qwen-portal", label: "Qwen OAuth" },
+  { value: "copilot-proxy", label: "Copilot Proxy (local)", hint: "Local proxy for VS Code Copilot models" },
+  { value: "apiKey", label: "Anthropic API key" },
+  { value: "opencode-zen", label: "OpenCode Zen (multi-model proxy)", hint: "Claude, GPT, Gemini via opencode.ai/zen" },
+  { value: "minimax-api", label: "MiniMax M2.5" },
+  { value: "minimax-api-key-cn", label: "MiniMax M2.5 (CN)", hint: "China endpoint (api.minimaxi.com)" },
+  { value: "minimax-api-lightning", label: "MiniMax M2.5 Lightning", hint: "Faster, higher output cost" },
+];
+
+// Build AUTH_GROUPS by joining the two source arrays.
+function buildAuthGroups() {
+  const optionMap = new Map(BASE_AUTH_CHOICE_OPTIONS.map((o) => [o.value, o]));
+  return AUTH_CHOICE_GROUP_DEFS.map((g) => ({
+    value: g.value,
+    label: g.label,
+    hint: g.hint,
+    options: g.choices.map((c) => {
+      const base = optionMap.get(c);
+      if (!base) return { value: c, label: c };
+      const opt = { value: base.value, label: base.label };
+      if (base.hint) opt.hint = base.hint;
+      return opt;
+    }),
+  }));
+}
+
+const AUTH_GROUPS = buildAuthGroups();
+
+// Cache slow CLI lookups that don't change at runtime.
+let _cachedVersion = null;
+let _cachedChannelsHelp = null;
+
+// The gateway token is full control of OpenClaw (and reads its config), so only admins get it.
+function visibleGatewayToken(auth, instance) {
+  return roleAtLeast(auth?.user?.role, "admin") ? instance.token : undefined;
+}
+
+app.get("/setup/api/status", requireSetupAuth, async (req, res) => {
+  const { instance } = req;
+  // Run both in parallel; cache results since they don't change.
+  const [version, channelsHelp] = await Promise.all([
+    _cachedVersion
+      ? Promise.resolve(_cachedVersion)
+      : runCmd(OPENCLAW_NODE, clawArgs(["--version"])).then((r) => { _cachedVersion = r; return r; }),
+    _cachedChannelsHelp
+      ? Promise.resolve(_cachedChannelsHelp)
+      : runCmd(OPENCLAW_NODE, clawArgs(["channels", "add", "--help"])).then((r) => { _cachedChannelsHelp = r; return r; }),
+  ]);
+
+  res.json({
+    instance: instance.name,
+    configured: isConfigured(instance),
+    gatewayTarget: instance.gateway.target,
+    gatewayState: instance.gateway.state,
+    gatewayAutoRestart: instance.gateway.breakerStatus(),
+    gatewayLastExit: instance.gateway.lastExit,
+    gatewayToken: visibleGatewayToken(req.auth, instance),
+    openclawVersion: version.output.trim(),
+    channelsAddHelp: channelsHelp.output,
+    authGroups: AUTH_GROUPS,
+  });
+});
+
+// Auth choice → CLI flag mapping. Also used to derive the set of API-key-based choices
+// (choices NOT in this map are interactive/OAuth and shown as disabled in the UI).
+// "token" is special-cased in buildOnboardArgs but still counts as an API-key choice.
+const AUTH_CHOICE_FLAG_MAP = {
+  "openai-api-key": "--openai-api-key",
+  "apiKey": "--anthropic-api-key",
+  "openrouter-api-key": "--openrouter-api-key",
+  "litellm-api-key": "--litellm-api-key",
+  "ai-gateway-api-key": "--ai-gateway-api-key",
+  "cloudflare-ai-gateway-api-key": "--cloudflare-ai-gateway-api-key",
+  "moonshot-api-key": "--moonshot-api-key",
+  "moonshot-api-key-cn": "--moonshot-api-key",
+  "kimi-code-api-key": "--kimi-code-api-key",
+  "gemini-api-key": "--gemini-api-key",
+  "zai-api-key": "--zai-api-key",
+  "zai-coding-global": "--zai-api-key",
+  "zai-coding-cn": "--zai-api-key",
+  "zai-global": "--zai-api-key",
+  "zai-cn": "--zai-api-key",
+  "xiaomi-api-key": "--xiaomi-api-key",
+  "minimax-api": "--minimax-api-key",
+  "minimax-api-lightning": "--minimax-api-key",
+  "synthetic-api-key": "--synthetic-api-key",
+  "venice-api-key": "--venice-api-key",
+  "together-api-key": "--together-api-key",
+  "huggingface-api-key": "--huggingface-api-key",
+  "opencode-zen": "--opencode-zen-api-key",
+  "xai-api-key": "--xai-api-key",
+  "qianfan-api-key": "--qianfan-api-key",
+};
+
+const API_KEY_CHOICES = new Set([...Object.keys(AUTH_CHOICE_FLAG_MAP), "token"]);
+
+app.get("/setup/api/auth-groups", requireSetupAuth, (_req, res) => {
+  res.json({ ok: true, authGroups: AUTH_GROUPS, apiKeyChoices: Array.from(API_KEY_CHOICES) });
+});
+
+function buildOnboardArgs(payload, inst = defaultInstance) {
+  const args = [
+    "onboard",
+    "--non-interactive",
+    "--accept-risk",
+    "--json",
+    "--no-install-daemon",
+    "--skip-health",
+    "--workspace",
+    inst.workspaceDir,
+    // The wrapper owns public networking; keep the gateway internal.
+    "--gateway-bind",
+    "loopback",
+    "--gateway-port",
+    String(inst.port),
+    "--gateway-auth",
+    "token",
+    "--gateway-token",
+    inst.token,
+    "--flow",
+    payload.flow || "quickstart",
+  ];
+
+  if (payload.authChoice) {
+    args.push("--auth-choice", payload.authChoice);
+
+    // Map secret to correct flag for common choices.
+    const secret = (payload.authSecret || "").trim();
+
+    const flag = AUTH_CHOICE_FLAG_MAP[payload.authChoice];
+
+    // If the user picked an API-key auth choice but didn't provide a secret, fail fast.
+    // Otherwise OpenClaw may fall back to its default auth choice, which looks like the
+    // wizard "reverted" their selection.
+    if (flag && !secret) {
+      throw new Error(`Missing auth secret for authChoice=${payload.authChoice}`);
+    }
+
+    if (flag) {
+      args.push(flag, secret);
+    }
+
+    if (payload.authChoice === "token") {
+      // This is the Anthropic setup-token flow.
+      if (!secret) throw new Error("Missing auth secret for authChoice=token");
+      args.push("--token-provider", "anthropic", "--token", secret);
+    }
+  }
+
+  return args;
+}
+
+// opts.instance runs the command against a named instance's state dir, config and gateway.
+// opts.onOutput(text) receives output as it arrives, for callers that stream it.
+function runCmd(cmd, args, opts = {}) {
+  const { instance = defaultInstance, onOutput, ...spawnOpts } = opts;
+  // OpenClaw commands are labelled by subcommand ("doctor", "config", ...), others by binary.
+  const command = cmd === OPENCLAW_NODE ? args[1] || "openclaw" : path.basename(cmd);
+  const startedNs = process.hrtime.bigint();
+  return new Promise((_resolve) => {
+    const timeoutMs = Number.isFinite(opts.timeoutMs) ? opts.timeoutMs : 120_000;
+    let settled = false;
+    const resolve = (result) => {
+      if (settled) return;
+      settled = true;
+      const outcome = result.code === 0 ? "ok" : result.code === 124 ? "timeout" : "error";
+      metricCliRuns.inc({ command, outcome });
+      metricCliDuration.observe({ command }, secondsSince(startedNs));
+      _resolve(result);
+    };
+
+    const proc = childProcess.spawn(cmd, args, {
+      ...spawnOpts,
+      env: {
+        ...process.env,
+        ...instanceEnv(instance),
+        // After a blue/green restart the gateway may be on the alternate port.
+        OPENCLAW_GATEWAY_PORT: String(instance.gateway.port),
+      },
+    });
+
+    let out = "";
+    const collect = (d) => {
+      const text = d.toString("utf8");
+      out += text;
+      onOutput?.(text);
+    };
+    proc.stdout?.on("data", collect);
+    proc.stderr?.on("data", collect);
+
+    let killTimer;
+    const timer = setTimeout(() => {
+      try { proc.kill("SIGTERM"); } catch { }
+      killTimer = setTimeout(() => {
+        try { proc.kill("SIGKILL"); } catch { }
+      }, 2_000);
+      out += `\n[timeout] Command exceeded ${timeoutMs}ms and was terminated.\n`;
+      resolve({ code: 124, output: out });
+    }, timeoutMs);
+
+    proc.on("error", (err) => {
+      clearTimeout(timer);
+      if (killTimer) clearTimeout(killTimer);
+      out += `\n[spawn error] ${String(err)}\n`;
+      resolve({ code: 127, output: out });
+    });
+
+    proc.on("close", (code) => {
+      clearTimeout(timer);
+      if (killTimer) clearTimeout(killTimer);
+      resolve({ code: code ?? 0, output: out });
+    });
+  });
+}
+
+app.post("/setup/api/run", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  // SSE streaming — send step-by-step progress to the client.
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (event, data) => {
+    if (event === "done") recordAudit(req, "setup.run", { ok: data.ok, input: redactAuditValue("input", req.body || {}) });
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const step = (label) => send("step", { label });
+  const stepDone = (label, ok = true) => send("stepDone", { label, ok });
+  const log = (text) => send("log", { text });
+  const { instance } = req;
+
+  try {
+    if (isConfigured(instance)) {
+      step("Starting gateway");
+      await ensureGatewayRunning({ instance });
+      stepDone("Starting gateway");
+      send("done", { ok: true, output: "Already configured.\nUse Reset setup if you want to rerun onboarding.\n" });
+      res.end();
+      return;
+    }
+
+    fs.mkdirSync(instance.stateDir, { recursive: true });
+    fs.mkdirSync(instance.workspaceDir, { recursive: true });
+
+    const payload = req.body || {};
+
+    let onboardArgs;
+    try {
+      onboardArgs = buildOnboardArgs(payload, instance);
+    } catch (err) {
+      send("done", { ok: false, output: `Setup input error: ${String(err)}` });
+      res.end();
+      return;
+    }
+
+    // --- Build and send step plan so the UI can render all nodes upfront ---
+    const plan = [
+      "Running onboard",
+      "Configuring gateway auth",
+      "Configuring gateway network",
+      "Configuring trusted proxies",
+    ];
+    if (payload.customProviderId?.trim() && payload.customProviderBaseUrl?.trim()) plan.push("Configuring custom provider");
+    if (payload.telegramToken?.trim()) plan.push("Configuring Telegram");
+    if (payload.discordToken?.trim()) plan.push("Configuring Discord");
+    if (payload.slackBotToken?.trim() || payload.slackAppToken?.trim()) plan.push("Configuring Slack");
+    plan.push("Starting gateway", "Running doctor --fix", "Restarting gateway");
+    send("plan", { steps: plan });
+
+    step("Running onboard");
+    const onboard = await runCmd(OPENCLAW_NODE, clawArgs(onboardArgs), { instance });
+    const ok = onboard.code === 0 && isConfigured(instance);
+    stepDone("Running onboard", ok);
+    log(onboard.output);
+
+    if (!ok) {
+      send("done", { ok: false, output: onboard.output });
+      res.end();
+      return;
+    }
+
+    // --- Gateway config ---
+    step("Configuring gateway auth");
+    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.auth.mode", "token"]), { instance });
+    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.auth.token", instance.token]), { instance });
+    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.remote.token", instance.token]), { instance });
+    stepDone("Configuring gateway auth");
+
+    step("Configuring gateway network");
+    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.bind", "loopback"]), { instance });
+    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.port", String(instance.port)]), { instance });
+    stepDone("Configuring gateway network");
+
+    step("Configuring trusted proxies");
+    await runCmd(
+      OPENCLAW_NODE,
+      clawArgs(["config", "set", "--json", "gateway.trustedProxies", JSON.stringify(["127.0.0.1"])]),
+      { instance },
+    );
+    stepDone("Configuring trusted proxies");
+
+    // --- Custom provider ---
+    if (payload.customProviderId?.trim() && payload.customProviderBaseUrl?.trim()) {
+      step("Configuring custom provider");
+      const providerId = payload.customProviderId.trim();
+      const baseUrl = payload.customProviderBaseUrl.trim();
+      const api = (payload.customProviderApi || "openai-completions").trim();
+      const apiKeyEnv = (payload.customProviderApiKeyEnv || "").trim();
+      const modelId = (payload.customProviderModelId || "").trim();
+
+      let skipReason = null;
+      if (!/^[A-Za-z0-9_-]+$/.test(providerId)) skipReason = "invalid provider id";
+      else if (!/^https?:\/\//.test(baseUrl)) skipReason = "baseUrl must start with http(s)://";
+      else if (!["openai-completions", "openai-responses", "anthropic-messages"].includes(api)) skipReason = "api must be openai-completions, openai-responses, or anthropic-messages";
+      else if (apiKeyEnv && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(apiKeyEnv)) skipReason = "invalid api key env var name";
+
+      if (skipReason) {
+        log(`[custom provider] skipped: ${skipReason}`);
+        stepDone("Configuring custom provider", false);
+      } else {
+        const providerCfg = {
+          baseUrl,
+          api,
+          apiKey: apiKeyEnv ? "${" + apiKeyEnv + "}" : undefined,
+          models: modelId ? [{ id: modelId, name: modelId }] : undefined,
+        };
+        await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "models.mode", "merge"]), { instance });
+        const set = await runCmd(
+          OPENCLAW_NODE,
+          clawArgs(["config", "set", "--json", `models.providers.${providerId}`, JSON.stringify(providerCfg)]),
+          { instance },
+        );
+        log(set.output || "");
+        stepDone("Configuring custom provider", set.code === 0);
+      }
+    }
+
+    // --- Channels ---
+    const channelsHelp = await runCmd(OPENCLAW_NODE, clawArgs(["channels", "add", "--help"]), { instance });
+    const helpText = channelsHelp.output || "";
+    const supports = (name) => helpText.includes(name);
+
+    if (payload.telegramToken?.trim()) {
+      step("Configuring Telegram");
+      if (!supports("telegram")) {
+        log("[telegram] skipped (not supported by this build)");
+        stepDone("Configuring Telegram", false);
+      } else {
+        const token = payload.telegramToken.trim();
+        const cfgObj = { enabled: true, dmPolicy: "pairing", botToken: token, groupPolicy: "allowlist", streamMode: "partial" };
+        await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "--json", "channels.telegram", JSON.stringify(cfgObj)]), { instance });
+        await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", "channels.telegram"]), { instance });
+        await runCmd(OPENCLAW_NODE, clawArgs(["plugins", "enable", "telegram"]), { instance });
+        stepDone("Configuring Telegram");
+      }
+    }
+
+    if (payload.discordToken?.trim()) {
+      step("Configuring Discord");
+      if (!supports("discord")) {
+        log("[discord] skipped (not supported by this build)");
+        stepDone("Configuring Discord", false);
+      } else {
+        const token = payload.discordToken.trim();
+        const cfgObj = { enabled: true, token, groupPolicy: "allowlist", dm: { policy: "pairing" } };
+        await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "--json", "channels.discord", JSON.stringify(cfgObj)]), { instance });
+        await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", "channels.discord"]), { instance });
+        stepDone("Configuring Discord");
+      }
+    }
+
+    if (payload.slackBotToken?.trim() || payload.slackAppToken?.trim()) {
+      step("Configuring Slack");
+      if (!supports("slack")) {
+        log("[slack] skipped (not supported by this build)");
+        stepDone("Configuring Slack", false);
+      } else {
+        const cfgObj = {
+          enabled: true,
+          botToken: payload.slackBotToken?.trim() || undefined,
+          appToken: payload.slackAppToken?.trim() || undefined,
+        };
+        await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "--json", "channels.slack", JSON.stringify(cfgObj)]), { instance });
+        await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", "channels.slack"]), { instance });
+        stepDone("Configuring Slack");
+      }
+    }
+
+    // --- Start gateway ---
+    step("Starting gateway");
+    await restartGateway({ timeoutMs: 60_000, reason: "setup", instance });
+    stepDone("Starting gateway");
+
+    step("Running doctor --fix");
+    const fix = await runCmd(OPENCLAW_NODE, clawArgs(["doctor", "--fix"]), { instance });
+    log(redactSecrets(fix.output || ""));
+    stepDone("Running doctor --fix", fix.code === 0);
+
+    step("Restarting gateway");
+    await restartGateway({ timeoutMs: 60_000, reason: "setup", instance });
+    stepDone("Restarting gateway");
+
+    send("done", { ok: true, output: "Setup complete." });
+    res.end();
+  } catch (err) {
+    console.error("[/setup/api/run] error:", err);
+    send("done", { ok: false, output: `Internal error: ${String(err)}` });
+    res.end();
+  }
+});
+
+app.get("/setup/api/debug", requireSetupAuth, requireRole("operator"), async (_req, res) => {
+  const v = await runCmd(OPENCLAW_NODE, clawArgs(["--version"]));
+  const help = await runCmd(OPENCLAW_NODE, clawArgs(["channels", "add", "--help"]));
+
+  // Channel config checks (redact secrets before returning to client)
+  const tg = await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", "channels.telegram"]));
+  const dc = await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", "channels.discord"]));
+
+  const tgOut = redactSecrets(tg.output || "");
+  const dcOut = redactSecrets(dc.output || "");
+
+  res.json({
+    wrapper: {
+      node: process.version,
+      port: PORT,
+      publicPortEnv: process.env.PORT || null,
+      stateDir: STATE_DIR,
+      workspaceDir: WORKSPACE_DIR,
+      configured: isConfigured(),
+      configPathResolved: configPath(),
+      configPathCandidates: typeof resolveConfigCandidates === "function" ? resolveConfigCandidates() : null,
+      internalGatewayHost: INTERNAL_GATEWAY_HOST,
+      internalGatewayPort: INTERNAL_GATEWAY_PORT,
+      internalGatewayAltPort: GATEWAY_ALT_PORT,
+      gatewayRestartMode: GATEWAY_RESTART_MODE,
+      gatewayTarget: gateway.target,
+      gatewayRunning: Boolean(gateway.proc),
+      gatewayState: gateway.state,
+      gatewayTokenFromEnv: Boolean(process.env.OPENCLAW_GATEWAY_TOKEN?.trim()),
+      gatewayTokenPersisted: fs.existsSync(path.join(STATE_DIR, "gateway.token")),
+      lastGatewayError: gateway.lastError,
+      lastGatewayExit: gateway.lastExit,
+      gatewayAutoRestart: gateway.breakerStatus(),
+      gatewayWatchdog: gatewayWatchdog.status(),
+      gatewayResources: gatewayResources.status(),
+      gatewayWaitingRoom: waitingRoomStatus(),
+      gatewayMaintenance: maintenance.status(),
+      instances: Array.from(GATEWAY_INSTANCES.values(), instanceSummary),
+      lastDoctorAt,
+      lastDoctorOutput,
+      gatewayLogBuffered: gatewayLogLines.length,
+      gatewayLogFile: GATEWAY_LOG_FILE_ENABLED ? gatewayLogFilePath() : null,
+      railwayCommit: process.env.RAILWAY_GIT_COMMIT_SHA || null,
+    },
+    openclaw: {
+      entry: openclawEntry,
+      bundledEntry: OPENCLAW_ENTRY,
+      activeBuild: activeBuildId(),
+      node: OPENCLAW_NODE,
+      version: v.output.trim(),
+      channelsAddHelpIncludesTelegram: help.output.includes("telegram"),
+      channels: {
+        telegram: {
+          exit: tg.code,
+          configuredEnabled: /"enabled"\s*:\s*true/.test(tg.output || "") || /enabled\s*[:=]\s*true/.test(tg.output || ""),
+          botTokenPresent: /(\d{5,}:[A-Za-z0-9_-]{10,})/.test(tg.output || ""),
+          output: tgOut,
+        },
+        discord: {
+          exit: dc.code,
+          configuredEnabled: /"enabled"\s*:\s*true/.test(dc.output || "") || /enabled\s*[:=]\s*true/.test(dc.output || ""),
+          tokenPresent: /"token"\s*:\s*"?\S+"?/.test(dc.output || "") || /token\s*[:=]\s*\S+/.test(dc.output || ""),
+          output: dcOut,
+        },
+      },
+    },
+  });
+});
+
+// Gateway output: SSE stream with backfill from the ring buffer, then live tail.
+// Query: ?backfill=N (default 200). Reconnecting clients send Last-Event-ID (or ?since=seq)
+// and only receive lines they haven't seen yet.
+app.get("/setup/api/gateway/logs", requireSetupAuth, (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (entry) => {
+    res.write(`id: ${entry.seq}\nevent: line\ndata: ${JSON.stringify(entry)}\n\n`);
+  };
+
+  const since = Number.parseInt(req.get("last-event-id") || String(req.query.since || ""), 10);
+  const instance = req.instance.name;
+  const backfill = Math.max(0, Math.min(GATEWAY_LOG_MAX_LINES, Number.parseInt(String(req.query.backfill || "200"), 10) || 0));
+  const lines = gatewayLogLines.filter((e) => e.instance === instance);
+  const history = Number.isFinite(since)
+    ? lines.filter((e) => e.seq > since)
+    : lines.slice(-backfill);
+  for (const entry of history) send(entry);
+  res.write(`event: ready\ndata: ${JSON.stringify({ seq: gatewayLogSeq, running: Boolean(req.instance.gateway.proc) })}\n\n`);
+
+  const forward = (entry) => {
+    if (entry.instance === instance) send(entry);
+  };
+  gatewayLogSubscribers.add(forward);
+  // Keep proxies (Railway edge) from closing an idle stream.
+  const heartbeat = setInterval(() => res.write(": keepalive\n\n"), 15_000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    gatewayLogSubscribers.delete(forward);
+  });
+});
+
+// Supervisor state plus the recent state transitions (oldest first).
+app.get("/setup/api/gateway/state", requireSetupAuth, (req, res) => {
+  const { instance } = req;
+  res.json({
+    ok: true,
+    ...instance.gateway.status(),
+    watchdog: instance.watchdog.status(),
+    waitingRoom: waitingRoomStatus(),
+    states: GATEWAY_STATES,
+    transitions: instance.gateway.transitions(),
+  });
+});
+
+// Gateway RSS/CPU samples (oldest first) and the memory-limit policy state.
+app.get("/setup/api/gateway/resources", requireSetupAuth, (req, res) => {
+  res.json({ ok: true, ...req.instance.resources.status() });
+});
+
+// Uptime percentages, a 24h sparkline and recent down spans from the sampled history.
+app.get("/setup/api/uptime", requireSetupAuth, (req, res) => {
+  res.json({ ok: true, ...req.instance.uptime.report() });
+});
+
+// Scheduled restart/doctor runs: settings, next run times and last results.
+app.get("/setup/api/maintenance", requireSetupAuth, (_req, res) => {
+  res.json({ ok: true, ...maintenance.status() });
+});
+
+app.post("/setup/api/maintenance", requireSetupAuth, requireRole("admin"), (req, res) => {
+  try {
+    res.json({ ok: true, ...maintenance.update(req.body || {}) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+// Incident alert settings, the channels that have a bot token and the last delivery.
+app.get("/setup/api/alerts", requireSetupAuth, (_req, res) => {
+  res.json({
+    ok: true,
+    settings: readAlertSettings(),
+    kinds: Object.fromEntries(Object.entries(ALERT_KINDS).map(([k, v]) => [k, v.label])),
+    availableChannels: Object.keys(readAlertChannelTokens()),
+    defaultSetupUrl: alertSetupUrl({}),
+    cooldownMs: ALERT_COOLDOWN_MS,
+    lastAlert,
+  });
+});
+
+app.post("/setup/api/alerts", requireSetupAuth, requireRole("admin"), (req, res) => {
+  try {
+    const settings = normalizeAlertSettings(req.body || {});
+    writeWrapperSettings({ ...readWrapperSettings(), alerts: settings });
+    res.json({ ok: true, settings });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+// Sends a test message with the submitted (unsaved) settings.
+app.post("/setup/api/alerts/test", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  let settings;
+  try {
+    settings = normalizeAlertSettings({ ...req.body, enabled: true });
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+  const setupUrl = alertSetupUrl(settings);
+  const r = await sendAlertMessage(settings, `[OpenClaw] Test alert from the Railway wrapper${setupUrl ? `\n${setupUrl}` : ""}`);
+  res.status(r.ok ? 200 : 502).json(r);
+});
+
+// Reset the crash-loop backoff (and a tripped breaker) and start the gateway again.
+app.post("/setup/api/gateway/resume", requireSetupAuth, requireRole("operator"), async (req, res) => {
+  const { instance } = req;
+  try {
+    const r = await resumeGatewayAutoRestart({ reason: "setup", instance });
+    res.json({ ok: Boolean(r.ok), reason: r.reason || null, ...instance.gateway.status() });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err), ...instance.gateway.status() });
+  }
+});
+
+// Gateway lifecycle journal, newest first.
+// Query: ?limit=N (default 200), ?type=exit,restart (comma-separated), ?since=<ISO timestamp>.
+app.get("/setup/api/gateway/journal", requireSetupAuth, (req, res) => {
+  const limit = Math.max(1, Math.min(GATEWAY_JOURNAL_KEEP_ENTRIES, Number.parseInt(String(req.query.limit || "200"), 10) || 200));
+  const types = String(req.query.type || "").split(",").map((t) => t.trim()).filter(Boolean);
+  const since = req.query.since ? Date.parse(String(req.query.since)) : NaN;
+
+  // Events of named instances carry an instance field; untagged events belong to the default.
+  let events = readGatewayJournal().filter((e) => (e.instance || "default") === req.instance.name);
+  if (types.length) events = events.filter((e) => types.includes(e.type));
+  if (Number.isFinite(since)) events = events.filter((e) => Date.parse(e.ts) >= since);
+
+  res.json({ ok: true, total: events.length, events: events.slice(-limit).reverse() });
+});
+
+// --- Debug console (Option A: allowlisted commands + config editor) ---
+
+function redactSecrets(text) {
+  if (!text) return text;
+  // Very small best-effort redaction. (Config paths/values may still contain secrets.)
+  return String(text)
+    .replace(/(sk-[A-Za-z0-9_-]{10,})/g, "[REDACTED]")
+    .replace(/(gho_[A-Za-z0-9_]{10,})/g, "[REDACTED]")
+    .replace(/(xox[baprs]-[A-Za-z0-9-]{10,})/g, "[REDACTED]")
+    // Telegram bot tokens look like: 123456:ABCDEF...
+    .replace(/(\d{5,}:[A-Za-z0-9_-]{10,})/g, "[REDACTED]")
+    .replace(/(AA[A-Za-z0-9_-]{10,}:\S{10,})/g, "[REDACTED]");
+}
+
+// Wrapper-managed commands (not openclaw CLI) — keep as strict allowlist.
+const GATEWAY_COMMANDS = new Set(["gateway.restart", "gateway.stop", "gateway.start", "gateway.resume"]);
+
+// Shell metacharacters that must never appear in cmd or arg to prevent injection.
+const SHELL_UNSAFE = /[&|;`$(){}!<>\\#\n\r]/;
+
+function isAllowedConsoleCmd(cmd) {
+  if (GATEWAY_COMMANDS.has(cmd)) return true;
+  // Allow any openclaw.* dotted command (e.g. openclaw.config.get, openclaw.channels.add)
+  return /^openclaw\.[a-z][a-z0-9._-]*$/i.test(cmd);
+}
+
+// What operators may run: gateway control, status, health, logs, devices and pairing.
+// Everything else — openclaw.config.*, plugins and the generic openclaw.* fallback, which can
+// change config or print secrets — needs admin.
+const OPERATOR_CONSOLE_COMMANDS = new Set([
+  ...GATEWAY_COMMANDS,
+  "openclaw.version",
+  "openclaw.status",
+  "openclaw.health",
+  "openclaw.logs.tail",
+  "openclaw.devices.list",
+  "openclaw.devices.approve",
+  "openclaw.devices.reject",
+  "openclaw.pairing.list",
+  "openclaw.pairing.approve",
+]);
+
+function consoleCmdMinRole(cmd) {
+  return OPERATOR_CONSOLE_COMMANDS.has(cmd) ? "operator" : "admin";
+}
+
+// The same allowlist for a restricted-terminal line such as "openclaw devices list".
+function terminalLineMinRole(parts) {
+  const [base, sub = "", action = ""] = parts.map((p) => p.toLowerCase());
+  if (base !== "openclaw") return consoleCmdMinRole(base);
+  if (sub === "--version" || sub === "logs") return "operator";
+  return [`openclaw.${sub}`, `openclaw.${sub}.${action}`].some((c) => OPERATOR_CONSOLE_COMMANDS.has(c)) ? "operator" : "admin";
+}
+
+app.post("/setup/api/console/run", requireSetupAuth, requireRole("operator"), async (req, res) => {
+  const payload = req.body || {};
+  const cmd = String(payload.cmd || "").trim();
+  const arg = String(payload.arg || "").trim();
+  const { instance } = req;
+
+  if (!isAllowedConsoleCmd(cmd)) {
+    return res.status(400).json({ ok: false, error: "Command not allowed. Must be gateway.* or openclaw.*" });
+  }
+  if (SHELL_UNSAFE.test(cmd) || SHELL_UNSAFE.test(arg)) {
+    return res.status(400).json({ ok: false, error: "Invalid characters in command or argument" });
+  }
+  const minRole = consoleCmdMinRole(cmd);
+  if (!roleAtLeast(req.auth.user.role, minRole)) {
+    return res.status(403).json({ ok: false, error: `${cmd} requires the ${minRole} role` });
+  }
+  // Every branch below answers on its own; the status code tells whether the command worked.
+  res.once("finish", () => recordAudit(req, "console.run", { cmd, arg: redactSecrets(arg), ok: res.statusCode < 400 }));
+
+  try {
+    if (cmd === "gateway.restart") {
+      await restartGateway({ reason: "console", manual: true, instance });
+      return res.json({ ok: true, output: "Gateway restarted (wrapper-managed).\n" });
+    }
+    if (cmd === "gateway.stop") {
+      await stopGateway({ reason: "console", instance });
+      return res.json({ ok: true, output: "Gateway stopped (wrapper-managed).\n" });
+    }
+    if (cmd === "gateway.start") {
+      const r = await ensureGatewayRunning({ reason: "console", manual: true, instance });
+      return res.json({ ok: Boolean(r.ok), output: r.ok ? "Gateway started.\n" : `Gateway not started: ${r.reason}\n` });
+    }
+    if (cmd === "gateway.resume") {
+      const r = await resumeGatewayAutoRestart({ reason: "console", instance });
+      return res.json({ ok: Boolean(r.ok), output: r.ok ? "Auto-restart resumed; gateway started.\n" : `Gateway not started: ${r.reason}\n` });
+    }
+
+    if (cmd === "openclaw.version") {
+      const r = await runCmd(OPENCLAW_NODE, clawArgs(["--version"]), { instance });
+      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    }
+    if (cmd === "openclaw.status") {
+      const r = await runCmd(OPENCLAW_NODE, clawArgs(["status"]), { instance });
+      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    }
+    if (cmd === "openclaw.health") {
+      const r = await runCmd(OPENCLAW_NODE, clawArgs(["health"]), { instance });
+      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    }
+    if (cmd === "openclaw.doctor") {
+      const r = await runCmd(OPENCLAW_NODE, clawArgs(["doctor"]), { instance });
+      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    }
+    if (cmd === "openclaw.logs.tail") {
+      const lines = Math.max(50, Math.min(1000, Number.parseInt(arg || "200", 10) || 200));
+      const r = await runCmd(OPENCLAW_NODE, clawArgs(["logs", "--tail", String(lines)]), { instance });
+      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    }
+    if (cmd === "openclaw.config.get") {
+      if (!arg) return res.status(400).json({ ok: false, error: "Missing config path" });
+      const r = await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", arg]), { instance });
+      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    }
+
+    // Device management commands (for fixing "disconnected (1008): pairing required")
+    if (cmd === "openclaw.devices.list") {
+      const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "list"]), { instance });
+      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    }
+    if (cmd === "openclaw.devices.approve") {
+      const requestId = String(arg || "").trim();
+      if (!requestId) {
+        return res.status(400).json({ ok: false, error: "Missing device request ID" });
+      }
+      if (!/^[A-Za-z0-9_-]+$/.test(requestId)) {
+        return res.status(400).json({ ok: false, error: "Invalid device request ID" });
+      }
+      const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "approve", requestId]), { instance });
+      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    }
+
+    // Plugin management commands
+    if (cmd === "openclaw.plugins.list") {
+      const r = await runCmd(OPENCLAW_NODE, clawArgs(["plugins", "list"]), { instance });
+      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    }
+    if (cmd === "openclaw.plugins.enable") {
+      const name = String(arg || "").trim();
+      if (!name) return res.status(400).json({ ok: false, error: "Missing plugin name" });
+      if (!/^[A-Za-z0-9_-]+$/.test(name)) return res.status(400).json({ ok: false, error: "Invalid plugin name" });
+      const r = await runCmd(OPENCLAW_NODE, clawArgs(["plugins", "enable", name]), { instance });
+      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    }
+
+    // Generic openclaw.* fallback: convert dotted command to CLI args.
+    // e.g. "openclaw.channels.add" → ["channels", "add"]
+    if (cmd.startsWith("openclaw.")) {
+      const parts = cmd.slice("openclaw.".length).split(".").map((s) => s.replace(/_/g, "-"));
+      // Special case: "openclaw.version" → ["--version"]
+      const cliArgs = parts.length === 1 && parts[0] === "version" ? ["--version"] : parts;
+      if (arg) cliArgs.push(arg);
+      const r = await runCmd(OPENCLAW_NODE, clawArgs(cliArgs), { instance });
+      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    }
+
+    return res.status(400).json({ ok: false, error: "Unhandled command" });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+app.get("/setup/api/config/raw", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const p = configPath(req.instance);
+    const exists = fs.existsSync(p);
+    const content = exists ? fs.readFileSync(p, "utf8") : "";
+    res.json({ ok: true, path: p, exists, content });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+app.post("/setup/api/config/raw", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const content = String((req.body && req.body.content) || "");
+    if (content.length > 500_000) {
+      return res.status(413).json({ ok: false, error: "Config too large" });
+    }
+    const { instance } = req;
+
+    fs.mkdirSync(instance.stateDir, { recursive: true });
+
+    const p = configPath(instance);
+    const previous = fs.existsSync(p) ? fs.readFileSync(p, "utf8") : "";
+    // Backup
+    if (fs.existsSync(p)) {
+      const backupPath = `${p}.bak-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+      fs.copyFileSync(p, backupPath);
+    }
+
+    fs.writeFileSync(p, content, { encoding: "utf8", mode: 0o600 });
+    eventWebhooks.emit("config.saved", { instance: instance.name, path: p, bytes: Buffer.byteLength(content) });
+    recordAudit(req, "config.save", { path: p, bytes: Buffer.byteLength(content), diff: auditConfigDiff(previous, content) });
+
+    // Apply immediately.
+    if (isConfigured(instance)) {
+      await restartGateway({ reason: "config-save", instance });
+    }
+
+    res.json({ ok: true, path: p });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+// ── .env file endpoints ──
+function envPath(inst) {
+  const dir = path.dirname(configPath(inst));
+  return path.join(dir, ".env");
+}
+
+app.get("/setup/api/env/raw", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const p = envPath(req.instance);
+    const exists = fs.existsSync(p);
+    const content = exists ? fs.readFileSync(p, "utf8") : "";
+    res.json({ ok: true, path: p, exists, content });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+app.post("/setup/api/env/raw", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const content = String((req.body && req.body.content) || "");
+    if (content.length > 500_000) {
+      return res.status(413).json({ ok: false, error: "File too large" });
     }
-    if (cmd === "openclaw.doctor") {
-      const r = await runCmd(OPENCLAW_NODE, clawArgs(["doctor"]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    const { instance } = req;
+
+    fs.mkdirSync(instance.stateDir, { recursive: true });
+
+    const p = envPath(instance);
+    const previous = fs.existsSync(p) ? fs.readFileSync(p, "utf8") : "";
+    fs.writeFileSync(p, content, { encoding: "utf8", mode: 0o600 });
+    eventWebhooks.emit("env.saved", { instance: instance.name, path: p, bytes: Buffer.byteLength(content) });
+    recordAudit(req, "env.save", { path: p, bytes: Buffer.byteLength(content), diff: auditEnvDiff(previous, content) });
+
+    // Restart gateway so new env vars take effect.
+    if (isConfigured(instance)) {
+      await restartGateway({ reason: "env-save", instance });
     }
-    if (cmd === "openclaw.logs.tail") {
-      const lines = Math.max(50, Math.min(1000, Number.parseInt(arg || "200", 10) || 200));
-      const r = await runCmd(OPENCLAW_NODE, clawArgs(["logs", "--tail", String(lines)]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+
+    res.json({ ok: true, path: p });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+app.post("/setup/api/pairing/approve", requireSetupAuth, requireRole("operator"), async (req, res) => {
+  const { channel, code } = req.body || {};
+  if (!channel || !code) {
+    return res.status(400).json({ ok: false, error: "Missing channel or code" });
+  }
+  const r = await runCmd(OPENCLAW_NODE, clawArgs(["pairing", "approve", String(channel), String(code)]), { instance: req.instance });
+  recordAudit(req, "pairing.approve", { channel: String(channel), ok: r.code === 0 });
+  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: r.output });
+});
+
+// Device pairing helper (list + approve) to avoid needing SSH.
+app.get("/setup/api/devices/pending", requireSetupAuth, async (req, res) => {
+  const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "list", "--json"]), { instance: req.instance });
+  if (r.code !== 0) {
+    return res.status(500).json({ ok: false, error: redactSecrets(r.output) });
+  }
+  const data = JSON.parse(r.output);
+  eventWebhooks.notePendingDevices(req.instance, data.pending || []);
+  return res.json({
+    ok: true,
+    pending: data.pending || [],
+    paired: data.paired || [],
+    requestIds: (data.pending || []).map((d) => d.requestId).filter(Boolean),
+  });
+});
+
+app.post("/setup/api/devices/approve", requireSetupAuth, requireRole("operator"), async (req, res) => {
+  const requestId = String((req.body && req.body.requestId) || "").trim();
+  if (!requestId) return res.status(400).json({ ok: false, error: "Missing device request ID" });
+  if (!/^[A-Za-z0-9_-]+$/.test(requestId)) return res.status(400).json({ ok: false, error: "Invalid device request ID" });
+  const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "approve", requestId]), { instance: req.instance });
+  recordAudit(req, "device.approve", { requestId, ok: r.code === 0 });
+  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+});
+
+app.post("/setup/api/devices/reject", requireSetupAuth, requireRole("operator"), async (req, res) => {
+  const requestId = String((req.body && req.body.requestId) || "").trim();
+  if (!requestId) return res.status(400).json({ ok: false, error: "Missing device request ID" });
+  if (!/^[A-Za-z0-9_-]+$/.test(requestId)) return res.status(400).json({ ok: false, error: "Invalid device request ID" });
+  const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "reject", requestId]), { instance: req.instance });
+  recordAudit(req, "device.reject", { requestId, ok: r.code === 0 });
+  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+});
+
+app.post("/setup/api/devices/revoke", requireSetupAuth, requireRole("operator"), async (req, res) => {
+  const deviceId = String((req.body && req.body.deviceId) || "").trim();
+  const role = String((req.body && req.body.role) || "").trim();
+  if (!deviceId) return res.status(400).json({ ok: false, error: "Missing device ID" });
+  if (!role) return res.status(400).json({ ok: false, error: "Missing role" });
+  if (!/^[A-Za-z0-9_-]+$/.test(deviceId)) return res.status(400).json({ ok: false, error: "Invalid device ID" });
+  if (!/^[A-Za-z0-9_.-]+$/.test(role)) return res.status(400).json({ ok: false, error: "Invalid role" });
+  const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "revoke", "--device", deviceId, "--role", role]), { instance: req.instance });
+  recordAudit(req, "device.revoke", { deviceId, deviceRole: role, ok: r.code === 0 });
+  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+});
+
+app.post("/setup/api/reset", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  // Reset: stop gateway (frees memory) + delete config file(s) so /setup can rerun.
+  // Keep credentials/sessions/workspace by default.
+  try {
+    // Stop gateway to avoid running gateway + onboard concurrently on small Railway instances.
+    await stopGateway({ reason: "reset", instance: req.instance });
+
+    const candidates = resolveConfigCandidates(req.instance);
+    for (const p of candidates) {
+      try { fs.rmSync(p, { force: true }); } catch { }
     }
-    if (cmd === "openclaw.config.get") {
-      if (!arg) return res.status(400).json({ ok: false, error: "Missing config path" });
-      const r = await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", arg]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    recordAudit(req, "setup.reset", { paths: candidates });
+
+    res.type("text/plain").send("OK - stopped gateway and deleted config file(s). You can rerun setup now.");
+  } catch (err) {
+    res.status(500).type("text/plain").send(String(err));
+  }
+});
+
+// Wipe the entire /data volume.
+app.post("/setup/api/wipe-volume", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const dataRoot = "/data";
+    if (!isUnderDir(STATE_DIR, dataRoot) || !isUnderDir(WORKSPACE_DIR, dataRoot)) {
+      return res.status(400).type("text/plain").send("Wipe is only supported when state and workspace dirs are under /data.\n");
     }
 
-    // Device management commands (for fixing "disconnected (1008): pairing required")
-    if (cmd === "openclaw.devices.list") {
-      const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "list"]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    // Stop every gateway first; named instances live under STATE_DIR/instances.
+    await stopGateway({ reason: "wipe" });
+    for (const instance of namedInstances()) await stopGateway({ reason: "wipe", instance });
+
+    // Delete everything under /data but keep the mount point itself.
+    for (const entry of fs.readdirSync(dataRoot)) {
+      fs.rmSync(path.join(dataRoot, entry), { recursive: true, force: true });
     }
-    if (cmd === "openclaw.devices.approve") {
-      const requestId = String(arg || "").trim();
-      if (!requestId) {
-        return res.status(400).json({ ok: false, error: "Missing device request ID" });
+
+    console.log("[wipe] deleted all contents under /data");
+    eventWebhooks.emit("volume.wiped", { path: dataRoot });
+    // Written after the wipe, so it is the first entry of the new audit log.
+    recordAudit(req, "volume.wipe", { path: dataRoot });
+    res.type("text/plain").send("OK - /data volume wiped. Please redeploy OpenClaw from the Railway console.\n");
+  } catch (err) {
+    console.error("[wipe]", err);
+    res.status(500).type("text/plain").send(String(err));
+  }
+});
+
+app.get("/setup/export", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
+  recordAudit(req, "backup.export");
+
+  res.setHeader("content-type", "application/gzip");
+  res.setHeader(
+    "content-disposition",
+    `attachment; filename="openclaw-backup-${new Date().toISOString().replace(/[:.]/g, "-")}.tar.gz"`,
+  );
+
+  // Prefer exporting from a common /data root so archives are easy to inspect and restore.
+  // This preserves dotfiles like /data/.openclaw/openclaw.json.
+  const stateAbs = path.resolve(STATE_DIR);
+  const workspaceAbs = path.resolve(WORKSPACE_DIR);
+
+  const dataRoot = "/data";
+  const underData = (p) => p === dataRoot || p.startsWith(dataRoot + path.sep);
+
+  let cwd = "/";
+  let paths = [stateAbs, workspaceAbs].map((p) => p.replace(/^\//, ""));
+
+  if (underData(stateAbs) && underData(workspaceAbs)) {
+    cwd = dataRoot;
+    // We export relative to /data so the archive contains: .openclaw/... and workspace/...
+    paths = [
+      path.relative(dataRoot, stateAbs) || ".",
+      path.relative(dataRoot, workspaceAbs) || ".",
+    ];
+  }
+
+  const stream = tar.c(
+    {
+      gzip: true,
+      portable: true,
+      noMtime: true,
+      cwd,
+      onwarn: () => { },
+      // Uploaded OpenClaw builds and update snapshots are large and not worth restoring.
+      filter: (p) => ![OPENCLAW_BUILDS_DIR, UPDATE_SNAPSHOT_DIR].some((dir) => isUnderDir(path.join(cwd, p), dir)),
+    },
+    paths,
+  );
+
+  const startedAt = Date.now();
+  let bytes = 0;
+  stream.on("data", (chunk) => { bytes += chunk.length; });
+  stream.on("end", () => {
+    metricBackupExports.inc({ outcome: "ok" });
+    eventWebhooks.emit("backup.completed", { bytes, durationMs: Date.now() - startedAt });
+  });
+  stream.on("error", (err) => {
+    metricBackupExports.inc({ outcome: "error" });
+    console.error("[export]", err);
+    if (!res.headersSent) res.status(500);
+    res.end(String(err));
+  });
+
+  stream.pipe(res);
+});
+
+function isUnderDir(p, root) {
+  const abs = path.resolve(p);
+  const r = path.resolve(root);
+  return abs === r || abs.startsWith(r + path.sep);
+}
+
+function looksSafeTarPath(p) {
+  if (!p) return false;
+  // tar paths always use / separators
+  if (p.startsWith("/") || p.startsWith("\\")) return false;
+  // windows drive letters
+  if (/^[A-Za-z]:[\\/]/.test(p)) return false;
+  // path traversal
+  if (p.split("/").includes("..")) return false;
+  return true;
+}
+
+async function readBodyBuffer(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let total = 0;
+    req.on("data", (chunk) => {
+      total += chunk.length;
+      if (total > maxBytes) {
+        reject(new Error("payload too large"));
+        req.destroy();
+        return;
       }
-      if (!/^[A-Za-z0-9_-]+$/.test(requestId)) {
-        return res.status(400).json({ ok: false, error: "Invalid device request ID" });
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+// Import a backup created by /setup/export.
+// This is intentionally limited to restoring into /data to avoid overwriting arbitrary host paths.
+app.post("/setup/import", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const dataRoot = "/data";
+    if (!isUnderDir(STATE_DIR, dataRoot) || !isUnderDir(WORKSPACE_DIR, dataRoot)) {
+      metricBackupImports.inc({ outcome: "rejected" });
+      return res
+        .status(400)
+        .type("text/plain")
+        .send("Import is only supported when OPENCLAW_STATE_DIR and OPENCLAW_WORKSPACE_DIR are under /data (Railway volume).\n");
+    }
+
+    // Stop gateway before restore so we don't overwrite live files.
+    await stopGateway({ reason: "import" });
+    for (const instance of namedInstances()) await stopGateway({ reason: "import", instance });
+
+    const buf = await readBodyBuffer(req, 250 * 1024 * 1024); // 250MB max
+    if (!buf.length) {
+      metricBackupImports.inc({ outcome: "rejected" });
+      return res.status(400).type("text/plain").send("Empty body\n");
+    }
+
+    // Extract into /data.
+    // We only allow safe relative paths, and we intentionally do NOT delete existing files.
+    // (Users can reset/redeploy or manually clean the volume if desired.)
+    const tmpPath = path.join(os.tmpdir(), `openclaw-import-${Date.now()}.tar.gz`);
+    fs.writeFileSync(tmpPath, buf);
+
+    await tar.x({
+      file: tmpPath,
+      cwd: dataRoot,
+      gzip: true,
+      onwarn: (code, msg) => {
+        console.warn(`[import] tar warning (${code}): ${msg}`);
+      },
+      filter: (p) => {
+        // Allow only paths that look safe.
+        return looksSafeTarPath(p);
+      },
+    });
+
+    try { fs.rmSync(tmpPath, { force: true }); } catch { }
+
+    // Migrate legacy .clawdbot directory to .openclaw if present.
+    const legacyDir = path.join(dataRoot, ".clawdbot");
+    const openclawDir = path.join(dataRoot, ".openclaw");
+    if (fs.existsSync(legacyDir)) {
+      if (!fs.existsSync(openclawDir)) {
+        fs.renameSync(legacyDir, openclawDir);
+        console.log("[import] renamed .clawdbot -> .openclaw");
+      } else {
+        // Merge .clawdbot into .openclaw (overwrite existing files).
+        fs.cpSync(legacyDir, openclawDir, { recursive: true, force: true });
+        fs.rmSync(legacyDir, { recursive: true, force: true });
+        console.log("[import] merged .clawdbot into .openclaw and removed .clawdbot");
       }
-      const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "approve", requestId]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
     }
 
-    // Plugin management commands
-    if (cmd === "openclaw.plugins.list") {
-      const r = await runCmd(OPENCLAW_NODE, clawArgs(["plugins", "list"]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
-    }
-    if (cmd === "openclaw.plugins.enable") {
-      const name = String(arg || "").trim();
-      if (!name) return res.status(400).json({ ok: false, error: "Missing plugin name" });
-      if (!/^[A-Za-z0-9_-]+$/.test(name)) return res.status(400).json({ ok: false, error: "Invalid plugin name" });
-      const r = await runCmd(OPENCLAW_NODE, clawArgs(["plugins", "enable", name]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    // Patch gateway auth token in openclaw.json to match current env.
+    const envToken = process.env.OPENCLAW_GATEWAY_TOKEN?.trim();
+    if (envToken) {
+      const cfgFile = path.join(openclawDir, "openclaw.json");
+      try {
+        const cfg = JSON.parse(fs.readFileSync(cfgFile, "utf8"));
+        if (cfg.gateway?.auth?.token) {
+          cfg.gateway.auth.token = envToken;
+          fs.writeFileSync(cfgFile, JSON.stringify(cfg, null, 2) + "\n", "utf8");
+          console.log("[import] patched gateway.auth.token in openclaw.json");
+        }
+      } catch { }
+    }
+
+    // Restart gateway after restore.
+    if (isConfigured()) {
+      await restartGateway({ reason: "import" });
     }
-
-    // Generic openclaw.* fallback: convert dotted command to CLI args.
-    // e.g. "openclaw.channels.add" → ["channels", "add"]
-    if (cmd.startsWith("openclaw.")) {
-      const parts = cmd.slice("openclaw.".length).split(".").map((s) => s.replace(/_/g, "-"));
-      // Special case: "openclaw.version" → ["--version"]
-      const cliArgs = parts.length === 1 && parts[0] === "version" ? ["--version"] : parts;
-      if (arg) cliArgs.push(arg);
-      const r = await runCmd(OPENCLAW_NODE, clawArgs(cliArgs));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+    for (const instance of namedInstances()) {
+      if (isConfigured(instance)) await restartGateway({ reason: "import", instance });
     }
 
-    return res.status(400).json({ ok: false, error: "Unhandled command" });
+    metricBackupImports.inc({ outcome: "ok" });
+    eventWebhooks.emit("import.finished", { ok: true, bytes: buf.length });
+    recordAudit(req, "backup.import", { ok: true, bytes: buf.length });
+    res.type("text/plain").send("OK - imported backup into /data and restarted gateway.\n");
   } catch (err) {
-    return res.status(500).json({ ok: false, error: String(err) });
+    metricBackupImports.inc({ outcome: "error" });
+    eventWebhooks.emit("import.finished", { ok: false, error: String(err) });
+    recordAudit(req, "backup.import", { ok: false, error: String(err) });
+    console.error("[import]", err);
+    res.status(500).type("text/plain").send(String(err));
   }
 });
 
-app.get("/setup/api/config/raw", requireSetupAuth, async (_req, res) => {
+// --- OpenClaw builds ---
+// Uploaded OpenClaw builds are unpacked into STATE_DIR/openclaw-builds/<id>, next to a
+// build.json manifest. The active build (null = the image's OPENCLAW_ENTRY) is kept in
+// wrapper-settings.json. Switching restarts every configured instance on the new entry and
+// switches back if any of them fails readiness. After each upload, unpinned builds beyond
+// the newest OPENCLAW_BUILDS_KEEP are deleted.
+const OPENCLAW_BUILDS_DIR = path.join(STATE_DIR, "openclaw-builds");
+const OPENCLAW_BUILDS_KEEP = Math.max(1, Number.parseInt(process.env.OPENCLAW_BUILDS_KEEP ?? "3", 10) || 3);
+const OPENCLAW_BUILD_MAX_BYTES = 500 * 1024 * 1024;
+const BUILD_ID_RE = /^[a-z0-9][a-z0-9._-]{0,79}$/i;
+
+function buildDir(id) {
+  return path.join(OPENCLAW_BUILDS_DIR, id);
+}
+
+function readBuildManifest(id) {
+  if (!BUILD_ID_RE.test(String(id || ""))) return null;
   try {
-    const p = configPath();
-    const exists = fs.existsSync(p);
-    const content = exists ? fs.readFileSync(p, "utf8") : "";
-    res.json({ ok: true, path: p, exists, content });
+    const m = JSON.parse(fs.readFileSync(path.join(buildDir(id), "build.json"), "utf8"));
+    return m && m.id === id ? m : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeBuildManifest(manifest) {
+  const p = path.join(buildDir(manifest.id), "build.json");
+  fs.writeFileSync(`${p}.tmp`, JSON.stringify(manifest, null, 2) + "\n", "utf8");
+  fs.renameSync(`${p}.tmp`, p);
+}
+
+// Newest first.
+function listBuilds() {
+  let names = [];
+  try { names = fs.readdirSync(OPENCLAW_BUILDS_DIR); } catch { }
+  return names
+    .map(readBuildManifest)
+    .filter(Boolean)
+    .sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+}
+
+function buildEntryPath(manifest) {
+  return path.join(buildDir(manifest.id), manifest.entry);
+}
+
+function activeBuildId() {
+  return readWrapperSettings().openclawBuild || null;
+}
+
+// id null selects the bundled build. Affects every OpenClaw process spawned afterwards.
+function setActiveBuild(id) {
+  const manifest = id ? readBuildManifest(id) : null;
+  openclawEntry = manifest ? buildEntryPath(manifest) : OPENCLAW_ENTRY;
+  writeWrapperSettings({ ...readWrapperSettings(), openclawBuild: manifest ? manifest.id : null });
+  _cachedVersion = null;
+}
+
+function loadActiveBuild() {
+  const id = activeBuildId();
+  if (!id) return;
+  const manifest = readBuildManifest(id);
+  if (manifest && fs.existsSync(buildEntryPath(manifest))) {
+    openclawEntry = buildEntryPath(manifest);
+    console.log(`[builds] using OpenClaw build ${id}`);
+  } else {
+    console.warn(`[builds] active build ${id} is missing; using ${OPENCLAW_ENTRY}`);
+  }
+}
+
+loadActiveBuild();
+
+// The entry inside an unpacked tarball: dist/entry.js at the top, or under a single
+// top-level directory (npm pack uses package/).
+function findBuildEntry(root) {
+  const candidates = ["dist/entry.js"];
+  const top = fs.readdirSync(root, { withFileTypes: true }).filter((d) => d.isDirectory());
+  if (top.length === 1) candidates.push(`${top[0].name}/dist/entry.js`);
+  return candidates.find((c) => fs.existsSync(path.join(root, c))) || null;
+}
+
+function pruneBuilds() {
+  const active = activeBuildId();
+  const removable = listBuilds().filter((b) => !b.pinned && b.id !== active);
+  for (const b of removable.slice(OPENCLAW_BUILDS_KEEP)) {
+    fs.rmSync(buildDir(b.id), { recursive: true, force: true });
+    console.log(`[builds] pruned ${b.id}`);
+  }
+}
+
+let buildSwitchInFlight = false;
+
+async function restartConfiguredInstances(reason) {
+  for (const instance of GATEWAY_INSTANCES.values()) {
+    if (isConfigured(instance)) await restartGateway({ reason, instance });
+  }
+}
+
+async function switchOpenclawBuild(id) {
+  const previous = activeBuildId();
+  setActiveBuild(id);
+  recordGatewayEvent("build_switch", { from: previous || "bundled", to: id || "bundled" });
+  try {
+    await restartConfiguredInstances("build-switch");
+    return { ok: true, active: id };
   } catch (err) {
-    res.status(500).json({ ok: false, error: String(err) });
+    const error = String(err);
+    console.error(`[builds] ${id || "bundled"} failed readiness, reverting to ${previous || "bundled"}: ${error}`);
+    setActiveBuild(previous);
+    recordGatewayEvent("build_revert", { from: id || "bundled", to: previous || "bundled", error });
+    await restartConfiguredInstances("build-revert").catch((e) => {
+      console.error(`[builds] restart after revert failed: ${String(e)}`);
+    });
+    return { ok: false, reverted: true, active: previous, error };
   }
+}
+
+app.get("/setup/api/builds", requireSetupAuth, (_req, res) => {
+  res.json({
+    ok: true,
+    active: activeBuildId(),
+    entry: openclawEntry,
+    bundledEntry: OPENCLAW_ENTRY,
+    keep: OPENCLAW_BUILDS_KEEP,
+    switching: buildSwitchInFlight,
+    builds: listBuilds(),
+  });
 });
 
-app.post("/setup/api/config/raw", requireSetupAuth, async (req, res) => {
+// Body: the build tarball (.tar.gz). ?name= is kept as the build's label.
+app.post("/setup/api/builds/upload", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  const tmpPath = path.join(os.tmpdir(), `openclaw-build-${Date.now()}.tar.gz`);
+  let staging = null;
   try {
-    const content = String((req.body && req.body.content) || "");
-    if (content.length > 500_000) {
-      return res.status(413).json({ ok: false, error: "Config too large" });
-    }
+    const buf = await readBodyBuffer(req, OPENCLAW_BUILD_MAX_BYTES);
+    if (!buf.length) return res.status(400).json({ ok: false, error: "Empty body" });
+    fs.writeFileSync(tmpPath, buf);
 
-    fs.mkdirSync(STATE_DIR, { recursive: true });
+    fs.mkdirSync(OPENCLAW_BUILDS_DIR, { recursive: true });
+    staging = fs.mkdtempSync(path.join(OPENCLAW_BUILDS_DIR, ".upload-"));
+    await tar.x({
+      file: tmpPath,
+      cwd: staging,
+      gzip: true,
+      onwarn: (code, msg) => console.warn(`[builds] tar warning (${code}): ${msg}`),
+      filter: (p) => looksSafeTarPath(p),
+    });
 
-    const p = configPath();
-    // Backup
-    if (fs.existsSync(p)) {
-      const backupPath = `${p}.bak-${new Date().toISOString().replace(/[:.]/g, "-")}`;
-      fs.copyFileSync(p, backupPath);
+    const entry = findBuildEntry(staging);
+    if (!entry) {
+      return res.status(400).json({ ok: false, error: "No dist/entry.js found in the tarball" });
     }
-
-    fs.writeFileSync(p, content, { encoding: "utf8", mode: 0o600 });
-
-    // Apply immediately.
-    if (isConfigured()) {
-      await restartGateway();
+    // Running --version proves the build starts with its bundled dependencies.
+    const v = await runCmd(OPENCLAW_NODE, [path.join(staging, entry), "--version"], { timeoutMs: 30_000 });
+    if (v.code !== 0) {
+      return res.status(400).json({ ok: false, error: `Build failed to run --version (exit ${v.code})`, output: redactSecrets(v.output.slice(-2000)) });
     }
-
-    res.json({ ok: true, path: p });
+    const version = v.output.trim().split("\n").pop().trim();
+    const slug = version.replace(/[^a-z0-9._-]+/gi, "-").replace(/^[^a-z0-9]+/i, "").slice(0, 40) || "build";
+    const id = `${slug}-${Date.now().toString(36)}`;
+
+    fs.renameSync(staging, buildDir(id));
+    staging = null;
+    const manifest = {
+      id,
+      version,
+      label: String(req.query.name || "").slice(0, 200) || null,
+      entry,
+      bytes: buf.length,
+      uploadedAt: new Date().toISOString(),
+      pinned: false,
+    };
+    writeBuildManifest(manifest);
+    console.log(`[builds] installed ${id} (${version})`);
+    recordAudit(req, "build.upload", { build: id, version });
+    pruneBuilds();
+    res.json({ ok: true, build: manifest });
   } catch (err) {
+    console.error("[builds]", err);
     res.status(500).json({ ok: false, error: String(err) });
+  } finally {
+    try { fs.rmSync(tmpPath, { force: true }); } catch { }
+    if (staging) try { fs.rmSync(staging, { recursive: true, force: true }); } catch { }
   }
 });
 
-// ── .env file endpoints ──
-function envPath() {
-  const dir = path.dirname(configPath());
-  return path.join(dir, ".env");
+// Body: { id } — a build id, or null/"bundled" for the image's build.
+app.post("/setup/api/builds/activate", requireSetupAuth, requireRole("admin"), async (req, res) => {
+  const raw = req.body?.id;
+  const id = raw && raw !== "bundled" ? String(raw) : null;
+  if (id && !readBuildManifest(id)) return res.status(404).json({ ok: false, error: "Build not found" });
+  if (id === activeBuildId()) return res.json({ ok: true, active: id });
+  if (buildSwitchInFlight) return res.status(409).json({ ok: false, error: "A build switch is already in progress" });
+  if (updateJob?.state === "running") return res.status(409).json({ ok: false, error: "An OpenClaw update is in progress" });
+  buildSwitchInFlight = true;
+  try {
+    const result = await switchOpenclawBuild(id);
+    recordAudit(req, "build.activate", { build: id ?? "bundled", ok: Boolean(result.ok) });
+    res.status(result.ok ? 200 : 502).json(result);
+  } finally {
+    buildSwitchInFlight = false;
+  }
+});
+
+app.post("/setup/api/builds/pin", requireSetupAuth, requireRole("admin"), (req, res) => {
+  const manifest = readBuildManifest(req.body?.id);
+  if (!manifest) return res.status(404).json({ ok: false, error: "Build not found" });
+  manifest.pinned = Boolean(req.body?.pinned);
+  writeBuildManifest(manifest);
+  res.json({ ok: true, build: manifest });
+});
+
+app.post("/setup/api/builds/delete", requireSetupAuth, requireRole("admin"), (req, res) => {
+  const manifest = readBuildManifest(req.body?.id);
+  if (!manifest) return res.status(404).json({ ok: false, error: "Build not found" });
+  if (manifest.id === activeBuildId()) return res.status(409).json({ ok: false, error: "Switch to another build before deleting the active one" });
+  if (manifest.pinned) return res.status(409).json({ ok: false, error: "Unpin the build before deleting it" });
+  fs.rmSync(buildDir(manifest.id), { recursive: true, force: true });
+  recordAudit(req, "build.delete", { build: manifest.id });
+  res.json({ ok: true });
+});
+
+// --- Guarded OpenClaw update ---
+// `openclaw update` rewrites the active OpenClaw install in place. Before running it, the
+// install directory and STATE_DIR (minus wrapper-owned files) are copied to
+// STATE_DIR/update-snapshot. The update then runs as a single tracked job whose progress
+// is streamed to /setup; after it, every configured instance is restarted and must pass
+// readiness and `openclaw health`. On any failure the install and state are restored from
+// the snapshot and the gateways restarted. Restoring overwrites files from the snapshot but
+// leaves files the update added in place. The snapshot is removed after a good update.
+const OPENCLAW_UPDATE_TIMEOUT_MS = Math.max(60_000, Number.parseInt(process.env.OPENCLAW_UPDATE_TIMEOUT_MS ?? "900000", 10) || 900_000);
+const UPDATE_SNAPSHOT_DIR = path.join(STATE_DIR, "update-snapshot");
+// Relative to STATE_DIR. These record what happens during the update, so a rollback keeps them.
+const UPDATE_SNAPSHOT_EXCLUDE = ["openclaw-builds", "update-snapshot", "gateway-journal.jsonl", "logs", "webhook-spool", "wrapper-settings.json", "uptime-history.json", "setup-sessions.json", "setup-users.json", "setup-password.json", "setup-2fa.json", "setup-2fa.key", "auth-failures.jsonl", "audit.jsonl", "audit.jsonl.1"];
+const UPDATE_STEPS = ["Snapshotting state and install", "Running openclaw update", "Restarting gateway", "Checking openclaw health"];
+const UPDATE_ROLLBACK_STEPS = ["Restoring install", "Restoring state", "Restarting gateway on the previous build"];
+
+let updateJob = null;
+const updateSubscribers = new Set();
+
+// The install directory the active entry belongs to (<root>/dist/entry.js), or null when
+// the entry doesn't sit in a package like that.
+function openclawInstallRoot() {
+  const dist = path.dirname(openclawEntry);
+  const root = path.dirname(dist);
+  if (path.basename(dist) !== "dist" || !fs.existsSync(path.join(root, "package.json"))) return null;
+  return root;
+}
+
+function updateJobSummary(job) {
+  if (!job) return null;
+  const { events: _events, ...summary } = job;
+  return summary;
+}
+
+// Events use the same shape as /setup/api/run: plan, step, stepDone, log, done.
+function emitUpdateEvent(event, data) {
+  updateJob.events.push({ event, data });
+  if (event === "step") updateJob.steps.push({ label: data.label, ok: null });
+  if (event === "stepDone") {
+    const step = updateJob.steps.findLast((st) => st.label === data.label);
+    if (step) step.ok = data.ok;
+  }
+  for (const fn of updateSubscribers) {
+    try { fn(event, data); } catch { }
+  }
+}
+
+async function snapshotForUpdate(root) {
+  await fs.promises.rm(UPDATE_SNAPSHOT_DIR, { recursive: true, force: true });
+  await fs.promises.mkdir(UPDATE_SNAPSHOT_DIR, { recursive: true });
+  await tar.c(
+    {
+      gzip: true,
+      portable: true,
+      file: path.join(UPDATE_SNAPSHOT_DIR, "state.tar.gz"),
+      cwd: STATE_DIR,
+      filter: (p) => !UPDATE_SNAPSHOT_EXCLUDE.includes(p.replace(/^\.\//, "").split("/")[0]),
+    },
+    ["."],
+  );
+  // OPENCLAW_CONFIG_PATH may point outside STATE_DIR.
+  const cfg = configPath();
+  if (!isUnderDir(cfg, STATE_DIR) && fs.existsSync(cfg)) {
+    await fs.promises.copyFile(cfg, path.join(UPDATE_SNAPSHOT_DIR, "openclaw.json"));
+  }
+  await fs.promises.cp(root, path.join(UPDATE_SNAPSHOT_DIR, "install"), { recursive: true, verbatimSymlinks: true });
 }
 
-app.get("/setup/api/env/raw", requireSetupAuth, async (_req, res) => {
+// Replaces dir with a copy of from. The copy is made next to dir and swapped in by renames, so
+// a copy that fails partway (full disk, permissions) leaves dir as it was.
+async function replaceDirWithCopy(from, dir) {
+  const incoming = `${dir}.incoming`;
+  const outgoing = `${dir}.outgoing`;
+  await fs.promises.rm(incoming, { recursive: true, force: true });
+  await fs.promises.rm(outgoing, { recursive: true, force: true });
   try {
-    const p = envPath();
-    const exists = fs.existsSync(p);
-    const content = exists ? fs.readFileSync(p, "utf8") : "";
-    res.json({ ok: true, path: p, exists, content });
+    await fs.promises.cp(from, incoming, { recursive: true, verbatimSymlinks: true });
   } catch (err) {
-    res.status(500).json({ ok: false, error: String(err) });
+    await fs.promises.rm(incoming, { recursive: true, force: true }).catch(() => { });
+    throw err;
   }
-});
-
-app.post("/setup/api/env/raw", requireSetupAuth, async (req, res) => {
+  const hadDir = fs.existsSync(dir);
+  if (hadDir) await fs.promises.rename(dir, outgoing);
   try {
-    const content = String((req.body && req.body.content) || "");
-    if (content.length > 500_000) {
-      return res.status(413).json({ ok: false, error: "File too large" });
-    }
+    await fs.promises.rename(incoming, dir);
+  } catch (err) {
+    if (hadDir) await fs.promises.rename(outgoing, dir);
+    throw err;
+  }
+  if (hadDir) await fs.promises.rm(outgoing, { recursive: true, force: true });
+}
 
-    fs.mkdirSync(STATE_DIR, { recursive: true });
+async function restoreUpdateSnapshot(root, log) {
+  emitUpdateEvent("step", { label: UPDATE_ROLLBACK_STEPS[0] });
+  await replaceDirWithCopy(path.join(UPDATE_SNAPSHOT_DIR, "install"), root);
+  emitUpdateEvent("stepDone", { label: UPDATE_ROLLBACK_STEPS[0], ok: true });
 
-    const p = envPath();
-    fs.writeFileSync(p, content, { encoding: "utf8", mode: 0o600 });
+  emitUpdateEvent("step", { label: UPDATE_ROLLBACK_STEPS[1] });
+  await tar.x({ file: path.join(UPDATE_SNAPSHOT_DIR, "state.tar.gz"), cwd: STATE_DIR, gzip: true, filter: (p) => looksSafeTarPath(p) });
+  const savedCfg = path.join(UPDATE_SNAPSHOT_DIR, "openclaw.json");
+  if (fs.existsSync(savedCfg)) await fs.promises.copyFile(savedCfg, configPath());
+  emitUpdateEvent("stepDone", { label: UPDATE_ROLLBACK_STEPS[1], ok: true });
 
-    // Restart gateway so new env vars take effect.
-    if (isConfigured()) {
-      await restartGateway();
+  emitUpdateEvent("step", { label: UPDATE_ROLLBACK_STEPS[2] });
+  _cachedVersion = null;
+  try {
+    await restartConfiguredInstances("update-rollback");
+    emitUpdateEvent("stepDone", { label: UPDATE_ROLLBACK_STEPS[2], ok: true });
+  } catch (err) {
+    log(`Restart after rollback failed: ${String(err)}\n`);
+    emitUpdateEvent("stepDone", { label: UPDATE_ROLLBACK_STEPS[2], ok: false });
+  }
+}
+
+async function runOpenclawUpdate() {
+  const root = openclawInstallRoot();
+  const log = (text) => emitUpdateEvent("log", { text: redactSecrets(text) });
+  const step = async (label, fn) => {
+    emitUpdateEvent("step", { label });
+    try {
+      await fn();
+      emitUpdateEvent("stepDone", { label, ok: true });
+    } catch (err) {
+      emitUpdateEvent("stepDone", { label, ok: false });
+      throw err;
     }
+  };
+  const finish = (state, extra = {}) => {
+    Object.assign(updateJob, { state, finishedAt: new Date().toISOString(), ...extra });
+    emitUpdateEvent("done", { ok: state === "succeeded", state, ...extra });
+  };
 
-    res.json({ ok: true, path: p });
+  emitUpdateEvent("plan", { steps: UPDATE_STEPS });
+  const before = await runCmd(OPENCLAW_NODE, clawArgs(["--version"]));
+  updateJob.fromVersion = before.output.trim() || null;
+  log(`Updating ${root} (${updateJob.fromVersion || "unknown version"})\n`);
+
+  try {
+    await step(UPDATE_STEPS[0], () => snapshotForUpdate(root));
   } catch (err) {
-    res.status(500).json({ ok: false, error: String(err) });
+    log(`Snapshot failed: ${String(err)}\nNothing was changed.\n`);
+    await fs.promises.rm(UPDATE_SNAPSHOT_DIR, { recursive: true, force: true }).catch(() => { });
+    return finish("failed", { error: `Snapshot failed: ${String(err)}` });
   }
-});
 
-app.post("/setup/api/pairing/approve", requireSetupAuth, async (req, res) => {
-  const { channel, code } = req.body || {};
-  if (!channel || !code) {
-    return res.status(400).json({ ok: false, error: "Missing channel or code" });
+  try {
+    await step(UPDATE_STEPS[1], async () => {
+      const r = await runCmd(OPENCLAW_NODE, clawArgs(["update"]), {
+        timeoutMs: OPENCLAW_UPDATE_TIMEOUT_MS,
+        stdio: ["ignore", "pipe", "pipe"],
+        onOutput: log,
+      });
+      if (r.code !== 0) throw new Error(`openclaw update exited with code ${r.code}`);
+    });
+    _cachedVersion = null;
+    await step(UPDATE_STEPS[2], () => restartConfiguredInstances("update"));
+    await step(UPDATE_STEPS[3], async () => {
+      for (const instance of GATEWAY_INSTANCES.values()) {
+        if (!isConfigured(instance)) continue;
+        const r = await runCmd(OPENCLAW_NODE, clawArgs(["health"]), { instance, onOutput: log });
+        if (r.code !== 0) throw new Error(`openclaw health failed for ${instance.name} (exit ${r.code})`);
+      }
+    });
+  } catch (err) {
+    const error = String(err);
+    log(`\n${error}\nRolling back to the snapshot...\n`);
+    try {
+      await restoreUpdateSnapshot(root, log);
+    } catch (restoreErr) {
+      log(`Rollback failed: ${String(restoreErr)}\nThe snapshot is kept in ${UPDATE_SNAPSHOT_DIR}.\n`);
+      recordGatewayEvent("update_rollback", { ok: false, error, rollbackError: String(restoreErr) });
+      return finish("failed", { error: `${error}; rollback failed: ${String(restoreErr)}` });
+    }
+    recordGatewayEvent("update_rollback", { ok: true, error });
+    await fs.promises.rm(UPDATE_SNAPSHOT_DIR, { recursive: true, force: true }).catch(() => { });
+    return finish("rolled-back", { error });
   }
-  const r = await runCmd(OPENCLAW_NODE, clawArgs(["pairing", "approve", String(channel), String(code)]));
-  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: r.output });
+
+  const after = await runCmd(OPENCLAW_NODE, clawArgs(["--version"]));
+  updateJob.toVersion = after.output.trim() || null;
+  recordGatewayEvent("update", { from: updateJob.fromVersion, to: updateJob.toVersion });
+  await fs.promises.rm(UPDATE_SNAPSHOT_DIR, { recursive: true, force: true }).catch(() => { });
+  log(`\nUpdated to ${updateJob.toVersion || "unknown version"}.\n`);
+  return finish("succeeded");
+}
+
+app.get("/setup/api/update", requireSetupAuth, (_req, res) => {
+  res.json({ ok: true, installRoot: openclawInstallRoot(), job: updateJobSummary(updateJob) });
 });
 
-// Device pairing helper (list + approve) to avoid needing SSH.
-app.get("/setup/api/devices/pending", requireSetupAuth, async (_req, res) => {
-  const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "list", "--json"]));
-  if (r.code !== 0) {
-    return res.status(500).json({ ok: false, error: redactSecrets(r.output) });
+app.post("/setup/api/update", requireSetupAuth, requireRole("admin"), (req, res) => {
+  if (!openclawInstallRoot()) {
+    return res.status(400).json({ ok: false, error: `${openclawEntry} is not inside an OpenClaw package (<root>/dist/entry.js)` });
   }
-  const data = JSON.parse(r.output);
-  return res.json({
-    ok: true,
-    pending: data.pending || [],
-    paired: data.paired || [],
-    requestIds: (data.pending || []).map((d) => d.requestId).filter(Boolean),
+  if (updateJob?.state === "running") return res.status(409).json({ ok: false, error: "An update is already running" });
+  if (buildSwitchInFlight) return res.status(409).json({ ok: false, error: "A build switch is in progress" });
+  updateJob = {
+    id: crypto.randomUUID(),
+    state: "running",
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    fromVersion: null,
+    toVersion: null,
+    error: null,
+    steps: [],
+    events: [],
+  };
+  recordAudit(req, "openclaw.update", { job: updateJob.id });
+  runOpenclawUpdate().catch((err) => {
+    console.error("[update]", err);
+    if (updateJob.state === "running") {
+      Object.assign(updateJob, { state: "failed", finishedAt: new Date().toISOString(), error: String(err) });
+      emitUpdateEvent("done", { ok: false, state: "failed", error: String(err) });
+    }
   });
+  res.json({ ok: true, job: updateJobSummary(updateJob) });
 });
 
-app.post("/setup/api/devices/approve", requireSetupAuth, async (req, res) => {
-  const requestId = String((req.body && req.body.requestId) || "").trim();
-  if (!requestId) return res.status(400).json({ ok: false, error: "Missing device request ID" });
-  if (!/^[A-Za-z0-9_-]+$/.test(requestId)) return res.status(400).json({ ok: false, error: "Invalid device request ID" });
-  const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "approve", requestId]));
-  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+// SSE: replays the current job's events, then follows it until it finishes.
+app.get("/setup/api/update/stream", requireSetupAuth, (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (!updateJob) return res.end();
+  for (const e of updateJob.events) send(e.event, e.data);
+  if (updateJob.state !== "running") return res.end();
+
+  const forward = (event, data) => {
+    send(event, data);
+    if (event === "done") res.end();
+  };
+  updateSubscribers.add(forward);
+  const heartbeat = setInterval(() => res.write(": keepalive\n\n"), 15_000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    updateSubscribers.delete(forward);
+  });
 });
 
-app.post("/setup/api/devices/reject", requireSetupAuth, async (req, res) => {
-  const requestId = String((req.body && req.body.requestId) || "").trim();
-  if (!requestId) return res.status(400).json({ ok: false, error: "Missing device request ID" });
-  if (!/^[A-Za-z0-9_-]+$/.test(requestId)) return res.status(400).json({ ok: false, error: "Invalid device request ID" });
-  const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "reject", requestId]));
-  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
-});
+// --- Waiting room ---
+// While the gateway is starting or restarting, proxied requests and WebSocket upgrades wait
+// here for the supervisor's next "ready" transition instead of failing straight away. Each
+// waits at most GATEWAY_HOLD_TIMEOUT_MS and at most GATEWAY_HOLD_MAX wait at once; beyond
+// that, callers get the 503 they used to get immediately.
+const GATEWAY_HOLD_TIMEOUT_MS = Math.max(0, Number.parseInt(process.env.GATEWAY_HOLD_TIMEOUT_MS ?? "30000", 10) || 0);
+const GATEWAY_HOLD_MAX = Math.max(0, Number.parseInt(process.env.GATEWAY_HOLD_MAX ?? "200", 10) || 0);
 
-app.post("/setup/api/devices/revoke", requireSetupAuth, async (req, res) => {
-  const deviceId = String((req.body && req.body.deviceId) || "").trim();
-  const role = String((req.body && req.body.role) || "").trim();
-  if (!deviceId) return res.status(400).json({ ok: false, error: "Missing device ID" });
-  if (!role) return res.status(400).json({ ok: false, error: "Missing role" });
-  if (!/^[A-Za-z0-9_-]+$/.test(deviceId)) return res.status(400).json({ ok: false, error: "Invalid device ID" });
-  if (!/^[A-Za-z0-9_.-]+$/.test(role)) return res.status(400).json({ ok: false, error: "Invalid role" });
-  const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "revoke", "--device", deviceId, "--role", role]));
-  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
-});
+const waitingRoom = { held: 0, released: 0, timedOut: 0, rejected: 0, abandoned: 0 };
 
-app.post("/setup/api/reset", requireSetupAuth, async (_req, res) => {
-  // Reset: stop gateway (frees memory) + delete config file(s) so /setup can rerun.
-  // Keep credentials/sessions/workspace by default.
+function waitingRoomStatus() {
+  return { ...waitingRoom, max: GATEWAY_HOLD_MAX, timeoutMs: GATEWAY_HOLD_TIMEOUT_MS };
+}
+
+// Resolves to { ok: true } once the gateway is ready, or { ok: false, error } when the
+// request should be refused. `stream` is the response/socket; if it closes while waiting,
+// the slot is given up early. The room (and its limit) is shared by all instances.
+async function holdUntilGatewayReady(stream, inst = defaultInstance) {
+  const supervisor = inst.gateway;
+  if (supervisor.isReady()) return { ok: true };
+  if (waitingRoom.held >= GATEWAY_HOLD_MAX) {
+    waitingRoom.rejected++;
+    return { ok: false, error: `Waiting room full (${GATEWAY_HOLD_MAX} requests already waiting for the gateway)` };
+  }
+
+  waitingRoom.held++;
+  let cleanup = () => { };
   try {
-    // Stop gateway to avoid running gateway + onboard concurrently on small Railway instances.
-    try {
-      if (gatewayProc) {
-        try { gatewayProc.kill("SIGTERM"); } catch { }
-        await sleep(750);
-        gatewayProc = null;
+    const outcome = await new Promise((resolve) => {
+      const onTransition = (t) => {
+        if (t.to === "ready") resolve({ ok: true });
+      };
+      const onClose = () => resolve({ ok: false, abandoned: true });
+      const timer = setTimeout(() => {
+        resolve({ ok: false, timedOut: true, error: `Gateway did not become ready within ${GATEWAY_HOLD_TIMEOUT_MS}ms` });
+      }, GATEWAY_HOLD_TIMEOUT_MS);
+      cleanup = () => {
+        clearTimeout(timer);
+        supervisor.events.off("transition", onTransition);
+        stream.off("close", onClose);
+      };
+      supervisor.events.on("transition", onTransition);
+      stream.once("close", onClose);
+
+      // Kick off a start if nothing is bringing the gateway up. A failed start ends the
+      // wait unless an auto-restart is already scheduled; a start that merely runs long
+      // is covered by the timeout.
+      ensureGatewayRunning({ instance: inst }).then(
+        (r) => resolve(r.ok ? { ok: true } : { ok: false, error: `Gateway not started: ${r.reason}` }),
+        (err) => {
+          if (!supervisor.status().restartScheduled) resolve({ ok: false, error: String(err) });
+        },
+      );
+    });
+    if (outcome.ok) waitingRoom.released++;
+    else if (outcome.timedOut) waitingRoom.timedOut++;
+    else if (outcome.abandoned) waitingRoom.abandoned++;
+    else waitingRoom.rejected++;
+    return outcome;
+  } finally {
+    cleanup();
+    waitingRoom.held--;
+  }
+}
+
+// --- Webhook spool ---
+// Channel webhooks (POSTs to WEBHOOK_SPOOL_PATHS) that arrive while the gateway is down are
+// acknowledged with 202 and written to STATE_DIR/webhook-spool, one file per request, then
+// replayed to the gateway in arrival order once it is ready. While anything is still queued,
+// new matching webhooks are queued behind it so ordering holds. A replay that gets a 5xx or
+// no response is retried (in order) up to WEBHOOK_SPOOL_MAX_ATTEMPTS times; a 4xx, or
+// running out of attempts, moves the entry to failed/ for review in the Setup UI.
+//
+// Patterns are comma-separated paths where `*` matches one path segment and `**` anything,
+// e.g. WEBHOOK_SPOOL_PATHS=/hooks/**,/slack/events
+const WEBHOOK_SPOOL_PATTERNS = (process.env.WEBHOOK_SPOOL_PATHS || "")
+  .split(",")
+  .map((p) => p.trim())
+  .filter(Boolean);
+const WEBHOOK_SPOOL_MAX_ATTEMPTS = Math.max(1, Number.parseInt(process.env.WEBHOOK_SPOOL_MAX_ATTEMPTS ?? "5", 10) || 5);
+const WEBHOOK_SPOOL_MAX_ENTRIES = 1_000;
+const WEBHOOK_SPOOL_MAX_BODY_BYTES = 1024 * 1024;
+const WEBHOOK_SPOOL_REPLAY_INTERVAL_MS = 5_000;
+// Not stored: hop-by-hop headers and the length (recomputed on replay).
+const WEBHOOK_SPOOL_DROP_HEADERS = new Set([
+  "connection", "keep-alive", "transfer-encoding", "upgrade", "proxy-authorization",
+  "proxy-connection", "te", "trailer", "content-length",
+]);
+
+function compileSpoolPattern(pattern) {
+  const re = pattern
+    .split("**")
+    .map((part) => part.split("*").map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join("[^/]*"))
+    .join(".*");
+  return new RegExp(`^${re}$`);
+}
+
+// Body of a request that may or may not already have been consumed by express.json.
+function readRawBody(req, limit) {
+  if (req.rawBody) return Promise.resolve(req.rawBody);
+  if (req.readableEnded) return Promise.resolve(Buffer.alloc(0));
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(Object.assign(new Error(`body exceeds ${limit} bytes`), { status: 413 }));
+        req.destroy();
+        return;
       }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function createWebhookSpool() {
+  const matchers = WEBHOOK_SPOOL_PATTERNS.map(compileSpoolPattern);
+  let seq = 0;
+  let replaying = null;
+  let timer = null;
+  let lastReplay = null; // { at, delivered, error? }
+
+  const dir = () => path.join(STATE_DIR, "webhook-spool");
+  const failedDir = () => path.join(dir(), "failed");
+
+  function listFiles(d) {
+    try {
+      return fs.readdirSync(d).filter((f) => f.endsWith(".json")).sort();
     } catch {
-      // ignore
+      return [];
+    }
+  }
+
+  function readEntry(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  function writeEntry(file, entry) {
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entry), { encoding: "utf8", mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  function matches(req) {
+    return req.method === "POST" && matchers.some((re) => re.test(req.path));
+  }
+
+  function pendingCount() {
+    return listFiles(dir()).length;
+  }
+
+  async function enqueue(req) {
+    const body = await readRawBody(req, WEBHOOK_SPOOL_MAX_BODY_BYTES);
+    const headers = {};
+    for (const [k, v] of Object.entries(req.headers)) {
+      if (!WEBHOOK_SPOOL_DROP_HEADERS.has(k)) headers[k] = v;
+    }
+    headers["x-forwarded-for"] = [req.headers["x-forwarded-for"], req.socket.remoteAddress].filter(Boolean).join(", ");
+    const receivedAt = new Date().toISOString();
+    // Sortable file names keep arrival order across wrapper restarts.
+    const id = `${Date.now().toString().padStart(14, "0")}-${process.pid}-${String(++seq).padStart(6, "0")}`;
+    writeEntry(path.join(dir(), `${id}.json`), {
+      id,
+      receivedAt,
+      method: req.method,
+      url: req.originalUrl,
+      headers,
+      body: body.toString("base64"),
+      attempts: 0,
+      lastError: null,
+    });
+    console.log(`[spool] queued ${req.method} ${req.path} (${body.length} bytes) as ${id}`);
+    return id;
+  }
+
+  function send(entry) {
+    const body = Buffer.from(entry.body, "base64");
+    return new Promise((resolve) => {
+      const req = http.request({
+        host: INTERNAL_GATEWAY_HOST,
+        port: gateway.port,
+        method: entry.method,
+        path: entry.url,
+        headers: { ...entry.headers, "content-length": body.length, "x-openclaw-spooled-at": entry.receivedAt },
+        timeout: 30_000,
+      }, (res) => {
+        res.resume();
+        resolve({ status: res.statusCode });
+      });
+      req.on("timeout", () => req.destroy(new Error("timeout")));
+      req.on("error", (err) => resolve({ error: err.code || err.message }));
+      req.end(body);
+    });
+  }
+
+  function moveToFailed(file, entry) {
+    writeEntry(path.join(failedDir(), path.basename(file)), { ...entry, failedAt: new Date().toISOString() });
+    fs.rmSync(file, { force: true });
+    console.error(`[spool] ${entry.id} failed after ${entry.attempts} attempt(s): ${entry.lastError}`);
+  }
+
+  // Deliver queued entries oldest first; stop at the first retryable failure to keep order.
+  async function replayOnce() {
+    let delivered = 0;
+    for (const name of listFiles(dir())) {
+      if (!gateway.isReady()) break;
+      const file = path.join(dir(), name);
+      const entry = readEntry(file);
+      if (!entry) {
+        fs.rmSync(file, { force: true });
+        continue;
+      }
+      // Linear backoff between attempts on the head of the queue.
+      if (entry.lastAttemptAt && Date.now() - Date.parse(entry.lastAttemptAt) < entry.attempts * WEBHOOK_SPOOL_REPLAY_INTERVAL_MS) break;
+      entry.attempts++;
+      const r = await send(entry);
+      if (r.status && r.status < 400) {
+        fs.rmSync(file, { force: true });
+        delivered++;
+        continue;
+      }
+      entry.lastError = r.status ? `HTTP ${r.status}` : r.error;
+      entry.lastAttemptAt = new Date().toISOString();
+      if ((r.status && r.status < 500) || entry.attempts >= WEBHOOK_SPOOL_MAX_ATTEMPTS) {
+        moveToFailed(file, entry);
+        continue;
+      }
+      writeEntry(file, entry);
+      lastReplay = { at: entry.lastAttemptAt, delivered, error: entry.lastError };
+      return;
     }
+    if (delivered) console.log(`[spool] replayed ${delivered} webhook(s)`);
+    lastReplay = { at: new Date().toISOString(), delivered };
+  }
 
-    const candidates = typeof resolveConfigCandidates === "function" ? resolveConfigCandidates() : [configPath()];
-    for (const p of candidates) {
-      try { fs.rmSync(p, { force: true }); } catch { }
+  function replay() {
+    if (!replaying) {
+      replaying = replayOnce()
+        .catch((err) => console.error(`[spool] replay failed: ${String(err)}`))
+        .finally(() => { replaying = null; });
     }
+    return replaying;
+  }
 
-    res.type("text/plain").send("OK - stopped gateway and deleted config file(s). You can rerun setup now.");
-  } catch (err) {
-    res.status(500).type("text/plain").send(String(err));
+  function describe(file) {
+    const entry = readEntry(file);
+    if (!entry) return null;
+    const { body, headers, ...meta } = entry;
+    return { ...meta, bytes: Buffer.from(body || "", "base64").length, contentType: headers?.["content-type"] || null };
   }
-});
 
-// Wipe the entire /data volume.
-app.post("/setup/api/wipe-volume", requireSetupAuth, async (_req, res) => {
-  try {
-    const dataRoot = "/data";
-    if (!isUnderDir(STATE_DIR, dataRoot) || !isUnderDir(WORKSPACE_DIR, dataRoot)) {
-      return res.status(400).type("text/plain").send("Wipe is only supported when state and workspace dirs are under /data.\n");
-    }
+  function list() {
+    return {
+      enabled: matchers.length > 0,
+      patterns: WEBHOOK_SPOOL_PATTERNS,
+      maxAttempts: WEBHOOK_SPOOL_MAX_ATTEMPTS,
+      lastReplay,
+      pending: listFiles(dir()).map((f) => describe(path.join(dir(), f))).filter(Boolean),
+      failed: listFiles(failedDir()).map((f) => describe(path.join(failedDir(), f))).filter(Boolean),
+    };
+  }
 
-    // Stop gateway first.
-    if (gatewayProc) {
-      try { gatewayProc.kill("SIGTERM"); } catch { }
-      await sleep(750);
-      gatewayProc = null;
-    }
+  // Ids come from the UI; only accept our own file-name format.
+  function fileFor(d, id) {
+    if (!/^[0-9]+-[0-9]+-[0-9]+$/.test(String(id))) return null;
+    const file = path.join(d, `${id}.json`);
+    return fs.existsSync(file) ? file : null;
+  }
 
-    // Delete everything under /data but keep the mount point itself.
-    for (const entry of fs.readdirSync(dataRoot)) {
-      fs.rmSync(path.join(dataRoot, entry), { recursive: true, force: true });
-    }
+  function retry(id) {
+    const file = fileFor(failedDir(), id);
+    if (!file) return false;
+    const entry = readEntry(file);
+    if (!entry) return false;
+    const { failedAt: _failedAt, ...rest } = entry;
+    writeEntry(path.join(dir(), path.basename(file)), { ...rest, attempts: 0 });
+    fs.rmSync(file, { force: true });
+    replay();
+    return true;
+  }
 
-    console.log("[wipe] deleted all contents under /data");
-    res.type("text/plain").send("OK - /data volume wiped. Please redeploy OpenClaw from the Railway console.\n");
-  } catch (err) {
-    console.error("[wipe]", err);
-    res.status(500).type("text/plain").send(String(err));
+  function remove(id) {
+    const file = fileFor(dir(), id) || fileFor(failedDir(), id);
+    if (!file) return false;
+    fs.rmSync(file, { force: true });
+    return true;
   }
-});
 
-app.get("/setup/export", requireSetupAuth, async (_req, res) => {
-  fs.mkdirSync(STATE_DIR, { recursive: true });
-  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
+  function start() {
+    if (timer || !matchers.length) return;
+    gateway.events.on("transition", (t) => {
+      if (t.to === "ready") replay();
+    });
+    timer = setInterval(() => {
+      if (gateway.isReady() && pendingCount()) replay();
+    }, WEBHOOK_SPOOL_REPLAY_INTERVAL_MS);
+    timer.unref?.();
+  }
 
-  res.setHeader("content-type", "application/gzip");
-  res.setHeader(
-    "content-disposition",
-    `attachment; filename="openclaw-backup-${new Date().toISOString().replace(/[:.]/g, "-")}.tar.gz"`,
-  );
+  return { matches, pendingCount, enqueue, replay, list, retry, remove, start };
+}
 
-  // Prefer exporting from a common /data root so archives are easy to inspect and restore.
-  // This preserves dotfiles like /data/.openclaw/openclaw.json.
-  const stateAbs = path.resolve(STATE_DIR);
-  const workspaceAbs = path.resolve(WORKSPACE_DIR);
+const webhookSpool = createWebhookSpool();
 
-  const dataRoot = "/data";
-  const underData = (p) => p === dataRoot || p.startsWith(dataRoot + path.sep);
+app.get("/setup/api/webhooks/spool", requireSetupAuth, (_req, res) => {
+  res.json({ ok: true, ...webhookSpool.list() });
+});
 
-  let cwd = "/";
-  let paths = [stateAbs, workspaceAbs].map((p) => p.replace(/^\//, ""));
+app.post("/setup/api/webhooks/spool/replay", requireSetupAuth, requireRole("operator"), async (_req, res) => {
+  if (!gateway.isReady()) return res.status(409).json({ ok: false, error: "Gateway is not ready" });
+  await webhookSpool.replay();
+  res.json({ ok: true, ...webhookSpool.list() });
+});
 
-  if (underData(stateAbs) && underData(workspaceAbs)) {
-    cwd = dataRoot;
-    // We export relative to /data so the archive contains: .openclaw/... and workspace/...
-    paths = [
-      path.relative(dataRoot, stateAbs) || ".",
-      path.relative(dataRoot, workspaceAbs) || ".",
-    ];
-  }
+app.post("/setup/api/webhooks/spool/retry", requireSetupAuth, requireRole("operator"), (req, res) => {
+  const ok = webhookSpool.retry(req.body?.id);
+  res.status(ok ? 200 : 404).json({ ok, ...(ok ? {} : { error: "Entry not found" }) });
+});
 
-  const stream = tar.c(
-    {
-      gzip: true,
-      portable: true,
-      noMtime: true,
-      cwd,
-      onwarn: () => { },
-    },
-    paths,
-  );
+app.post("/setup/api/webhooks/spool/delete", requireSetupAuth, requireRole("operator"), (req, res) => {
+  const ok = webhookSpool.remove(req.body?.id);
+  res.status(ok ? 200 : 404).json({ ok, ...(ok ? {} : { error: "Entry not found" }) });
+});
 
-  stream.on("error", (err) => {
-    console.error("[export]", err);
-    if (!res.headersSent) res.status(500);
-    res.end(String(err));
+// --- Event webhooks ---
+// Outbound JSON events for external tooling: gateway state changes, new pending devices,
+// config/.env saves, backups, imports and volume wipes. Endpoints are kept under
+// "eventWebhooks" in wrapper-settings.json. Each delivery is signed with the endpoint's
+// secret: X-OpenClaw-Signature is "sha256=" + HMAC-SHA256 of "<X-OpenClaw-Timestamp>.<body>".
+// Failed deliveries (network errors, 408/429 and 5xx) are retried with exponential backoff;
+// the delivery log is kept in memory, so retries still pending at shutdown are dropped.
+const EVENT_WEBHOOK_TYPES = [
+  "gateway.state_changed",
+  "device.pending",
+  "config.saved",
+  "env.saved",
+  "backup.completed",
+  "import.finished",
+  "volume.wiped",
+];
+const EVENT_WEBHOOK_MAX_ATTEMPTS = 6;
+const EVENT_WEBHOOK_BASE_DELAY_MS = 5_000;
+const EVENT_WEBHOOK_MAX_DELAY_MS = 10 * 60 * 1000;
+const EVENT_WEBHOOK_TIMEOUT_MS = 10_000;
+const EVENT_WEBHOOK_LOG_KEPT = 200;
+const EVENT_WEBHOOK_DEVICE_POLL_MS = Math.max(0, Number.parseInt(process.env.EVENT_WEBHOOK_DEVICE_POLL_MS ?? "60000", 10) || 0);
+
+// Validate and normalize the endpoint list; new endpoints get an id and a secret.
+function normalizeEventWebhooks(input = []) {
+  if (!Array.isArray(input)) throw new Error("Endpoints must be a list");
+  return input.map((ep, i) => {
+    const url = String(ep?.url || "").trim();
+    if (!/^https?:\/\/[^\s/]+/.test(url)) throw new Error(`Endpoint ${i + 1}: URL must start with http:// or https://`);
+    const events = [...new Set(Array.isArray(ep.events) ? ep.events : [])];
+    const unknown = events.find((e) => !EVENT_WEBHOOK_TYPES.includes(e));
+    if (unknown) throw new Error(`Endpoint ${i + 1}: unknown event "${unknown}"`);
+    if (!events.length) throw new Error(`Endpoint ${i + 1}: select at least one event`);
+    return {
+      id: /^[a-f0-9]{12}$/.test(ep.id || "") ? ep.id : crypto.randomBytes(6).toString("hex"),
+      url,
+      secret: String(ep.secret || "").trim() || crypto.randomBytes(24).toString("hex"),
+      events,
+      enabled: ep.enabled !== false,
+    };
   });
+}
 
-  stream.pipe(res);
-});
-
-function isUnderDir(p, root) {
-  const abs = path.resolve(p);
-  const r = path.resolve(root);
-  return abs === r || abs.startsWith(r + path.sep);
+function eventWebhookRetryDelay(attempt) {
+  return Math.min(EVENT_WEBHOOK_BASE_DELAY_MS * 2 ** (attempt - 1), EVENT_WEBHOOK_MAX_DELAY_MS);
 }
 
-function looksSafeTarPath(p) {
-  if (!p) return false;
-  // tar paths always use / separators
-  if (p.startsWith("/") || p.startsWith("\\")) return false;
-  // windows drive letters
-  if (/^[A-Za-z]:[\\/]/.test(p)) return false;
-  // path traversal
-  if (p.split("/").includes("..")) return false;
-  return true;
+function signEventWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
 }
 
-async function readBodyBuffer(req, maxBytes) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    let total = 0;
-    req.on("data", (chunk) => {
-      total += chunk.length;
-      if (total > maxBytes) {
-        reject(new Error("payload too large"));
-        req.destroy();
-        return;
-      }
-      chunks.push(chunk);
+// One signed POST. Resolves to { ok, status?, error?, retryable }; never throws.
+async function postEventWebhook(url, secret, event) {
+  const body = JSON.stringify(event);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "user-agent": "openclaw-railway-wrapper",
+        "x-openclaw-event": event.type,
+        "x-openclaw-delivery": event.id,
+        "x-openclaw-timestamp": timestamp,
+        "x-openclaw-signature": signEventWebhook(secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(EVENT_WEBHOOK_TIMEOUT_MS),
+      redirect: "manual",
     });
-    req.on("end", () => resolve(Buffer.concat(chunks)));
-    req.on("error", reject);
-  });
+    await res.arrayBuffer().catch(() => { });
+    if (res.status >= 200 && res.status < 300) return { ok: true, status: res.status, retryable: false };
+    const retryable = res.status >= 500 || res.status === 408 || res.status === 429;
+    return { ok: false, status: res.status, error: `HTTP ${res.status}`, retryable };
+  } catch (err) {
+    const error = err.name === "TimeoutError" ? `no response within ${EVENT_WEBHOOK_TIMEOUT_MS}ms` : String(err.cause?.code || err.message || err);
+    return { ok: false, error, retryable: true };
+  }
 }
 
-// Import a backup created by /setup/export.
-// This is intentionally limited to restoring into /data to avoid overwriting arbitrary host paths.
-app.post("/setup/import", requireSetupAuth, async (req, res) => {
-  try {
-    const dataRoot = "/data";
-    if (!isUnderDir(STATE_DIR, dataRoot) || !isUnderDir(WORKSPACE_DIR, dataRoot)) {
-      return res
-        .status(400)
-        .type("text/plain")
-        .send("Import is only supported when OPENCLAW_STATE_DIR and OPENCLAW_WORKSPACE_DIR are under /data (Railway volume).\n");
+function createEventWebhooks() {
+  let endpoints = [];
+  const deliveries = []; // newest first
+  const seenDeviceRequests = new Map(); // instance name -> Set of requestIds
+  let deviceTimer = null;
+
+  function load() {
+    try {
+      endpoints = normalizeEventWebhooks(readWrapperSettings().eventWebhooks || []);
+    } catch (err) {
+      console.error(`[event-webhooks] ignoring invalid settings: ${err.message}`);
+      endpoints = [];
     }
+  }
 
-    // Stop gateway before restore so we don't overwrite live files.
-    if (gatewayProc) {
-      try { gatewayProc.kill("SIGTERM"); } catch { }
-      await sleep(750);
-      gatewayProc = null;
+  function save(input) {
+    const next = normalizeEventWebhooks(input);
+    writeWrapperSettings({ ...readWrapperSettings(), eventWebhooks: next });
+    endpoints = next;
+    return endpoints;
+  }
+
+  function attempt(delivery) {
+    const endpoint = endpoints.find((ep) => ep.id === delivery.endpointId);
+    if (!endpoint) {
+      delivery.state = "failed";
+      delivery.lastError = "Endpoint removed";
+      return;
     }
+    delivery.state = "sending";
+    delivery.attempts++;
+    postEventWebhook(endpoint.url, endpoint.secret, delivery.event).then((r) => {
+      delivery.lastAttemptAt = new Date().toISOString();
+      delivery.lastStatus = r.status ?? null;
+      delivery.lastError = r.error ?? null;
+      if (r.ok) {
+        delivery.state = "delivered";
+        delivery.nextAttemptAt = null;
+        return;
+      }
+      if (!r.retryable || delivery.attempts >= EVENT_WEBHOOK_MAX_ATTEMPTS) {
+        delivery.state = "failed";
+        delivery.nextAttemptAt = null;
+        console.warn(`[event-webhooks] ${delivery.event.type} to ${endpoint.url} failed after ${delivery.attempts} attempt(s): ${r.error}`);
+        return;
+      }
+      const delay = eventWebhookRetryDelay(delivery.attempts);
+      delivery.state = "retrying";
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      setTimeout(() => attempt(delivery), delay).unref?.();
+    });
+  }
 
-    const buf = await readBodyBuffer(req, 250 * 1024 * 1024); // 250MB max
-    if (!buf.length) return res.status(400).type("text/plain").send("Empty body\n");
+  function deliver(endpoint, event) {
+    const delivery = {
+      id: crypto.randomBytes(6).toString("hex"),
+      endpointId: endpoint.id,
+      url: endpoint.url,
+      event,
+      state: "pending",
+      attempts: 0,
+      createdAt: event.ts,
+      lastAttemptAt: null,
+      lastStatus: null,
+      lastError: null,
+      nextAttemptAt: null,
+    };
+    deliveries.unshift(delivery);
+    if (deliveries.length > EVENT_WEBHOOK_LOG_KEPT) deliveries.length = EVENT_WEBHOOK_LOG_KEPT;
+    attempt(delivery);
+    return delivery;
+  }
 
-    // Extract into /data.
-    // We only allow safe relative paths, and we intentionally do NOT delete existing files.
-    // (Users can reset/redeploy or manually clean the volume if desired.)
-    const tmpPath = path.join(os.tmpdir(), `openclaw-import-${Date.now()}.tar.gz`);
-    fs.writeFileSync(tmpPath, buf);
+  function emit(type, data = {}) {
+    const targets = endpoints.filter((ep) => ep.enabled && ep.events.includes(type));
+    if (!targets.length) return;
+    const event = { id: crypto.randomUUID(), type, ts: new Date().toISOString(), data };
+    for (const endpoint of targets) deliver(endpoint, event);
+  }
 
-    await tar.x({
-      file: tmpPath,
-      cwd: dataRoot,
-      gzip: true,
-      onwarn: (code, msg) => {
-        console.warn(`[import] tar warning (${code}): ${msg}`);
-      },
-      filter: (p) => {
-        // Allow only paths that look safe.
-        return looksSafeTarPath(p);
-      },
-    });
+  function ping(endpointId) {
+    const endpoint = endpoints.find((ep) => ep.id === endpointId);
+    if (!endpoint) return null;
+    return deliver(endpoint, { id: crypto.randomUUID(), type: "ping", ts: new Date().toISOString(), data: {} });
+  }
 
-    try { fs.rmSync(tmpPath, { force: true }); } catch { }
+  // Sends a finished delivery again from its first attempt.
+  function redeliver(id) {
+    const delivery = deliveries.find((d) => d.id === id);
+    if (!delivery || delivery.state === "sending" || delivery.state === "retrying") return false;
+    delivery.attempts = 0;
+    attempt(delivery);
+    return true;
+  }
 
-    // Migrate legacy .clawdbot directory to .openclaw if present.
-    const legacyDir = path.join(dataRoot, ".clawdbot");
-    const openclawDir = path.join(dataRoot, ".openclaw");
-    if (fs.existsSync(legacyDir)) {
-      if (!fs.existsSync(openclawDir)) {
-        fs.renameSync(legacyDir, openclawDir);
-        console.log("[import] renamed .clawdbot -> .openclaw");
-      } else {
-        // Merge .clawdbot into .openclaw (overwrite existing files).
-        fs.cpSync(legacyDir, openclawDir, { recursive: true, force: true });
-        fs.rmSync(legacyDir, { recursive: true, force: true });
-        console.log("[import] merged .clawdbot into .openclaw and removed .clawdbot");
-      }
+  // Emits device.pending for request IDs not seen before. The first list per instance only
+  // seeds the set, so restarting the wrapper doesn't re-announce every pending request.
+  function notePendingDevices(instance, pending) {
+    const ids = pending.map((d) => d.requestId).filter(Boolean);
+    const seen = seenDeviceRequests.get(instance.name);
+    seenDeviceRequests.set(instance.name, new Set(ids));
+    if (!seen) return;
+    for (const device of pending) {
+      if (device.requestId && !seen.has(device.requestId)) emit("device.pending", { instance: instance.name, device });
     }
+  }
 
-    // Patch gateway auth token in openclaw.json to match current env.
-    const envToken = process.env.OPENCLAW_GATEWAY_TOKEN?.trim();
-    if (envToken) {
-      const cfgFile = path.join(openclawDir, "openclaw.json");
+  async function pollDevices() {
+    if (!endpoints.some((ep) => ep.enabled && ep.events.includes("device.pending"))) return;
+    for (const instance of GATEWAY_INSTANCES.values()) {
+      if (!instance.gateway.isReady()) continue;
+      const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "list", "--json"]), { instance });
+      if (r.code !== 0) continue;
       try {
-        const cfg = JSON.parse(fs.readFileSync(cfgFile, "utf8"));
-        if (cfg.gateway?.auth?.token) {
-          cfg.gateway.auth.token = envToken;
-          fs.writeFileSync(cfgFile, JSON.stringify(cfg, null, 2) + "\n", "utf8");
-          console.log("[import] patched gateway.auth.token in openclaw.json");
-        }
-      } catch { }
+        notePendingDevices(instance, JSON.parse(r.output).pending || []);
+      } catch {
+        // not JSON (older build)
+      }
     }
+  }
 
-    // Restart gateway after restore.
-    if (isConfigured()) {
-      await restartGateway();
+  function start() {
+    load();
+    for (const instance of GATEWAY_INSTANCES.values()) {
+      instance.gateway.events.on("transition", (t) => {
+        emit("gateway.state_changed", { instance: instance.name, from: t.from, to: t.to, reason: t.reason ?? null });
+      });
     }
+    if (EVENT_WEBHOOK_DEVICE_POLL_MS && !deviceTimer) {
+      deviceTimer = setInterval(() => { pollDevices().catch(() => { }); }, EVENT_WEBHOOK_DEVICE_POLL_MS);
+      deviceTimer.unref?.();
+    }
+  }
 
-    res.type("text/plain").send("OK - imported backup into /data and restarted gateway.\n");
+  function status() {
+    return {
+      endpoints,
+      eventTypes: EVENT_WEBHOOK_TYPES,
+      maxAttempts: EVENT_WEBHOOK_MAX_ATTEMPTS,
+      deliveries: deliveries.map(({ event, ...d }) => ({ ...d, eventId: event.id, type: event.type, data: event.data })),
+    };
+  }
+
+  return { start, save, emit, ping, redeliver, notePendingDevices, status };
+}
+
+const eventWebhooks = createEventWebhooks();
+
+app.get("/setup/api/event-webhooks", requireSetupAuth, requireRole("admin"), (_req, res) => {
+  res.json({ ok: true, ...eventWebhooks.status() });
+});
+
+app.post("/setup/api/event-webhooks", requireSetupAuth, requireRole("admin"), (req, res) => {
+  try {
+    eventWebhooks.save(req.body?.endpoints);
+    res.json({ ok: true, ...eventWebhooks.status() });
   } catch (err) {
-    console.error("[import]", err);
-    res.status(500).type("text/plain").send(String(err));
+    res.status(400).json({ ok: false, error: err.message });
   }
 });
 
+// Sends a "ping" event to one saved endpoint.
+app.post("/setup/api/event-webhooks/test", requireSetupAuth, requireRole("admin"), (req, res) => {
+  const delivery = eventWebhooks.ping(req.body?.id);
+  res.status(delivery ? 200 : 404).json({ ok: Boolean(delivery), ...(delivery ? {} : { error: "Endpoint not found" }) });
+});
+
+app.post("/setup/api/event-webhooks/redeliver", requireSetupAuth, requireRole("admin"), (req, res) => {
+  const ok = eventWebhooks.redeliver(req.body?.id);
+  res.status(ok ? 200 : 409).json({ ok, ...(ok ? {} : { error: "Delivery not found or still in progress" }) });
+});
+
 // Proxy everything else to the gateway.
 const proxy = createProxyServer({
   target: GATEWAY_TARGET,
@@ -1487,29 +5640,75 @@ proxy.on("error", (err, _req, resOrSocket) => {
   }
 });
 
+// Picks the instance a proxied request or upgrade is for: a named instance whose hosts
+// include the Host header, then a /instances/<name>/ path prefix (stripped from req.url),
+// otherwise the default instance.
+function routeToInstance(req) {
+  const host = String(req.headers.host || "").toLowerCase().replace(/:\d+$/, "");
+  for (const inst of GATEWAY_INSTANCES.values()) {
+    if (inst.hosts.includes(host)) return inst;
+  }
+  if (req.url.startsWith(INSTANCE_PATH_PREFIX)) {
+    const rest = req.url.slice(INSTANCE_PATH_PREFIX.length);
+    const inst = GATEWAY_INSTANCES.get(rest.split(/[/?]/)[0]);
+    if (inst && !inst.isDefault) {
+      const stripped = rest.slice(inst.name.length);
+      req.url = stripped.startsWith("/") ? stripped : `/${stripped}`;
+      return inst;
+    }
+  }
+  return defaultInstance;
+}
+
 app.use(async (req, res) => {
+  const instance = routeToInstance(req);
+  const startedNs = process.hrtime.bigint();
+  res.once("close", () => {
+    const labels = { instance: instance.name, code: res.writableFinished ? res.statusCode : "aborted" };
+    metricProxyRequests.inc(labels);
+    metricProxyDuration.observe(labels, secondsSince(startedNs));
+  });
+
   // If not configured, force users to /setup for any non-setup routes.
-  if (!isConfigured() && !req.path.startsWith("/setup")) {
+  if (!isConfigured(instance) && !req.path.startsWith("/setup")) {
+    if (!instance.isDefault) {
+      return res.status(503).type("text/plain").send(`Instance "${instance.name}" is not configured yet. Run its setup from /setup.\n`);
+    }
     return res.redirect("/setup");
   }
 
-  if (isConfigured()) {
-    // Only proxy when gateway is confirmed ready. If the process exists but
-    // hasn't passed the readiness probe yet, return 503 instead of forwarding
-    // to an unready port (which causes ECONNREFUSED / 502).
-    if (!_gatewayReady) {
+  if (isConfigured(instance)) {
+    // Spool channel webhooks while the gateway is unavailable, and keep spooling while a
+    // backlog is being replayed so they reach the gateway in order. Default instance only.
+    if (instance.isDefault && webhookSpool.matches(req) && (!gateway.isReady() || webhookSpool.pendingCount() > 0)
+      && webhookSpool.pendingCount() < WEBHOOK_SPOOL_MAX_ENTRIES) {
       try {
-        await ensureGatewayRunning();
+        const id = await webhookSpool.enqueue(req);
+        if (!gateway.isReady()) ensureGatewayRunning().catch(() => { });
+        else webhookSpool.replay();
+        return res.status(202).json({ ok: true, spooled: id });
       } catch (err) {
+        return res.status(err.status || 503).type("text/plain").send(`Webhook not accepted: ${String(err)}`);
+      }
+    }
+
+    // Only proxy when gateway is confirmed ready. If the process exists but
+    // hasn't passed the readiness probe yet, hold the request in the waiting room
+    // rather than forwarding to an unready port (which causes ECONNREFUSED / 502);
+    // 503 only once the wait fails.
+    if (!instance.gateway.isReady()) {
+      const held = await holdUntilGatewayReady(res, instance);
+      if (held.abandoned) return;
+      if (!held.ok) {
         const hint = [
           "Gateway not ready.",
-          String(err),
-          lastGatewayError ? `\n${lastGatewayError}` : "",
+          held.error,
+          instance.gateway.lastError ? `\n${instance.gateway.lastError}` : "",
           "\nTroubleshooting:",
           "- Visit /setup and check the Debug Console",
           "- Visit /setup/api/debug for config + gateway diagnostics",
         ].join("\n");
-        return res.status(503).type("text/plain").send(hint);
+        return res.status(503).set("Retry-After", "5").type("text/plain").send(hint);
       }
     }
   }
@@ -1529,7 +5728,11 @@ app.use(async (req, res) => {
     req.url = stripped + (req.url.includes("?") ? req.url.slice(req.url.indexOf("?")) : "");
   }
 
-  return proxy.web(req, res, { target: GATEWAY_TARGET });
+  // Read the target once per request: a blue/green restart swaps it between requests.
+  trackGatewayConnection(instance.gateway.port, res);
+  // express.json already consumed JSON bodies; re-send the captured bytes.
+  const buffer = req.rawBody ? Readable.from([req.rawBody]) : undefined;
+  return proxy.web(req, res, { target: instance.gateway.target, buffer });
 });
 
 const server = app.listen(PORT, "0.0.0.0", async () => {
@@ -1547,6 +5750,16 @@ const server = app.listen(PORT, "0.0.0.0", async () => {
     fs.chmodSync(STATE_DIR, 0o700);
   } catch { }
 
+  recordGatewayEvent("wrapper_start", { pid: process.pid, configured: isConfigured() });
+  for (const inst of GATEWAY_INSTANCES.values()) {
+    inst.watchdog.start();
+    inst.resources.start();
+    inst.uptime.start();
+  }
+  webhookSpool.start();
+  eventWebhooks.start();
+  maintenance.start();
+
   console.log(`[wrapper] gateway token: ${OPENCLAW_GATEWAY_TOKEN ? "(set)" : "(missing)"}`);
   console.log(`[wrapper] gateway target: ${GATEWAY_TARGET}`);
 
@@ -1561,28 +5774,32 @@ const server = app.listen(PORT, "0.0.0.0", async () => {
       console.error(`[wrapper] gateway failed to start at boot: ${String(err)}`);
     }
   }
+  for (const instance of namedInstances()) {
+    if (!isConfigured(instance)) continue;
+    ensureGatewayRunning({ instance }).catch((err) => {
+      console.error(`[wrapper] instance ${instance.name} failed to start at boot: ${String(err)}`);
+    });
+  }
 });
 
 // --- Web terminal (PTY over WebSocket) ---
 const terminalWss = new WebSocketServer({ noServer: true });
 
-function authenticateWs(req) {
-  // Check Basic auth from query param (WebSocket can't send custom headers easily)
-  const url = new URL(req.url, `http://${req.headers.host}`);
-  const token = url.searchParams.get("token") || "";
-  if (!token) return false;
-  try {
-    const decoded = Buffer.from(token, "base64").toString("utf8");
-    const idx = decoded.indexOf(":");
-    const password = idx >= 0 ? decoded.slice(idx + 1) : "";
-    return password === SETUP_PASSWORD;
-  } catch { return false; }
+// The terminal uses the session cookie (sent with the same-origin upgrade request) or,
+// for scripts, an Authorization: Basic header. Credentials in the URL are not accepted.
+// Operators get the restricted terminal; with TERMINAL_FULL_ACCESS only admins get a shell.
+const TERMINAL_MIN_ROLE = TERMINAL_FULL_ACCESS ? "admin" : "operator";
+
+async function authenticateWs(req) {
+  const auth = await authenticateSetupRequest(req);
+  return auth?.needsSecondFactor ? null : auth;
 }
 
 // Shell metacharacters that must never appear in restricted-mode input.
 const RESTRICTED_SHELL_UNSAFE = /[&|;`$(){}!<>\\#\n\r"']/;
 
-function handleRestrictedTerminal(ws) {
+function handleRestrictedTerminal(ws, req) {
+  const { instance } = req;
   let inputBuf = "";
   let cols = 80;
   let rows = 24;
@@ -1601,11 +5818,16 @@ function handleRestrictedTerminal(ws) {
       cols,
       rows,
       cwd: STATE_DIR,
-      env: { ...process.env, TERM: "xterm-256color" },
+      env: {
+        ...process.env,
+        ...instanceEnv(instance),
+        OPENCLAW_GATEWAY_PORT: String(instance.gateway.port),
+        TERM: "xterm-256color",
+      },
     });
 
     activePty.onData((data) => {
-      try { ws.send(data); } catch { }
+      try { ws.send(redactSecrets(data)); } catch { }
     });
 
     activePty.onExit(() => {
@@ -1647,7 +5869,7 @@ function handleRestrictedTerminal(ws) {
         const base = parts[0].toLowerCase();
 
         const isOpenclaw = base === "openclaw" && parts.length >= 2;
-        const isGatewayCmd = /^gateway\.(restart|stop|start)$/.test(base);
+        const isGatewayCmd = /^gateway\.(restart|stop|start|resume)$/.test(base);
 
         if (!isOpenclaw && !isGatewayCmd) {
           ws.send("\x1b[31mOnly openclaw and gateway.* commands are allowed.\x1b[0m\r\n");
@@ -1661,21 +5883,29 @@ function handleRestrictedTerminal(ws) {
           continue;
         }
 
+        const minRole = terminalLineMinRole(parts);
+        if (!roleAtLeast(req.auth.user.role, minRole)) {
+          ws.send(`\x1b[31mThis command requires the ${minRole} role.\x1b[0m\r\n`);
+          writePrompt();
+          continue;
+        }
+
+        recordAudit(req, "terminal.command", { command: redactSecrets(line) });
+
         if (isGatewayCmd) {
           try {
             if (base === "gateway.restart") {
-              await restartGateway();
+              await restartGateway({ reason: "terminal", manual: true, instance });
               ws.send("Gateway restarted.\r\n");
             } else if (base === "gateway.stop") {
-              if (gatewayProc) {
-                try { gatewayProc.kill("SIGTERM"); } catch { }
-                await sleep(750);
-                gatewayProc = null;
-              }
+              await stopGateway({ reason: "terminal", instance });
               ws.send("Gateway stopped.\r\n");
             } else if (base === "gateway.start") {
-              const r = await ensureGatewayRunning();
+              const r = await ensureGatewayRunning({ reason: "terminal", manual: true, instance });
               ws.send(r.ok ? "Gateway started.\r\n" : `Gateway not started: ${r.reason}\r\n`);
+            } else if (base === "gateway.resume") {
+              const r = await resumeGatewayAutoRestart({ reason: "terminal", instance });
+              ws.send(r.ok ? "Auto-restart resumed; gateway started.\r\n" : `Gateway not started: ${r.reason}\r\n`);
             }
           } catch (e) {
             ws.send(`\x1b[31mError: ${String(e)}\x1b[0m\r\n`);
@@ -1747,11 +5977,16 @@ function handleFullTerminal(ws) {
   });
 }
 
-terminalWss.on("connection", (ws) => {
+// Full-shell input is keystrokes, so only the start and end of a session are audited.
+terminalWss.on("connection", (ws, req) => {
+  const startedAt = Date.now();
+  const mode = TERMINAL_FULL_ACCESS ? "full" : "restricted";
+  recordAudit(req, "terminal.start", { mode });
+  ws.on("close", () => recordAudit(req, "terminal.end", { mode, durationMs: Date.now() - startedAt }));
   if (TERMINAL_FULL_ACCESS) {
     handleFullTerminal(ws);
   } else {
-    handleRestrictedTerminal(ws);
+    handleRestrictedTerminal(ws, req);
   }
 });
 
@@ -1760,11 +5995,32 @@ server.on("upgrade", async (req, socket, head) => {
 
   // Terminal WebSocket
   if (pathname === "/setup/terminal") {
-    if (!authenticateWs(req)) {
+    const auth = await authenticateWs(req);
+    if (auth?.retryAfterMs) {
+      socket.write(`HTTP/1.1 429 Too Many Requests\r\nRetry-After: ${Math.ceil(auth.retryAfterMs / 1000)}\r\n\r\n`);
+      socket.destroy();
+      return;
+    }
+    if (!auth) {
       socket.write("HTTP/1.1 401 Unauthorized\r\n\r\n");
       socket.destroy();
       return;
     }
+    if (!roleAtLeast(auth.user.role, TERMINAL_MIN_ROLE)) {
+      socket.write("HTTP/1.1 403 Forbidden\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+    // Same instance selection as the setup API; ?instance= since browsers can't set headers here.
+    const query = new URLSearchParams(req.url.split("?")[1] || "");
+    const name = String(req.headers["x-openclaw-instance"] || query.get("instance") || "default").trim().toLowerCase();
+    req.instance = GATEWAY_INSTANCES.get(name);
+    if (!req.instance) {
+      socket.write("HTTP/1.1 404 Not Found\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+    req.auth = auth;
     terminalWss.handleUpgrade(req, socket, head, (ws) => {
       terminalWss.emit("connection", ws, req);
     });
@@ -1772,28 +6028,44 @@ server.on("upgrade", async (req, socket, head) => {
   }
 
   // Gateway proxy
-  if (!isConfigured()) {
+  const instance = routeToInstance(req);
+  if (!isConfigured(instance)) {
     socket.destroy();
     return;
   }
-  if (!_gatewayReady) {
-    try {
-      await ensureGatewayRunning();
-    } catch {
+  if (!instance.gateway.isReady()) {
+    const held = await holdUntilGatewayReady(socket, instance);
+    if (!held.ok) {
+      if (!held.abandoned) socket.write("HTTP/1.1 503 Service Unavailable\r\nRetry-After: 5\r\nConnection: close\r\n\r\n");
       socket.destroy();
       return;
     }
   }
-  proxy.ws(req, socket, head, { target: GATEWAY_TARGET });
+  trackGatewayConnection(instance.gateway.port, socket);
+  metricProxyWebSockets.inc({ instance: instance.name });
+  socket.once("close", () => metricProxyWebSockets.dec({ instance: instance.name }));
+  if (instance.isDefault) {
+    gatewayWsClients.add(socket);
+    socket.once("close", () => gatewayWsClients.delete(socket));
+  }
+  proxy.ws(req, socket, head, { target: instance.gateway.target });
 });
 
 process.on("SIGTERM", () => {
   // Best-effort shutdown
-  try {
-    if (gatewayProc) gatewayProc.kill("SIGTERM");
-  } catch {
-    // ignore
+  for (const inst of GATEWAY_INSTANCES.values()) {
+    inst.watchdog.stop();
+    inst.resources.stop();
+    inst.uptime.stop();
+    try {
+      // Kill directly rather than through the supervisor queue, which may be
+      // waiting on a slow start; the wrapper is exiting either way.
+      inst.gateway.proc?.kill("SIGTERM");
+    } catch {
+      // ignore
+    }
   }
+  maintenance.stop();
 
   // Stop accepting new connections; allow in-flight requests to complete briefly.
   try {
@@ -0,0 +1,142 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+function extractFunction(name) {
+  const start = src.search(new RegExp(`(?:async )?function ${name}\\(`));
+  assert.ok(start >= 0, `${name} not found`);
+  const end = src.indexOf("\n}\n", start);
+  return src.slice(start, end + 2);
+}
+
+function extractConst(name) {
+  const start = src.indexOf(`const ${name} =`);
+  assert.ok(start >= 0, `${name} not found`);
+  return src.slice(start, src.indexOf(";\n", start) + 2);
+}
+
+function load({ maxBytes = 10 * 1024 * 1024 } = {}) {
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-log-"));
+  // eslint-disable-next-line no-new-func
+  const helpers = new Function("fs", "path", "STATE_DIR", "console", `
+    const TRUSTED_PROXY_HOPS = 0;
+    const AUDIT_LOG_MAX_BYTES = ${maxBytes};
+    ${extractConst("AUDIT_DIFF_MAX_CHANGES")}
+    ${extractConst("AUDIT_VALUE_MAX_CHARS")}
+    ${extractConst("AUDIT_SECRET_KEY_RE")}
+    ${extractFunction("clientIp")}
+    ${extractFunction("redactSecrets")}
+    ${extractFunction("auditLogPath")}
+    ${extractFunction("readAuditLog")}
+    ${extractFunction("recordAudit")}
+    ${extractFunction("redactAuditValue")}
+    ${extractFunction("flattenJson")}
+    ${extractFunction("auditConfigDiff")}
+    ${extractFunction("parseEnvFile")}
+    ${extractFunction("auditEnvDiff")}
+    ${extractFunction("queryAuditLog")}
+    return { recordAudit, readAuditLog, redactAuditValue, auditConfigDiff, auditEnvDiff, queryAuditLog };
+  `)(fs, path, stateDir, { log() { }, warn() { } });
+  return { ...helpers, stateDir };
+}
+
+const reqAs = (username, role = "admin", ip = "203.0.113.7") => ({
+  auth: { via: "session", user: { username, role } },
+  headers: {},
+  socket: { remoteAddress: ip },
+  instance: { name: "default" },
+});
+
+test("entries carry the actor, IP and time and are appended to audit.jsonl", () => {
+  const { recordAudit, readAuditLog, stateDir } = load();
+  recordAudit(reqAs("alice"), "setup.reset", { paths: ["/data/.openclaw/openclaw.json"] });
+  recordAudit(reqAs("bob", "operator", "198.51.100.4"), "device.approve", { requestId: "r1", ok: true });
+  const entries = readAuditLog();
+  assert.equal(entries.length, 2);
+  assert.equal(entries[0].actor, "alice");
+  assert.equal(entries[0].ip, "203.0.113.7");
+  assert.equal(entries[1].action, "device.approve");
+  assert.equal(entries[1].role, "operator");
+  assert.ok(Date.parse(entries[1].ts));
+  assert.equal(fs.statSync(path.join(stateDir, "audit.jsonl")).mode & 0o777, 0o600);
+  // audit.jsonl is the record; entries aren't echoed to stdout as well.
+  assert.doesNotMatch(extractFunction("recordAudit"), /console\.log/);
+});
+
+test("a full log rolls over to audit.jsonl.1 and reads span both files", () => {
+  const { recordAudit, readAuditLog, stateDir } = load({ maxBytes: 300 });
+  for (let i = 0; i < 6; i++) recordAudit(reqAs("alice"), "console.run", { cmd: "openclaw.status", n: i });
+  assert.ok(fs.existsSync(path.join(stateDir, "audit.jsonl.1")));
+  const seen = readAuditLog().map((e) => e.n);
+  assert.deepEqual(seen, seen.slice().sort((a, b) => a - b));
+  assert.equal(seen[seen.length - 1], 5);
+});
+
+test("config diffs list changed paths and mask secrets", () => {
+  const { auditConfigDiff } = load();
+  const before = JSON.stringify({ gateway: { port: 1, auth: { token: "old-token" } }, channels: { telegram: { botToken: "123456:ABCDEFGHIJKLMNOP" } } });
+  const after = JSON.stringify({ gateway: { port: 2, auth: { token: "new-token" } }, agents: { model: "x" } });
+  const { total, changes } = auditConfigDiff(before, after);
+  assert.equal(total, 4);
+  const byPath = Object.fromEntries(changes.map((c) => [c.path, c]));
+  assert.deepEqual(byPath["gateway.port"], { path: "gateway.port", op: "changed", from: 1, to: 2 });
+  assert.deepEqual(byPath["gateway.auth.token"], { path: "gateway.auth.token", op: "changed", from: "[REDACTED]", to: "[REDACTED]" });
+  assert.equal(byPath["channels.telegram.botToken"].op, "removed");
+  assert.equal(byPath["channels.telegram.botToken"].from, "[REDACTED]");
+  assert.equal(byPath["agents.model"].op, "added");
+  assert.doesNotMatch(JSON.stringify(changes), /old-token|new-token|ABCDEFGH/);
+  assert.deepEqual(auditConfigDiff("{ not json", "{}"), { unparsed: true });
+  assert.equal(auditConfigDiff("", "{}").total, 0);
+});
+
+test("values that look like tokens are redacted even under harmless keys", () => {
+  const { redactAuditValue } = load();
+  assert.equal(redactAuditValue("note", "key sk-abcdefghijklmnop"), "key [REDACTED]");
+  assert.deepEqual(redactAuditValue("input", { flow: "quickstart", authSecret: "s3cret", telegramToken: "t" }), {
+    flow: "quickstart",
+    authSecret: "[REDACTED]",
+    telegramToken: "[REDACTED]",
+  });
+  assert.equal(redactAuditValue("prompt", "x".repeat(500)).length, 201);
+});
+
+test("env diffs name the variables but never their values", () => {
+  const { auditEnvDiff } = load();
+  const diff = auditEnvDiff("A=1\nexport B=secret\n# C=3\nD=same\n", "A=2\nD=same\nE=new-value\n");
+  assert.deepEqual(diff.changes, [
+    { path: "A", op: "changed" },
+    { path: "B", op: "removed" },
+    { path: "E", op: "added" },
+  ]);
+  assert.doesNotMatch(JSON.stringify(diff), /secret|new-value/);
+});
+
+test("queries filter by action prefix, actor and text, newest first", () => {
+  const { recordAudit, queryAuditLog } = load();
+  recordAudit(reqAs("alice"), "device.approve", { requestId: "r1" });
+  recordAudit(reqAs("bob"), "device.reject", { requestId: "r2" });
+  recordAudit(reqAs("alice"), "config.save", { path: "/x" });
+  assert.deepEqual(queryAuditLog({ action: "device" }).entries.map((e) => e.requestId), ["r2", "r1"]);
+  assert.deepEqual(queryAuditLog({ actor: "alice" }).entries.map((e) => e.action), ["config.save", "device.approve"]);
+  assert.equal(queryAuditLog({ q: "R2" }).total, 1);
+  assert.equal(queryAuditLog({ limit: "1" }).entries.length, 1);
+  assert.deepEqual(queryAuditLog().actions, ["config.save", "device.approve", "device.reject"]);
+  assert.deepEqual(queryAuditLog().actors, ["alice", "bob"]);
+});
+
+test("mutating routes record an audit entry", () => {
+  for (const action of [
+    "config.save", "env.save", "setup.run", "setup.reset", "volume.wipe", "backup.export", "backup.import",
+    "device.approve", "device.reject", "device.revoke", "pairing.approve", "console.run", "terminal.start", "terminal.end",
+  ]) {
+    assert.match(src, new RegExp(`recordAudit\\(req, "${action.replace(".", "\\.")}"`), action);
+  }
+  // The pairing code is a one-time secret and stays out of the log.
+  assert.doesNotMatch(src, /recordAudit\(req, "pairing\.approve", \{[^}]*[{,]\s*code\b/);
+  assert.match(src, /app\.get\("\/setup\/api\/audit", requireSetupAuth, requireRole\("admin"\)/);
+  assert.match(src, /app\.get\("\/setup\/api\/audit\/export", requireSetupAuth, requireRole\("admin"\)/);
+});
@@ -0,0 +1,104 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+function extractFunction(name) {
+  const start = src.search(new RegExp(`(?:async )?function ${name}\\(`));
+  assert.ok(start >= 0, `${name} not found`);
+  const end = src.indexOf("\n}\n", start);
+  return src.slice(start, end + 2);
+}
+
+function load({ maxFailures = 5, lockoutMs = 60_000, globalMax = 100 } = {}) {
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-throttle-"));
+  // eslint-disable-next-line no-new-func
+  return new Function("fs", "path", "STATE_DIR", "console", `
+    const TRUSTED_PROXY_HOPS = 1;
+    const AUTH_MAX_FAILURES = ${maxFailures};
+    const AUTH_LOCKOUT_MS = ${lockoutMs};
+    const AUTH_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+    const AUTH_FAILURE_TTL_MS = 60 * 60 * 1000;
+    const AUTH_GLOBAL_MAX_FAILURES = ${globalMax};
+    const AUTH_GLOBAL_WINDOW_MS = 15 * 60 * 1000;
+    const AUTH_FAILURES_MAX_BYTES = 1024 * 1024;
+    const AUTH_FAILURES_KEEP_ENTRIES = 2000;
+    ${extractFunction("clientIp")}
+    ${extractFunction("authLockoutMs")}
+    ${extractFunction("authFailuresPath")}
+    ${extractFunction("readAuthFailures")}
+    ${extractFunction("createAuthThrottle")}
+    return { clientIp, authLockoutMs, readAuthFailures, createAuthThrottle };
+  `)(fs, path, stateDir, { warn() { } });
+}
+
+test("the client IP skips the trusted proxy hops", () => {
+  const { clientIp } = load();
+  const req = (xff, remote = "10.0.0.2") => ({ headers: xff ? { "x-forwarded-for": xff } : {}, socket: { remoteAddress: remote } });
+  assert.equal(clientIp(req("203.0.113.7")), "203.0.113.7");
+  // A spoofed leftmost entry is ignored: only what our proxy appended counts.
+  assert.equal(clientIp(req("6.6.6.6, 203.0.113.7")), "203.0.113.7");
+  assert.equal(clientIp(req("6.6.6.6, 203.0.113.7"), 0), "10.0.0.2");
+  assert.equal(clientIp(req(null, "::ffff:192.0.2.1"), 0), "192.0.2.1");
+  // Fewer addresses than hops: fall back to the first one.
+  assert.equal(clientIp(req(null, "192.0.2.1"), 3), "192.0.2.1");
+});
+
+test("waits double per failure and lockouts are capped at an hour", () => {
+  const { authLockoutMs } = load();
+  assert.deepEqual([0, 1, 2, 3, 4].map(authLockoutMs), [0, 1000, 2000, 4000, 8000]);
+  assert.deepEqual([5, 6, 7].map(authLockoutMs), [60_000, 120_000, 240_000]);
+  assert.equal(authLockoutMs(30), 60 * 60 * 1000);
+});
+
+test("failures lock an IP until a success clears it, and are recorded", () => {
+  const { createAuthThrottle, readAuthFailures } = load({ maxFailures: 2, lockoutMs: 10_000 });
+  const throttle = createAuthThrottle();
+  assert.equal(throttle.retryAfterMs("a"), 0);
+  throttle.fail("a", { via: "login", username: "setup" });
+  const entry = throttle.fail("a", { via: "login", username: "setup" });
+  assert.equal(entry.lockedForMs, 10_000);
+  assert.ok(throttle.retryAfterMs("a") > 9_000);
+  assert.equal(throttle.retryAfterMs("b"), 0);
+  assert.deepEqual(throttle.status().lockouts.map((l) => l.ip), ["a"]);
+  assert.equal(readAuthFailures().length, 2);
+  throttle.succeed("a");
+  assert.equal(throttle.retryAfterMs("a"), 0);
+});
+
+test("too many failures across IPs lock everyone until unlocked", () => {
+  const { createAuthThrottle } = load({ globalMax: 3 });
+  const throttle = createAuthThrottle();
+  for (const ip of ["a", "b", "c"]) throttle.fail(ip);
+  assert.ok(throttle.retryAfterMs("fresh") > 14 * 60 * 1000);
+  // Signed-in callers and break-glass sign-ins skip the global lockout, but not their own.
+  assert.equal(throttle.retryAfterMs("fresh", { global: false }), 0);
+  assert.ok(throttle.retryAfterMs("c", { global: false }) > 0);
+  assert.equal(throttle.status().global.retryAfterMs > 0, true);
+  throttle.unlock(null);
+  assert.equal(throttle.retryAfterMs("fresh"), 0);
+});
+
+test("every password check goes through the throttle", () => {
+  assert.match(extractFunction("authenticateSetupRequest"), /authThrottle\.retryAfterMs\(ip\)[\s\S]*authThrottle\.fail\(ip/);
+  assert.match(extractFunction("requireSetupAuth"), /status\(429\)/);
+  assert.match(src, /app\.post\("\/setup\/api\/auth\/login", async \(req, res\) => \{\n  const ip = clientIp\(req\);\n.*\n  const retryAfterMs = authThrottle\.retryAfterMs\(ip, \{ global: !breakGlass \}\);/);
+  assert.match(src, /HTTP\/1\.1 429 Too Many Requests/);
+});
+
+test("client IPs come from the socket unless proxy hops are configured", () => {
+  assert.match(src, /const TRUSTED_PROXY_HOPS = Math\.max\(0, Number\.parseInt\(process\.env\.TRUSTED_PROXY_HOPS \?\? "0", 10\) \|\| 0\);/);
+});
+
+test("only a break-glass reset or an existing session gets past the global lockout", () => {
+  assert.match(src, /let setupPasswordBreakGlass = SETUP_PASSWORD_RESET \|\| fs\.existsSync\(setupPasswordResetPath\(\)\);\nlet setupPassword = resolveSetupPassword\(\);/);
+  assert.match(src, /const breakGlass = setupPasswordBreakGlass && \([^\n]*\) === SETUP_BUILTIN_USER;/);
+  assert.match(src, /if \(breakGlass\) \{\n\s+setupPasswordBreakGlass = false;/);
+  const passwordChange = src.slice(src.indexOf('app.post("/setup/api/auth/password"'));
+  assert.match(passwordChange, /^[^\n]*\n  const ip = clientIp\(req\);\n.*\n  const retryAfterMs = authThrottle\.retryAfterMs\(ip, \{ global: false \}\);/);
+  // Basic auth has no session to fall back on, so it stays under the global lockout.
+  assert.match(extractFunction("authenticateSetupRequest"), /const retryAfterMs = authThrottle\.retryAfterMs\(ip\);/);
+});
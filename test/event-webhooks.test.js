@@ -0,0 +1,107 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+function extractFunction(name) {
+  const start = src.search(new RegExp(`(?:async )?function ${name}\\(`));
+  assert.ok(start >= 0, `${name} not found`);
+  const end = src.indexOf("\n}\n", start);
+  return src.slice(start, end + 2);
+}
+
+function extractConst(name) {
+  const start = src.indexOf(`const ${name} = `);
+  assert.ok(start >= 0, `${name} not found`);
+  return src.slice(start, src.indexOf(";\n", start) + 2);
+}
+
+const constants = [
+  "EVENT_WEBHOOK_TYPES",
+  "EVENT_WEBHOOK_BASE_DELAY_MS",
+  "EVENT_WEBHOOK_MAX_DELAY_MS",
+  "EVENT_WEBHOOK_TIMEOUT_MS",
+].map(extractConst).join("\n");
+const fns = ["normalizeEventWebhooks", "eventWebhookRetryDelay", "signEventWebhook", "postEventWebhook"];
+// eslint-disable-next-line no-new-func
+const { normalizeEventWebhooks, eventWebhookRetryDelay, signEventWebhook, postEventWebhook } = new Function(
+  "crypto",
+  `${constants}\n${fns.map(extractFunction).join("\n")}\nreturn { ${fns.join(", ")} };`,
+)(crypto);
+
+// Local stand-in for a receiver: answers with the queued status codes and records requests.
+async function withReceiver(statuses, fn) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() ?? 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/hook`, received);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test("deliveries are signed JSON a receiver can verify", async () => {
+  await withReceiver([204], async (url, received) => {
+    const event = { id: "evt-1", type: "config.saved", ts: "2026-01-01T00:00:00.000Z", data: { instance: "default" } };
+    const r = await postEventWebhook(url, "s3cret", event);
+    assert.deepEqual(r, { ok: true, status: 204, retryable: false });
+    const [{ headers, body }] = received;
+    assert.deepEqual(JSON.parse(body), event);
+    assert.equal(headers["x-openclaw-event"], "config.saved");
+    assert.equal(headers["x-openclaw-delivery"], "evt-1");
+    const expected = `sha256=${crypto.createHmac("sha256", "s3cret").update(`${headers["x-openclaw-timestamp"]}.${body}`).digest("hex")}`;
+    assert.equal(headers["x-openclaw-signature"], expected);
+    assert.equal(signEventWebhook("s3cret", headers["x-openclaw-timestamp"], body), expected);
+  });
+});
+
+test("server errors and throttling are retryable, other client errors are not", async () => {
+  await withReceiver([503, 429, 404], async (url) => {
+    const event = { id: "evt-2", type: "ping", ts: new Date().toISOString(), data: {} };
+    assert.deepEqual(await postEventWebhook(url, "k", event), { ok: false, status: 503, error: "HTTP 503", retryable: true });
+    assert.equal((await postEventWebhook(url, "k", event)).retryable, true);
+    assert.equal((await postEventWebhook(url, "k", event)).retryable, false);
+  });
+  const unreachable = await postEventWebhook("http://127.0.0.1:1/hook", "k", { id: "x", type: "ping", data: {} });
+  assert.equal(unreachable.ok, false);
+  assert.equal(unreachable.retryable, true);
+});
+
+test("retries back off exponentially up to a cap", () => {
+  assert.equal(eventWebhookRetryDelay(1), 5_000);
+  assert.equal(eventWebhookRetryDelay(2), 10_000);
+  assert.equal(eventWebhookRetryDelay(4), 40_000);
+  assert.equal(eventWebhookRetryDelay(20), 600_000);
+});
+
+test("endpoints are validated and new ones get an id and a secret", () => {
+  const [ep] = normalizeEventWebhooks([{ url: " https://example.com/h ", events: ["volume.wiped", "volume.wiped"] }]);
+  assert.match(ep.id, /^[a-f0-9]{12}$/);
+  assert.ok(ep.secret.length >= 32);
+  assert.deepEqual(ep.events, ["volume.wiped"]);
+  assert.equal(ep.enabled, true);
+  assert.equal(normalizeEventWebhooks([ep])[0].secret, ep.secret);
+  assert.throws(() => normalizeEventWebhooks([{ url: "ftp://x", events: ["volume.wiped"] }]), /URL must start/);
+  assert.throws(() => normalizeEventWebhooks([{ url: "https://x", events: ["nope"] }]), /unknown event "nope"/);
+  assert.throws(() => normalizeEventWebhooks([{ url: "https://x", events: [] }]), /at least one event/);
+});
+
+test("the documented events are emitted", () => {
+  for (const type of ["config.saved", "env.saved", "backup.completed", "import.finished", "volume.wiped"]) {
+    assert.match(src, new RegExp(`eventWebhooks\\.emit\\("${type.replace(".", "\\.")}"`), `${type} is never emitted`);
+  }
+  assert.match(src, /emit\("gateway\.state_changed"/);
+  assert.match(src, /emit\("device\.pending"/);
+});
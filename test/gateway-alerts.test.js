@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+function extractFunction(name) {
+  const start = src.indexOf(`function ${name}(`);
+  assert.ok(start >= 0, `${name} not found`);
+  const end = src.indexOf("\n}\n", start);
+  return src.slice(start, end + 2);
+}
+
+function extractConst(name) {
+  const start = src.indexOf(`const ${name} = `);
+  assert.ok(start >= 0, `${name} not found`);
+  return src.slice(start, src.indexOf(";\n", start) + 2);
+}
+
+const constants = ["ALERT_CHANNELS", "ALERT_KINDS", "DEFAULT_ALERTS"].map(extractConst).join("\n");
+// eslint-disable-next-line no-new-func
+const { normalizeAlertSettings, formatAlertMessage } = new Function(`
+  ${constants}
+  ${extractFunction("normalizeAlertSettings")}
+  ${extractFunction("formatAlertMessage")}
+  return { normalizeAlertSettings, formatAlertMessage };
+`)();
+
+test("alert settings are validated and filled with defaults", () => {
+  const s = normalizeAlertSettings({ enabled: true, channel: "discord", target: " 123 ", kinds: { crash: false, bogus: true } });
+  assert.equal(s.target, "123");
+  assert.deepEqual(s.kinds, { crash: false, gaveUp: true, unresponsive: true, buildRevert: true });
+  assert.throws(() => normalizeAlertSettings({ channel: "irc" }), /Channel must be one of/);
+  assert.throws(() => normalizeAlertSettings({ enabled: true, target: "" }), /chat or channel ID is required/);
+  assert.throws(() => normalizeAlertSettings({ setupUrl: "example.com" }), /Setup URL/);
+  assert.equal(normalizeAlertSettings({}).enabled, false);
+});
+
+test("crash alerts carry the exit code, the last error and the setup link", () => {
+  const text = formatAlertMessage(
+    { type: "exit", instance: "acme", code: 1, signal: null },
+    { kind: "crash", stderr: ["Error: boom"], suppressed: 2, setupUrl: "https://bot.example.com/setup" },
+  );
+  assert.equal(text, [
+    "[OpenClaw · acme] Gateway crashed",
+    "Exit code 1, signal none",
+    "Last error: Error: boom",
+    "(2 similar alerts held back since the last one)",
+    "https://bot.example.com/setup",
+  ].join("\n"));
+});
+
+test("alerts hook into the journal and skip intentional exits", () => {
+  const record = extractFunction("recordGatewayEvent");
+  assert.match(record, /notifyGatewayAlert\(entry\);/);
+  const notify = extractFunction("notifyGatewayAlert");
+  assert.match(notify, /if \(entry\.type === "exit" && entry\.intentional\) return;/);
+  assert.match(notify, /Date\.now\(\) - cooldown\.sentAt < ALERT_COOLDOWN_MS/);
+  assert.match(src, /app\.post\("\/setup\/api\/alerts\/test", requireSetupAuth/);
+});
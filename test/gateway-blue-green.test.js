@@ -0,0 +1,22 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+test("proxy reads the gateway target per request instead of a fixed constant", () => {
+  assert.doesNotMatch(src, /proxy\.web\(req, res, \{ target: GATEWAY_TARGET \}\)/);
+  assert.doesNotMatch(src, /proxy\.ws\(req, socket, head, \{ target: GATEWAY_TARGET \}\)/);
+  assert.match(src, /proxy\.web\(req, res, \{ target: instance\.gateway\.target\b/);
+  assert.match(src, /proxy\.ws\(req, socket, head, \{ target: instance\.gateway\.target \}\)/);
+});
+
+test("blue/green restart switches, drains and falls back to stop-start", () => {
+  assert.match(src, /process\.env\.GATEWAY_RESTART_MODE/);
+  assert.match(src, /async function blueGreenLocked\(/);
+  assert.match(src, /recordGatewayEvent\("switch"/);
+  assert.match(src, /recordGatewayEvent\("blue_green_fallback"/);
+  // The serving gateway's lock must survive spawning the replacement.
+  assert.match(src, /spawnProcess\(nextPort, \{ keepLock: true \}\)/);
+  assert.match(src, /if \(opts\.keepLock\) return;/);
+});
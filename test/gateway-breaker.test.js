@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+test("crash-loop breaker state is reported by healthz, status and debug", () => {
+  assert.match(src, /autoRestart: gateway\.breakerStatus\(\)/);
+  assert.match(src, /gatewayAutoRestart: gateway\.breakerStatus\(\)/);
+  for (const field of ["attempts", "maxAttempts", "nextRetryAt", "tripped", "trippedAt"]) {
+    assert.match(src, new RegExp(`\\b${field}: `), `breaker status missing ${field}`);
+  }
+});
+
+test("a tripped breaker blocks implicit starts until resumed", () => {
+  const idx = src.indexOf("async function ensureRunning(");
+  assert.ok(idx >= 0, "ensureRunning not found");
+  const body = src.slice(idx, idx + 600);
+  assert.match(body, /if \(breakerTrippedAt\)/);
+  assert.match(body, /opts\.manual/);
+});
+
+test("resume is available from the setup API, console and terminal", () => {
+  assert.match(src, /app\.post\("\/setup\/api\/gateway\/resume", requireSetupAuth/);
+  assert.match(src, /GATEWAY_COMMANDS = new Set\(\[[^\]]*"gateway\.resume"/);
+  assert.match(src, /\^gateway\\\.\(restart\|stop\|start\|resume\)\$/);
+  assert.match(src, /recordGatewayEvent\("restart_resumed"/);
+});
+
+// scheduleAutoRestart and resetBackoffWhenStable live inside createGatewaySupervisor.
+function extractSupervisorFunction(name) {
+  const start = src.indexOf(`  function ${name}(`);
+  assert.ok(start >= 0, `${name} not found`);
+  return src.slice(start, src.indexOf("\n  }\n", start) + 4);
+}
+
+function loadAutoRestart(stableMs) {
+  // eslint-disable-next-line no-new-func
+  return new Function("RESTART_STABLE_MS", `
+    const RESTART_BASE_DELAY_MS = 2000, RESTART_MAX_DELAY_MS = 60000, RESTART_MAX_ATTEMPTS = 10;
+    const console = { log() { }, error() { } };
+    const logName = "gateway", tag = {}, instance = { name: "default" };
+    const appendGatewayLog = () => { }, recordGatewayEvent = () => { };
+    let restartAttempts = 0, restartTimer = null, restartNextAt = null, stableTimer = null, breakerTrippedAt = null;
+    let proc = null, state = "stopped";
+    // A gateway that comes up fine after every restart.
+    async function ensureRunning() { proc = {}; state = "ready"; }
+    ${extractSupervisorFunction("resetBackoffWhenStable")}
+    ${extractSupervisorFunction("scheduleAutoRestart")}
+    return {
+      crash() { proc = null; state = "crash-looping"; scheduleAutoRestart(); },
+      get attempts() { return restartAttempts; },
+      get tripped() { return Boolean(breakerTrippedAt); },
+      get nextDelayMs() { return restartTimer ? Date.parse(restartNextAt) - Date.now() : null; },
+    };
+  `)(stableMs);
+}
+
+test("a gateway that crashes soon after every successful restart still trips the breaker", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+  const sup = loadAutoRestart(60_000);
+  for (let i = 0; i < 10; i++) {
+    sup.crash();
+    t.mock.timers.tick(sup.nextDelayMs);
+    await new Promise((r) => setImmediate(r));
+    t.mock.timers.tick(5_000); // ready for a few seconds, then it crashes again
+  }
+  assert.equal(sup.attempts, 10);
+  sup.crash();
+  assert.equal(sup.tripped, true);
+  assert.equal(sup.nextDelayMs, null);
+});
+
+test("the backoff resets once a restarted gateway has stayed ready for the stability window", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+  const sup = loadAutoRestart(60_000);
+  sup.crash();
+  sup.crash(); // already scheduled
+  t.mock.timers.tick(sup.nextDelayMs);
+  await new Promise((r) => setImmediate(r));
+  t.mock.timers.tick(59_999);
+  assert.equal(sup.attempts, 1);
+  t.mock.timers.tick(1);
+  assert.equal(sup.attempts, 0);
+  sup.crash();
+  assert.equal(sup.nextDelayMs, 2_000);
+});
+
+test("only explicit operator restarts clear the backoff", () => {
+  const restart = extractSupervisorFunction("restart");
+  assert.match(restart, /if \(opts\.manual\) resetBreaker\(\);/);
+  assert.doesNotMatch(restart, /\n\s+resetBreaker\(\);/);
+  for (const reason of ["watchdog", "memory-limit", "scheduled"]) {
+    assert.match(src, new RegExp(`restartGateway\\(\\{ reason: "${reason}"(?![^}]*manual)`), reason);
+  }
+  assert.match(src, /restartGateway\(\{ reason: "console", manual: true, instance \}\)/);
+  assert.match(src, /restartGateway\(\{ reason: "terminal", manual: true, instance \}\)/);
+  assert.match(extractSupervisorFunction("resume"), /resetBreaker\(\);/);
+});
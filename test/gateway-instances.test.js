@@ -0,0 +1,104 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+function extractFunction(name) {
+  const start = src.indexOf(`function ${name}(`);
+  assert.ok(start >= 0, `${name} not found`);
+  const end = src.indexOf("\n}\n", start);
+  return src.slice(start, end + 2);
+}
+
+const defaultInstance = { name: "default", isDefault: true, hosts: [] };
+const staging = { name: "staging", isDefault: false, hosts: ["staging.example.com"] };
+const GATEWAY_INSTANCES = new Map([defaultInstance, staging].map((i) => [i.name, i]));
+// eslint-disable-next-line no-new-func
+const routeToInstance = new Function(
+  "GATEWAY_INSTANCES", "INSTANCE_PATH_PREFIX", "defaultInstance",
+  `${extractFunction("routeToInstance")}; return routeToInstance;`,
+)(GATEWAY_INSTANCES, "/instances/", defaultInstance);
+
+test("proxied requests route by Host header, then by /instances/<name>/ prefix", () => {
+  const req = (host, url) => ({ headers: { host }, url });
+
+  const byHost = req("Staging.example.com:443", "/openclaw");
+  assert.equal(routeToInstance(byHost), staging);
+  assert.equal(byHost.url, "/openclaw");
+
+  const byPath = req("app.example.com", "/instances/staging/openclaw?token=x");
+  assert.equal(routeToInstance(byPath), staging);
+  assert.equal(byPath.url, "/openclaw?token=x");
+
+  const bare = req("app.example.com", "/instances/staging?x=1");
+  assert.equal(routeToInstance(bare), staging);
+  assert.equal(bare.url, "/?x=1");
+
+  const unknown = req("app.example.com", "/instances/nope/openclaw");
+  assert.equal(routeToInstance(unknown), defaultInstance);
+  assert.equal(unknown.url, "/instances/nope/openclaw");
+
+  assert.equal(routeToInstance(req("app.example.com", "/instances/default/x")), defaultInstance);
+});
+
+test("each instance gets its own supervisor, watchdog and resource monitor", () => {
+  assert.match(src, /process\.env\.OPENCLAW_INSTANCES/);
+  assert.match(src, /inst\.gateway = createGatewaySupervisor\(inst\)/);
+  assert.match(src, /inst\.watchdog = createGatewayWatchdog\(inst\.gateway\)/);
+  assert.match(src, /inst\.resources = createGatewayResourceMonitor\(inst\.gateway\)/);
+});
+
+test("setup API calls select an instance by header or query", () => {
+  assert.match(src, /req\.get\("x-openclaw-instance"\) \|\| req\.query\.instance/);
+  assert.match(src, /app\.get\("\/setup\/api\/instances", requireSetupAuth/);
+});
+
+test("openclaw commands in instance-aware routes run against the selected instance", () => {
+  // Each app.<method>(...) handler that reads req.instance must pass it to every runCmd call,
+  // except --version and --help, which don't read any instance's state and are cached globally.
+  const handlers = src.split(/\napp\.(?:get|post|put|delete)\(/).slice(1).filter((h) => /req\.instance|\{ instance \} = req;/.test(h));
+  assert.ok(handlers.some((h) => h.startsWith('"/setup/api/run"')));
+  for (const handler of handlers) {
+    const route = handler.slice(0, handler.indexOf(","));
+    for (let i = handler.indexOf("runCmd("); i >= 0; i = handler.indexOf("runCmd(", i + 1)) {
+      let depth = 0;
+      let end = i + "runCmd".length;
+      do {
+        if (handler[end] === "(") depth++;
+        else if (handler[end] === ")") depth--;
+        end++;
+      } while (depth > 0);
+      const call = handler.slice(i, end);
+      if (/"--(?:version|help)"/.test(call)) continue;
+      assert.match(call, /\{ instance(?:: req\.instance)?[ ,}]/, `${route}: ${call.replace(/\s+/g, " ").slice(0, 120)}`);
+    }
+  }
+});
+
+test("SIGTERM stops every instance's gateway", () => {
+  const start = src.indexOf('process.on("SIGTERM"');
+  const handler = src.slice(start, src.indexOf("\n});\n", start));
+  assert.match(handler, /for \(const inst of GATEWAY_INSTANCES\.values\(\)\) \{[^]*?inst\.gateway\.proc\?\.kill\("SIGTERM"\)[^]*?\n {2}\}/);
+  assert.doesNotMatch(handler, /\n\s+gateway\.proc/);
+});
+
+test("the restricted terminal acts on the instance selected for the WebSocket", () => {
+  assert.match(src, /const name = String\(req\.headers\["x-openclaw-instance"\] \|\| query\.get\("instance"\) \|\| "default"\)/);
+  assert.match(src, /req\.instance = GATEWAY_INSTANCES\.get\(name\);\n\s+if \(!req\.instance\) \{\n\s+socket\.write\("HTTP\/1\.1 404/);
+  const terminal = extractFunction("handleRestrictedTerminal");
+  assert.match(terminal, /const \{ instance \} = req;/);
+  for (const call of ["restartGateway", "stopGateway", "ensureGatewayRunning", "resumeGatewayAutoRestart"]) {
+    assert.match(terminal, new RegExp(`${call}\\(\\{ reason: "terminal",[^}]*\\binstance \\}\\)`), call);
+  }
+  assert.match(terminal, /\.\.\.instanceEnv\(instance\)/);
+  // terminal.start, terminal.command and terminal.end take the instance from req.instance.
+  assert.match(extractFunction("recordAudit"), /instance: req\.instance\?\.name/);
+});
+
+test("unknown instances answer 401 until the caller is signed in", () => {
+  const start = src.indexOf('app.use("/setup/api", (req, res, next) => {');
+  const middleware = src.slice(start, src.indexOf("\n});\n", start));
+  assert.match(middleware, /if \(req\.instance\) return next\(\);\n.*\n\s+return requireSetupAuth\(req, res, \(\) => res\.status\(404\)/);
+  assert.doesNotMatch(middleware, /if \(!req\.instance\) return res\.status\(404\)/);
+});
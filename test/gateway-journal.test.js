@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+test("gateway lifecycle events are journaled to STATE_DIR", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /gateway-journal\.jsonl/);
+  for (const type of ["spawn", "ready", "exit", "restart_scheduled", "restart_gave_up", "restart"]) {
+    assert.match(src, new RegExp(`recordGatewayEvent\\("${type}"`), `missing ${type} event`);
+  }
+});
+
+test("config and env saves record their restart reason", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /restartGateway\(\{ reason: "config-save"(, instance)? \}\)/);
+  assert.match(src, /restartGateway\(\{ reason: "env-save"(, instance)? \}\)/);
+  assert.match(src, /restartGateway\(\{ reason: "console"(, manual: true)?(, instance)? \}\)/);
+});
+
+test("server exposes the gateway journal endpoint", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /app\.get\("\/setup\/api\/gateway\/journal", requireSetupAuth/);
+});
+
+test("a full journal is compacted down to the low-water mark, not on every append", async () => {
+  const os = await import("node:os");
+  const path = await import("node:path");
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  const extract = (name) => {
+    const start = src.indexOf(`function ${name}(`);
+    assert.ok(start >= 0, `${name} not found`);
+    return src.slice(start, src.indexOf("\n}\n", start) + 2);
+  };
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "gateway-journal-"));
+  let rewrites = 0;
+  const countingFs = { ...fs, writeFileSync: (...args) => { rewrites++; return fs.writeFileSync(...args); } };
+  // eslint-disable-next-line no-new-func
+  const recordGatewayEvent = new Function("fs", "path", "STATE_DIR", `
+    const GATEWAY_JOURNAL_MAX_BYTES = 20_000;
+    const GATEWAY_JOURNAL_COMPACT_BYTES = GATEWAY_JOURNAL_MAX_BYTES / 2;
+    const GATEWAY_JOURNAL_KEEP_ENTRIES = 5_000;
+    const metricGatewayRestarts = { inc() { } };
+    const metricGatewayExits = { inc() { } };
+    const notifyGatewayAlert = () => { };
+    ${extract("gatewayJournalPath")}
+    ${extract("readGatewayJournal")}
+    ${extract("compactGatewayJournal")}
+    ${extract("recordGatewayEvent")}
+    return recordGatewayEvent;
+  `)(countingFs, path, stateDir);
+  const journal = path.join(stateDir, "gateway-journal.jsonl");
+  // ~110-byte entries: the first compaction comes after ~185 appends, the next ~90 later.
+  for (let i = 0; i < 300; i++) recordGatewayEvent("ready", { seq: i, note: "x".repeat(40) });
+  assert.equal(rewrites, 2);
+  const size = fs.statSync(journal).size;
+  assert.ok(size <= 20_000, `journal is ${size} bytes`);
+  const entries = fs.readFileSync(journal, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+  assert.equal(entries.at(-1).seq, 299);
+  assert.equal(entries[0].seq, 300 - entries.length);
+});
@@ -0,0 +1,51 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+test("gateway output is piped into the ring buffer, not inherited", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.doesNotMatch(src, /stdio:\s*"inherit"/);
+  assert.match(src, /captureGatewayStream\(child\.stdout, "stdout"(, instance)?\)/);
+  assert.match(src, /captureGatewayStream\(child\.stderr, "stderr"(, instance)?\)/);
+});
+
+test("gateway log lines are redacted before buffering", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  const m = src.match(/function appendGatewayLog\(stream, text(?:, instance = "default")?\) \{([\s\S]*?)\n\}/);
+  assert.ok(m, "appendGatewayLog not found");
+  assert.match(m[1], /redactSecrets\(/);
+});
+
+test("server exposes the gateway log SSE endpoint", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /app\.get\("\/setup\/api\/gateway\/logs", requireSetupAuth/);
+});
+
+test("captured output keeps split UTF-8 characters and caps lines without a newline", async () => {
+  const { PassThrough } = await import("node:stream");
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  const start = src.indexOf("function captureGatewayStream(");
+  const lines = [];
+  const echoed = [];
+  // eslint-disable-next-line no-new-func
+  const captureGatewayStream = new Function("process", "appendGatewayLog", `
+    const GATEWAY_LOG_MAX_LINE_LENGTH = 10;
+    const defaultInstance = { name: "default", isDefault: true };
+    const noteGatewayListening = () => { };
+    ${src.slice(start, src.indexOf("\n}\n", start) + 2)}
+    return captureGatewayStream;
+  `)(
+    { stdout: { write: (s) => echoed.push(s) }, stderr: { write() { } } },
+    (stream, text) => lines.push(text),
+  );
+  const readable = new PassThrough();
+  captureGatewayStream(readable, "stdout");
+  const bytes = Buffer.from("héllo wörld\n");
+  readable.write(bytes.subarray(0, 2)); // ends in the middle of "é"
+  readable.write(bytes.subarray(2));
+  readable.write("a".repeat(25));
+  readable.end();
+  await new Promise((r) => readable.on("end", r));
+  assert.deepEqual(lines, ["héllo wörld", "a".repeat(10), "a".repeat(10), "a".repeat(5)]);
+  assert.equal(echoed.join(""), `héllo wörld\n${"a".repeat(25)}`);
+});
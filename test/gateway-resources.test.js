@@ -0,0 +1,19 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+test("gateway RSS and CPU are sampled from /proc", () => {
+  assert.match(src, /\/proc\/\$\{pid\}\/stat/);
+  assert.match(src, /VmRSS/);
+  assert.match(src, /gatewayResources: gatewayResources\.status\(\)/);
+  assert.match(src, /app\.get\("\/setup\/api\/gateway\/resources", requireSetupAuth/);
+});
+
+test("memory-limit policy restarts gracefully and records the event", () => {
+  assert.match(src, /process\.env\.GATEWAY_MEMORY_LIMIT_MB/);
+  assert.match(src, /process\.env\.GATEWAY_MEMORY_LIMIT_MINUTES/);
+  assert.match(src, /recordGatewayEvent\("memory_restart"/);
+  assert.match(src, /restartGateway\(\{ reason: "memory-limit"/);
+});
@@ -0,0 +1,24 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+test("gateway supervisor declares explicit lifecycle states", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  const m = src.match(/const GATEWAY_STATES = (\[[^\]]*\]);/);
+  assert.ok(m, "GATEWAY_STATES not found");
+  assert.deepEqual(JSON.parse(m[1]), ["stopped", "starting", "ready", "degraded", "stopping", "crash-looping"]);
+});
+
+test("routes stop the gateway through the supervisor instead of killing it directly", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.doesNotMatch(src, /gatewayProc/);
+  assert.doesNotMatch(src, /_gatewayReady|_intentionalKill/);
+  for (const reason of ["console", "terminal", "reset", "wipe", "import"]) {
+    assert.match(src, new RegExp(`stopGateway\\(\\{ reason: "${reason}"(, instance(: req\\.instance)?)? \\}\\)`), `missing stop for ${reason}`);
+  }
+});
+
+test("server exposes the gateway state endpoint", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  assert.match(src, /app\.get\("\/setup\/api\/gateway\/state", requireSetupAuth/);
+});
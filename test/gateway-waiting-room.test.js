@@ -0,0 +1,18 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+test("waiting room is bounded by a per-request timeout and a global cap", () => {
+  assert.match(src, /process\.env\.GATEWAY_HOLD_TIMEOUT_MS/);
+  assert.match(src, /process\.env\.GATEWAY_HOLD_MAX/);
+  assert.match(src, /waitingRoom\.held >= GATEWAY_HOLD_MAX/);
+  assert.match(src, /supervisor\.events\.on\("transition", onTransition\)/);
+});
+
+test("HTTP requests and WebSocket upgrades are held instead of failing immediately", () => {
+  assert.match(src, /await holdUntilGatewayReady\(res, instance\)/);
+  assert.match(src, /await holdUntilGatewayReady\(socket, instance\)/);
+  assert.match(src, /HTTP\/1\.1 503 Service Unavailable/);
+});
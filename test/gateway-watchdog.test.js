@@ -0,0 +1,18 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+test("watchdog is configurable and honours a boot grace period", () => {
+  for (const name of ["GATEWAY_WATCHDOG_INTERVAL_MS", "GATEWAY_WATCHDOG_FAILURES", "GATEWAY_WATCHDOG_GRACE_MS"]) {
+    assert.match(src, new RegExp(`process\\.env\\.${name}`), `missing ${name}`);
+  }
+  assert.match(src, /Date\.now\(\) - startedAt < GATEWAY_WATCHDOG_GRACE_MS/);
+});
+
+test("watchdog restarts through the supervisor with a recorded reason", () => {
+  assert.match(src, /recordGatewayEvent\("watchdog_restart"/);
+  assert.match(src, /restartGateway\(\{ reason: "watchdog", instance: supervisor\.instance \}\)/);
+  assert.match(src, /inst\.watchdog\.start\(\)/);
+});
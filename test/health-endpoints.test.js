@@ -0,0 +1,29 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+test("liveness and readiness are separate endpoints", () => {
+  assert.match(src, /app\.get\("\/livez"/);
+  assert.match(src, /app\.get\("\/readyz"/);
+  assert.match(src, /res\.status\(report\.ok \? 200 : 503\)/);
+});
+
+test("the platform health check path is configurable", () => {
+  const m = src.match(/const HEALTHCHECK_MODES = (\[[^\]]*\]);/);
+  assert.ok(m, "HEALTHCHECK_MODES not found");
+  assert.deepEqual(JSON.parse(m[1]), ["live", "ready", "deep"]);
+  assert.match(src, /process\.env\.HEALTHCHECK_MODE/);
+  const toml = fs.readFileSync(new URL("../railway.toml", import.meta.url), "utf8");
+  assert.match(toml, /healthcheckPath = "\/setup\/healthz"/);
+});
+
+test("deep checks run openclaw health with a cache and a timeout", () => {
+  const start = src.indexOf("function checkDeepHealth(");
+  assert.ok(start >= 0, "checkDeepHealth not found");
+  const body = src.slice(start, src.indexOf("\n}\n", start));
+  assert.match(body, /Date\.now\(\) - deepHealth\.checkedAtMs < HEALTH_DEEP_CACHE_MS/);
+  assert.match(body, /clawArgs\(\["health"\]\), \{ timeoutMs: HEALTH_DEEP_TIMEOUT_MS \}/);
+  assert.match(body, /if \(!deepHealthPending\)/);
+});
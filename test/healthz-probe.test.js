@@ -7,3 +7,14 @@ test("healthz implements probeGateway (TCP connect)", () => {
   assert.match(src, /async function probeGateway\(/);
   assert.match(src, /node:net/);
 });
+
+test("probeGateway supports pluggable probes with a TCP fallback", () => {
+  const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+  const m = src.match(/const GATEWAY_PROBE_METHODS = (\[[^\]]*\]);/);
+  assert.ok(m, "GATEWAY_PROBE_METHODS not found");
+  assert.deepEqual(JSON.parse(m[1]), ["http", "ws", "log", "tcp"]);
+  assert.match(src, /return known\.length \? known : \["tcp"\];/);
+  // healthz and the ready event both say which probe passed and how long it took.
+  assert.match(src, /readyProbe: defaultInstance\.lastReadyProbe/);
+  assert.match(src, /probe: probe\.method, probeMs: probe\.durationMs/);
+});
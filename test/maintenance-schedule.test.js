@@ -0,0 +1,41 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+// Evaluate the cron/window helpers in isolation; they only depend on each other.
+const helpers = new Function(
+  `${src.slice(src.indexOf("const CRON_FIELDS"), src.indexOf("const MAINTENANCE_JOBS"))}; return { parseCron, nextCronRun, inMaintenanceWindow };`,
+)();
+
+test("cron expressions resolve to the next matching minute", () => {
+  const from = new Date(2026, 9, 19, 10, 7); // Monday
+  const next = (expr) => helpers.nextCronRun(helpers.parseCron(expr), from);
+  assert.deepEqual(next("0 4 * * *"), new Date(2026, 9, 20, 4, 0));
+  assert.deepEqual(next("*/15 * * * *"), new Date(2026, 9, 19, 10, 15));
+  assert.deepEqual(next("30 4 * * 7"), new Date(2026, 9, 25, 4, 30));
+  assert.deepEqual(next("0 9-17/4 * * 1-5"), new Date(2026, 9, 19, 13, 0));
+  // Both day fields restricted: either may match.
+  assert.deepEqual(next("0 0 1 * 1"), new Date(2026, 9, 26, 0, 0));
+});
+
+test("invalid cron expressions are rejected", () => {
+  for (const expr of ["", "* * *", "60 * * * *", "5-2 * * * *", "a * * * *", "*/0 * * * *"]) {
+    assert.throws(() => helpers.parseCron(expr), undefined, expr);
+  }
+});
+
+test("maintenance windows may wrap past midnight", () => {
+  const w = { enabled: true, start: "23:00", end: "02:00" };
+  assert.equal(helpers.inMaintenanceWindow(w, new Date(2026, 0, 1, 23, 30)), true);
+  assert.equal(helpers.inMaintenanceWindow(w, new Date(2026, 0, 1, 1, 59)), true);
+  assert.equal(helpers.inMaintenanceWindow(w, new Date(2026, 0, 1, 2, 0)), false);
+  assert.equal(helpers.inMaintenanceWindow({ ...w, enabled: false }, new Date(2026, 0, 1, 12, 0)), true);
+});
+
+test("scheduled restarts can be skipped while WebSocket clients are connected", () => {
+  assert.match(src, /settings\.restart\.skipIfActiveClients && gatewayWsClients\.size > 0/);
+  assert.match(src, /restartGateway\(\{ reason: "scheduled" \}\)/);
+  assert.match(src, /app\.post\("\/setup\/api\/maintenance", requireSetupAuth/);
+});
@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import crypto from "node:crypto";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+function extractFunction(name) {
+  const start = src.indexOf(`function ${name}(`);
+  assert.ok(start >= 0, `${name} not found`);
+  const end = src.indexOf("\n}\n", start);
+  return src.slice(start, end + 2);
+}
+
+// eslint-disable-next-line no-new-func
+const createMetricsRegistry = new Function(`${extractFunction("createMetricsRegistry")}; return createMetricsRegistry;`)();
+
+test("metrics render in the Prometheus text format", () => {
+  const registry = createMetricsRegistry();
+  const requests = registry.counter("requests_total", "Requests.");
+  const duration = registry.histogram("duration_seconds", "Duration.", [0.1, 1]);
+  requests.inc({ code: 200, instance: "default" });
+  requests.inc({ instance: "default", code: 200 });
+  requests.inc({ code: 'we"ird' });
+  duration.observe({}, 0.5);
+
+  const out = registry.render();
+  assert.match(out, /^# HELP requests_total Requests\.\n# TYPE requests_total counter\n/);
+  assert.match(out, /^requests_total\{code="200",instance="default"\} 2$/m);
+  assert.match(out, /^requests_total\{code="we\\"ird"\} 1$/m);
+  assert.match(out, /^duration_seconds_bucket\{le="0\.1"\} 0$/m);
+  assert.match(out, /^duration_seconds_bucket\{le="1"\} 1$/m);
+  assert.match(out, /^duration_seconds_bucket\{le="\+Inf"\} 1$/m);
+  assert.match(out, /^duration_seconds_count 1$/m);
+});
+
+test("/metrics is opt-in and requires the bearer token", () => {
+  assert.match(src, /process\.env\.METRICS_TOKEN/);
+  assert.match(src, /if \(!METRICS_TOKEN\) return next\(\);/);
+  assert.match(extractFunction("metricsAuthorized"), /secretsEqual\(token, METRICS_TOKEN\)/);
+  // eslint-disable-next-line no-new-func
+  const metricsAuthorized = new Function("crypto", `
+    const METRICS_TOKEN = "scrape-me";
+    ${extractFunction("secretsEqual")}
+    ${extractFunction("metricsAuthorized")}
+    return metricsAuthorized;
+  `)(crypto);
+  const req = (authorization) => ({ headers: authorization ? { authorization } : {} });
+  assert.equal(metricsAuthorized(req("Bearer scrape-me")), true);
+  assert.equal(metricsAuthorized(req("Bearer scrape-m")), false);
+  assert.equal(metricsAuthorized(req("Basic scrape-me")), false);
+  assert.equal(metricsAuthorized(req("Bearer ")), false);
+  assert.equal(metricsAuthorized(req()), false);
+});
+
+test("runCmd, the proxy and backups feed the metrics", () => {
+  assert.match(extractFunction("runCmd"), /metricCliRuns\.inc\(\{ command, outcome \}\)/);
+  assert.match(src, /metricProxyDuration\.observe\(labels, secondsSince\(startedNs\)\)/);
+  assert.match(src, /metricProxyWebSockets\.inc\(\{ instance: instance\.name \}\)/);
+  assert.match(src, /metricBackupExports\.inc\(\{ outcome: "ok" \}\)/);
+  assert.match(src, /metricBackupImports\.inc\(\{ outcome: "error" \}\)/);
+});
@@ -0,0 +1,29 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+test("OpenClaw commands run the active build's entry", () => {
+  assert.match(src, /function clawArgs\(args\) \{\s*return \[openclawEntry, \.\.\.args\];/);
+  assert.match(src, /path\.join\(STATE_DIR, "openclaw-builds"\)/);
+  assert.match(src, /openclawBuild: manifest \? manifest\.id : null/);
+});
+
+test("a build that fails readiness is switched back", () => {
+  const start = src.indexOf("async function switchOpenclawBuild(");
+  assert.ok(start >= 0, "switchOpenclawBuild not found");
+  const body = src.slice(start, src.indexOf("\n}\n", start));
+  assert.match(body, /restartConfiguredInstances\("build-switch"\)/);
+  assert.match(body, /setActiveBuild\(previous\)/);
+  assert.match(body, /recordGatewayEvent\("build_revert"/);
+});
+
+test("builds can be uploaded, switched, pinned and deleted", () => {
+  for (const route of ["upload", "activate", "pin", "delete"]) {
+    assert.match(src, new RegExp(`app\\.post\\("/setup/api/builds/${route}", requireSetupAuth`), `missing ${route}`);
+  }
+  assert.match(src, /app\.get\("\/setup\/api\/builds", requireSetupAuth/);
+  // Builds are kept out of volume backups.
+  assert.match(src, /filter: \(p\) => !\[OPENCLAW_BUILDS_DIR\b[^\]]*\]\.some\(\(dir\) => isUnderDir\(path\.join\(cwd, p\), dir\)\)/);
+});
@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+function functionBody(name) {
+  const start = src.indexOf(`async function ${name}(`);
+  assert.ok(start >= 0, `${name} not found`);
+  return src.slice(start, src.indexOf("\n}\n", start));
+}
+
+test("updates snapshot state and the install before running openclaw update", () => {
+  const body = functionBody("runOpenclawUpdate");
+  const snapshot = body.indexOf("snapshotForUpdate(root)");
+  const update = body.indexOf('clawArgs(["update"])');
+  assert.ok(snapshot >= 0 && update > snapshot, "snapshot must come first");
+  assert.match(body, /restartConfiguredInstances\("update"\)/);
+  assert.match(body, /clawArgs\(\["health"\]\)/);
+  // The wrapper's own records must survive a rollback.
+  for (const name of ["gateway-journal.jsonl", "webhook-spool", "wrapper-settings.json"]) {
+    assert.match(src, new RegExp(`UPDATE_SNAPSHOT_EXCLUDE = \\[[^\\]]*"${name.replace(".", "\\.")}"`), `${name} not excluded`);
+  }
+});
+
+test("a failed update restores the snapshot and records the rollback", () => {
+  const body = functionBody("runOpenclawUpdate");
+  assert.match(body, /await restoreUpdateSnapshot\(root, log\)/);
+  assert.match(body, /recordGatewayEvent\("update_rollback"/);
+  assert.match(functionBody("restoreUpdateSnapshot"), /restartConfiguredInstances\("update-rollback"\)/);
+});
+
+test("the update runs as a tracked job with a replayable stream", () => {
+  assert.match(src, /app\.post\("\/setup\/api\/update", requireSetupAuth/);
+  assert.match(src, /app\.get\("\/setup\/api\/update\/stream", requireSetupAuth/);
+  assert.match(src, /for \(const e of updateJob\.events\) send\(e\.event, e\.data\)/);
+});
+
+test("rolling back swaps the snapshot in only once it has been copied in full", async () => {
+  const os = await import("node:os");
+  const path = await import("node:path");
+  const start = src.indexOf("async function replaceDirWithCopy(");
+  assert.ok(start >= 0, "replaceDirWithCopy not found");
+  const load = (fsImpl) =>
+    // eslint-disable-next-line no-new-func
+    new Function("fs", `${src.slice(start, src.indexOf("\n}\n", start) + 2)}; return replaceDirWithCopy;`)(fsImpl);
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "update-rollback-"));
+  const snapshot = path.join(tmp, "snapshot");
+  const root = path.join(tmp, "openclaw");
+  fs.mkdirSync(path.join(snapshot, "dist"), { recursive: true });
+  fs.writeFileSync(path.join(snapshot, "dist", "index.js"), "old");
+  fs.mkdirSync(root);
+  fs.writeFileSync(path.join(root, "broken.js"), "new");
+
+  // The copy dies partway: the live install is untouched and no half copy is left behind.
+  const diskFull = { ...fs, promises: { ...fs.promises, cp: async (from, to, opts) => { await fs.promises.cp(from, to, opts); throw new Error("ENOSPC"); } } };
+  await assert.rejects(load(diskFull)(snapshot, root), /ENOSPC/);
+  assert.deepEqual(fs.readdirSync(root), ["broken.js"]);
+  assert.deepEqual(fs.readdirSync(tmp).sort(), ["openclaw", "snapshot"]);
+
+  await load(fs)(snapshot, root);
+  assert.equal(fs.readFileSync(path.join(root, "dist", "index.js"), "utf8"), "old");
+  assert.equal(fs.existsSync(path.join(root, "broken.js")), false);
+  assert.deepEqual(fs.readdirSync(tmp).sort(), ["openclaw", "snapshot"]);
+  assert.match(functionBody("restoreUpdateSnapshot"), /await replaceDirWithCopy\(path\.join\(UPDATE_SNAPSHOT_DIR, "install"\), root\);/);
+  assert.doesNotMatch(functionBody("restoreUpdateSnapshot"), /fs\.promises\.rm\(root/);
+});
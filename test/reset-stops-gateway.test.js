@@ -7,5 +7,7 @@ test("reset handler stops gateway before deleting config", () => {
   const idx = src.indexOf('app.post("/setup/api/reset"');
   assert.ok(idx >= 0);
   const window = src.slice(idx, idx + 900);
-  assert.match(window, /gatewayProc\.kill\("SIGTERM"\)/);
+  const stopIdx = window.search(/await stopGateway\(/);
+  assert.ok(stopIdx >= 0, "reset must stop the gateway through the supervisor");
+  assert.ok(stopIdx < window.indexOf("fs.rmSync"), "gateway must be stopped before config is deleted");
 });
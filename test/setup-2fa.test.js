@@ -0,0 +1,134 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import crypto from "node:crypto";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+function extractFunction(name) {
+  const start = src.search(new RegExp(`(?:async )?function ${name}\\(`));
+  assert.ok(start >= 0, `${name} not found`);
+  const end = src.indexOf("\n}\n", start);
+  return src.slice(start, end + 2);
+}
+
+function extractConst(name) {
+  const start = src.indexOf(`const ${name} =`);
+  assert.ok(start >= 0, `${name} not found`);
+  return src.slice(start, src.indexOf(";\n", start) + 2);
+}
+
+// eslint-disable-next-line no-new-func
+const totp = new Function("crypto", "Buffer", `
+  ${extractConst("TOTP_STEP_MS")}
+  ${extractConst("TOTP_DIGITS")}
+  ${extractConst("TWO_FACTOR_RECOVERY_CODES")}
+  ${extractConst("BASE32_ALPHABET")}
+  ${extractFunction("secretsEqual")}
+  ${extractFunction("base32Encode")}
+  ${extractFunction("base32Decode")}
+  ${extractFunction("totpCode")}
+  ${extractFunction("verifyTotp")}
+  ${extractFunction("generateRecoveryCodes")}
+  ${extractFunction("hashRecoveryCode")}
+  ${extractFunction("encryptTwoFactorSecret")}
+  ${extractFunction("decryptTwoFactorSecret")}
+  return { base32Encode, base32Decode, totpCode, verifyTotp, generateRecoveryCodes, hashRecoveryCode, encryptTwoFactorSecret, decryptTwoFactorSecret };
+`)(crypto, Buffer);
+
+// RFC 6238 appendix B, SHA-1 seed; the 8-digit vectors' last six digits.
+const RFC_SECRET = Buffer.from("12345678901234567890");
+
+test("codes match the RFC 6238 test vectors", () => {
+  assert.equal(totp.totpCode(RFC_SECRET, Math.floor(59 / 30)), "287082");
+  assert.equal(totp.totpCode(RFC_SECRET, Math.floor(1111111109 / 30)), "081804");
+  assert.equal(totp.totpCode(RFC_SECRET, Math.floor(2000000000 / 30)), "279037");
+});
+
+test("base32 round-trips and ignores spacing", () => {
+  const buf = crypto.randomBytes(20);
+  const encoded = totp.base32Encode(buf);
+  assert.match(encoded, /^[A-Z2-7]{32}$/);
+  assert.deepEqual(totp.base32Decode(encoded.toLowerCase().replace(/(.{4})/g, "$1 ")), buf);
+  assert.equal(totp.base32Encode(Buffer.from("foobar")), "MZXW6YTBOI");
+});
+
+test("a code is accepted one step either side and never twice", () => {
+  const now = 1111111109 * 1000;
+  const counter = Math.floor(now / 30_000);
+  const code = totp.totpCode(RFC_SECRET, counter);
+  assert.equal(totp.verifyTotp(RFC_SECRET, code, now), counter);
+  assert.equal(totp.verifyTotp(RFC_SECRET, code, now + 30_000), counter);
+  assert.equal(totp.verifyTotp(RFC_SECRET, code, now + 90_000), null);
+  assert.equal(totp.verifyTotp(RFC_SECRET, code, now, counter), null);
+  assert.equal(totp.verifyTotp(RFC_SECRET, "12345", now), null);
+});
+
+test("recovery codes are unique and hashed without formatting", () => {
+  const codes = totp.generateRecoveryCodes();
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  for (const c of codes) assert.match(c, /^[a-z2-9]{5}-[a-z2-9]{5}$/);
+  assert.equal(totp.hashRecoveryCode(codes[0]), totp.hashRecoveryCode(` ${codes[0].toUpperCase().replace("-", "")} `));
+});
+
+test("secrets are encrypted with an authenticated cipher", () => {
+  const key = crypto.randomBytes(32);
+  const stored = totp.encryptTwoFactorSecret(RFC_SECRET, key);
+  assert.doesNotMatch(stored, /12345678901234567890/);
+  assert.deepEqual(totp.decryptTwoFactorSecret(stored, key), RFC_SECRET);
+  assert.throws(() => totp.decryptTwoFactorSecret(stored, crypto.randomBytes(32)));
+});
+
+test("Basic auth and the terminal refuse accounts with two-factor auth", () => {
+  assert.match(extractFunction("authenticateSetupRequest"), /twoFactorEnabled\(user\.username\) \? \{ via: "basic", user, needsSecondFactor: true \}/);
+  assert.match(extractFunction("requireSetupAuth"), /if \(auth\.needsSecondFactor\)/);
+  assert.match(extractFunction("authenticateWs"), /needsSecondFactor \? null/);
+  assert.match(src, /consumeSecondFactor\(user\.username, code\)/);
+});
+
+test("codes entered by a signed-in account are throttled like login codes", () => {
+  const calls = [];
+  const authThrottle = {
+    retryAfterMs: (ip, opts) => (calls.push(["retryAfterMs", ip, opts]), 0),
+    fail: (ip, details) => (calls.push(["fail", ip, details]), { lockedForMs: 1000 }),
+    succeed: (ip) => calls.push(["succeed", ip]),
+  };
+  // eslint-disable-next-line no-new-func
+  const checkAccountCode = new Function("authThrottle", `
+    const clientIp = () => "203.0.113.9";
+    ${extractFunction("checkAccountCode")}
+    return checkAccountCode;
+  `)(authThrottle);
+  const req = { auth: { user: { username: "alice" } }, headers: {} };
+  const res = { set() { }, status(code) { this.code = code; return this; }, json(body) { this.body = body; } };
+
+  assert.equal(checkAccountCode(req, res, "2fa-disable", () => false), null);
+  assert.equal(res.code, 400);
+  assert.equal(res.body.retryAfterMs, 1000);
+  assert.deepEqual(calls.find((c) => c[0] === "fail"), ["fail", "203.0.113.9", { via: "2fa-disable", username: "alice", reason: "code", userAgent: "" }]);
+  assert.deepEqual(calls[0], ["retryAfterMs", "203.0.113.9", { global: false }]);
+
+  assert.equal(checkAccountCode(req, res, "2fa-disable", () => true), true);
+  assert.deepEqual(calls.at(-1), ["succeed", "203.0.113.9"]);
+
+  for (const route of ["enable", "disable", "recovery-codes"]) {
+    const start = src.indexOf(`app.post("/setup/api/auth/2fa/${route}"`);
+    assert.match(src.slice(start, src.indexOf("\n});\n", start)), new RegExp(`checkAccountCode\\(req, res, "2fa-${route}"`), route);
+  }
+});
+
+test("a throttled IP gets a 429 before any code is checked", () => {
+  // eslint-disable-next-line no-new-func
+  const checkAccountCode = new Function("authThrottle", `
+    const clientIp = () => "203.0.113.9";
+    ${extractFunction("checkAccountCode")}
+    return checkAccountCode;
+  `)({ retryAfterMs: () => 4000 });
+  const res = { headers: {}, set(k, v) { this.headers[k] = v; }, status(code) { this.code = code; return this; }, json(body) { this.body = body; } };
+  let checked = false;
+  assert.equal(checkAccountCode({ auth: { user: { username: "alice" } }, headers: {} }, res, "2fa-disable", () => (checked = true)), null);
+  assert.equal(res.code, 429);
+  assert.equal(res.headers["Retry-After"], "4");
+  assert.equal(checked, false);
+});
@@ -0,0 +1,110 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import crypto from "node:crypto";
+import childProcess from "node:child_process";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+function extractFunction(name) {
+  const start = src.search(new RegExp(`(?:async )?function ${name}\\(`));
+  assert.ok(start >= 0, `${name} not found`);
+  const end = src.indexOf("\n}\n", start);
+  return src.slice(start, end + 2);
+}
+
+function extractConst(name) {
+  const start = src.indexOf(`const ${name} =`);
+  assert.ok(start >= 0, `${name} not found`);
+  return src.slice(start, src.indexOf(";\n", start) + 2);
+}
+
+function load({ stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "setup-password-")), resetVariable = false } = {}) {
+  // eslint-disable-next-line no-new-func
+  const helpers = new Function("fs", "path", "crypto", "STATE_DIR", "console", `
+    const SETUP_PASSWORD_RESET = ${resetVariable};
+    ${extractConst("SCRYPT_PARAMS")}
+    ${extractConst("SETUP_PASSWORD_HASH_RE")}
+    ${extractFunction("scryptAsync")}
+    ${extractFunction("hashSetupPassword")}
+    ${extractFunction("verifySetupPassword")}
+    ${extractFunction("setupPasswordPath")}
+    ${extractFunction("setupPasswordResetPath")}
+    ${extractFunction("readStoredSetupPassword")}
+    ${extractFunction("writeStoredSetupPassword")}
+    ${extractFunction("resolveSetupPassword")}
+    return { hashSetupPassword, verifySetupPassword, readStoredSetupPassword, writeStoredSetupPassword, resolveSetupPassword };
+  `)(fs, path, crypto, stateDir, { log() { }, warn() { } });
+  return { ...helpers, stateDir };
+}
+
+test("SETUP_PASSWORD is used as plain text, or as a hash when it looks like one", async () => {
+  const { resolveSetupPassword, hashSetupPassword } = load();
+  assert.deepEqual(resolveSetupPassword("hunter2-hunter2"), { source: "env", plain: "hunter2-hunter2" });
+  const hash = await hashSetupPassword("hunter2-hunter2");
+  assert.deepEqual(resolveSetupPassword(hash), { source: "env-hash", hash });
+});
+
+test("a password changed in the UI takes precedence over SETUP_PASSWORD", async () => {
+  const { resolveSetupPassword, writeStoredSetupPassword, hashSetupPassword } = load();
+  const hash = await hashSetupPassword("changed-in-ui");
+  writeStoredSetupPassword({ hash, updatedAt: "2026-01-01T00:00:00.000Z", changedBy: "setup" });
+  const resolved = resolveSetupPassword("from-the-env");
+  assert.equal(resolved.source, "stored");
+  assert.equal(resolved.hash, hash);
+  assert.equal(resolved.changedBy, "setup");
+});
+
+test("a generated password is stored and reused until SETUP_PASSWORD is set", async () => {
+  const { resolveSetupPassword, readStoredSetupPassword, verifySetupPassword, stateDir } = load();
+  const first = resolveSetupPassword("");
+  assert.equal(first.source, "generated");
+  assert.ok(first.plain.length >= 20);
+  // The hash is written in the background.
+  for (let i = 0; i < 50 && !readStoredSetupPassword(); i++) await new Promise((r) => setTimeout(r, 20));
+  const stored = readStoredSetupPassword();
+  assert.equal(stored.generated, true);
+  assert.equal(await verifySetupPassword(first.plain, stored.hash), true);
+  assert.equal(fs.statSync(path.join(stateDir, "setup-password.json")).mode & 0o777, 0o600);
+
+  const again = resolveSetupPassword("");
+  assert.equal(again.source, "generated");
+  assert.equal(again.hash, stored.hash);
+
+  assert.deepEqual(resolveSetupPassword("now-set-in-env"), { source: "env", plain: "now-set-in-env" });
+  assert.equal(readStoredSetupPassword(), null);
+});
+
+test("the reset file discards the stored password once", async () => {
+  const { resolveSetupPassword, writeStoredSetupPassword, hashSetupPassword, stateDir } = load();
+  writeStoredSetupPassword({ hash: await hashSetupPassword("forgotten-password"), updatedAt: "x", changedBy: "setup" });
+  fs.writeFileSync(path.join(stateDir, "setup-password.reset"), "");
+  assert.deepEqual(resolveSetupPassword("from-the-env"), { source: "env", plain: "from-the-env" });
+  assert.equal(fs.existsSync(path.join(stateDir, "setup-password.reset")), false);
+  assert.equal(fs.existsSync(path.join(stateDir, "setup-password.json")), false);
+});
+
+test("SETUP_PASSWORD_RESET discards the stored password on every boot", async () => {
+  const { writeStoredSetupPassword, hashSetupPassword, stateDir } = load();
+  writeStoredSetupPassword({ hash: await hashSetupPassword("forgotten-password"), updatedAt: "x", changedBy: "setup" });
+  const { resolveSetupPassword } = load({ stateDir, resetVariable: true });
+  assert.deepEqual(resolveSetupPassword("from-the-env"), { source: "env", plain: "from-the-env" });
+});
+
+test("npm run hash-password produces hashes the server accepts", async () => {
+  const { verifySetupPassword } = load();
+  const out = childProcess.execFileSync(process.execPath, [new URL("../scripts/hash-password.mjs", import.meta.url).pathname], {
+    input: "correct horse battery\n",
+    encoding: "utf8",
+  }).trim();
+  assert.match(out, /^scrypt\$16384\$8\$1\$[\w-]+\$[\w-]+$/);
+  assert.equal(await verifySetupPassword("correct horse battery", out), true);
+});
+
+test("changing the password needs the current one and admin", () => {
+  assert.match(src, /app\.post\("\/setup\/api\/auth\/password", requireSetupAuth, requireRole\("admin"\)/);
+  assert.match(src, /if \(!\(await verifyBuiltinPassword\(String\(req\.body\?\.currentPassword \?\? ""\)\)\)\) \{\n\s+const \{ lockedForMs \} = authThrottle\.fail\(/);
+  assert.match(extractFunction("verifySetupCredentials"), /await verifyBuiltinPassword\(password\)/);
+});
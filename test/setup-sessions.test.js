@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+const api = fs.readFileSync(new URL("../ui/src/api.js", import.meta.url), "utf8");
+
+function extractFunction(name) {
+  const start = src.indexOf(`function ${name}(`);
+  assert.ok(start >= 0, `${name} not found`);
+  const end = src.indexOf("\n}\n", start);
+  return src.slice(start, end + 2);
+}
+
+// eslint-disable-next-line no-new-func
+const { parseCookies, sessionCookie } = new Function(`
+  const SETUP_SESSION_COOKIE = "openclaw_setup_session";
+  ${extractFunction("parseCookies")}
+  ${extractFunction("requestIsHttps")}
+  ${extractFunction("sessionCookie")}
+  return { parseCookies, sessionCookie };
+`)();
+
+test("cookies are parsed leniently", () => {
+  assert.deepEqual(parseCookies("a=1; openclaw_setup_session=abc%2Fd;b=x=y; a=2; junk"), {
+    a: "1",
+    openclaw_setup_session: "abc/d",
+    b: "x=y",
+  });
+  assert.deepEqual(parseCookies(undefined), {});
+});
+
+test("the session cookie is HttpOnly, SameSite=Strict and Secure behind https", () => {
+  const plain = sessionCookie({ headers: {}, socket: {} }, "id", 3_600_000);
+  assert.equal(plain, "openclaw_setup_session=id; Path=/setup; HttpOnly; SameSite=Strict; Max-Age=3600");
+  const https = sessionCookie({ headers: { "x-forwarded-proto": "https" }, socket: {} }, "", 0);
+  assert.match(https, /Max-Age=0; Secure$/);
+});
+
+test("cookie sessions need a CSRF token to change state; Basic auth does not", () => {
+  const body = extractFunction("requireSetupAuth");
+  assert.match(body, /auth\.via === "session" && !CSRF_SAFE_METHODS\.has\(req\.method\)/);
+  assert.match(body, /secretsEqual\(token, auth\.session\.csrfToken\)/);
+  assert.match(extractFunction("authenticateSetupRequest"), /scheme === "Basic"/);
+  assert.match(src, /app\.post\("\/setup\/api\/auth\/login", async \(req, res\)/);
+  assert.match(src, /app\.post\("\/setup\/api\/auth\/logout-all", requireSetupAuth/);
+});
+
+test("the UI no longer stores the password or puts credentials in the terminal URL", () => {
+  assert.doesNotMatch(api, /localStorage\.setItem\("openclaw_auth"/);
+  assert.doesNotMatch(api, /terminal\?token=/);
+  assert.doesNotMatch(extractFunction("authenticateWs"), /searchParams/);
+});
@@ -0,0 +1,141 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import crypto from "node:crypto";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+function extractFunction(name) {
+  const start = src.search(new RegExp(`(?:async )?function ${name}\\(`));
+  assert.ok(start >= 0, `${name} not found`);
+  const end = src.indexOf("\n}\n", start);
+  return src.slice(start, end + 2);
+}
+
+function extractConst(name) {
+  const start = src.indexOf(`const ${name} =`);
+  assert.ok(start >= 0, `${name} not found`);
+  return src.slice(start, src.indexOf(";\n", start) + 2);
+}
+
+// eslint-disable-next-line no-new-func
+const helpers = new Function("crypto", `
+  ${extractConst("SETUP_ROLES")}
+  ${extractConst("SETUP_BUILTIN_USER")}
+  ${extractConst("SETUP_USERNAME_RE")}
+  ${extractConst("SETUP_MIN_PASSWORD_LENGTH")}
+  ${extractConst("SCRYPT_PARAMS")}
+  ${extractFunction("roleAtLeast")}
+  ${extractFunction("scryptAsync")}
+  ${extractFunction("hashSetupPassword")}
+  ${extractFunction("verifySetupPassword")}
+  ${extractFunction("normalizeSetupUserInput")}
+  ${extractFunction("requireRole")}
+  return { roleAtLeast, hashSetupPassword, verifySetupPassword, normalizeSetupUserInput, requireRole };
+`)(crypto);
+
+test("passwords are stored as salted scrypt hashes and verified", async () => {
+  const hash = await helpers.hashSetupPassword("correct horse");
+  assert.match(hash, /^scrypt\$16384\$8\$1\$[\w-]+\$[\w-]+$/);
+  assert.notEqual(hash, await helpers.hashSetupPassword("correct horse"));
+  assert.equal(await helpers.verifySetupPassword("correct horse", hash), true);
+  assert.equal(await helpers.verifySetupPassword("wrong horse", hash), false);
+  assert.equal(await helpers.verifySetupPassword("correct horse", "plain-text"), false);
+});
+
+test("roles are cumulative", () => {
+  assert.equal(helpers.roleAtLeast("admin", "operator"), true);
+  assert.equal(helpers.roleAtLeast("operator", "operator"), true);
+  assert.equal(helpers.roleAtLeast("viewer", "operator"), false);
+  assert.equal(helpers.roleAtLeast(undefined, "viewer"), false);
+});
+
+test("requireRole answers 403 below the required role", () => {
+  const guard = helpers.requireRole("admin");
+  let status = null;
+  let nextCalled = false;
+  const res = { status: (code) => { status = code; return res; }, json: () => res };
+  guard({ auth: { user: { role: "operator" } } }, res, () => { nextCalled = true; });
+  assert.equal(status, 403);
+  assert.equal(nextCalled, false);
+  guard({ auth: { user: { role: "admin" } } }, res, () => { nextCalled = true; });
+  assert.equal(nextCalled, true);
+});
+
+test("user input is validated", () => {
+  const { normalizeSetupUserInput } = helpers;
+  assert.deepEqual(normalizeSetupUserInput({ username: " Ops.Bot ", password: "long enough", role: "operator" }), {
+    username: "ops.bot",
+    role: "operator",
+    password: "long enough",
+    exists: false,
+  });
+  assert.throws(() => normalizeSetupUserInput({ username: "setup", password: "long enough", role: "admin" }), /reserved/);
+  assert.throws(() => normalizeSetupUserInput({ username: "a b", password: "long enough", role: "admin" }), /Username/);
+  assert.throws(() => normalizeSetupUserInput({ username: "ann", password: "long enough", role: "root" }), /Role/);
+  assert.throws(() => normalizeSetupUserInput({ username: "ann", role: "viewer" }), /required/);
+  assert.throws(() => normalizeSetupUserInput({ username: "ann", password: "short", role: "viewer" }), /at least/);
+  // Existing users can change role without a new password.
+  assert.equal(normalizeSetupUserInput({ username: "ann", role: "admin" }, { ann: {} }).exists, true);
+});
+
+test("routes that change things require operator or admin", () => {
+  const route = (method, path, role) =>
+    assert.match(src, new RegExp(`app\\.${method}\\("${path.replace(/\//g, "\\/")}", requireSetupAuth, requireRole\\("${role}"\\)`), `${method} ${path}`);
+  route("post", "/setup/api/console/run", "operator");
+  route("post", "/setup/api/devices/approve", "operator");
+  route("post", "/setup/api/gateway/resume", "operator");
+  route("post", "/setup/api/config/raw", "admin");
+  route("post", "/setup/api/env/raw", "admin");
+  route("post", "/setup/import", "admin");
+  route("post", "/setup/api/wipe-volume", "admin");
+  route("get", "/setup/api/users", "admin");
+  assert.match(src, /app\.get\("\/setup\/api\/gateway\/logs", requireSetupAuth, \(/);
+});
+
+test("the terminal needs operator, or admin with full shell access", () => {
+  assert.match(extractConst("TERMINAL_MIN_ROLE"), /TERMINAL_FULL_ACCESS \? "admin" : "operator"/);
+  assert.match(src, /roleAtLeast\(auth\.user\.role, TERMINAL_MIN_ROLE\)/);
+});
+
+test("operators may only run allowlisted console and terminal commands", () => {
+  // eslint-disable-next-line no-new-func
+  const { consoleCmdMinRole, terminalLineMinRole } = new Function(`
+    ${extractConst("GATEWAY_COMMANDS")}
+    ${extractConst("OPERATOR_CONSOLE_COMMANDS")}
+    ${extractFunction("consoleCmdMinRole")}
+    ${extractFunction("terminalLineMinRole")}
+    return { consoleCmdMinRole, terminalLineMinRole };
+  `)();
+  for (const cmd of ["gateway.restart", "openclaw.status", "openclaw.logs.tail", "openclaw.devices.approve", "openclaw.pairing.approve"]) {
+    assert.equal(consoleCmdMinRole(cmd), "operator", cmd);
+  }
+  for (const cmd of ["openclaw.config.get", "openclaw.config.set", "openclaw.channels.add", "openclaw.plugins.list"]) {
+    assert.equal(consoleCmdMinRole(cmd), "admin", cmd);
+  }
+  for (const line of ["gateway.stop", "openclaw status --all", "openclaw logs --follow", "openclaw devices list", "openclaw pairing approve telegram X1"]) {
+    assert.equal(terminalLineMinRole(line.split(" ")), "operator", line);
+  }
+  for (const line of ["openclaw config get gateway.auth.token", "openclaw config set x 1", "openclaw devices", "openclaw onboard"]) {
+    assert.equal(terminalLineMinRole(line.split(" ")), "admin", line);
+  }
+  assert.match(src, /const minRole = consoleCmdMinRole\(cmd\);\n\s+if \(!roleAtLeast\(req\.auth\.user\.role, minRole\)\) \{\n\s+return res\.status\(403\)/);
+  assert.match(src, /const minRole = terminalLineMinRole\(parts\);\n\s+if \(!roleAtLeast\(req\.auth\.user\.role, minRole\)\)/);
+  assert.match(extractFunction("handleRestrictedTerminal"), /ws\.send\(redactSecrets\(data\)\)/);
+});
+
+test("only admins get the gateway token in the status response", () => {
+  // eslint-disable-next-line no-new-func
+  const visibleGatewayToken = new Function(`
+    ${extractConst("SETUP_ROLES")}
+    ${extractFunction("roleAtLeast")}
+    ${extractFunction("visibleGatewayToken")}
+    return visibleGatewayToken;
+  `)();
+  const instance = { token: "gw-secret" };
+  assert.equal(visibleGatewayToken({ user: { role: "admin" } }, instance), "gw-secret");
+  assert.equal(visibleGatewayToken({ user: { role: "operator" } }, instance), undefined);
+  const viewerBody = JSON.stringify({ gatewayToken: visibleGatewayToken({ user: { role: "viewer" } }, instance) });
+  assert.doesNotMatch(viewerBody, /gw-secret|gatewayToken/);
+  assert.match(src, /gatewayToken: visibleGatewayToken\(req\.auth, instance\)/);
+});
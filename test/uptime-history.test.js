@@ -0,0 +1,54 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+function extractFunction(name) {
+  const start = src.indexOf(`function ${name}(`);
+  assert.ok(start >= 0, `${name} not found`);
+  const end = src.indexOf("\n}\n", start);
+  return src.slice(start, end + 2);
+}
+
+// eslint-disable-next-line no-new-func
+const addUptimeSample = new Function(`${extractFunction("addUptimeSample")}; return addUptimeSample;`)();
+// eslint-disable-next-line no-new-func
+const summarizeUptime = new Function(`${extractFunction("summarizeUptime")}; return summarizeUptime;`)();
+
+test("samples extend spans until the status changes or a gap opens", () => {
+  const spans = [];
+  addUptimeSample(spans, { at: 0, up: true }, 60);
+  addUptimeSample(spans, { at: 60, up: true }, 60);
+  addUptimeSample(spans, { at: 120, up: false, error: "tcp: refused" }, 60);
+  addUptimeSample(spans, { at: 180, up: false, error: "tcp: refused" }, 60);
+  addUptimeSample(spans, { at: 240, up: true }, 60);
+  // The wrapper was down for a while: the next sample starts a fresh span.
+  addUptimeSample(spans, { at: 1000, up: true }, 60);
+  assert.deepEqual(spans, [
+    { start: 0, end: 60, up: true },
+    { start: 60, end: 180, up: false, error: "tcp: refused" },
+    { start: 180, end: 240, up: true },
+    { start: 1000, end: 1000, up: true },
+  ]);
+});
+
+test("uptime percentages ignore time without samples", () => {
+  const spans = [
+    { start: 0, end: 900, up: true },
+    { start: 900, end: 1000, up: false },
+    { start: 5000, end: 6000, up: true },
+  ];
+  assert.deepEqual(summarizeUptime(spans, 0, 1000), { uptimePct: 90, upMs: 900, downMs: 100, coverageMs: 1000 });
+  assert.deepEqual(summarizeUptime(spans, 500, 5500), { uptimePct: 90, upMs: 900, downMs: 100, coverageMs: 1000 });
+  assert.equal(summarizeUptime(spans, 2000, 4000).uptimePct, null);
+});
+
+test("uptime history is per instance, served to the Setup UI and kept out of update snapshots", () => {
+  assert.match(src, /for \(const inst of GATEWAY_INSTANCES\.values\(\)\) inst\.uptime = createUptimeTracker\(inst\);/);
+  assert.match(src, /path\.join\(inst\.stateDir, "uptime-history\.json"\)/);
+  assert.match(src, /app\.get\("\/setup\/api\/uptime", requireSetupAuth/);
+  assert.match(src, /UPDATE_SNAPSHOT_EXCLUDE = \[[^\]]*"uptime-history\.json"/);
+  assert.match(src, /inst\.uptime\.start\(\);/);
+  assert.match(src, /inst\.uptime\.stop\(\);/);
+});
@@ -0,0 +1,36 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const src = fs.readFileSync(new URL("../src/server.js", import.meta.url), "utf8");
+
+function extractFunction(name) {
+  const start = src.indexOf(`function ${name}(`);
+  assert.ok(start >= 0, `${name} not found`);
+  const end = src.indexOf("\n}\n", start);
+  return src.slice(start, end + 2);
+}
+
+test("spool path patterns match one segment with * and anything with **", () => {
+  // eslint-disable-next-line no-new-func
+  const compile = new Function(`${extractFunction("compileSpoolPattern")}; return compileSpoolPattern;`)();
+  assert.ok(compile("/hooks/*").test("/hooks/agent"));
+  assert.ok(!compile("/hooks/*").test("/hooks/a/b"));
+  assert.ok(compile("/hooks/**").test("/hooks/a/b"));
+  assert.ok(compile("/slack/events").test("/slack/events"));
+  assert.ok(!compile("/slack/events").test("/slack/eventsX"));
+  assert.ok(!compile("/a.b").test("/aXb"));
+});
+
+test("spooled webhooks are stored under STATE_DIR and replayed on ready", () => {
+  assert.match(src, /path\.join\(STATE_DIR, "webhook-spool"\)/);
+  assert.match(src, /process\.env\.WEBHOOK_SPOOL_PATHS/);
+  assert.match(src, /process\.env\.WEBHOOK_SPOOL_MAX_ATTEMPTS/);
+  assert.match(src, /if \(t\.to === "ready"\) replay\(\)/);
+  assert.match(src, /app\.get\("\/setup\/api\/webhooks\/spool", requireSetupAuth/);
+});
+
+test("JSON bodies consumed by express.json are re-sent when proxying", () => {
+  assert.match(src, /verify: \(req, _res, buf\) => \{\s*req\.rawBody = buf;/);
+  assert.match(src, /proxy\.web\(req, res, \{ target: instance\.gateway\.target, buffer \}\)/);
+});
@@ -3,10 +3,22 @@ import LoginPage from "./components/LoginPage";
 import SetupPanel from "./components/SetupPanel";
 import ApprovalsPanel from "./components/ApprovalsPanel";
 import ConsolePanel from "./components/ConsolePanel";
+import LogsPanel from "./components/LogsPanel";
+import TimelinePanel from "./components/TimelinePanel";
+import WebhooksPanel from "./components/WebhooksPanel";
+import EventWebhooksPanel from "./components/EventWebhooksPanel";
+import MaintenancePanel from "./components/MaintenancePanel";
+import AlertsPanel from "./components/AlertsPanel";
+import BuildsPanel from "./components/BuildsPanel";
 import ConfigPanel from "./components/ConfigPanel";
 import DataPanel from "./components/DataPanel";
+import UsersPanel from "./components/UsersPanel";
+import AccountPanel from "./components/AccountPanel";
+import AuditPanel from "./components/AuditPanel";
 import { useStatus } from "./hooks/useStatus";
-import { isAuthed, restoreAuth, clearAuth } from "./api";
+import { Select } from "./components/ui";
+import ConfirmDialog from "./components/ConfirmDialog";
+import { restoreSession, logout, logoutEverywhere, getInstances, setInstance, restoreInstance, getCurrentUser, hasRole } from "./api";
 import { useToast } from "./components/Toast";
 
 function StatusLight({ active, loading }) {
@@ -25,23 +37,53 @@ function StatusLight({ active, loading }) {
     );
 }
 
+// Supervisor states reported by /setup/api/status.
+const GATEWAY_STATE_LABELS = {
+    ready: "Running",
+    starting: "Starting...",
+    degraded: "Degraded",
+    stopping: "Stopping...",
+    stopped: "Stopped",
+    "crash-looping": "Crash-looping",
+};
+
+// `role` is the least role that can open the tab (viewer when absent). The terminal's depends
+// on TERMINAL_FULL_ACCESS, so the server reports it with the session.
 const NAV = [
     { id: "setup", label: "Setup", description: "Configure gateway connection and check service health" },
     { id: "approvals", label: "Approvals", description: "Review and manage pending device approval requests" },
-    { id: "terminal", label: "Terminal" },
+    { id: "terminal", label: "Terminal", role: "terminal" },
+    { id: "logs", label: "Gateway Logs" },
+    { id: "timeline", label: "Timeline", description: "Gateway lifecycle history — crashes, restarts and what triggered them" },
+    { id: "webhooks", label: "Webhook Spool", description: "Channel webhooks queued while the gateway was unavailable" },
+    { id: "event-webhooks", label: "Event Webhooks", description: "Signed wrapper events sent to your own endpoints, with retries and a delivery log", role: "admin" },
+    { id: "maintenance", label: "Maintenance", description: "Scheduled gateway restarts and doctor runs" },
+    { id: "alerts", label: "Alerts", description: "Crash and incident notifications through Telegram, Discord or Slack", role: "admin" },
+    { id: "builds", label: "OpenClaw Builds", description: "Upload OpenClaw builds and switch between them without redeploying" },
     {
-        id: "files", label: "Files Config", children: [
+        id: "files", label: "Files Config", role: "admin", children: [
             { id: "file-config", label: "openclaw", ext: ".json" },
             { id: "file-env", label: "env", ext: ".env" },
         ]
     },
-    { id: "data", label: "Backup & Restore", description: "Manage volume data, backups and restore points" },
+    { id: "data", label: "Backup & Restore", description: "Manage volume data, backups and restore points", role: "admin" },
+    { id: "users", label: "Users", description: "Setup accounts and what each role may do", role: "admin" },
+    { id: "audit", label: "Audit Log", description: "Who changed what, from where and when", role: "admin" },
+    { id: "account", label: "Account", description: "Your sign-in and two-factor authentication" },
 ];
 
+function canOpen(item) {
+    return hasRole(item.role === "terminal" ? getCurrentUser()?.terminalRole : item.role || "viewer");
+}
+
 export default function App() {
-    const [authed, setAuthed] = useState(() => restoreAuth() && isAuthed());
-    const [tab, setTab] = useState("setup");
-    const status = useStatus(authed);
+    // null until the session cookie has been checked.
+    const [authed, setAuthed] = useState(null);
+    const [confirmSignOutAll, setConfirmSignOutAll] = useState(false);
+    const [selectedTab, setTab] = useState("setup");
+    const [instance, setInstanceName] = useState(restoreInstance);
+    const [instances, setInstances] = useState([]);
+    const status = useStatus(authed, instance);
     const configured = status.data?.configured;
     const toast = useToast();
 
@@ -50,17 +92,62 @@ export default function App() {
         setTab(id);
     }, [toast]);
 
+    const switchInstance = useCallback((name) => {
+        toast.dismissAll();
+        setInstance(name);
+        setInstanceName(name);
+    }, [toast]);
+
+    useEffect(() => {
+        if (!authed) return;
+        getInstances()
+            .then((d) => {
+                const list = d.instances || [];
+                setInstances(list);
+                // A saved selection can outlive the instance it names.
+                if (!list.some((i) => i.name === restoreInstance())) switchInstance("default");
+            })
+            .catch(() => { });
+    }, [authed, switchInstance]);
+
+    useEffect(() => {
+        restoreSession().then(setAuthed, () => setAuthed(false));
+    }, []);
+
+    const signOutEverywhere = async () => {
+        setConfirmSignOutAll(false);
+        try {
+            const r = await logoutEverywhere();
+            toast(`Signed out ${r.revoked} session${r.revoked === 1 ? "" : "s"}.`);
+        } catch (e) {
+            if (e.message !== "AUTH_REQUIRED") toast(`Error: ${e}`, { variant: "error", duration: 8000 });
+        }
+        setAuthed(false);
+    };
+
     useEffect(() => {
         const handler = () => setAuthed(false);
         window.addEventListener("openclaw:auth_expired", handler);
         return () => window.removeEventListener("openclaw:auth_expired", handler);
     }, []);
 
+    if (authed === null) return null;
     if (!authed) {
         return <LoginPage onLogin={() => setAuthed(true)} />;
     }
 
-    const isFullBleed = tab === "terminal" || tab === "file-config" || tab === "file-env";
+    const current = instances.find((i) => i.name === instance);
+    const uiBase = !current || current.isDefault
+        ? ""
+        : current.hosts.length ? `${window.location.protocol}//${current.hosts[0]}` : current.pathPrefix.slice(0, -1);
+
+    const nav = NAV.filter(canOpen);
+    // A tab left open by a user with a broader role falls back to Setup.
+    const allowedTabs = nav.flatMap((item) => (item.children ? item.children.map((c) => c.id) : [item.id]));
+    const tab = allowedTabs.includes(selectedTab) ? selectedTab : "setup";
+    const me = getCurrentUser();
+
+    const isFullBleed = tab === "terminal" || tab === "logs" || tab === "file-config" || tab === "file-env";
 
     // Find the label and description for the current tab (including children)
     const findTab = (id) => {
@@ -86,10 +173,20 @@ export default function App() {
                         </span>
                     )}
                 </div>
+                {instances.length > 1 && (
+                    <div className="px-3 pt-3">
+                        <Select
+                            value={instance}
+                            onChange={switchInstance}
+                            options={instances.map((i) => ({ value: i.name, label: i.isDefault ? "default" : i.name }))}
+                            className="w-full"
+                        />
+                    </div>
+                )}
                 {configured && (
                     <div className="px-3 pt-3">
                         <a
-                            href={`/openclaw?token=${encodeURIComponent(status.data?.gatewayToken || "")}`}
+                            href={status.data?.gatewayToken ? `${uiBase}/openclaw?token=${encodeURIComponent(status.data.gatewayToken)}` : `${uiBase}/openclaw`}
                             target="_blank"
                             rel="noopener noreferrer"
                             className="group flex items-center gap-2 rounded-md border border-border px-3 py-2 text-sm font-medium text-muted-foreground transition-all hover:border-foreground/20 hover:text-foreground hover:shadow-sm"
@@ -101,7 +198,7 @@ export default function App() {
                     </div>
                 )}
                 <nav className="flex-1 py-3 px-3 space-y-0.5">
-                    {NAV.map((item) =>
+                    {nav.map((item) =>
                         item.children ? (
                             <div key={item.id} className="pt-3 first:pt-0">
                                 <span className="block px-3 pb-1 text-[11px] font-semibold text-muted-foreground/70 uppercase tracking-widest">
@@ -146,17 +243,28 @@ export default function App() {
                     )}
                 </nav>
                 <div className="p-3 border-t border-border">
+                    {me && (
+                        <p className="px-3 pb-2 text-xs text-muted-foreground truncate">
+                            {me.builtin ? "Setup password" : me.username} · {me.role}
+                        </p>
+                    )}
                     <button
-                        onClick={() => { clearAuth(); setAuthed(false); }}
+                        onClick={() => { logout().catch(() => { }).finally(() => setAuthed(false)); }}
                         className="w-full flex items-center rounded-md px-3 py-2.5 text-[13px] tracking-wide text-muted-foreground hover:bg-accent hover:text-accent-foreground transition-colors cursor-pointer"
                     >
                         Sign out
                     </button>
+                    <button
+                        onClick={() => setConfirmSignOutAll(true)}
+                        className="w-full flex items-center rounded-md px-3 py-2.5 text-[13px] tracking-wide text-muted-foreground hover:bg-accent hover:text-accent-foreground transition-colors cursor-pointer"
+                    >
+                        Sign out everywhere
+                    </button>
                 </div>
             </aside>
 
             {/* Main */}
-            <main className="flex-1 overflow-y-auto flex flex-col min-h-0">
+            <main key={instance} className="flex-1 overflow-y-auto flex flex-col min-h-0">
                 {!isFullBleed && (
                     <div className="h-14 flex items-center justify-between px-8 border-b border-border shrink-0">
                         <p className="text-sm text-muted-foreground">{findTab(tab).description || findTab(tab).label}</p>
@@ -168,9 +276,10 @@ export default function App() {
                                         ? "Connecting..."
                                         : !configured
                                             ? "Not configured"
-                                            : status.data?.gatewayReachable
-                                                ? "Running"
-                                                : "Unhealthy"}
+                                            : status.data?.gatewayAutoRestart?.tripped
+                                                ? "Auto-restart stopped"
+                                                : GATEWAY_STATE_LABELS[status.data?.gatewayState] ||
+                                                (status.data?.gatewayReachable ? "Running" : "Unhealthy")}
                                 </span>
                             </div>
                         )}
@@ -178,20 +287,49 @@ export default function App() {
                 )}
                 {tab === "terminal" ? (
                     <ConsolePanel />
+                ) : tab === "logs" ? (
+                    <LogsPanel />
                 ) : tab === "file-config" ? (
                     <ConfigPanel key="config" fileId="config" />
                 ) : tab === "file-env" ? (
                     <ConfigPanel key="env" fileId="env" />
+                ) : tab === "timeline" ? (
+                    <TimelinePanel />
+                ) : tab === "webhooks" ? (
+                    <WebhooksPanel />
+                ) : tab === "event-webhooks" ? (
+                    <EventWebhooksPanel />
+                ) : tab === "maintenance" ? (
+                    <MaintenancePanel />
+                ) : tab === "alerts" ? (
+                    <AlertsPanel />
+                ) : tab === "builds" ? (
+                    <BuildsPanel status={status} />
                 ) : tab === "approvals" ? (
                     <ApprovalsPanel />
                 ) : tab === "data" ? (
                     <DataPanel status={status} />
+                ) : tab === "users" ? (
+                    <UsersPanel />
+                ) : tab === "audit" ? (
+                    <AuditPanel />
+                ) : tab === "account" ? (
+                    <AccountPanel />
                 ) : (
                     <div className="max-w-3xl mx-auto px-8 py-6 w-full">
                         <SetupPanel status={status} />
                     </div>
                 )}
             </main>
+            <ConfirmDialog
+                open={confirmSignOutAll}
+                title="Sign out everywhere"
+                description="Every Setup session of your account, including this one, is revoked. Scripts using Basic auth are not affected."
+                confirmLabel="Sign out everywhere"
+                variant="destructive"
+                onConfirm={signOutEverywhere}
+                onCancel={() => setConfirmSignOutAll(false)}
+            />
         </div>
     );
 }
@@ -1,39 +1,97 @@
 const BASE = "";
 
-let _authHeader = null;
+// The session itself is an HttpOnly cookie; only its CSRF token is held here, in memory.
+let _csrfToken = null;
+// { username, role, builtin } of the signed-in user, plus the role the terminal needs.
+let _me = null;
 
-export function setAuth(password) {
-    const encoded = btoa(`:${password}`);
-    _authHeader = `Basic ${encoded}`;
+const ROLES = ["viewer", "operator", "admin"];
+
+// Older builds kept the setup password in localStorage; drop it.
+try {
+    localStorage.removeItem("openclaw_auth");
+} catch { }
+
+function setSession({ csrfToken, user, terminalRole }) {
+    _csrfToken = csrfToken;
+    _me = user ? { ...user, terminalRole } : null;
+}
+
+// Resolves to { ok } on success, or { ok: false, error, twoFactorRequired, locked, retryAfterMs }
+// when the credentials were refused, the account needs a code (pass it as `code` on the next
+// try) or this IP is locked out for now.
+export async function login(username, password, code) {
+    const res = await fetch(`${BASE}/setup/api/auth/login`, {
+        method: "POST",
+        credentials: "same-origin",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ username, password, code }),
+    });
+    if (res.status === 401 || res.status === 429) return res.json();
+    if (!res.ok) throw new Error(`HTTP ${res.status}: ${await res.text()}`);
+    setSession(await res.json());
+    return { ok: true };
+}
+
+// Resolves to true when the session cookie is still valid.
+export async function restoreSession() {
+    const res = await fetch(`${BASE}/setup/api/auth/session`, { credentials: "same-origin" });
+    if (!res.ok) return false;
+    setSession(await res.json());
+    return Boolean(_csrfToken);
+}
+
+function clearAuth() {
+    _csrfToken = null;
+    _me = null;
+}
+
+export function getCurrentUser() {
+    return _me;
+}
+
+// Whether the signed-in user has at least the given role. The server enforces the same
+// rules; the UI only uses this to hide what would be refused.
+export function hasRole(min) {
+    return ROLES.indexOf(_me?.role) >= ROLES.indexOf(min);
+}
+
+export async function logout() {
     try {
-        localStorage.setItem("openclaw_auth", password);
-    } catch { }
+        await request("/setup/api/auth/logout", { method: "POST" });
+    } finally {
+        clearAuth();
+    }
 }
 
-export function restoreAuth() {
+export async function logoutEverywhere() {
     try {
-        const saved = localStorage.getItem("openclaw_auth");
-        if (saved) {
-            setAuth(saved);
-            return true;
-        }
-    } catch { }
-    return false;
+        return await request("/setup/api/auth/logout-all", { method: "POST" });
+    } finally {
+        clearAuth();
+    }
 }
 
-export function clearAuth() {
-    _authHeader = null;
+let _instance = "default";
+
+export function setInstance(name) {
+    _instance = name || "default";
     try {
-        localStorage.removeItem("openclaw_auth");
+        localStorage.setItem("openclaw_instance", _instance);
     } catch { }
 }
 
-export function isAuthed() {
-    return Boolean(_authHeader);
+export function restoreInstance() {
+    try {
+        _instance = localStorage.getItem("openclaw_instance") || "default";
+    } catch { }
+    return _instance;
 }
 
 function authHeaders() {
-    return _authHeader ? { Authorization: _authHeader } : {};
+    const headers = _csrfToken ? { "x-csrf-token": _csrfToken } : {};
+    if (_instance !== "default") headers["x-openclaw-instance"] = _instance;
+    return headers;
 }
 
 async function request(url, opts = {}) {
@@ -42,6 +100,7 @@ async function request(url, opts = {}) {
     const res = await fetch(`${BASE}${url}`, opts);
     if (res.status === 401) {
         clearAuth();
+        window.dispatchEvent(new Event("openclaw:auth_expired"));
         throw new Error("AUTH_REQUIRED");
     }
     if (!res.ok) {
@@ -57,18 +116,14 @@ async function rawFetch(url, opts = {}) {
     const res = await fetch(`${BASE}${url}`, opts);
     if (res.status === 401) {
         clearAuth();
+        window.dispatchEvent(new Event("openclaw:auth_expired"));
         throw new Error("AUTH_REQUIRED");
     }
     return res;
 }
 
-export async function verifyAuth(password) {
-    const encoded = btoa(`:${password}`);
-    const res = await fetch(`${BASE}/setup/api/auth/verify`, {
-        credentials: "same-origin",
-        headers: { Authorization: `Basic ${encoded}` },
-    });
-    return res.ok;
+export function getInstances() {
+    return request("/setup/api/instances");
 }
 
 export function getStatus() {
@@ -101,6 +156,37 @@ export function runSetup(payload) {
     });
 }
 
+/**
+ * Read a text/event-stream response body and call onEvent(name, data) for each
+ * JSON-encoded event. Resolves when the stream ends.
+ */
+async function readEventStream(res, onEvent) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buf = "";
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buf += decoder.decode(value, { stream: true });
+
+        const lines = buf.split("\n");
+        buf = lines.pop() || "";
+
+        let currentEvent = null;
+        for (const line of lines) {
+            if (line.startsWith("event: ")) {
+                currentEvent = line.slice(7).trim();
+            } else if (line.startsWith("data: ") && currentEvent) {
+                try {
+                    onEvent(currentEvent, JSON.parse(line.slice(6)));
+                } catch { /* ignore parse errors */ }
+                currentEvent = null;
+            }
+        }
+    }
+}
+
 /**
  * Stream setup progress via SSE. Calls onStep/onStepDone/onLog/onDone as events arrive.
  * Returns an abort function.
@@ -119,35 +205,13 @@ export function runSetupStream(payload, { onPlan, onStep, onStepDone, onLog, onD
             onError?.(text || `HTTP ${res.status}`);
             return;
         }
-        const reader = res.body.getReader();
-        const decoder = new TextDecoder();
-        let buf = "";
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            buf += decoder.decode(value, { stream: true });
-
-            const lines = buf.split("\n");
-            buf = lines.pop() || "";
-
-            let currentEvent = null;
-            for (const line of lines) {
-                if (line.startsWith("event: ")) {
-                    currentEvent = line.slice(7).trim();
-                } else if (line.startsWith("data: ") && currentEvent) {
-                    try {
-                        const data = JSON.parse(line.slice(6));
-                        if (currentEvent === "plan") onPlan?.(data);
-                        else if (currentEvent === "step") onStep?.(data);
-                        else if (currentEvent === "stepDone") onStepDone?.(data);
-                        else if (currentEvent === "log") onLog?.(data);
-                        else if (currentEvent === "done") onDone?.(data);
-                    } catch { /* ignore parse errors */ }
-                    currentEvent = null;
-                }
-            }
-        }
+        await readEventStream(res, (event, data) => {
+            if (event === "plan") onPlan?.(data);
+            else if (event === "step") onStep?.(data);
+            else if (event === "stepDone") onStepDone?.(data);
+            else if (event === "log") onLog?.(data);
+            else if (event === "done") onDone?.(data);
+        });
     }).catch((err) => {
         if (err.name !== "AbortError") onError?.(err);
     });
@@ -155,6 +219,34 @@ export function runSetupStream(payload, { onPlan, onStep, onStepDone, onLog, onD
     return () => controller.abort();
 }
 
+/**
+ * Stream gateway stdout/stderr via SSE: a backfill of recent lines, then the live tail.
+ * Calls onLine({ seq, ts, stream, text }) per line and onEnd() when the server closes.
+ * Returns an abort function.
+ */
+export function streamGatewayLogs({ backfill = 500, onLine, onReady, onEnd, onError }) {
+    const controller = new AbortController();
+
+    rawFetch(`/setup/api/gateway/logs?backfill=${backfill}`, { signal: controller.signal })
+        .then(async (res) => {
+            if (!res.ok) {
+                const text = await res.text();
+                onError?.(text || `HTTP ${res.status}`);
+                return;
+            }
+            await readEventStream(res, (event, data) => {
+                if (event === "line") onLine?.(data);
+                else if (event === "ready") onReady?.(data);
+            });
+            onEnd?.();
+        })
+        .catch((err) => {
+            if (err.name !== "AbortError") onError?.(err);
+        });
+
+    return () => controller.abort();
+}
+
 export function runConsoleCmd(cmd, arg) {
     return request("/setup/api/console/run", {
         method: "POST",
@@ -252,6 +344,269 @@ export function wipeVolume() {
 }
 export function getTerminalWsUrl() {
     const proto = location.protocol === "https:" ? "wss:" : "ws:";
-    const token = btoa(`:${localStorage.getItem("openclaw_auth") || ""}`);
-    return `${proto}//${location.host}/setup/terminal?token=${encodeURIComponent(token)}`;
+    // Authenticated by the session cookie, which the browser sends with the upgrade request.
+    const query = _instance !== "default" ? `?instance=${encodeURIComponent(_instance)}` : "";
+    return `${proto}//${location.host}/setup/terminal${query}`;
+}
+export function getGatewayJournal({ limit = 200, types = [] } = {}) {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (types.length) params.set("type", types.join(","));
+    return request(`/setup/api/gateway/journal?${params}`);
+}
+export function resumeGatewayAutoRestart() {
+    return request("/setup/api/gateway/resume", { method: "POST" });
+}
+export function getGatewayResources() {
+    return request("/setup/api/gateway/resources");
+}
+export function getUptime() {
+    return request("/setup/api/uptime");
+}
+export function getWebhookSpool() {
+    return request("/setup/api/webhooks/spool");
+}
+export function replayWebhookSpool() {
+    return request("/setup/api/webhooks/spool/replay", { method: "POST" });
+}
+export function retryWebhookSpoolEntry(id) {
+    return request("/setup/api/webhooks/spool/retry", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ id }),
+    });
+}
+export function deleteWebhookSpoolEntry(id) {
+    return request("/setup/api/webhooks/spool/delete", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ id }),
+    });
+}
+export function getEventWebhooks() {
+    return request("/setup/api/event-webhooks");
+}
+export function saveEventWebhooks(endpoints) {
+    return request("/setup/api/event-webhooks", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ endpoints }),
+    });
+}
+export function testEventWebhook(id) {
+    return request("/setup/api/event-webhooks/test", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ id }),
+    });
+}
+export function redeliverEventWebhook(id) {
+    return request("/setup/api/event-webhooks/redeliver", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ id }),
+    });
+}
+export function getMaintenance() {
+    return request("/setup/api/maintenance");
+}
+export function saveMaintenance(settings) {
+    return request("/setup/api/maintenance", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(settings),
+    });
+}
+export function getAlerts() {
+    return request("/setup/api/alerts");
+}
+export function saveAlerts(settings) {
+    return request("/setup/api/alerts", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(settings),
+    });
+}
+export async function sendTestAlert(settings) {
+    const res = await rawFetch("/setup/api/alerts/test", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(settings),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+}
+export function getBuilds() {
+    return request("/setup/api/builds");
+}
+export async function uploadBuild(file) {
+    const res = await rawFetch(`/setup/api/builds/upload?name=${encodeURIComponent(file.name)}`, {
+        method: "POST",
+        headers: { "content-type": "application/gzip" },
+        body: await file.arrayBuffer(),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `Upload failed: ${res.status}`);
+    return data;
+}
+// Resolves with { ok: false, reverted: true, error } when the new build failed readiness.
+export async function activateBuild(id) {
+    const res = await rawFetch("/setup/api/builds/activate", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ id }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok && !data.reverted) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+}
+export function pinBuild(id, pinned) {
+    return request("/setup/api/builds/pin", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ id, pinned }),
+    });
+}
+export function deleteBuild(id) {
+    return request("/setup/api/builds/delete", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ id }),
+    });
+}
+export function getUpdateJob() {
+    return request("/setup/api/update");
+}
+export function startUpdate() {
+    return request("/setup/api/update", { method: "POST" });
+}
+/**
+ * Follow the current `openclaw update` job via SSE (replayed from its start).
+ * Same callbacks as runSetupStream. Returns an abort function.
+ */
+export function streamUpdate({ onPlan, onStep, onStepDone, onLog, onDone, onError }) {
+    const controller = new AbortController();
+
+    rawFetch("/setup/api/update/stream", { signal: controller.signal })
+        .then(async (res) => {
+            if (!res.ok) {
+                const text = await res.text();
+                onError?.(text || `HTTP ${res.status}`);
+                return;
+            }
+            await readEventStream(res, (event, data) => {
+                if (event === "plan") onPlan?.(data);
+                else if (event === "step") onStep?.(data);
+                else if (event === "stepDone") onStepDone?.(data);
+                else if (event === "log") onLog?.(data);
+                else if (event === "done") onDone?.(data);
+            });
+        })
+        .catch((err) => {
+            if (err.name !== "AbortError") onError?.(err);
+        });
+
+    return () => controller.abort();
+}
+
+export function getTwoFactor() {
+    return request("/setup/api/auth/2fa");
+}
+
+export function startTwoFactorSetup() {
+    return request("/setup/api/auth/2fa/setup", { method: "POST" });
+}
+
+function postTwoFactor(action, code) {
+    return request(`/setup/api/auth/2fa/${action}`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ code }),
+    });
+}
+
+export function enableTwoFactor(code) {
+    return postTwoFactor("enable", code);
+}
+
+export function disableTwoFactor(code) {
+    return postTwoFactor("disable", code);
+}
+
+export function regenerateRecoveryCodes(code) {
+    return postTwoFactor("recovery-codes", code);
+}
+
+export function getSetupPassword() {
+    return request("/setup/api/auth/password");
+}
+
+export function changeSetupPassword(currentPassword, newPassword) {
+    return request("/setup/api/auth/password", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ currentPassword, newPassword }),
+    });
+}
+
+export function resetUserTwoFactor(username) {
+    return request("/setup/api/users/2fa/reset", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ username }),
+    });
+}
+
+export function getAuthFailures() {
+    return request("/setup/api/auth/failures");
+}
+
+export function unlockAuth(ip) {
+    return request("/setup/api/auth/failures/unlock", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ ip }),
+    });
+}
+
+export function getUsers() {
+    return request("/setup/api/users");
+}
+
+export function saveUser(user) {
+    return request("/setup/api/users", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(user),
+    });
+}
+
+export function deleteUser(username) {
+    return request("/setup/api/users/delete", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ username }),
+    });
+}
+
+function auditParams(filters = {}) {
+    const params = new URLSearchParams();
+    for (const [k, v] of Object.entries(filters)) if (v) params.set(k, String(v));
+    return params;
+}
+
+export function getAudit(filters) {
+    return request(`/setup/api/audit?${auditParams(filters)}`);
+}
+
+export async function exportAudit(filters) {
+    const res = await rawFetch(`/setup/api/audit/export?${auditParams(filters)}`);
+    if (!res.ok) throw new Error(`Export failed: ${res.status}`);
+    const blob = await res.blob();
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `openclaw-audit-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
 }
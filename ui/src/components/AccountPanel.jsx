@@ -0,0 +1,249 @@
+import { useState, useEffect, useCallback } from "react";
+import qrcode from "qrcode-generator";
+import { Section, Card, CardRow, CardContent, Badge, Button, Input, Code } from "./ui";
+import { getTwoFactor, startTwoFactorSetup, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes, getCurrentUser, hasRole, getSetupPassword, changeSetupPassword } from "../api";
+import { useToast } from "./Toast";
+
+function formatTime(ts) {
+    return ts ? new Date(ts).toLocaleString([], { hour12: false }) : "—";
+}
+
+function errorText(e) {
+    const text = String(e.message || e).replace(/^HTTP \d+: /, "");
+    try {
+        return JSON.parse(text).error || text;
+    } catch {
+        return text;
+    }
+}
+
+function QrCode({ value }) {
+    const qr = qrcode(0, "M");
+    qr.addData(value);
+    qr.make();
+    return <img src={qr.createDataURL(4, 2)} alt="Authenticator QR code" className="rounded-md bg-white" />;
+}
+
+/* ── Recovery codes — shown once, right after they are generated ── */
+function RecoveryCodes({ codes, onDone }) {
+    return (
+        <Card className="mt-3">
+            <CardContent className="space-y-3 pt-4">
+                <p className="text-sm">
+                    Save these recovery codes somewhere safe. Each signs you in once if you lose your authenticator; they are not shown again.
+                </p>
+                <pre className="rounded-md border border-border bg-muted p-3 text-sm font-mono grid grid-cols-2 gap-1">
+                    {codes.map((c) => <span key={c}>{c}</span>)}
+                </pre>
+                <div className="flex justify-end gap-2">
+                    <Button variant="outline" size="sm" onClick={() => navigator.clipboard?.writeText(codes.join("\n"))}>Copy</Button>
+                    <Button size="sm" onClick={onDone}>I saved them</Button>
+                </div>
+            </CardContent>
+        </Card>
+    );
+}
+
+function passwordSource(p) {
+    switch (p.source) {
+        case "stored": return `Changed in /setup ${formatTime(p.updatedAt)}${p.changedBy ? ` by ${p.changedBy}` : ""}; SETUP_PASSWORD is ignored`;
+        case "env-hash": return "The scrypt hash in SETUP_PASSWORD";
+        case "generated": return `Generated ${formatTime(p.updatedAt)} and printed in the logs of that boot`;
+        default: return "SETUP_PASSWORD";
+    }
+}
+
+/* ── Built-in admin password — admins only ── */
+function SetupPassword() {
+    const [data, setData] = useState(null);
+    const [form, setForm] = useState({ current: "", next: "", confirm: "" });
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const toast = useToast();
+
+    useEffect(() => { getSetupPassword().then(setData).catch(() => { }); }, []);
+
+    const handleChange = async () => {
+        setBusy(true);
+        setError(null);
+        try {
+            const d = await changeSetupPassword(form.current, form.next);
+            setData(d);
+            setForm({ current: "", next: "", confirm: "" });
+            toast(d.revoked ? `Setup password changed; ${d.revoked} other session${d.revoked === 1 ? "" : "s"} signed out.` : "Setup password changed.");
+        } catch (e) {
+            setError(errorText(e));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (!data) return null;
+    const mismatch = form.confirm && form.next !== form.confirm;
+
+    return (
+        <Section
+            title="Setup password"
+            description="The built-in admin account (username setup). Once changed here, the new password survives restarts and SETUP_PASSWORD no longer applies. Forgot it? Create setup-password.reset in the state directory (or set SETUP_PASSWORD_RESET=true) and restart."
+        >
+            <Card>
+                <CardRow label="Current source" description={passwordSource(data)}>
+                    <Badge variant="outline">{data.source}</Badge>
+                </CardRow>
+                {data.resetVariableSet ? (
+                    <CardRow label="Reset pending" description="SETUP_PASSWORD_RESET is set, so the password can't be changed here. Remove the variable first." />
+                ) : (
+                    <>
+                        <CardRow label="Current password">
+                            <Input type="password" className="w-56" value={form.current} autoComplete="current-password" onChange={(e) => setForm((f) => ({ ...f, current: e.target.value }))} />
+                        </CardRow>
+                        <CardRow label="New password" description={`At least ${data.minPasswordLength} characters`}>
+                            <Input type="password" className="w-56" value={form.next} autoComplete="new-password" onChange={(e) => setForm((f) => ({ ...f, next: e.target.value }))} />
+                        </CardRow>
+                        <CardRow label="Repeat new password" description={mismatch ? "Doesn't match" : null}>
+                            <Input type="password" className="w-56" value={form.confirm} autoComplete="new-password" onChange={(e) => setForm((f) => ({ ...f, confirm: e.target.value }))} />
+                        </CardRow>
+                    </>
+                )}
+            </Card>
+            {!data.resetVariableSet && (
+                <div className="mt-3 flex items-center justify-end gap-3">
+                    {error && <p className="text-sm text-destructive">{error}</p>}
+                    <Button
+                        size="sm"
+                        onClick={handleChange}
+                        disabled={busy || !form.current || form.next.length < data.minPasswordLength || form.next !== form.confirm}
+                    >
+                        {busy ? "Saving..." : "Change password"}
+                    </Button>
+                </div>
+            )}
+        </Section>
+    );
+}
+
+/* ── Main Account Panel ── */
+export default function AccountPanel() {
+    const [data, setData] = useState(null);
+    const [enrollment, setEnrollment] = useState(null);
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [code, setCode] = useState("");
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const toast = useToast();
+    const me = getCurrentUser();
+
+    const refresh = useCallback(async () => {
+        try {
+            setData(await getTwoFactor());
+        } catch (e) {
+            toast(`Error: ${e}`, { variant: "error", duration: 8000 });
+        }
+    }, [toast]);
+
+    useEffect(() => { refresh(); }, [refresh]);
+
+    const run = async (fn) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await fn();
+            setCode("");
+        } catch (e) {
+            setError(errorText(e));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleStart = () => run(async () => setEnrollment(await startTwoFactorSetup()));
+
+    const handleEnable = () => run(async () => {
+        const d = await enableTwoFactor(code.trim());
+        setEnrollment(null);
+        setRecoveryCodes(d.recoveryCodes);
+        setData(d);
+        toast("Two-factor authentication enabled.");
+    });
+
+    const handleDisable = () => run(async () => {
+        setData(await disableTwoFactor(code.trim()));
+        toast("Two-factor authentication disabled.");
+    });
+
+    const handleRegenerate = () => run(async () => {
+        const d = await regenerateRecoveryCodes(code.trim());
+        setRecoveryCodes(d.recoveryCodes);
+        setData(d);
+    });
+
+    if (!data) return null;
+
+    return (
+        <div className="max-w-3xl mx-auto px-8 py-6 w-full">
+            <Section title="Signed in as">
+                <Card>
+                    <CardRow label={me?.builtin ? "Setup password" : me?.username} description={me?.builtin ? `Built-in account "${me.username}"` : null}>
+                        <Badge variant="outline">{me?.role}</Badge>
+                    </CardRow>
+                </Card>
+            </Section>
+
+            <Section
+                title="Two-factor authentication"
+                description="Asks for a code from an authenticator app after your password. Scripts can't use Basic auth with an account that has it enabled."
+            >
+                <Card>
+                    <CardRow
+                        label="Status"
+                        description={data.enabled ? `Enabled ${formatTime(data.enrolledAt)} · ${data.recoveryCodesLeft} recovery code${data.recoveryCodesLeft === 1 ? "" : "s"} left` : "Only your password protects this account"}
+                    >
+                        {data.enabled ? <Badge variant="success">Enabled</Badge> : <Badge variant="outline">Off</Badge>}
+                    </CardRow>
+                    {!data.enabled && !enrollment && (
+                        <CardRow label="Set up" description="Takes a minute with any TOTP app (1Password, Google Authenticator, Authy…)">
+                            <Button variant="outline" size="sm" onClick={handleStart} disabled={busy}>Set up</Button>
+                        </CardRow>
+                    )}
+                </Card>
+
+                {enrollment && (
+                    <Card className="mt-3">
+                        <CardContent className="space-y-4 pt-4">
+                            <div className="flex items-start gap-4">
+                                <QrCode value={enrollment.otpauthUrl} />
+                                <div className="space-y-2 text-sm min-w-0">
+                                    <p>Scan the code with your authenticator app, or enter this key:</p>
+                                    <p className="break-all"><Code>{enrollment.secret}</Code></p>
+                                    <p className="text-xs text-muted-foreground">Then type the 6-digit code it shows to finish.</p>
+                                </div>
+                            </div>
+                            <div className="flex items-center justify-end gap-2">
+                                <Input className="w-32 font-mono" value={code} placeholder="123456" inputMode="numeric" autoComplete="one-time-code" onChange={(e) => setCode(e.target.value)} />
+                                <Button variant="ghost" size="sm" onClick={() => { setEnrollment(null); setCode(""); setError(null); }} disabled={busy}>Cancel</Button>
+                                <Button size="sm" onClick={handleEnable} disabled={busy || !code.trim()}>Enable</Button>
+                            </div>
+                        </CardContent>
+                    </Card>
+                )}
+
+                {data.enabled && !recoveryCodes && (
+                    <Card className="mt-3">
+                        <CardRow label="Authentication code" description="A current code or a recovery code, to confirm it's you">
+                            <div className="flex items-center gap-2">
+                                <Input className="w-32 font-mono" value={code} autoComplete="one-time-code" onChange={(e) => setCode(e.target.value)} />
+                                <Button variant="outline" size="sm" onClick={handleRegenerate} disabled={busy || !code.trim()}>New recovery codes</Button>
+                                <Button variant="destructive" size="sm" onClick={handleDisable} disabled={busy || !code.trim()}>Disable</Button>
+                            </div>
+                        </CardRow>
+                    </Card>
+                )}
+
+                {recoveryCodes && <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />}
+                {error && <p className="mt-3 text-sm text-destructive text-right">{error}</p>}
+            </Section>
+
+            {hasRole("admin") && <SetupPassword />}
+        </div>
+    );
+}
@@ -0,0 +1,131 @@
+import { useState, useEffect, useCallback } from "react";
+import { Section, Card, CardRow, Badge, Button, Input, Select } from "./ui";
+import { getAlerts, saveAlerts, sendTestAlert } from "../api";
+import { useToast } from "./Toast";
+
+const CHANNELS = [
+    { value: "telegram", label: "Telegram", target: "Chat ID", hint: "Numeric chat ID, e.g. your user ID or -100… for a group" },
+    { value: "discord", label: "Discord", target: "Channel ID", hint: "Right-click the channel → Copy Channel ID (developer mode)" },
+    { value: "slack", label: "Slack", target: "Channel ID", hint: "Channel ID (C…); invite the bot to the channel first" },
+];
+
+function formatTime(ts) {
+    return ts ? new Date(ts).toLocaleString([], { hour12: false }) : "—";
+}
+
+function Checkbox({ checked, onChange, children }) {
+    return (
+        <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <input type="checkbox" className="h-4 w-4 accent-primary cursor-pointer" checked={checked} onChange={(e) => onChange(e.target.checked)} />
+            {children}
+        </label>
+    );
+}
+
+/* ── Main Alerts Panel ── */
+export default function AlertsPanel() {
+    const [data, setData] = useState(null);
+    const [form, setForm] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [testing, setTesting] = useState(false);
+    const [error, setError] = useState(null);
+    const toast = useToast();
+
+    const refresh = useCallback(async () => {
+        try {
+            const d = await getAlerts();
+            setData(d);
+            return d;
+        } catch (e) {
+            toast(`Error: ${e}`, { variant: "error", duration: 8000 });
+            return null;
+        }
+    }, [toast]);
+
+    useEffect(() => {
+        refresh().then((d) => d && setForm(d.settings));
+    }, [refresh]);
+
+    const set = (key, value) => setForm((f) => ({ ...f, [key]: value }));
+
+    const handleSave = async () => {
+        setSaving(true);
+        setError(null);
+        try {
+            const d = await saveAlerts(form);
+            setForm(d.settings);
+            await refresh();
+            toast("Alert settings saved.");
+        } catch (e) {
+            setError(String(e.message || e).replace(/^HTTP \d+: /, ""));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleTest = async () => {
+        setTesting(true);
+        try {
+            await sendTestAlert(form);
+            toast("Test alert sent.");
+        } catch (e) {
+            toast(`Test alert failed: ${e.message || e}`, { variant: "error", duration: 8000 });
+        } finally {
+            setTesting(false);
+        }
+    };
+
+    if (!form) return null;
+    const dirty = JSON.stringify(form) !== JSON.stringify(data?.settings);
+    const channel = CHANNELS.find((c) => c.value === form.channel) || CHANNELS[0];
+    const hasToken = data?.availableChannels?.includes(form.channel);
+
+    return (
+        <div className="max-w-3xl mx-auto px-8 py-6 w-full">
+            <Section
+                title="Delivery"
+                description="Alerts are sent straight to the channel's API with the bot token from the OpenClaw config, so they arrive even while the gateway is down."
+            >
+                <Card>
+                    <CardRow label="Send alerts" description={data?.lastAlert ? `Last alert ${formatTime(data.lastAlert.at)}${data.lastAlert.ok ? "" : ` · failed: ${data.lastAlert.error}`}` : "No alert sent since the wrapper started"}>
+                        <Checkbox checked={form.enabled} onChange={(v) => set("enabled", v)} />
+                    </CardRow>
+                    <CardRow label="Channel" description={hasToken ? "Bot token found in the OpenClaw config" : `No ${channel.label} bot token configured — add one in Setup first`}>
+                        <div className="flex items-center gap-2">
+                            {!hasToken && <Badge variant="destructive">No token</Badge>}
+                            <Select value={form.channel} onChange={(v) => set("channel", v)} options={CHANNELS} />
+                        </div>
+                    </CardRow>
+                    <CardRow label={channel.target} description={channel.hint}>
+                        <Input className="w-56 font-mono" value={form.target} onChange={(e) => set("target", e.target.value)} />
+                    </CardRow>
+                    <CardRow label="Setup link" description={data?.defaultSetupUrl ? `Defaults to ${data.defaultSetupUrl}` : "Included in every alert"}>
+                        <Input
+                            className="w-56"
+                            value={form.setupUrl}
+                            placeholder={data?.defaultSetupUrl || `${window.location.origin}/setup`}
+                            onChange={(e) => set("setupUrl", e.target.value)}
+                        />
+                    </CardRow>
+                </Card>
+            </Section>
+
+            <Section title="Events" description={`Repeats of the same event are held back for ${Math.round((data?.cooldownMs ?? 300_000) / 60_000)} min and summarized in the next alert.`}>
+                <Card>
+                    {Object.entries(data?.kinds || {}).map(([kind, label]) => (
+                        <CardRow key={kind} label={label}>
+                            <Checkbox checked={Boolean(form.kinds[kind])} onChange={(v) => set("kinds", { ...form.kinds, [kind]: v })} />
+                        </CardRow>
+                    ))}
+                </Card>
+            </Section>
+
+            <div className="flex items-center justify-end gap-3">
+                {error && <p className="text-sm text-destructive">{error}</p>}
+                <Button variant="outline" onClick={handleTest} disabled={testing || !form.target || !hasToken}>{testing ? "Sending..." : "Send test"}</Button>
+                <Button variant="ghost" onClick={() => { setForm(data.settings); setError(null); }} disabled={!dirty || saving}>Discard</Button>
+                <Button onClick={handleSave} disabled={!dirty || saving}>{saving ? "Saving..." : "Save alerts"}</Button>
+            </div>
+        </div>
+    );
+}
@@ -1,7 +1,7 @@
 import { useState, useEffect, useCallback, useRef } from "react";
 import { Section, Card, CardContent, Button, Input, Label, Badge } from "./ui";
 import ConfirmDialog from "./ConfirmDialog";
-import { approvePairing, getPendingDevices, approveDevice, rejectDevice, revokeDevice } from "../api";
+import { approvePairing, getPendingDevices, approveDevice, rejectDevice, revokeDevice, hasRole } from "../api";
 import { useToast } from "./Toast";
 
 /* ── Error display with collapsible stack trace ── */
@@ -218,14 +218,16 @@ function PendingDeviceRow({ device, onApprove, onReject, busy }) {
                     {device.ts && <span>Requested: {timeAgo(device.ts)}</span>}
                 </div>
             </div>
-            <div className="flex items-center gap-2 shrink-0">
-                <Button variant="outline" size="sm" onClick={() => onReject(device.requestId)} disabled={busy}>
-                    Reject
-                </Button>
-                <Button variant="default" size="sm" onClick={() => onApprove(device.requestId)} disabled={busy}>
-                    Approve
-                </Button>
-            </div>
+            {onApprove && (
+                <div className="flex items-center gap-2 shrink-0">
+                    <Button variant="outline" size="sm" onClick={() => onReject(device.requestId)} disabled={busy}>
+                        Reject
+                    </Button>
+                    <Button variant="default" size="sm" onClick={() => onApprove(device.requestId)} disabled={busy}>
+                        Approve
+                    </Button>
+                </div>
+            )}
         </div>
     );
 }
@@ -261,9 +263,11 @@ function PairedDeviceRow({ device, onRevoke, busy }) {
                         </div>
                     )}
                 </div>
-                <Button variant="outline" size="sm" onClick={() => onRevoke(device)} disabled={busy} className="shrink-0 text-destructive hover:text-destructive">
-                    Revoke
-                </Button>
+                {onRevoke && (
+                    <Button variant="outline" size="sm" onClick={() => onRevoke(device)} disabled={busy} className="shrink-0 text-destructive hover:text-destructive">
+                        Revoke
+                    </Button>
+                )}
             </div>
         </div>
     );
@@ -280,6 +284,7 @@ export default function ApprovalsPanel() {
     const didMount = useRef(false);
     const pairingLogTimer = useRef(null);
     const toast = useToast();
+    const canOperate = hasRole("operator");
 
     const appendPairingLog = useCallback((msg) => {
         setPairingLog((p) => (p ? p + "\n" : "") + msg);
@@ -374,14 +379,16 @@ export default function ApprovalsPanel() {
     return (
         <div className="max-w-3xl mx-auto px-8 py-6 w-full space-y-8">
             {/* Channel pairing */}
-            <Section title="Channel pairing" description="Approve a pairing request from Telegram or Discord.">
-                <Card>
-                    <CardContent>
-                        <PairingForm onLog={appendPairingLog} />
-                    </CardContent>
-                </Card>
-                {pairingLog && <LogOutput text={pairingLog} />}
-            </Section>
+            {canOperate && (
+                <Section title="Channel pairing" description="Approve a pairing request from Telegram or Discord.">
+                    <Card>
+                        <CardContent>
+                            <PairingForm onLog={appendPairingLog} />
+                        </CardContent>
+                    </Card>
+                    {pairingLog && <LogOutput text={pairingLog} />}
+                </Section>
+            )}
 
             {/* Device pairing */}
             <div className="mb-8">
@@ -407,7 +414,7 @@ export default function ApprovalsPanel() {
                         </h4>
                         <Card>
                             {pending.map((d) => (
-                                <PendingDeviceRow key={d.requestId} device={d} onApprove={handleApproveDevice} onReject={handleRejectDevice} busy={busyId === d.requestId} />
+                                <PendingDeviceRow key={d.requestId} device={d} onApprove={canOperate ? handleApproveDevice : null} onReject={handleRejectDevice} busy={busyId === d.requestId} />
                             ))}
                         </Card>
                     </div>
@@ -420,7 +427,7 @@ export default function ApprovalsPanel() {
                         </h4>
                         <Card>
                             {paired.map((d, i) => (
-                                <PairedDeviceRow key={d.deviceId || i} device={d} onRevoke={handleRevokeDevice} busy={busyId === d.deviceId} />
+                                <PairedDeviceRow key={d.deviceId || i} device={d} onRevoke={canOperate ? handleRevokeDevice : null} busy={busyId === d.deviceId} />
                             ))}
                         </Card>
                     </div>
@@ -0,0 +1,219 @@
+import { useState, useEffect, useCallback } from "react";
+import { Section, Card, Badge, Button, Input, Select } from "./ui";
+import { getAudit, exportAudit } from "../api";
+import { useToast } from "./Toast";
+
+const LIMIT = 500;
+const SEARCH_DEBOUNCE_MS = 300;
+
+/* ── Entry presentation ── */
+const ACTION_LABELS = {
+    "config.save": "Config saved",
+    "env.save": "Env file saved",
+    "setup.run": "Setup run",
+    "setup.reset": "Setup reset",
+    "volume.wipe": "Volume wiped",
+    "backup.export": "Backup exported",
+    "backup.import": "Backup imported",
+    "device.approve": "Device approved",
+    "device.reject": "Device rejected",
+    "device.revoke": "Device revoked",
+    "pairing.approve": "Pairing approved",
+    "console.run": "Console command",
+    "terminal.start": "Terminal opened",
+    "terminal.end": "Terminal closed",
+    "terminal.command": "Terminal command",
+    "build.upload": "Build uploaded",
+    "build.activate": "Build activated",
+    "build.delete": "Build deleted",
+    "openclaw.update": "Update started",
+    "user.create": "User created",
+    "user.update": "User updated",
+    "user.delete": "User deleted",
+    "user.2fa.reset": "User 2FA reset",
+    "2fa.enable": "2FA enabled",
+    "2fa.disable": "2FA disabled",
+    "2fa.recovery-codes": "Recovery codes regenerated",
+    "password.change": "Setup password changed",
+    "auth.unlock": "Sign-in lockout lifted",
+    "audit.export": "Audit log exported",
+};
+
+function describe(e) {
+    const parts = [];
+    if (e.cmd) parts.push([e.cmd, e.arg].filter(Boolean).join(" "));
+    if (e.command) parts.push(e.command);
+    if (e.channel) parts.push(e.channel);
+    if (e.requestId) parts.push(`request ${e.requestId}`);
+    if (e.deviceId) parts.push(`device ${e.deviceId} (${e.deviceRole})`);
+    if (e.username) parts.push(e.userRole ? `${e.username} as ${e.userRole}` : e.username);
+    if (e.passwordChanged) parts.push("new password");
+    if (e.target) parts.push(e.target);
+    if (e.build) parts.push(e.build);
+    if (e.mode) parts.push(`${e.mode} shell`);
+    if (e.durationMs != null) parts.push(`${Math.round(e.durationMs / 1000)}s`);
+    if (e.diff) parts.push(e.diff.unparsed ? "not valid JSON, no diff" : `${e.diff.total} change${e.diff.total === 1 ? "" : "s"}`);
+    if (e.input?.flow) parts.push(`${e.input.flow} flow`);
+    if (e.input?.authChoice) parts.push(e.input.authChoice);
+    if (e.bytes != null) parts.push(`${(e.bytes / 1024).toFixed(1)} KB`);
+    if (e.error) parts.push(e.error);
+    return parts.join(" · ");
+}
+
+function formatValue(v) {
+    return v === undefined ? "" : typeof v === "string" ? v : JSON.stringify(v);
+}
+
+function DiffList({ diff }) {
+    return (
+        <div className="mt-2 rounded-md border border-border bg-muted p-2 text-xs font-mono space-y-0.5 overflow-x-auto">
+            {diff.changes.map((c) => (
+                <div key={c.path} className="whitespace-pre-wrap break-all">
+                    <span className={c.op === "added" ? "text-emerald-600" : c.op === "removed" ? "text-destructive" : "text-amber-600"}>
+                        {c.op === "added" ? "+" : c.op === "removed" ? "−" : "~"}
+                    </span>{" "}
+                    {c.path}
+                    {"from" in c && <span className="text-muted-foreground"> {formatValue(c.from)}</span>}
+                    {"from" in c && "to" in c && " →"}
+                    {"to" in c && <span> {formatValue(c.to)}</span>}
+                </div>
+            ))}
+            {diff.total > diff.changes.length && <div className="text-muted-foreground">…and {diff.total - diff.changes.length} more</div>}
+        </div>
+    );
+}
+
+function EntryRow({ entry }) {
+    const [open, setOpen] = useState(false);
+    const detail = describe(entry);
+    const hasDiff = entry.diff?.changes?.length > 0;
+    return (
+        <div className="px-4 py-2.5 border-b border-border last:border-b-0">
+            <div className="flex items-start gap-3">
+                <div className="min-w-0 flex-1">
+                    <div className="flex items-center gap-2 flex-wrap">
+                        <span className="text-sm font-medium">{ACTION_LABELS[entry.action] || entry.action}</span>
+                        {entry.ok === false && <Badge variant="destructive">Failed</Badge>}
+                        <Badge variant="outline">{entry.actor ?? "unknown"}</Badge>
+                        {entry.instance && entry.instance !== "default" && <Badge variant="secondary">{entry.instance}</Badge>}
+                    </div>
+                    <p className="text-xs text-muted-foreground break-words">
+                        {[entry.ip, detail].filter(Boolean).join(" · ")}
+                        {hasDiff && (
+                            <button type="button" onClick={() => setOpen(!open)} className="ml-2 underline cursor-pointer hover:text-foreground">
+                                {open ? "Hide changes" : "Show changes"}
+                            </button>
+                        )}
+                    </p>
+                </div>
+                <span className="shrink-0 text-xs font-mono text-muted-foreground">
+                    {new Date(entry.ts).toLocaleTimeString([], { hour12: false })}
+                </span>
+            </div>
+            {open && <DiffList diff={entry.diff} />}
+        </div>
+    );
+}
+
+function dayKey(ts) {
+    return new Date(ts).toLocaleDateString([], { weekday: "short", year: "numeric", month: "short", day: "numeric" });
+}
+
+/* ── Main Audit Panel ── */
+export default function AuditPanel() {
+    const [action, setAction] = useState("");
+    const [actor, setActor] = useState("");
+    const [search, setSearch] = useState("");
+    const [q, setQ] = useState("");
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [exporting, setExporting] = useState(false);
+    const toast = useToast();
+
+    useEffect(() => {
+        const id = setTimeout(() => setQ(search.trim()), SEARCH_DEBOUNCE_MS);
+        return () => clearTimeout(id);
+    }, [search]);
+
+    const refresh = useCallback(async () => {
+        setLoading(true);
+        try {
+            setData(await getAudit({ action, actor, q, limit: LIMIT }));
+        } catch (e) {
+            toast(`Error: ${e}`, { variant: "error", duration: 8000 });
+        } finally {
+            setLoading(false);
+        }
+    }, [action, actor, q, toast]);
+
+    useEffect(() => { refresh(); }, [refresh]);
+
+    const handleExport = async () => {
+        setExporting(true);
+        try {
+            await exportAudit({ action, actor, q });
+        } catch (e) {
+            toast(`Error: ${e}`, { variant: "error", duration: 8000 });
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const entries = data?.entries || [];
+    const total = data?.total || 0;
+
+    // Group by calendar day (entries arrive newest first).
+    const days = [];
+    for (const e of entries) {
+        const key = dayKey(e.ts);
+        if (!days.length || days[days.length - 1].key !== key) days.push({ key, entries: [] });
+        days[days.length - 1].entries.push(e);
+    }
+
+    return (
+        <div className="max-w-3xl mx-auto px-8 py-6 w-full">
+            <div className="mb-8">
+                <div className="flex items-center gap-2 mb-3 flex-wrap">
+                    <Select
+                        value={action}
+                        onChange={setAction}
+                        options={[{ value: "", label: "All actions" }, ...(data?.actions || []).map((a) => ({ value: a, label: ACTION_LABELS[a] || a }))]}
+                    />
+                    <Select
+                        value={actor}
+                        onChange={setActor}
+                        options={[{ value: "", label: "Everyone" }, ...(data?.actors || []).map((a) => ({ value: a, label: a }))]}
+                    />
+                    <Input className="w-48 flex-1" value={search} placeholder="Search…" onChange={(e) => setSearch(e.target.value)} />
+                    <Button variant="outline" size="sm" onClick={handleExport} disabled={exporting || total === 0}>
+                        {exporting ? "Exporting..." : "Export JSON"}
+                    </Button>
+                    <button
+                        onClick={refresh}
+                        disabled={loading}
+                        className="text-xs text-muted-foreground hover:text-foreground transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
+                    >
+                        <span className={loading ? "animate-spin" : ""}>↻</span>
+                        {loading ? "Refreshing..." : "Refresh"}
+                    </button>
+                </div>
+                <p className="text-sm text-muted-foreground">
+                    {total > entries.length ? `Showing the latest ${entries.length} of ${total} entries.` : `${total} entries.`}
+                    {" "}Secrets in config changes are masked; env changes list variable names only.
+                </p>
+            </div>
+
+            {days.length === 0 && !loading && (
+                <p className="text-sm text-muted-foreground">No audit entries match.</p>
+            )}
+
+            {days.map((day) => (
+                <Section key={day.key} title={day.key}>
+                    <Card>
+                        {day.entries.map((e, i) => <EntryRow key={`${e.ts}-${i}`} entry={e} />)}
+                    </Card>
+                </Section>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,292 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { Section, Card, CardContent, Badge, Button, Code, LogOutput } from "./ui";
+import ConfirmDialog from "./ConfirmDialog";
+import { getBuilds, uploadBuild, activateBuild, pinBuild, deleteBuild, getUpdateJob, startUpdate, streamUpdate, hasRole } from "../api";
+import { useToast } from "./Toast";
+
+function formatTime(ts) {
+    return ts ? new Date(ts).toLocaleString([], { hour12: false }) : "—";
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function BuildRow({ title, detail, active, pinned, busy, onActivate, onPin, onDelete }) {
+    return (
+        <div className="flex items-start gap-3 px-4 py-2.5 border-b border-border last:border-b-0">
+            <div className="min-w-0 flex-1">
+                <div className="flex items-center gap-2">
+                    <span className="text-sm font-medium truncate">{title}</span>
+                    {active && <Badge variant="success">Active</Badge>}
+                    {pinned && <Badge variant="outline">Pinned</Badge>}
+                </div>
+                <p className="text-xs text-muted-foreground break-words">{detail}</p>
+            </div>
+            <div className="flex items-center gap-1 shrink-0">
+                {!active && onActivate && <Button variant="outline" size="sm" onClick={onActivate} disabled={busy}>Switch</Button>}
+                {onPin && <Button variant="ghost" size="sm" onClick={onPin} disabled={busy}>{pinned ? "Unpin" : "Pin"}</Button>}
+                {onDelete && !active && !pinned && (
+                    <Button variant="ghost" size="sm" onClick={onDelete} disabled={busy}>Delete</Button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+const STEP_MARK = { pending: "○", running: "…", done: "✓", failed: "✗" };
+
+const UPDATE_STATE_BADGE = {
+    running: <Badge variant="secondary">Running</Badge>,
+    succeeded: <Badge variant="success">Updated</Badge>,
+    "rolled-back": <Badge variant="destructive">Rolled back</Badge>,
+    failed: <Badge variant="destructive">Failed</Badge>,
+};
+
+function UpdateSection({ disabled, readOnly, onFinished }) {
+    const [job, setJob] = useState(null);
+    const [installRoot, setInstallRoot] = useState(null);
+    const [steps, setSteps] = useState([]);
+    const [log, setLog] = useState("");
+    const [dialog, setDialog] = useState(null);
+    const abortRef = useRef(null);
+    const onFinishedRef = useRef(onFinished);
+    onFinishedRef.current = onFinished;
+    const toast = useToast();
+
+    const load = useCallback(() => getUpdateJob().then((d) => {
+        setJob(d.job);
+        setInstallRoot(d.installRoot);
+        return d.job;
+    }), []);
+
+    // The stream replays the job from its start, so following rebuilds the whole view.
+    const follow = useCallback(() => {
+        abortRef.current?.();
+        setSteps([]);
+        setLog("");
+        abortRef.current = streamUpdate({
+            onPlan: ({ steps: plan }) => setSteps(plan.map((label) => ({ label, status: "pending" }))),
+            onStep: ({ label }) => setSteps((prev) => prev.some((st) => st.label === label)
+                ? prev.map((st) => st.label === label ? { ...st, status: "running" } : st)
+                : [...prev, { label, status: "running" }]),
+            onStepDone: ({ label, ok }) => setSteps((prev) =>
+                prev.map((st) => st.label === label ? { ...st, status: ok ? "done" : "failed" } : st)),
+            onLog: ({ text }) => setLog((p) => p + text),
+            onDone: () => { load(); onFinishedRef.current?.(); },
+            onError: (err) => setLog((p) => p + `\nError: ${err}\n`),
+        });
+    }, [load]);
+
+    useEffect(() => {
+        load().then((j) => { if (j) follow(); }).catch((e) => toast(`Error: ${e}`, { variant: "error", duration: 8000 }));
+        return () => abortRef.current?.();
+    }, [load, follow, toast]);
+
+    const confirmUpdate = () => setDialog({
+        title: "Update OpenClaw",
+        description: `Runs openclaw update on ${installRoot}. State and the install are snapshotted first and restored if the update, the restart or openclaw health fails.`,
+        confirmLabel: "Update",
+        onConfirm: async () => {
+            setDialog(null);
+            try {
+                const d = await startUpdate();
+                setJob(d.job);
+                follow();
+            } catch (e) {
+                toast(`Error: ${e}`, { variant: "error", duration: 8000 });
+            }
+        },
+        onCancel: () => setDialog(null),
+    });
+
+    const running = job?.state === "running";
+
+    return (
+        <Section title="Update OpenClaw" description="Run openclaw update with a snapshot and automatic rollback.">
+            <Card>
+                <CardContent className="space-y-3">
+                    <div className="flex items-center justify-between gap-3">
+                        <div className="flex items-center gap-2 text-sm text-muted-foreground min-w-0">
+                            {job && UPDATE_STATE_BADGE[job.state]}
+                            <span className="truncate">
+                                {job
+                                    ? `${job.fromVersion || "?"}${job.toVersion ? ` → ${job.toVersion}` : ""} · started ${formatTime(job.startedAt)}`
+                                    : installRoot ? <>Install: <Code>{installRoot}</Code></> : "The active entry is not inside an OpenClaw package."}
+                            </span>
+                        </div>
+                        {!readOnly && (
+                            <Button variant="outline" size="sm" onClick={confirmUpdate} disabled={disabled || running || !installRoot}>
+                                {running ? "Updating..." : "Update now"}
+                            </Button>
+                        )}
+                    </div>
+                    {job?.error && <p className="text-xs text-destructive break-words">{job.error}</p>}
+                    {steps.length > 0 && (
+                        <ul className="space-y-1 text-sm">
+                            {steps.map((st) => (
+                                <li key={st.label} className={`flex items-center gap-2 ${st.status === "pending" ? "text-muted-foreground" : ""}`}>
+                                    <span className="w-4 text-center font-mono">{STEP_MARK[st.status]}</span>
+                                    {st.label}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </CardContent>
+            </Card>
+            <LogOutput>{log}</LogOutput>
+            {dialog && <ConfirmDialog open {...dialog} />}
+        </Section>
+    );
+}
+
+/* ── Main Builds Panel ── */
+export default function BuildsPanel({ status }) {
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [fileName, setFileName] = useState("");
+    const [dialog, setDialog] = useState(null);
+    const fileRef = useRef(null);
+    const toast = useToast();
+    const canManage = hasRole("admin");
+
+    const refresh = useCallback(async () => {
+        setLoading(true);
+        try {
+            setData(await getBuilds());
+        } catch (e) {
+            toast(`Error: ${e}`, { variant: "error", duration: 8000 });
+        } finally {
+            setLoading(false);
+        }
+    }, [toast]);
+
+    useEffect(() => { refresh(); }, [refresh]);
+
+    const run = async (fn) => {
+        setBusy(true);
+        try {
+            await fn();
+        } catch (e) {
+            toast(`Error: ${e.message || e}`, { variant: "error", duration: 8000 });
+        } finally {
+            setBusy(false);
+            refresh();
+        }
+    };
+
+    const handleUpload = () => run(async () => {
+        const file = fileRef.current?.files?.[0];
+        if (!file) return;
+        const { build } = await uploadBuild(file);
+        toast(`Installed ${build.version}.`);
+        fileRef.current.value = "";
+        setFileName("");
+    });
+
+    const switchTo = (id, label) => setDialog({
+        title: `Switch to ${label}`,
+        description: "The gateway restarts on this build. If it does not become ready, the previous build is restored automatically.",
+        confirmLabel: "Switch",
+        onConfirm: () => {
+            setDialog(null);
+            run(async () => {
+                const r = await activateBuild(id);
+                if (r.ok) toast(`Now running ${label}.`);
+                else toast(`${label} failed readiness and was reverted: ${r.error}`, { variant: "error", duration: 12000 });
+                status?.refresh?.();
+            });
+        },
+        onCancel: () => setDialog(null),
+    });
+
+    const handleDelete = (build) => setDialog({
+        title: "Delete build",
+        description: `${build.version} will be removed from the volume.`,
+        variant: "destructive",
+        confirmLabel: "Delete",
+        onConfirm: () => { setDialog(null); run(() => deleteBuild(build.id)); },
+        onCancel: () => setDialog(null),
+    });
+
+    const builds = data?.builds || [];
+
+    return (
+        <div className="max-w-3xl mx-auto px-8 py-6 w-full">
+            <div className="mb-8 flex items-center justify-between gap-3">
+                <p className="text-sm text-muted-foreground">
+                    {data && (data.active ? <>Running uploaded build <Code>{data.active}</Code></> : "Running the bundled build")}
+                </p>
+                <button
+                    onClick={refresh}
+                    disabled={loading}
+                    className="text-xs text-muted-foreground hover:text-foreground transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
+                >
+                    <span className={loading ? "animate-spin" : ""}>↻</span>
+                    {loading ? "Refreshing..." : "Refresh"}
+                </button>
+            </div>
+
+            <UpdateSection disabled={busy || data?.switching} readOnly={!canManage} onFinished={() => { refresh(); status?.refresh?.(); }} />
+
+            {canManage && (
+                <Section title="Upload build" description="A .tar.gz of an OpenClaw build containing dist/entry.js and its node_modules (npm pack layout works). It must pass --version before it is installed.">
+                    <Card>
+                        <CardContent className="space-y-4">
+                            <input
+                                ref={fileRef}
+                                type="file"
+                                accept=".tar.gz,.tgz,application/gzip"
+                                className="hidden"
+                                onChange={() => setFileName(fileRef.current?.files?.[0]?.name || "")}
+                            />
+                            <div className="flex items-center gap-3">
+                                <button
+                                    type="button"
+                                    onClick={() => fileRef.current?.click()}
+                                    className="rounded-md bg-secondary px-3 py-1.5 text-sm font-medium hover:bg-secondary/80 cursor-pointer"
+                                >
+                                    Choose file
+                                </button>
+                                <span className="text-sm text-muted-foreground">{fileName || "No file chosen"}</span>
+                            </div>
+                            <div>
+                                <Button variant="outline" size="sm" onClick={handleUpload} disabled={busy || !fileName}>
+                                    {busy && fileName ? "Uploading..." : "Upload build"}
+                                </Button>
+                            </div>
+                        </CardContent>
+                    </Card>
+                </Section>
+            )}
+
+            <Section title="Installed builds" description={`Unpinned builds beyond the newest ${data?.keep ?? 3} are deleted after each upload.`}>
+                <Card>
+                    <BuildRow
+                        title="Bundled"
+                        detail={data?.bundledEntry || ""}
+                        active={data && !data.active}
+                        busy={busy}
+                        onActivate={canManage ? () => switchTo(null, "the bundled build") : null}
+                    />
+                    {builds.map((b) => (
+                        <BuildRow
+                            key={b.id}
+                            title={b.version}
+                            detail={`${b.label ? `${b.label} · ` : ""}${formatSize(b.bytes)} · uploaded ${formatTime(b.uploadedAt)}`}
+                            active={data.active === b.id}
+                            pinned={b.pinned}
+                            busy={busy}
+                            onActivate={canManage ? () => switchTo(b.id, b.version) : null}
+                            onPin={canManage ? () => run(() => pinBuild(b.id, !b.pinned)) : null}
+                            onDelete={canManage ? () => handleDelete(b) : null}
+                        />
+                    ))}
+                </Card>
+            </Section>
+
+            {dialog && <ConfirmDialog open {...dialog} />}
+        </div>
+    );
+}
@@ -0,0 +1,188 @@
+import { useState, useEffect, useCallback } from "react";
+import { Section, Card, CardRow, Badge, Button, Input, Code } from "./ui";
+import { getEventWebhooks, saveEventWebhooks, testEventWebhook, redeliverEventWebhook } from "../api";
+import { useToast } from "./Toast";
+
+const POLL_MS = 10_000;
+
+const STATE_BADGE = {
+    pending: <Badge variant="secondary">Pending</Badge>,
+    sending: <Badge variant="secondary">Sending</Badge>,
+    retrying: <Badge variant="outline">Retrying</Badge>,
+    delivered: <Badge variant="success">Delivered</Badge>,
+    failed: <Badge variant="destructive">Failed</Badge>,
+};
+
+function formatTime(ts) {
+    return ts ? new Date(ts).toLocaleString([], { hour12: false }) : "—";
+}
+
+function Checkbox({ checked, onChange, children }) {
+    return (
+        <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <input type="checkbox" className="h-4 w-4 accent-primary cursor-pointer" checked={checked} onChange={(e) => onChange(e.target.checked)} />
+            {children}
+        </label>
+    );
+}
+
+function EndpointCard({ endpoint, eventTypes, saved, busy, onChange, onRemove, onTest }) {
+    const set = (key, value) => onChange({ ...endpoint, [key]: value });
+    const toggleEvent = (type, on) => set("events", on ? [...endpoint.events, type] : endpoint.events.filter((e) => e !== type));
+    return (
+        <Card className="mb-3">
+            <CardRow label="URL">
+                <Input className="w-80 font-mono" value={endpoint.url} placeholder="https://example.com/hooks/openclaw" onChange={(e) => set("url", e.target.value)} />
+            </CardRow>
+            <CardRow label="Secret">
+                {endpoint.secret ? <Code>{endpoint.secret}</Code> : <span className="text-xs text-muted-foreground">Generated on save</span>}
+            </CardRow>
+            <div className="px-6 py-3 border-b border-border">
+                <div className="text-sm font-medium mb-2">Events</div>
+                <div className="grid grid-cols-2 gap-2">
+                    {eventTypes.map((type) => (
+                        <Checkbox key={type} checked={endpoint.events.includes(type)} onChange={(v) => toggleEvent(type, v)}>
+                            <span className="font-mono text-xs">{type}</span>
+                        </Checkbox>
+                    ))}
+                </div>
+            </div>
+            <div className="flex items-center justify-between px-6 py-3">
+                <Checkbox checked={endpoint.enabled} onChange={(v) => set("enabled", v)}>Enabled</Checkbox>
+                <div className="flex items-center gap-1">
+                    <Button variant="outline" size="sm" onClick={onTest} disabled={busy || !saved}>Send test</Button>
+                    <Button variant="ghost" size="sm" onClick={onRemove} disabled={busy}>Remove</Button>
+                </div>
+            </div>
+        </Card>
+    );
+}
+
+function DeliveryRow({ delivery, busy, onRedeliver }) {
+    const detail = [
+        `${delivery.attempts} attempt${delivery.attempts === 1 ? "" : "s"}`,
+        delivery.lastStatus ? `HTTP ${delivery.lastStatus}` : delivery.lastError,
+        delivery.nextAttemptAt ? `next ${formatTime(delivery.nextAttemptAt)}` : null,
+    ].filter(Boolean).join(" · ");
+    const finished = delivery.state === "delivered" || delivery.state === "failed";
+    return (
+        <div className="flex items-start gap-3 px-4 py-2.5 border-b border-border last:border-b-0">
+            <div className="min-w-0 flex-1">
+                <div className="flex items-center gap-2">
+                    <span className="text-sm font-mono">{delivery.type}</span>
+                    {STATE_BADGE[delivery.state]}
+                </div>
+                <p className="text-xs text-muted-foreground break-words">{delivery.url} · {detail}</p>
+            </div>
+            <span className="shrink-0 text-xs font-mono text-muted-foreground">{formatTime(delivery.createdAt)}</span>
+            {finished && <Button variant="ghost" size="sm" onClick={() => onRedeliver(delivery)} disabled={busy}>Redeliver</Button>}
+        </div>
+    );
+}
+
+/* ── Main Event Webhooks Panel ── */
+export default function EventWebhooksPanel() {
+    const [data, setData] = useState(null);
+    const [form, setForm] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const toast = useToast();
+
+    const refresh = useCallback(async () => {
+        try {
+            const d = await getEventWebhooks();
+            setData(d);
+            return d;
+        } catch (e) {
+            toast(`Error: ${e}`, { variant: "error", duration: 8000 });
+            return null;
+        }
+    }, [toast]);
+
+    useEffect(() => {
+        refresh().then((d) => d && setForm(d.endpoints));
+        const id = setInterval(refresh, POLL_MS);
+        return () => clearInterval(id);
+    }, [refresh]);
+
+    const run = async (fn, okMsg) => {
+        setBusy(true);
+        try {
+            await fn();
+            if (okMsg) toast(okMsg);
+        } catch (e) {
+            toast(`Error: ${e.message || e}`, { variant: "error", duration: 8000 });
+        } finally {
+            setBusy(false);
+            refresh();
+        }
+    };
+
+    const handleSave = async () => {
+        setBusy(true);
+        setError(null);
+        try {
+            const d = await saveEventWebhooks(form);
+            setData(d);
+            setForm(d.endpoints);
+            toast("Endpoints saved.");
+        } catch (e) {
+            setError(String(e.message || e).replace(/^HTTP \d+: /, ""));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (!form) return null;
+    const dirty = JSON.stringify(form) !== JSON.stringify(data?.endpoints);
+    const savedIds = new Set((data?.endpoints || []).map((ep) => ep.id));
+    const deliveries = data?.deliveries || [];
+
+    return (
+        <div className="max-w-3xl mx-auto px-8 py-6 w-full">
+            <Section
+                title="Endpoints"
+                description={`Events are POSTed as JSON with X-OpenClaw-Signature: sha256=HMAC(secret, "<X-OpenClaw-Timestamp>.<body>"), and retried with backoff on network errors, 408/429 and 5xx responses, up to ${data?.maxAttempts ?? 6} attempts.`}
+            >
+                {form.length === 0 && <p className="mb-3 text-sm text-muted-foreground">No endpoints configured.</p>}
+                {form.map((ep, i) => (
+                    <EndpointCard
+                        key={ep.id || `new-${i}`}
+                        endpoint={ep}
+                        eventTypes={data?.eventTypes || []}
+                        saved={Boolean(ep.id) && savedIds.has(ep.id) && !dirty}
+                        busy={busy}
+                        onChange={(next) => setForm((f) => f.map((x, j) => (j === i ? next : x)))}
+                        onRemove={() => setForm((f) => f.filter((_, j) => j !== i))}
+                        onTest={() => run(() => testEventWebhook(ep.id), "Test event queued.")}
+                    />
+                ))}
+                <div className="flex items-center justify-between gap-3">
+                    <Button variant="outline" size="sm" onClick={() => setForm((f) => [...f, { url: "", events: [...(data?.eventTypes || [])], enabled: true }])}>
+                        Add endpoint
+                    </Button>
+                    <div className="flex items-center gap-3">
+                        {error && <p className="text-sm text-destructive">{error}</p>}
+                        <Button variant="ghost" onClick={() => { setForm(data.endpoints); setError(null); }} disabled={!dirty || busy}>Discard</Button>
+                        <Button onClick={handleSave} disabled={!dirty || busy}>{busy ? "Saving..." : "Save endpoints"}</Button>
+                    </div>
+                </div>
+            </Section>
+
+            <Section title={`Deliveries (${deliveries.length})`} description="Most recent first; kept in memory until the wrapper restarts.">
+                <Card>
+                    {deliveries.length === 0 ? (
+                        <p className="px-4 py-3 text-sm text-muted-foreground">Nothing sent yet.</p>
+                    ) : deliveries.map((d) => (
+                        <DeliveryRow
+                            key={d.id}
+                            delivery={d}
+                            busy={busy}
+                            onRedeliver={(delivery) => run(() => redeliverEventWebhook(delivery.id), "Redelivery started.")}
+                        />
+                    ))}
+                </Card>
+            </Section>
+        </div>
+    );
+}
@@ -0,0 +1,82 @@
+import { useState, useEffect } from "react";
+import { Section, Card, CardRow, Badge } from "./ui";
+import { getGatewayResources } from "../api";
+
+const POLL_MS = 15_000;
+
+function formatMb(bytes) {
+    return bytes == null ? "—" : `${Math.round(bytes / 1048576)} MB`;
+}
+
+/* ── RSS sparkline — the optional memory limit is drawn as a dashed line ── */
+function Sparkline({ samples, limitBytes }) {
+    if (samples.length < 2) return null;
+    const width = 240;
+    const height = 40;
+    const max = Math.max(limitBytes || 0, ...samples.map((s) => s.rssBytes)) * 1.1;
+    const x = (i) => (i / (samples.length - 1)) * width;
+    const y = (v) => height - (v / max) * height;
+    const points = samples.map((s, i) => `${x(i).toFixed(1)},${y(s.rssBytes).toFixed(1)}`).join(" ");
+    return (
+        <svg width={width} height={height} className="overflow-visible">
+            {limitBytes && (
+                <line x1="0" x2={width} y1={y(limitBytes)} y2={y(limitBytes)} className="stroke-destructive/60" strokeDasharray="3 3" />
+            )}
+            <polyline points={points} fill="none" className="stroke-foreground/70" strokeWidth="1.5" />
+        </svg>
+    );
+}
+
+export default function GatewayResources() {
+    const [data, setData] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        const load = () => getGatewayResources()
+            .then((d) => { if (!cancelled) setData(d); })
+            .catch(() => { });
+        load();
+        const timer = setInterval(load, POLL_MS);
+        return () => { cancelled = true; clearInterval(timer); };
+    }, []);
+
+    if (!data?.enabled) return null;
+
+    const { latest, memoryLimit } = data;
+    const limitBytes = memoryLimit.limitMb ? memoryLimit.limitMb * 1048576 : null;
+    // Only chart the current process; a restart starts a fresh line.
+    const samples = latest ? data.samples.filter((s) => s.pid === latest.pid) : [];
+    const minutes = Math.round((samples.length * data.sampleMs) / 60_000);
+
+    return (
+        <Section title="Gateway resources" description={latest ? `Sampled every ${data.sampleMs / 1000}s from /proc (pid ${latest.pid}).` : "Gateway is not running."}>
+            <Card>
+                <CardRow label="Memory (RSS)" description={`Peak ${formatMb(data.peakRssBytes)}`}>
+                    <span className="text-sm font-mono">{formatMb(latest?.rssBytes)}</span>
+                </CardRow>
+                <CardRow label="CPU">
+                    <span className="text-sm font-mono">{latest?.cpuPercent == null ? "—" : `${latest.cpuPercent}%`}</span>
+                </CardRow>
+                {samples.length > 1 && (
+                    <CardRow label="History" description={`Last ${minutes || "<1"} min`}>
+                        <Sparkline samples={samples} limitBytes={limitBytes} />
+                    </CardRow>
+                )}
+                <CardRow
+                    label="Memory limit"
+                    description={limitBytes
+                        ? `Restart after ${memoryLimit.minutes} min above the limit${memoryLimit.lastRestartAt ? ` · last restart ${new Date(memoryLimit.lastRestartAt).toLocaleString()}` : ""}`
+                        : "Set GATEWAY_MEMORY_LIMIT_MB to restart the gateway when memory stays high"}
+                >
+                    {!limitBytes ? (
+                        <Badge variant="outline">Off</Badge>
+                    ) : memoryLimit.overLimitSince ? (
+                        <Badge variant="destructive">Over {memoryLimit.limitMb} MB</Badge>
+                    ) : (
+                        <Badge variant="secondary">{memoryLimit.limitMb} MB</Badge>
+                    )}
+                </CardRow>
+            </Card>
+        </Section>
+    );
+}
@@ -1,24 +1,53 @@
-import { useState } from "react";
-import { verifyAuth, setAuth } from "../api";
+import { useState, useEffect } from "react";
+import { login } from "../api";
 import { Button, Input, Card, CardContent } from "./ui";
 
+function formatWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) return `${seconds} s`;
+    return seconds % 60 ? `${Math.floor(seconds / 60)} min ${seconds % 60} s` : `${seconds / 60} min`;
+}
+
 export default function LoginPage({ onLogin }) {
+    const [username, setUsername] = useState("");
     const [password, setPassword] = useState("");
+    // Set once the server asks for a second factor; the form then shows the code step.
+    const [needsCode, setNeedsCode] = useState(false);
+    const [code, setCode] = useState("");
     const [error, setError] = useState("");
     const [loading, setLoading] = useState(false);
+    // After failed attempts the server makes this IP wait; count down until it may retry.
+    const [lockedUntil, setLockedUntil] = useState(0);
+    const [now, setNow] = useState(Date.now());
+    const waitMs = Math.max(0, lockedUntil - now);
+
+    useEffect(() => {
+        if (!lockedUntil) return;
+        const id = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(id);
+    }, [lockedUntil]);
 
     const handleSubmit = async (e) => {
         e.preventDefault();
-        if (!password.trim()) return;
+        if (!password.trim() || (needsCode && !code.trim()) || waitMs > 0) return;
         setLoading(true);
         setError("");
         try {
-            const ok = await verifyAuth(password);
-            if (ok) {
-                setAuth(password);
+            const result = await login(username.trim(), password, needsCode ? code.trim() : undefined);
+            if (result.retryAfterMs) {
+                setLockedUntil(Date.now() + result.retryAfterMs);
+                setNow(Date.now());
+            }
+            if (result.ok) {
                 onLogin();
+            } else if (result.locked) {
+                setError("Too many failed attempts.");
+            } else if (result.twoFactorRequired) {
+                if (needsCode) setError(result.error);
+                setNeedsCode(true);
+                setCode("");
             } else {
-                setError("Invalid password");
+                setError(username.trim() ? "Invalid username or password" : "Invalid password");
             }
         } catch (err) {
             setError(`Connection error: ${err.message}`);
@@ -27,36 +56,81 @@ export default function LoginPage({ onLogin }) {
         }
     };
 
+    const back = () => {
+        setNeedsCode(false);
+        setCode("");
+        setError("");
+    };
+
     return (
         <div className="min-h-screen bg-background flex items-center justify-center font-sans">
             <div className="w-full max-w-sm">
                 <div className="text-center mb-8">
                     <h1 className="text-2xl font-semibold font-heading tracking-widest uppercase">OpenClaw</h1>
-                    <p className="text-sm text-muted-foreground mt-2">Enter your setup password to continue</p>
+                    <p className="text-sm text-muted-foreground mt-2">
+                        {needsCode
+                            ? "Enter the 6-digit code from your authenticator app, or a recovery code"
+                            : "Sign in with your Setup account, or leave the username empty to use the setup password"}
+                    </p>
                 </div>
 
                 <Card>
                     <CardContent className="pt-6">
                         <form onSubmit={handleSubmit} className="space-y-4">
-                            <div className="space-y-2">
-                                <label className="text-sm font-medium leading-none">Password</label>
-                                <Input
-                                    type="password"
-                                    value={password}
-                                    onChange={(e) => setPassword(e.target.value)}
-                                    placeholder="SETUP_PASSWORD"
-                                    autoFocus
-                                    className="font-mono"
-                                />
-                            </div>
+                            {needsCode ? (
+                                <div className="space-y-2">
+                                    <label className="text-sm font-medium leading-none">Authentication code</label>
+                                    <Input
+                                        value={code}
+                                        onChange={(e) => setCode(e.target.value)}
+                                        placeholder="123456"
+                                        autoComplete="one-time-code"
+                                        inputMode="numeric"
+                                        autoFocus
+                                        className="font-mono"
+                                    />
+                                </div>
+                            ) : (
+                                <>
+                                    <div className="space-y-2">
+                                        <label className="text-sm font-medium leading-none">Username</label>
+                                        <Input
+                                            value={username}
+                                            onChange={(e) => setUsername(e.target.value)}
+                                            placeholder="optional"
+                                            autoComplete="username"
+                                            autoCapitalize="none"
+                                            autoFocus
+                                        />
+                                    </div>
+                                    <div className="space-y-2">
+                                        <label className="text-sm font-medium leading-none">Password</label>
+                                        <Input
+                                            type="password"
+                                            value={password}
+                                            onChange={(e) => setPassword(e.target.value)}
+                                            placeholder={username.trim() ? "" : "SETUP_PASSWORD"}
+                                            autoComplete="current-password"
+                                            className="font-mono"
+                                        />
+                                    </div>
+                                </>
+                            )}
 
                             {error && (
-                                <p className="text-sm text-destructive">{error}</p>
+                                <p className="text-sm text-destructive">
+                                    {error}{waitMs > 0 && ` Try again in ${formatWait(waitMs)}.`}
+                                </p>
                             )}
 
-                            <Button type="submit" disabled={loading || !password.trim()} className="w-full">
-                                {loading ? "Verifying..." : "Sign in"}
+                            <Button type="submit" disabled={loading || waitMs > 0 || !password.trim() || (needsCode && !code.trim())} className="w-full">
+                                {loading ? "Verifying..." : needsCode ? "Verify" : "Sign in"}
                             </Button>
+                            {needsCode && (
+                                <Button type="button" variant="ghost" onClick={back} disabled={loading} className="w-full">
+                                    Back
+                                </Button>
+                            )}
                         </form>
                     </CardContent>
                 </Card>
@@ -0,0 +1,128 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { Button, Badge, Input } from "./ui";
+import { streamGatewayLogs } from "../api";
+
+const MAX_LINES = 5000;
+
+const STREAM_FILTERS = [
+    { value: "all", label: "All" },
+    { value: "stdout", label: "stdout" },
+    { value: "stderr", label: "stderr" },
+    { value: "wrapper", label: "wrapper" },
+];
+
+function lineClass(stream) {
+    if (stream === "stderr") return "text-red-600";
+    if (stream === "wrapper") return "text-muted-foreground";
+    return "text-foreground/80";
+}
+
+function formatTime(ts) {
+    try {
+        return new Date(ts).toLocaleTimeString([], { hour12: false });
+    } catch {
+        return ts;
+    }
+}
+
+export default function LogsPanel() {
+    const [lines, setLines] = useState([]);
+    const [connection, setConnection] = useState("connecting"); // connecting | live | closed | error
+    const [filter, setFilter] = useState("all");
+    const [query, setQuery] = useState("");
+    const [follow, setFollow] = useState(true);
+    const [session, setSession] = useState(0);
+    const bottomRef = useRef(null);
+
+    useEffect(() => {
+        setConnection("connecting");
+        setLines([]);
+        const abort = streamGatewayLogs({
+            onLine: (entry) => {
+                setLines((prev) => {
+                    const next = prev.length >= MAX_LINES ? prev.slice(prev.length - MAX_LINES + 1) : prev.slice();
+                    next.push(entry);
+                    return next;
+                });
+            },
+            onReady: () => setConnection("live"),
+            onEnd: () => setConnection("closed"),
+            onError: () => setConnection("error"),
+        });
+        return abort;
+    }, [session]);
+
+    useEffect(() => {
+        if (follow) bottomRef.current?.scrollIntoView({ block: "end" });
+    }, [lines, follow]);
+
+    const reconnect = useCallback(() => setSession((n) => n + 1), []);
+
+    const q = query.trim().toLowerCase();
+    const visible = lines.filter((l) =>
+        (filter === "all" || l.stream === filter) && (!q || l.text.toLowerCase().includes(q))
+    );
+
+    return (
+        <div className="flex flex-col flex-1 min-h-0">
+            {/* Toolbar */}
+            <div className="h-11 flex items-center justify-between gap-3 px-4 border-b border-border shrink-0 bg-background">
+                <div className="flex items-center gap-2 min-w-0">
+                    <span className="text-xs font-mono text-muted-foreground">gateway output</span>
+                    {connection === "live" && <Badge variant="success">live</Badge>}
+                    {connection === "connecting" && <Badge variant="secondary">connecting…</Badge>}
+                    {connection === "closed" && <Badge variant="outline">disconnected</Badge>}
+                    {connection === "error" && <Badge variant="destructive">error</Badge>}
+                    <span className="text-xs text-muted-foreground">{visible.length} lines</span>
+                </div>
+                <div className="flex items-center gap-1.5 shrink-0">
+                    <div className="flex rounded-md border border-input overflow-hidden">
+                        {STREAM_FILTERS.map((f) => (
+                            <button
+                                key={f.value}
+                                type="button"
+                                onClick={() => setFilter(f.value)}
+                                className={`px-2.5 py-1 text-xs transition-all cursor-pointer ${filter === f.value
+                                    ? "bg-accent text-foreground font-medium"
+                                    : "bg-background text-muted-foreground hover:bg-accent/50 hover:text-foreground"
+                                    }`}
+                            >
+                                {f.label}
+                            </button>
+                        ))}
+                    </div>
+                    <Input
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder="Filter…"
+                        className="h-8 w-40 text-xs"
+                    />
+                    <Button variant="ghost" size="sm" onClick={() => setFollow((v) => !v)}>
+                        {follow ? "Pause scroll" : "Follow"}
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => setLines([])}>Clear</Button>
+                    {(connection === "closed" || connection === "error") && (
+                        <Button size="sm" onClick={reconnect}>Reconnect</Button>
+                    )}
+                </div>
+            </div>
+
+            {/* Log lines */}
+            <div className="flex-1 min-h-0 overflow-y-auto px-4 py-3 font-mono text-xs leading-relaxed">
+                {visible.length === 0 ? (
+                    <p className="text-muted-foreground">
+                        {connection === "connecting" ? "Connecting…" : "No gateway output yet."}
+                    </p>
+                ) : (
+                    visible.map((l) => (
+                        <div key={l.seq} className="flex gap-3 whitespace-pre-wrap break-all">
+                            <span className="shrink-0 text-muted-foreground/70 select-none">{formatTime(l.ts)}</span>
+                            <span className={lineClass(l.stream)}>{l.text}</span>
+                        </div>
+                    ))
+                )}
+                <div ref={bottomRef} />
+            </div>
+        </div>
+    );
+}
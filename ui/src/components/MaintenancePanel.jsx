@@ -0,0 +1,136 @@
+import { useState, useEffect, useCallback } from "react";
+import { Section, Card, CardRow, Badge, Button, Input, LogOutput } from "./ui";
+import { getMaintenance, saveMaintenance, hasRole } from "../api";
+import { useToast } from "./Toast";
+
+const JOBS = [
+    { id: "restart", label: "Gateway restart", description: "Restart the gateway to release memory and stale channel connections" },
+    { id: "doctor", label: "openclaw doctor", description: "Run diagnostics; output also appears in the Debug Console" },
+];
+
+function formatTime(ts) {
+    return ts ? new Date(ts).toLocaleString([], { hour12: false }) : "—";
+}
+
+function Checkbox({ checked, onChange, children }) {
+    return (
+        <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <input type="checkbox" className="h-4 w-4 accent-primary cursor-pointer" checked={checked} onChange={(e) => onChange(e.target.checked)} />
+            {children}
+        </label>
+    );
+}
+
+function LastRun({ run }) {
+    if (!run) return <span className="text-xs text-muted-foreground">Not run since the wrapper started</span>;
+    return (
+        <div className="space-y-1">
+            <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                {run.skipped ? <Badge variant="outline">skipped</Badge> : run.ok ? <Badge variant="success">ok</Badge> : <Badge variant="destructive">failed</Badge>}
+                <span>{formatTime(run.at)} · {(run.durationMs / 1000).toFixed(1)}s{run.message ? ` · ${run.message}` : ""}</span>
+            </div>
+            {run.output && <LogOutput>{run.output}</LogOutput>}
+        </div>
+    );
+}
+
+/* ── Main Maintenance Panel ── */
+export default function MaintenancePanel() {
+    const [data, setData] = useState(null);
+    const [form, setForm] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const toast = useToast();
+
+    const refresh = useCallback(async () => {
+        try {
+            const d = await getMaintenance();
+            setData(d);
+            return d;
+        } catch (e) {
+            toast(`Error: ${e}`, { variant: "error", duration: 8000 });
+            return null;
+        }
+    }, [toast]);
+
+    useEffect(() => {
+        refresh().then((d) => d && setForm(d.settings));
+        const id = setInterval(refresh, 30_000);
+        return () => clearInterval(id);
+    }, [refresh]);
+
+    const set = (group, key, value) => setForm((f) => ({ ...f, [group]: { ...f[group], [key]: value } }));
+
+    const handleSave = async () => {
+        setSaving(true);
+        setError(null);
+        try {
+            const d = await saveMaintenance(form);
+            setData(d);
+            setForm(d.settings);
+            toast("Schedule saved.");
+        } catch (e) {
+            setError(String(e.message || e).replace(/^HTTP \d+: /, ""));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!form) return null;
+    const dirty = JSON.stringify(form) !== JSON.stringify(data?.settings);
+
+    return (
+        <div className="max-w-3xl mx-auto px-8 py-6 w-full">
+            <Section
+                title="Maintenance window"
+                description={`Scheduled jobs only run inside this window. Times are in the wrapper's time zone (${data?.timezone || "UTC"}).`}
+            >
+                <Card>
+                    <CardRow label="Restrict to window" description={data?.inWindow ? "Currently inside the window" : "Currently outside the window"}>
+                        <Checkbox checked={form.window.enabled} onChange={(v) => set("window", "enabled", v)} />
+                    </CardRow>
+                    <CardRow label="From / until" description="HH:MM; a window may wrap past midnight">
+                        <div className="flex items-center gap-2">
+                            <Input className="w-24 font-mono" value={form.window.start} onChange={(e) => set("window", "start", e.target.value)} disabled={!form.window.enabled} />
+                            <span className="text-muted-foreground">–</span>
+                            <Input className="w-24 font-mono" value={form.window.end} onChange={(e) => set("window", "end", e.target.value)} disabled={!form.window.enabled} />
+                        </div>
+                    </CardRow>
+                </Card>
+            </Section>
+
+            {JOBS.map((job) => {
+                const state = data?.jobs?.[job.id];
+                return (
+                    <Section key={job.id} title={job.label} description={job.description}>
+                        <Card>
+                            <CardRow label="Enabled" description={form[job.id].enabled && state?.nextRunAt ? `Next run ${formatTime(state.nextRunAt)}` : "Not scheduled"}>
+                                <Checkbox checked={form[job.id].enabled} onChange={(v) => set(job.id, "enabled", v)} />
+                            </CardRow>
+                            <CardRow label="Schedule" description="Cron: minute hour day-of-month month day-of-week">
+                                <Input className="w-44 font-mono" value={form[job.id].cron} onChange={(e) => set(job.id, "cron", e.target.value)} />
+                            </CardRow>
+                            {job.id === "restart" && (
+                                <CardRow label="Skip while clients are connected" description={`${data?.activeClients ?? 0} WebSocket client(s) connected now`}>
+                                    <Checkbox checked={form.restart.skipIfActiveClients} onChange={(v) => set("restart", "skipIfActiveClients", v)} />
+                                </CardRow>
+                            )}
+                            <div className="px-6 py-3">
+                                <div className="text-sm font-medium mb-1.5">Last run</div>
+                                {state?.running ? <Badge variant="secondary">running…</Badge> : <LastRun run={state?.lastRun} />}
+                            </div>
+                        </Card>
+                    </Section>
+                );
+            })}
+
+            {hasRole("admin") && (
+                <div className="flex items-center justify-end gap-3">
+                    {error && <p className="text-sm text-destructive">{error}</p>}
+                    <Button variant="ghost" onClick={() => { setForm(data.settings); setError(null); }} disabled={!dirty || saving}>Discard</Button>
+                    <Button onClick={handleSave} disabled={!dirty || saving}>{saving ? "Saving..." : "Save schedule"}</Button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,10 +1,67 @@
 import Lottie from "lottie-react";
 import lobsterAnimation from "../assets/lobster.json";
+import { useState } from "react";
 import SetupForm from "./SetupForm";
+import GatewayResources from "./GatewayResources";
+import UptimeHistory from "./UptimeHistory";
+import { Button } from "./ui";
+import { resumeGatewayAutoRestart, hasRole } from "../api";
+import { useToast } from "./Toast";
+
+function describeExit(exit) {
+    if (!exit) return null;
+    return `Last exit: code=${exit.code ?? "null"} signal=${exit.signal ?? "null"} at ${new Date(exit.at).toLocaleString()}`;
+}
+
+/* ── Crash-loop banner — shown while auto-restart is backing off or has given up ── */
+function CrashLoopBanner({ data, onResumed }) {
+    const [resuming, setResuming] = useState(false);
+    const toast = useToast();
+    const breaker = data?.gatewayAutoRestart;
+    if (!data?.configured || !breaker || (!breaker.tripped && data.gatewayState !== "crash-looping")) return null;
+
+    const handleResume = async () => {
+        setResuming(true);
+        try {
+            await resumeGatewayAutoRestart();
+            toast("Auto-restart resumed. Gateway is running.");
+        } catch (e) {
+            toast(`Error: ${e}`, { variant: "error", duration: 8000 });
+        } finally {
+            setResuming(false);
+            onResumed?.();
+        }
+    };
+
+    const title = breaker.tripped
+        ? `Gateway is parked — auto-restart gave up after ${breaker.attempts} attempts`
+        : `Gateway is crash-looping — auto-restart attempt ${breaker.attempts} of ${breaker.maxAttempts}`;
+    const detail = breaker.tripped
+        ? `Stopped retrying at ${new Date(breaker.trippedAt).toLocaleString()}. Check Gateway Logs and Timeline, then resume.`
+        : breaker.nextRetryAt
+            ? `Next retry at ${new Date(breaker.nextRetryAt).toLocaleTimeString([], { hour12: false })}.`
+            : "Retrying now.";
+
+    return (
+        <div className="rounded-lg border border-destructive/30 bg-destructive/5 px-4 py-3 flex items-start gap-3">
+            <span className="text-destructive mt-0.5 shrink-0 text-sm">✕</span>
+            <div className="flex-1 min-w-0 space-y-1">
+                <p className="text-sm font-medium text-destructive">{title}</p>
+                <p className="text-xs text-muted-foreground">{detail}</p>
+                {data.gatewayLastExit && <p className="text-xs font-mono text-muted-foreground">{describeExit(data.gatewayLastExit)}</p>}
+            </div>
+            {hasRole("operator") && (
+                <Button size="sm" variant="outline" onClick={handleResume} disabled={resuming}>
+                    {resuming ? "Resuming..." : "Resume auto-restart"}
+                </Button>
+            )}
+        </div>
+    );
+}
 
 /* ── Main Setup ── */
 export default function SetupPanel({ status }) {
-    const { data, error, loading } = status;
+    const { data, error, loading, refresh } = status;
 
     /* First load — show Lottie animation instead of skeleton */
     if (loading && !data) {
@@ -22,7 +79,16 @@ export default function SetupPanel({ status }) {
                 <p className="text-sm text-destructive text-center">{error}</p>
             )}
 
-            <SetupForm status={status} />
+            <CrashLoopBanner data={data} onResumed={refresh} />
+
+            {hasRole("admin") ? (
+                <SetupForm status={status} />
+            ) : !data?.configured && (
+                <p className="text-sm text-muted-foreground text-center">Not configured yet. An admin can set it up here.</p>
+            )}
+
+            {data?.configured && <UptimeHistory />}
+            {data?.configured && <GatewayResources />}
         </div>
     );
 }
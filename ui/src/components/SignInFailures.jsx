@@ -0,0 +1,87 @@
+import { useState, useEffect, useCallback } from "react";
+import { Section, Card, Badge, Button } from "./ui";
+import { getAuthFailures, unlockAuth } from "../api";
+import { useToast } from "./Toast";
+
+const POLL_MS = 30_000;
+
+function formatTime(ts) {
+    return ts ? new Date(ts).toLocaleString([], { hour12: false }) : "—";
+}
+
+function describe(f) {
+    const what = f.via === "login"
+        ? f.reason === "code" ? "wrong 2FA code" : "wrong password"
+        : f.via === "password-change"
+            ? "wrong current password when changing the setup password"
+            : `Basic auth on ${f.path || "?"}`;
+    return [f.username && `as ${f.username}`, what, f.userAgent].filter(Boolean).join(" · ");
+}
+
+export default function SignInFailures() {
+    const [data, setData] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const toast = useToast();
+
+    const refresh = useCallback(() => getAuthFailures().then(setData).catch(() => { }), []);
+
+    useEffect(() => {
+        refresh();
+        const id = setInterval(refresh, POLL_MS);
+        return () => clearInterval(id);
+    }, [refresh]);
+
+    const handleUnlock = async (ip) => {
+        setBusy(true);
+        try {
+            setData({ ...data, ...(await unlockAuth(ip)) });
+            toast(ip ? `Unlocked ${ip}.` : "All lockouts lifted.");
+        } catch (e) {
+            toast(`Error: ${e}`, { variant: "error", duration: 8000 });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (!data) return null;
+    const { failures, lockouts, global } = data;
+    const globalLocked = global.retryAfterMs > 0;
+
+    return (
+        <Section
+            title="Failed sign-ins"
+            description={`${global.failures} of ${global.max} allowed failures in the last ${global.windowMs / 60_000} min across all IPs.${globalLocked ? " Password sign-in is locked for everyone." : ""}`}
+        >
+            {(lockouts.length > 0 || globalLocked) && (
+                <Card className="mb-3">
+                    {lockouts.map((l) => (
+                        <div key={l.ip} className="flex items-center gap-3 px-4 py-2.5 border-b border-border last:border-b-0">
+                            <Badge variant="destructive">Locked</Badge>
+                            <span className="flex-1 text-sm font-mono">{l.ip}</span>
+                            <span className="text-xs text-muted-foreground">{l.failures} failures · until {formatTime(l.lockedUntil)}</span>
+                            <Button variant="ghost" size="sm" onClick={() => handleUnlock(l.ip)} disabled={busy}>Unlock</Button>
+                        </div>
+                    ))}
+                    {globalLocked && (
+                        <div className="flex items-center justify-end px-4 py-2.5">
+                            <Button variant="outline" size="sm" onClick={() => handleUnlock(null)} disabled={busy}>Lift all lockouts</Button>
+                        </div>
+                    )}
+                </Card>
+            )}
+            <Card>
+                {failures.length === 0 ? (
+                    <p className="px-4 py-3 text-sm text-muted-foreground">No failed sign-ins recorded.</p>
+                ) : failures.map((f, i) => (
+                    <div key={`${f.ts}-${i}`} className="flex items-start gap-3 px-4 py-2.5 border-b border-border last:border-b-0">
+                        <div className="min-w-0 flex-1">
+                            <span className="text-sm font-mono">{f.ip}</span>
+                            <p className="text-xs text-muted-foreground break-words">{describe(f)}</p>
+                        </div>
+                        <span className="shrink-0 text-xs font-mono text-muted-foreground">{formatTime(f.ts)}</span>
+                    </div>
+                ))}
+            </Card>
+        </Section>
+    );
+}
@@ -128,7 +128,7 @@ export default function StatusPanel({ status }) {
                 <Card>
                     <CardRow label="OpenClaw UI" description={data?.configured ? "Open the main interface" : "Run setup first to enable"}>
                         {data?.configured ? (
-                            <a href={`/openclaw#token=${encodeURIComponent(data?.gatewayToken || "")}`} target="_blank" className="text-sm font-medium underline underline-offset-4 hover:text-muted-foreground transition-colors">
+                            <a href={data?.gatewayToken ? `/openclaw#token=${encodeURIComponent(data.gatewayToken)}` : "/openclaw"} target="_blank" className="text-sm font-medium underline underline-offset-4 hover:text-muted-foreground transition-colors">
                                 Open
                             </a>
                         ) : (
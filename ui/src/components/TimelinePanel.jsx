@@ -0,0 +1,167 @@
+import { useState, useEffect, useCallback } from "react";
+import { Section, Card, Badge } from "./ui";
+import { getGatewayJournal } from "../api";
+import { useToast } from "./Toast";
+
+/* ── Event presentation ── */
+const EVENT_DEFS = {
+    wrapper_start: { label: "Wrapper started", tone: "muted" },
+    spawn: { label: "Gateway spawned", tone: "muted" },
+    ready: { label: "Gateway ready", tone: "ok" },
+    exit: { label: "Gateway exited", tone: "bad" },
+    spawn_error: { label: "Spawn error", tone: "bad" },
+    start_failed: { label: "Start failed", tone: "bad" },
+    restart: { label: "Restart requested", tone: "warn" },
+    restart_scheduled: { label: "Auto-restart scheduled", tone: "warn" },
+    restart_gave_up: { label: "Auto-restart gave up", tone: "bad" },
+    restart_resumed: { label: "Auto-restart resumed", tone: "ok" },
+    stop: { label: "Gateway stopped", tone: "warn" },
+    switch: { label: "Switched to replacement gateway", tone: "ok" },
+    blue_green_fallback: { label: "Blue/green fell back to stop-start", tone: "warn" },
+    watchdog_restart: { label: "Watchdog restart", tone: "bad" },
+    memory_restart: { label: "Memory-limit restart", tone: "bad" },
+    build_switch: { label: "Switched OpenClaw build", tone: "warn" },
+    build_revert: { label: "Build reverted", tone: "bad" },
+    update: { label: "OpenClaw updated", tone: "ok" },
+    update_rollback: { label: "Update rolled back", tone: "bad" },
+};
+
+const TONE_DOT = {
+    ok: "bg-emerald-500",
+    warn: "bg-amber-500",
+    bad: "bg-destructive",
+    muted: "bg-muted-foreground/40",
+};
+
+const FILTERS = [
+    { value: "all", label: "All", types: [] },
+    { value: "failures", label: "Failures", types: ["exit", "spawn_error", "start_failed", "restart_gave_up", "watchdog_restart", "memory_restart", "build_revert", "update_rollback"] },
+    { value: "restarts", label: "Restarts", types: ["restart", "restart_scheduled", "restart_gave_up", "restart_resumed", "watchdog_restart", "memory_restart", "switch", "blue_green_fallback", "stop", "build_switch", "build_revert"] },
+    { value: "lifecycle", label: "Lifecycle", types: ["wrapper_start", "spawn", "ready", "exit"] },
+];
+
+function describe(e) {
+    const parts = [];
+    if (e.type === "exit") {
+        parts.push(`code=${e.code ?? "null"} signal=${e.signal ?? "null"}`);
+        if (e.intentional) parts.push("intentional");
+    }
+    if (e.type === "ready" && e.afterMs != null) parts.push(`after ${(e.afterMs / 1000).toFixed(1)}s`);
+    if (e.type === "ready" && e.probe) parts.push(`${e.probe} probe ${e.probeMs}ms`);
+    if (e.type === "restart_scheduled") parts.push(`in ${Math.round(e.delayMs / 1000)}s · attempt ${e.attempt}/${e.maxAttempts}`);
+    if (e.type === "restart_gave_up") parts.push(`after ${e.attempts} attempts`);
+    if (e.type === "restart_resumed" && e.trippedAt) parts.push(`breaker had tripped after ${e.attempts} attempts`);
+    if (e.type === "switch") parts.push(`port ${e.fromPort} → ${e.toPort} · pid ${e.oldPid} → ${e.newPid}`);
+    if (e.type === "restart" && e.mode === "blue-green") parts.push("blue/green");
+    if (e.type === "watchdog_restart") parts.push(`${e.failures} failed probes`);
+    if (e.type === "memory_restart") parts.push(`${e.rssMb} MB over the ${e.limitMb} MB limit for ${Math.round(e.overMs / 60000)} min`);
+    if (e.type === "build_switch" || e.type === "build_revert" || e.type === "update") parts.push(`${e.from} → ${e.to}`);
+    if (e.type === "update_rollback" && !e.ok) parts.push(`rollback failed: ${e.rollbackError}`);
+    if (e.pid) parts.push(`pid ${e.pid}`);
+    if (e.error) parts.push(e.error);
+    return parts.join(" · ");
+}
+
+function dayKey(ts) {
+    return new Date(ts).toLocaleDateString([], { weekday: "short", year: "numeric", month: "short", day: "numeric" });
+}
+
+function EventRow({ event }) {
+    const def = EVENT_DEFS[event.type] || { label: event.type, tone: "muted" };
+    const detail = describe(event);
+    return (
+        <div className="flex items-start gap-3 px-4 py-2.5 border-b border-border last:border-b-0">
+            <span className={`mt-1.5 h-2 w-2 shrink-0 rounded-full ${TONE_DOT[def.tone]}`} />
+            <div className="min-w-0 flex-1">
+                <div className="flex items-center gap-2">
+                    <span className="text-sm font-medium">{def.label}</span>
+                    {event.reason && <Badge variant="outline">{event.reason}</Badge>}
+                </div>
+                {detail && <p className="text-xs text-muted-foreground break-words">{detail}</p>}
+            </div>
+            <span className="shrink-0 text-xs font-mono text-muted-foreground">
+                {new Date(event.ts).toLocaleTimeString([], { hour12: false })}
+            </span>
+        </div>
+    );
+}
+
+/* ── Main Timeline Panel ── */
+export default function TimelinePanel() {
+    const [filter, setFilter] = useState("all");
+    const [events, setEvents] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [loading, setLoading] = useState(false);
+    const toast = useToast();
+
+    const refresh = useCallback(async () => {
+        setLoading(true);
+        try {
+            const types = FILTERS.find((f) => f.value === filter)?.types || [];
+            const d = await getGatewayJournal({ limit: 500, types });
+            setEvents(d.events || []);
+            setTotal(d.total || 0);
+        } catch (e) {
+            toast(`Error: ${e}`, { variant: "error", duration: 8000 });
+        } finally {
+            setLoading(false);
+        }
+    }, [filter, toast]);
+
+    useEffect(() => { refresh(); }, [refresh]);
+
+    // Group by calendar day (events arrive newest first).
+    const days = [];
+    for (const e of events) {
+        const key = dayKey(e.ts);
+        if (!days.length || days[days.length - 1].key !== key) days.push({ key, events: [] });
+        days[days.length - 1].events.push(e);
+    }
+
+    return (
+        <div className="max-w-3xl mx-auto px-8 py-6 w-full">
+            <div className="mb-8">
+                <div className="flex items-center justify-between mb-3">
+                    <div className="flex rounded-lg border border-input overflow-hidden w-fit">
+                        {FILTERS.map((f) => (
+                            <button
+                                key={f.value}
+                                type="button"
+                                onClick={() => setFilter(f.value)}
+                                className={`px-3 py-1.5 text-sm transition-all cursor-pointer ${filter === f.value
+                                    ? "bg-accent text-foreground font-medium"
+                                    : "bg-background text-muted-foreground hover:bg-accent/50 hover:text-foreground"
+                                    }`}
+                            >
+                                {f.label}
+                            </button>
+                        ))}
+                    </div>
+                    <button
+                        onClick={refresh}
+                        disabled={loading}
+                        className="text-xs text-muted-foreground hover:text-foreground transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
+                    >
+                        <span className={loading ? "animate-spin" : ""}>↻</span>
+                        {loading ? "Refreshing..." : "Refresh"}
+                    </button>
+                </div>
+                <p className="text-sm text-muted-foreground">
+                    {total > events.length ? `Showing the latest ${events.length} of ${total} events.` : `${total} events recorded.`}
+                </p>
+            </div>
+
+            {days.length === 0 && !loading && (
+                <p className="text-sm text-muted-foreground">No lifecycle events recorded yet.</p>
+            )}
+
+            {days.map((day) => (
+                <Section key={day.key} title={day.key}>
+                    <Card>
+                        {day.events.map((e, i) => <EventRow key={`${e.ts}-${i}`} event={e} />)}
+                    </Card>
+                </Section>
+            ))}
+        </div>
+    );
+}
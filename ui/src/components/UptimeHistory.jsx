@@ -0,0 +1,97 @@
+import { useState, useEffect } from "react";
+import { Section, Card, CardRow, Badge } from "./ui";
+import { getUptime } from "../api";
+
+const POLL_MS = 60_000;
+
+function formatPct(pct) {
+    return pct == null ? "—" : `${pct}%`;
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60_000);
+    if (minutes < 1) return "<1 min";
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+}
+
+function formatTime(ts) {
+    return new Date(ts).toLocaleString([], { hour12: false });
+}
+
+/* ── 24h sparkline — one bar per bucket, empty buckets had no samples ── */
+function UptimeBars({ buckets, bucketMs }) {
+    return (
+        <div className="flex h-8 items-end gap-px">
+            {buckets.map((b) => (
+                <div
+                    key={b.start}
+                    title={`${formatTime(b.start)} – ${formatTime(new Date(b.start).getTime() + bucketMs)}: ${b.uptimePct == null ? "no data" : `${b.uptimePct}% up`}`}
+                    className={`w-1 rounded-sm ${b.uptimePct == null
+                        ? "h-1 bg-muted-foreground/20"
+                        : b.uptimePct === 100 ? "h-full bg-emerald-500" : "h-full bg-destructive"
+                        }`}
+                />
+            ))}
+        </div>
+    );
+}
+
+export default function UptimeHistory() {
+    const [data, setData] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        const load = () => getUptime()
+            .then((d) => { if (!cancelled) setData(d); })
+            .catch(() => { });
+        load();
+        const timer = setInterval(load, POLL_MS);
+        return () => { cancelled = true; clearInterval(timer); };
+    }, []);
+
+    if (!data || (!data.enabled && !data.since)) return null;
+
+    const { windows, incidents } = data;
+
+    return (
+        <Section
+            title="Uptime"
+            description={data.since
+                ? `Gateway probed every ${data.sampleMs / 1000}s since ${formatTime(data.since)}. Gaps without samples are not counted.`
+                : "No samples yet."}
+        >
+            <Card>
+                <CardRow label="Last 24 hours" description={`${formatPct(windows["24h"].uptimePct)} up`}>
+                    <UptimeBars buckets={data.sparkline.buckets} bucketMs={data.sparkline.bucketMs} />
+                </CardRow>
+                <CardRow label="Last 7 days">
+                    <span className="text-sm font-mono">{formatPct(windows["7d"].uptimePct)}</span>
+                </CardRow>
+                <CardRow label="Last 30 days">
+                    <span className="text-sm font-mono">{formatPct(windows["30d"].uptimePct)}</span>
+                </CardRow>
+            </Card>
+            {incidents.length > 0 && (
+                <Card className="mt-3">
+                    {incidents.map((i) => (
+                        <div key={i.start} className="flex items-start gap-3 px-4 py-2.5 border-b border-border last:border-b-0">
+                            <span className="mt-1.5 h-2 w-2 shrink-0 rounded-full bg-destructive" />
+                            <div className="min-w-0 flex-1">
+                                <div className="flex items-center gap-2">
+                                    <span className="text-sm font-medium">{formatTime(i.start)}</span>
+                                    {i.ongoing && <Badge variant="destructive">Ongoing</Badge>}
+                                </div>
+                                {i.error && <p className="text-xs text-muted-foreground break-words">{i.error}</p>}
+                            </div>
+                            <span className="shrink-0 text-xs font-mono text-muted-foreground">
+                                {i.ongoing ? `${formatDuration(i.durationMs)} so far` : formatDuration(i.durationMs)}
+                            </span>
+                        </div>
+                    ))}
+                </Card>
+            )}
+        </Section>
+    );
+}
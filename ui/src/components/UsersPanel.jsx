@@ -0,0 +1,190 @@
+import { useState, useEffect, useCallback } from "react";
+import { Section, Card, CardRow, Badge, Button, Input, Select } from "./ui";
+import ConfirmDialog from "./ConfirmDialog";
+import SignInFailures from "./SignInFailures";
+import { getUsers, saveUser, deleteUser, resetUserTwoFactor } from "../api";
+import { useToast } from "./Toast";
+
+const ROLE_HINTS = {
+    viewer: "Status, logs, timeline and uptime",
+    operator: "Also restarts, device approvals, console commands and the restricted terminal",
+    admin: "Also config, env, builds, import, wipe, the full terminal and users",
+};
+
+function formatTime(ts) {
+    return ts ? new Date(ts).toLocaleString([], { hour12: false }) : "—";
+}
+
+function errorText(e) {
+    const text = String(e.message || e).replace(/^HTTP \d+: /, "");
+    try {
+        return JSON.parse(text).error || text;
+    } catch {
+        return text;
+    }
+}
+
+function UserRow({ user, roles, busy, onRole, onPassword, onResetTwoFactor, onDelete }) {
+    return (
+        <div className="flex items-start gap-3 px-4 py-2.5 border-b border-border last:border-b-0">
+            <div className="min-w-0 flex-1">
+                <div className="flex items-center gap-2">
+                    <span className="text-sm font-mono">{user.username}</span>
+                    {user.twoFactor && <Badge variant="outline">2FA</Badge>}
+                    {user.activeSessions > 0 && <Badge variant="secondary">{user.activeSessions} session{user.activeSessions === 1 ? "" : "s"}</Badge>}
+                </div>
+                <p className="text-xs text-muted-foreground">Created {formatTime(user.createdAt)} · updated {formatTime(user.updatedAt)}</p>
+            </div>
+            <div className="flex items-center gap-1 shrink-0">
+                <Select value={user.role} onChange={onRole} options={roles.map((r) => ({ value: r, label: r }))} />
+                <Button variant="ghost" size="sm" onClick={onPassword} disabled={busy}>Set password</Button>
+                {user.twoFactor && <Button variant="ghost" size="sm" onClick={onResetTwoFactor} disabled={busy}>Reset 2FA</Button>}
+                <Button variant="ghost" size="sm" onClick={onDelete} disabled={busy}>Delete</Button>
+            </div>
+        </div>
+    );
+}
+
+/* ── Main Users Panel ── */
+export default function UsersPanel() {
+    const [data, setData] = useState(null);
+    const [form, setForm] = useState({ username: "", password: "", role: "viewer" });
+    const [passwordFor, setPasswordFor] = useState(null);
+    const [newPassword, setNewPassword] = useState("");
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const [dialog, setDialog] = useState(null);
+    const toast = useToast();
+
+    const refresh = useCallback(async () => {
+        try {
+            setData(await getUsers());
+        } catch (e) {
+            toast(`Error: ${e}`, { variant: "error", duration: 8000 });
+        }
+    }, [toast]);
+
+    useEffect(() => { refresh(); }, [refresh]);
+
+    const run = async (fn, okMsg) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await fn();
+            if (okMsg) toast(okMsg);
+            return true;
+        } catch (e) {
+            setError(errorText(e));
+            return false;
+        } finally {
+            setBusy(false);
+            refresh();
+        }
+    };
+
+    const handleCreate = async () => {
+        const ok = await run(() => saveUser(form), `Created ${form.username.trim().toLowerCase()}.`);
+        if (ok) setForm({ username: "", password: "", role: "viewer" });
+    };
+
+    const handleSetPassword = async () => {
+        const ok = await run(() => saveUser({ username: passwordFor.username, role: passwordFor.role, password: newPassword }), `Password changed; ${passwordFor.username} was signed out.`);
+        if (ok) {
+            setPasswordFor(null);
+            setNewPassword("");
+        }
+    };
+
+    const handleDelete = (user) => setDialog({
+        title: "Delete user",
+        description: `${user.username} loses access and is signed out of every session.`,
+        variant: "destructive",
+        confirmLabel: "Delete",
+        onConfirm: () => { setDialog(null); run(() => deleteUser(user.username), `Deleted ${user.username}.`); },
+        onCancel: () => setDialog(null),
+    });
+
+    const handleResetTwoFactor = (user) => setDialog({
+        title: "Reset two-factor authentication",
+        description: `${user.username} is signed out and can sign in with just their password until they enroll again.`,
+        variant: "destructive",
+        confirmLabel: "Reset 2FA",
+        onConfirm: () => { setDialog(null); run(() => resetUserTwoFactor(user.username), `Two-factor auth of ${user.username} was reset.`); },
+        onCancel: () => setDialog(null),
+    });
+
+    if (!data) return null;
+    const minLength = data.minPasswordLength;
+
+    return (
+        <div className="max-w-3xl mx-auto px-8 py-6 w-full">
+            <Section
+                title="Roles"
+                description={`Each role includes everything of the ones above it. SETUP_PASSWORD (username "${data.builtin}" or empty) always signs in as admin.`}
+            >
+                <Card>
+                    {data.roles.map((role) => (
+                        <CardRow key={role} label={role} description={ROLE_HINTS[role]} />
+                    ))}
+                </Card>
+            </Section>
+
+            <Section title={`Users (${data.users.length})`} description="Changing a password or deleting a user ends their sessions. Role changes apply immediately.">
+                <Card>
+                    {data.users.length === 0 ? (
+                        <p className="px-4 py-3 text-sm text-muted-foreground">No named users yet.</p>
+                    ) : data.users.map((u) => (
+                        <UserRow
+                            key={u.username}
+                            user={u}
+                            roles={data.roles}
+                            busy={busy}
+                            onRole={(role) => run(() => saveUser({ username: u.username, role }), `${u.username} is now ${role}.`)}
+                            onPassword={() => { setPasswordFor(u); setNewPassword(""); setError(null); }}
+                            onResetTwoFactor={() => handleResetTwoFactor(u)}
+                            onDelete={() => handleDelete(u)}
+                        />
+                    ))}
+                </Card>
+                {passwordFor && (
+                    <Card className="mt-3">
+                        <CardRow label={`New password for ${passwordFor.username}`} description={`At least ${minLength} characters`}>
+                            <div className="flex items-center gap-2">
+                                <Input type="password" className="w-48" value={newPassword} autoComplete="new-password" onChange={(e) => setNewPassword(e.target.value)} />
+                                <Button variant="ghost" size="sm" onClick={() => setPasswordFor(null)} disabled={busy}>Cancel</Button>
+                                <Button size="sm" onClick={handleSetPassword} disabled={busy || newPassword.length < minLength}>Save</Button>
+                            </div>
+                        </CardRow>
+                    </Card>
+                )}
+            </Section>
+
+            <Section title="Add user">
+                <Card>
+                    <CardRow label="Username" description="Lowercase letters, digits, dots, dashes and underscores">
+                        <Input className="w-56 font-mono" value={form.username} autoCapitalize="none" onChange={(e) => setForm((f) => ({ ...f, username: e.target.value }))} />
+                    </CardRow>
+                    <CardRow label="Password" description={`At least ${minLength} characters`}>
+                        <Input type="password" className="w-56" value={form.password} autoComplete="new-password" onChange={(e) => setForm((f) => ({ ...f, password: e.target.value }))} />
+                    </CardRow>
+                    <CardRow label="Role" description={ROLE_HINTS[form.role]}>
+                        <Select value={form.role} onChange={(role) => setForm((f) => ({ ...f, role }))} options={data.roles.map((r) => ({ value: r, label: r }))} />
+                    </CardRow>
+                </Card>
+            </Section>
+
+            <div className="flex items-center justify-end gap-3">
+                {error && <p className="text-sm text-destructive">{error}</p>}
+                <Button onClick={handleCreate} disabled={busy || !form.username.trim() || form.password.length < minLength}>
+                    {busy ? "Saving..." : "Add user"}
+                </Button>
+            </div>
+
+            <div className="mt-10">
+                <SignInFailures />
+            </div>
+
+            {dialog && <ConfirmDialog open {...dialog} />}
+        </div>
+    );
+}
@@ -0,0 +1,155 @@
+import { useState, useEffect, useCallback } from "react";
+import { Section, Card, CardContent, Badge, Button, Code } from "./ui";
+import ConfirmDialog from "./ConfirmDialog";
+import { getWebhookSpool, replayWebhookSpool, retryWebhookSpoolEntry, deleteWebhookSpoolEntry, hasRole } from "../api";
+import { useToast } from "./Toast";
+
+function formatTime(ts) {
+    return ts ? new Date(ts).toLocaleString([], { hour12: false }) : "—";
+}
+
+function EntryRow({ entry, failed, busy, readOnly, onRetry, onDelete }) {
+    return (
+        <div className="flex items-start gap-3 px-4 py-2.5 border-b border-border last:border-b-0">
+            <div className="min-w-0 flex-1">
+                <div className="flex items-center gap-2">
+                    <span className="text-sm font-mono truncate">{entry.method} {entry.url}</span>
+                    {entry.attempts > 0 && <Badge variant="outline">{entry.attempts} attempt{entry.attempts === 1 ? "" : "s"}</Badge>}
+                </div>
+                <p className="text-xs text-muted-foreground break-words">
+                    Received {formatTime(entry.receivedAt)} · {entry.bytes} bytes{entry.contentType ? ` · ${entry.contentType}` : ""}
+                    {entry.lastError ? ` · last error: ${entry.lastError}` : ""}
+                </p>
+            </div>
+            {!readOnly && (
+                <div className="flex items-center gap-1 shrink-0">
+                    {failed && (
+                        <Button variant="ghost" size="sm" onClick={() => onRetry(entry)} disabled={busy}>Retry</Button>
+                    )}
+                    <Button variant="ghost" size="sm" onClick={() => onDelete(entry)} disabled={busy}>Delete</Button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+/* ── Main Webhooks Panel ── */
+export default function WebhooksPanel() {
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [dialog, setDialog] = useState(null);
+    const toast = useToast();
+    const readOnly = !hasRole("operator");
+
+    const refresh = useCallback(async () => {
+        setLoading(true);
+        try {
+            setData(await getWebhookSpool());
+        } catch (e) {
+            toast(`Error: ${e}`, { variant: "error", duration: 8000 });
+        } finally {
+            setLoading(false);
+        }
+    }, [toast]);
+
+    useEffect(() => { refresh(); }, [refresh]);
+
+    const run = async (fn, okMsg) => {
+        setBusy(true);
+        try {
+            await fn();
+            if (okMsg) toast(okMsg);
+        } catch (e) {
+            toast(`Error: ${e}`, { variant: "error", duration: 8000 });
+        } finally {
+            setBusy(false);
+            refresh();
+        }
+    };
+
+    const handleDelete = (entry) => setDialog({
+        title: "Delete spooled webhook",
+        description: `${entry.method} ${entry.url} will be discarded and never delivered to the gateway.`,
+        variant: "destructive",
+        confirmLabel: "Delete",
+        onConfirm: () => { setDialog(null); run(() => deleteWebhookSpoolEntry(entry.id)); },
+        onCancel: () => setDialog(null),
+    });
+
+    const pending = data?.pending || [];
+    const failed = data?.failed || [];
+
+    return (
+        <div className="max-w-3xl mx-auto px-8 py-6 w-full">
+            <div className="mb-8 flex items-center justify-between gap-3">
+                <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                    {data && (data.enabled ? <Badge variant="success">Spooling</Badge> : <Badge variant="outline">Off</Badge>)}
+                    {data?.lastReplay && <span>Last replay {formatTime(data.lastReplay.at)} · {data.lastReplay.delivered} delivered</span>}
+                </div>
+                <div className="flex items-center gap-2">
+                    {!readOnly && (
+                        <Button variant="outline" size="sm" onClick={() => run(replayWebhookSpool, "Replay finished.")} disabled={busy || !pending.length}>
+                            Replay now
+                        </Button>
+                    )}
+                    <button
+                        onClick={refresh}
+                        disabled={loading}
+                        className="text-xs text-muted-foreground hover:text-foreground transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
+                    >
+                        <span className={loading ? "animate-spin" : ""}>↻</span>
+                        {loading ? "Refreshing..." : "Refresh"}
+                    </button>
+                </div>
+            </div>
+
+            {data && !data.enabled && (
+                <Section title="Not configured">
+                    <Card>
+                        <CardContent className="text-sm text-muted-foreground space-y-2">
+                            <p>
+                                Set <Code>WEBHOOK_SPOOL_PATHS</Code> to the channel webhook paths that should be queued while the
+                                gateway is down, e.g. <Code>/hooks/**,/slack/events</Code>.
+                            </p>
+                        </CardContent>
+                    </Card>
+                </Section>
+            )}
+
+            {data?.enabled && (
+                <>
+                    <Section title={`Pending (${pending.length})`} description={`Matching: ${data.patterns.join(", ")}. Replayed in order once the gateway is ready, up to ${data.maxAttempts} attempts each.`}>
+                        <Card>
+                            {pending.length === 0 ? (
+                                <p className="px-4 py-3 text-sm text-muted-foreground">Nothing waiting.</p>
+                            ) : pending.map((e) => (
+                                <EntryRow key={e.id} entry={e} busy={busy} readOnly={readOnly} onDelete={handleDelete} />
+                            ))}
+                        </Card>
+                    </Section>
+
+                    <Section title={`Failed (${failed.length})`} description="Rejected by the gateway (4xx) or out of attempts. Retry puts an entry back at its original place in the queue.">
+                        <Card>
+                            {failed.length === 0 ? (
+                                <p className="px-4 py-3 text-sm text-muted-foreground">No failed deliveries.</p>
+                            ) : failed.map((e) => (
+                                <EntryRow
+                                    key={e.id}
+                                    entry={e}
+                                    failed
+                                    busy={busy}
+                                    readOnly={readOnly}
+                                    onRetry={(entry) => run(() => retryWebhookSpoolEntry(entry.id), "Queued for replay.")}
+                                    onDelete={handleDelete}
+                                />
+                            ))}
+                        </Card>
+                    </Section>
+                </>
+            )}
+
+            {dialog && <ConfirmDialog open {...dialog} />}
+        </div>
+    );
+}
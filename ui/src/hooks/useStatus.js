@@ -1,7 +1,7 @@
 import { useState, useEffect, useCallback } from "react";
 import { getStatus, getHealth } from "../api";
 
-export function useStatus(authed) {
+export function useStatus(authed, instance) {
     const [data, setData] = useState(null);
     const [error, setError] = useState(null);
     const [loading, setLoading] = useState(true);
@@ -11,15 +11,17 @@ export function useStatus(authed) {
         setLoading(true);
         Promise.all([getStatus(), getHealth()])
             .then(([status, health]) => {
-                setData({
-                    ...status,
-                    gatewayReachable: health?.gateway?.reachable ?? false,
-                });
+                // /healthz probes the default instance only; named instances report their state.
+                const reachable = status.instance && status.instance !== "default"
+                    ? status.gatewayState === "ready"
+                    : health?.gateway?.reachable ?? false;
+                setData({ ...status, gatewayReachable: reachable });
                 setError(null);
             })
             .catch((e) => setError(String(e)))
             .finally(() => setLoading(false));
-    }, [authed]);
+        // `instance` is sent by the API module; it is a dependency so switching refetches.
+    }, [authed, instance]);
 
     useEffect(() => {
         refresh();